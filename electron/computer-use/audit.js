@@ -1,18 +1,42 @@
 /**
  * Computer Use 操作审计日志
  * 记录所有 Computer Use 操作用于安全审计和调试
+ * 日志超过大小上限时轮转为 audit.log.1 ~ audit.log.N（数字越大越旧）
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
+// 单个日志文件的大小上限
+const MAX_LOG_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// 保留的历史日志文件数
+const MAX_ROTATED_FILES = 5;
+
+// 导出 CSV 的列
+const CSV_COLUMNS = ['timestamp', 'action', 'sessionId', 'success', 'error', 'duration', 'params'];
+
 class AuditLogger {
     constructor() {
         // 审计日志文件路径（在用户主目录下）
         this.logDir = path.join(os.homedir(), '.computer-use');
         this.logFile = path.join(this.logDir, 'audit.log');
         this.initialized = false;
+
+        // 当前聊天会话（未显式传入 sessionId 的操作归属于此会话）
+        this.sessionId = null;
+
+        // 写入队列（保证追加和轮转按顺序进行）
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * 设置当前聊天会话
+     * @param {string|null} sessionId - 聊天会话 ID
+     */
+    setSession(sessionId) {
+        this.sessionId = sessionId || null;
     }
 
     /**
@@ -38,10 +62,12 @@ class AuditLogger {
     async log(action, params = {}, result = {}) {
         await this.initialize();
 
+        const { sessionId, ...rest } = params;
         const entry = {
             timestamp: new Date().toISOString(),
             action,
-            params: this.sanitizeParams(params),
+            sessionId: sessionId || this.sessionId,
+            params: this.sanitizeParams(rest),
             success: result.success !== false,
             error: result.error || null,
             duration: result.duration || null
@@ -49,11 +75,162 @@ class AuditLogger {
 
         const logLine = JSON.stringify(entry) + '\n';
 
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                await this.rotateIfNeeded(Buffer.byteLength(logLine));
+                await fs.appendFile(this.logFile, logLine, 'utf-8');
+            } catch (error) {
+                console.error('[Audit] Failed to write audit log:', error);
+            }
+        });
+        await this.writeQueue;
+    }
+
+    /**
+     * 写入前检查大小，超过上限时轮转
+     * @param {number} incomingSize - 即将写入的字节数
+     */
+    async rotateIfNeeded(incomingSize) {
+        let size = 0;
         try {
-            await fs.appendFile(this.logFile, logLine, 'utf-8');
+            size = (await fs.stat(this.logFile)).size;
         } catch (error) {
-            console.error('[Audit] Failed to write audit log:', error);
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        if (size === 0 || size + incomingSize <= MAX_LOG_SIZE) return;
+
+        // audit.log.(N-1) → audit.log.N ... audit.log → audit.log.1，最旧的被覆盖
+        for (let index = MAX_ROTATED_FILES - 1; index >= 1; index--) {
+            try {
+                await fs.rename(`${this.logFile}.${index}`, `${this.logFile}.${index + 1}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        await fs.rename(this.logFile, `${this.logFile}.1`);
+        console.log(`[Audit] Rotated audit log (${size} bytes)`);
+    }
+
+    /**
+     * 获取所有日志文件（从旧到新）
+     * @returns {string[]}
+     */
+    getLogFiles() {
+        const rotated = [];
+        for (let index = MAX_ROTATED_FILES; index >= 1; index--) {
+            rotated.push(`${this.logFile}.${index}`);
+        }
+        return [...rotated, this.logFile];
+    }
+
+    /**
+     * 读取所有日志条目（从旧到新，含已轮转的文件）
+     * @returns {Promise<Array>}
+     */
+    async readAll() {
+        await this.initialize();
+        await this.writeQueue;
+
+        const entries = [];
+        for (const file of this.getLogFiles()) {
+            let content;
+            try {
+                content = await fs.readFile(file, 'utf-8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                console.error('[Audit] Failed to read audit log:', error);
+                continue;
+            }
+
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch {
+                    // 跳过损坏的行
+                }
+            }
         }
+        return entries;
+    }
+
+    /**
+     * 按条件过滤条目
+     * @param {Array} entries - 条目
+     * @param {Object} filters - { actions, sessionId, from, to, failedOnly }
+     * @returns {Array}
+     */
+    filterEntries(entries, filters = {}) {
+        const { actions, sessionId, from, to, failedOnly } = filters;
+        return entries.filter(entry => {
+            if (actions?.length && !actions.includes(entry.action)) return false;
+            if (sessionId && entry.sessionId !== sessionId) return false;
+            if (from && entry.timestamp < from) return false;
+            if (to && entry.timestamp > to) return false;
+            if (failedOnly && entry.success) return false;
+            return true;
+        });
+    }
+
+    /**
+     * 查询审计日志
+     * @param {Object} filters - { actions, sessionId, from, to, failedOnly }，from/to 为 ISO 时间
+     * @param {number} limit - 返回的最大条数（最新的在前）
+     * @returns {Promise<{entries: Array, total: number, actions: string[], sessionIds: string[]}>}
+     */
+    async query(filters = {}, limit = 500) {
+        const all = await this.readAll();
+        const matched = this.filterEntries(all, filters);
+
+        return {
+            entries: matched.slice(-limit).reverse(),
+            total: matched.length,
+            // 供筛选下拉框使用
+            actions: [...new Set(all.map(entry => entry.action))].sort(),
+            sessionIds: [...new Set(all.map(entry => entry.sessionId).filter(Boolean))]
+        };
+    }
+
+    /**
+     * 导出审计日志
+     * @param {'json'|'csv'} format - 导出格式
+     * @param {Object} filters - 同 query
+     * @returns {Promise<{content: string, count: number}>}
+     */
+    async export(format = 'json', filters = {}) {
+        const entries = this.filterEntries(await this.readAll(), filters);
+
+        if (format === 'csv') {
+            const escapeCell = (value) => {
+                if (value === null || value === undefined) return '';
+                const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const rows = entries.map(entry => CSV_COLUMNS.map(column => escapeCell(entry[column])).join(','));
+            return { content: [CSV_COLUMNS.join(','), ...rows].join('\r\n'), count: entries.length };
+        }
+
+        return { content: JSON.stringify(entries, null, 2), count: entries.length };
+    }
+
+    /**
+     * 获取日志文件信息
+     * @returns {Promise<{files: Array<{name: string, size: number}>, maxSize: number, maxFiles: number}>}
+     */
+    async getInfo() {
+        await this.initialize();
+
+        const files = [];
+        for (const file of this.getLogFiles()) {
+            try {
+                const stats = await fs.stat(file);
+                files.push({ name: path.basename(file), size: stats.size });
+            } catch {
+                // 文件不存在
+            }
+        }
+        return { files, maxSize: MAX_LOG_SIZE, maxFiles: MAX_ROTATED_FILES, directory: this.logDir };
     }
 
     /**
@@ -86,39 +263,23 @@ class AuditLogger {
      * @returns {Promise<Array>} 审计日志条目数组
      */
     async read(limit = 100) {
-        await this.initialize();
-
-        try {
-            const content = await fs.readFile(this.logFile, 'utf-8');
-            const lines = content.trim().split('\n');
-            const entries = lines
-                .slice(-limit)
-                .map(line => {
-                    try {
-                        return JSON.parse(line);
-                    } catch {
-                        return null;
-                    }
-                })
-                .filter(entry => entry !== null);
-
-            return entries;
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                return []; // 文件不存在，返回空数组
-            }
-            console.error('[Audit] Failed to read audit log:', error);
-            return [];
-        }
+        const entries = await this.readAll();
+        return entries.slice(-limit);
     }
 
     /**
-     * 清除审计日志
+     * 清除审计日志（含已轮转的文件）
      */
     async clear() {
         await this.initialize();
+        await this.writeQueue;
 
         try {
+            for (const file of this.getLogFiles()) {
+                if (file !== this.logFile) {
+                    await fs.rm(file, { force: true });
+                }
+            }
             await fs.writeFile(this.logFile, '', 'utf-8');
         } catch (error) {
             console.error('[Audit] Failed to clear audit log:', error);
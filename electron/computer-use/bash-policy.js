@@ -0,0 +1,535 @@
+/**
+ * Bash 命令策略
+ * 按允许 / 拒绝 / 总是询问规则判断命令是否可以直接执行
+ *
+ * 规则语法：
+ * - 通配符：`*` 匹配任意字符，`?` 匹配单个字符，整条匹配（如 `git status*`、`rm *`）
+ * - 正则：以 `/` 包裹（如 `/^npm (test|run lint)$/`、`/curl.*\|\s*sh/i`）
+ *
+ * 判定顺序：拒绝 > 总是询问 > 无法解析（询问）> 本会话已放行的模式 > 允许 > 默认（requireConfirmation 时询问，否则允许）
+ * 拒绝和总是询问规则对整条命令、每个子命令及其规范化形式检查
+ * （`/bin/rm`、`\rm`、`FOO=1 rm`、`sudo rm`、`xargs rm`、`bash -c "rm ..."` 都按 `rm ...` 匹配，`git -C . push` 按 `git push` 匹配）；
+ * 含重定向、命令替换或进程替换的命令不会被通配符规则放行
+ */
+
+const logger = require('./logger');
+
+// 默认“总是询问”的模式
+const DEFAULT_ASK_PATTERNS = [
+    'rm',
+    'rm *',
+    'sudo *',
+    'git push*',
+    '/(curl|wget)\\b.*\\|\\s*(sudo\\s+)?(ba|z)?sh\\b/'
+];
+
+// 带子命令的常见工具（生成建议模式时保留子命令，如 `git push *`）
+const SUBCOMMAND_TOOLS = new Set(['git', 'npm', 'pnpm', 'yarn', 'npx', 'docker', 'kubectl', 'cargo', 'go', 'pip', 'pip3', 'apt', 'apt-get', 'brew']);
+
+// 聊天会话 ID → 本会话已放行的模式
+const sessionAllowances = new Map();
+
+// 通配符允许规则无法安全判断的写法：命令替换、反引号、输出重定向、进程替换
+const UNSAFE_FOR_GLOB = /\$\(|`|>|<\(/;
+
+// 已编译规则缓存
+const compiledCache = new Map();
+
+/**
+ * 编译规则为正则（无效规则返回 null）
+ * @param {string} rule - 规则
+ * @returns {RegExp|null}
+ */
+function compileRule(rule) {
+    if (compiledCache.has(rule)) return compiledCache.get(rule);
+
+    let regex = null;
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(rule);
+    try {
+        if (regexMatch) {
+            regex = new RegExp(regexMatch[1], regexMatch[2]);
+        } else {
+            const source = rule
+                .split('')
+                .map(char => {
+                    if (char === '*') return '.*';
+                    if (char === '?') return '.';
+                    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+                })
+                .join('');
+            regex = new RegExp(`^${source}$`, 's');
+        }
+    } catch (error) {
+        logger.warn('BashPolicy', `Invalid rule ignored: ${rule}`, error.message);
+    }
+
+    compiledCache.set(rule, regex);
+    return regex;
+}
+
+/**
+ * 拆分复合命令（;、&&、||、|、|&、后台 &、换行；`2>&1`、`&>` 等重定向中的 & 不拆分）
+ * @param {string} command - 命令
+ * @returns {string[]} 各子命令
+ */
+function splitCommand(command) {
+    return command
+        .split(/\s*(?:&&|\|\||\|&|;|\||\n|(?<![<>])&(?!>))\s*/)
+        .map(part => part.trim().replace(/^[({]\s*/, '').replace(/\s*[)}]$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * 拆分命令，并展开 $(...)、`...`、<(...)、>(...) 中的内层命令（用于拒绝 / 询问规则匹配）
+ * @param {string} command - 命令
+ * @returns {string[]} 各子命令
+ */
+function collectSegments(command) {
+    const segments = splitCommand(command);
+    const nested = /[$<>]\(([^()]*)\)|`([^`]*)`/g;
+    let match;
+    while ((match = nested.exec(command)) !== null) {
+        segments.push(...splitCommand(match[1] ?? match[2]));
+    }
+    return segments;
+}
+
+// ========== 子命令规范化（用于拒绝 / 询问规则） ==========
+
+// 规范化时跳过的包装命令 → 需要参数值的选项、选项之后需要跳过的位置参数个数
+const WRAPPER_COMMANDS = {
+    command: { options: [], positional: 0 },
+    builtin: { options: [], positional: 0 },
+    env: { options: ['-u', '--unset', '-C', '--chdir', '-S', '--split-string'], positional: 0 },
+    exec: { options: ['-a'], positional: 0 },
+    nohup: { options: [], positional: 0 },
+    time: { options: ['-f', '--format', '-o', '--output'], positional: 0 },
+    nice: { options: ['-n', '--adjustment'], positional: 0 },
+    timeout: { options: ['-s', '--signal', '-k', '--kill-after'], positional: 1 },
+    xargs: { options: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs', '--max-chars'], positional: 0 },
+    sudo: { options: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-T', '-U', '--user', '--group', '--host', '--prompt', '--chdir'], positional: 0 }
+};
+
+// 命令前可能出现的 shell 关键字
+const SHELL_KEYWORDS = new Set(['!', 'if', 'then', 'else', 'elif', 'do', 'while', 'until', '{', '}']);
+
+// 通过 -c 执行字符串的 shell
+const SHELL_COMMANDS = new Set(['bash', 'sh', 'zsh', 'dash', 'ksh']);
+
+// 带子命令的工具在子命令之前可用的全局选项中需要参数值的选项（`git -C . push` 按 `git push` 匹配）
+const GLOBAL_VALUE_OPTIONS = {
+    git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env', '--exec-path'],
+    docker: ['-H', '--host', '-c', '--context', '--config', '-l', '--log-level'],
+    kubectl: ['-n', '--namespace', '--context', '--kubeconfig', '--cluster', '--user', '-s', '--server'],
+    npm: ['--prefix', '-w', '--workspace'],
+    pnpm: ['-C', '--dir', '--filter', '-F'],
+    yarn: ['--cwd'],
+    cargo: ['-C', '--config', '--manifest-path'],
+    go: ['-C']
+};
+
+// 规范化的最大嵌套深度（bash -c、命令替换）
+const MAX_NESTING = 5;
+
+/**
+ * 读取配对的括号（$(...)、<(...)、>(...)），跳过其中的引号内容
+ * @param {string} text - 命令
+ * @param {number} start - 左括号位置
+ * @returns {number} 右括号位置，未闭合时为 -1
+ */
+function findClosingParen(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === "'" || char === '"') {
+            const end = text.indexOf(char, i + 1);
+            if (end === -1) return -1;
+            i = end;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * 按 shell 引号规则解析命令：拆分为子命令，每个子命令是去掉引号和转义后的单词列表
+ * 命令替换、反引号、进程替换的内层命令单独收集
+ * @param {string} command - 命令
+ * @returns {{segments: Array<Array<{value: string, dynamic: boolean}>>, nested: string[]}|null} 引号或括号未闭合时为 null
+ */
+function parseCommand(command) {
+    const segments = [];
+    const nested = [];
+    let words = [];
+    let word = null;
+
+    const current = () => (word ??= { value: '', dynamic: false });
+    const endWord = () => {
+        if (word) words.push(word);
+        word = null;
+    };
+    const endSegment = () => {
+        endWord();
+        if (words.length > 0) segments.push(words);
+        words = [];
+    };
+    // $(...)、<(...)、>(...)：内容原样保留在单词中，内层命令另行检查
+    const readSubstitution = (start) => {
+        const end = findClosingParen(command, start + 1);
+        if (end === -1) return -1;
+        nested.push(command.slice(start + 2, end));
+        current().value += command.slice(start, end + 1);
+        word.dynamic = true;
+        return end + 1;
+    };
+    const readBacktick = (start) => {
+        const end = command.indexOf('`', start + 1);
+        if (end === -1) return -1;
+        nested.push(command.slice(start + 1, end));
+        current().value += command.slice(start, end + 1);
+        word.dynamic = true;
+        return end + 1;
+    };
+
+    let i = 0;
+    while (i < command.length) {
+        const char = command[i];
+        const next = command[i + 1];
+
+        if (char === '\\') {
+            if (next !== '\n' && next !== undefined) current().value += next;
+            i += 2;
+        } else if (char === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) return null;
+            current().value += command.slice(i + 1, end);
+            i = end + 1;
+        } else if (char === '"') {
+            current();
+            let j = i + 1;
+            for (; j < command.length && command[j] !== '"'; j++) {
+                if (command[j] === '\\' && '\\"$`\n'.includes(command[j + 1])) {
+                    j++;
+                    if (command[j] !== '\n') word.value += command[j];
+                } else if (command[j] === '$' && command[j + 1] === '(') {
+                    const end = readSubstitution(j);
+                    if (end === -1) return null;
+                    j = end - 1;
+                } else if (command[j] === '`') {
+                    const end = readBacktick(j);
+                    if (end === -1) return null;
+                    j = end - 1;
+                } else {
+                    if (command[j] === '$') word.dynamic = true;
+                    word.value += command[j];
+                }
+            }
+            if (j >= command.length) return null;
+            i = j + 1;
+        } else if ((char === '$' || char === '<' || char === '>') && next === '(') {
+            i = readSubstitution(i);
+            if (i === -1) return null;
+        } else if (char === '`') {
+            i = readBacktick(i);
+            if (i === -1) return null;
+        } else if (char === ' ' || char === '\t') {
+            endWord();
+            i++;
+        } else if (char === '\n' || char === ';' || char === '(' || char === ')') {
+            endSegment();
+            i++;
+        } else if (char === '|') {
+            endSegment();
+            i += next === '|' || next === '&' ? 2 : 1;
+        } else if (char === '&') {
+            const previous = command[i - 1];
+            if (next === '&') {
+                endSegment();
+                i += 2;
+            } else if (next === '>' || previous === '>' || previous === '<') {
+                // &>、>&、<& 重定向
+                current().value += char;
+                i++;
+            } else {
+                endSegment();
+                i++;
+            }
+        } else if (char === '#' && !word) {
+            const end = command.indexOf('\n', i);
+            i = end === -1 ? command.length : end;
+        } else {
+            if (char === '$') current().dynamic = true;
+            current().value += char;
+            i++;
+        }
+    }
+    endSegment();
+
+    return { segments, nested };
+}
+
+/**
+ * 取路径的文件名（`/bin/rm` → `rm`）
+ * @param {string} value
+ * @returns {string}
+ */
+function baseName(value) {
+    return value.replace(/\/+$/, '').split('/').pop();
+}
+
+/**
+ * 跳过选项（`--` 结束选项；valueOptions 中的选项连同参数值一起跳过）
+ * @param {Array} words - 单词列表
+ * @param {number} index - 起始位置
+ * @param {string[]} valueOptions - 需要参数值的选项
+ * @returns {number} 第一个非选项单词的位置
+ */
+function skipOptions(words, index, valueOptions) {
+    while (index < words.length && words[index].value.startsWith('-') && words[index].value !== '-') {
+        const option = words[index].value;
+        index++;
+        if (option === '--') break;
+        if (valueOptions.includes(option)) index++;
+    }
+    return index;
+}
+
+/**
+ * 规范化一个子命令：去掉前置变量赋值、重定向、关键字和包装命令，命令名取文件名，
+ * 带子命令的工具跳过全局选项，bash -c / eval 递归展开
+ * @param {Array<{value: string, dynamic: boolean}>} words - 单词列表
+ * @param {number} depth - 嵌套深度
+ * @returns {string[]|null} 规范化后的命令；无法确定实际执行的命令时为 null
+ */
+function normalizeWords(words, depth) {
+    let index = 0;
+    let skipped = true;
+    while (skipped && index < words.length) {
+        skipped = false;
+        const value = words[index].value;
+        const wrapper = WRAPPER_COMMANDS[baseName(value)];
+
+        if (/^[A-Za-z_]\w*\+?=/.test(value)) {
+            index++;
+        } else if (/^\d*(?:>>?|<<?<?|&>>?|>&|<&|>\|)$/.test(value)) {
+            index += 2;
+        } else if (/^\d*(?:[<>]|&>)/.test(value)) {
+            index++;
+        } else if (SHELL_KEYWORDS.has(value)) {
+            index++;
+        } else if (wrapper && !words[index].dynamic) {
+            index = skipOptions(words, index + 1, wrapper.options) + wrapper.positional;
+        } else {
+            continue;
+        }
+        skipped = true;
+    }
+
+    if (index >= words.length) return [];
+
+    const head = words[index];
+    if (head.dynamic) return null;
+    const name = baseName(head.value);
+    const args = words.slice(index + 1);
+
+    if (SHELL_COMMANDS.has(name)) {
+        let hasScriptOption = false;
+        let j = 0;
+        for (; j < args.length && /^[-+]/.test(args[j].value); j++) {
+            const option = args[j].value;
+            if (option === '--') {
+                j++;
+                break;
+            }
+            if (/^-[a-z]*c/i.test(option)) hasScriptOption = true;
+            if (option === '-o' || option === '-O' || option === '+O') j++;
+        }
+        if (hasScriptOption) {
+            return j < args.length ? normalizeCommand(args[j].value, depth + 1) : null;
+        }
+    }
+
+    if (name === 'eval') {
+        return normalizeCommand(args.map(arg => arg.value).join(' '), depth + 1);
+    }
+
+    const valueOptions = GLOBAL_VALUE_OPTIONS[name];
+    const rest = valueOptions ? args.slice(skipOptions(args, 0, valueOptions)) : args;
+    return [[name, ...rest.map(arg => arg.value)].join(' ')];
+}
+
+/**
+ * 规范化命令中的所有子命令（含命令替换的内层命令）
+ * @param {string} command - 命令
+ * @param {number} [depth=0] - 嵌套深度
+ * @returns {string[]|null} 规范化后的子命令；无法解析时为 null
+ */
+function normalizeCommand(command, depth = 0) {
+    if (depth > MAX_NESTING) return null;
+
+    const parsed = parseCommand(command);
+    if (!parsed) return null;
+
+    const forms = [];
+    for (const words of parsed.segments) {
+        const normalized = normalizeWords(words, depth);
+        if (!normalized) return null;
+        forms.push(...normalized);
+    }
+    for (const inner of parsed.nested) {
+        const normalized = normalizeCommand(inner, depth + 1);
+        if (!normalized) return null;
+        forms.push(...normalized);
+    }
+    return forms;
+}
+
+/**
+ * 查找匹配的规则：规则匹配整条命令或任一子命令即命中
+ * @param {string[]} rules - 规则列表
+ * @param {string} command - 完整命令
+ * @param {string[]} segments - 子命令
+ * @returns {string|null} 命中的规则
+ */
+function findMatch(rules, command, segments) {
+    for (const rule of rules || []) {
+        if (!rule || typeof rule !== 'string') continue;
+        const regex = compileRule(rule.trim());
+        if (!regex) continue;
+        if (regex.test(command) || segments.some(segment => regex.test(segment))) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+/**
+ * 判断规则是否为正则规则
+ * @param {string} rule - 规则
+ * @returns {boolean}
+ */
+function isRegexRule(rule) {
+    return /^\/(.+)\/([a-z]*)$/.test(rule.trim());
+}
+
+/**
+ * 判断所有子命令是否都被允许
+ * 通配符规则只按子命令匹配（`ls*` 不会放行 `ls & rm -rf x`），且不放行含重定向、命令替换或进程替换的命令；
+ * 正则规则可以匹配整条命令
+ * @param {string[]} rules - 规则列表
+ * @param {string} command - 完整命令
+ * @param {string[]} segments - 子命令
+ * @returns {string|null} 命中的规则（多个时返回第一个）
+ */
+function findFullMatch(rules, command, segments) {
+    const usable = (rules || []).filter(rule => rule && typeof rule === 'string' && compileRule(rule.trim()));
+    const regexRules = usable.filter(isRegexRule);
+    const globRules = UNSAFE_FOR_GLOB.test(command) ? [] : usable.filter(rule => !isRegexRule(rule));
+
+    const wholeMatch = regexRules.find(rule => compileRule(rule.trim()).test(command));
+    if (wholeMatch) return wholeMatch;
+
+    const matched = segments.map(segment => globRules.find(rule => compileRule(rule.trim()).test(segment)));
+    return matched.length > 0 && matched.every(Boolean) ? matched[0] : null;
+}
+
+/**
+ * 评估命令
+ * @param {string} command - 命令
+ * @param {Object} config - Bash 配置 { allowPatterns, denyPatterns, askPatterns, requireConfirmation }
+ * @param {string} [sessionId] - 聊天会话 ID（用于本会话已放行的模式）
+ * @returns {{decision: 'allow'|'deny'|'ask', rule: string|null, reason: string}}
+ */
+function evaluate(command, config = {}, sessionId = 'default') {
+    const trimmed = String(command || '').trim();
+    const segments = collectSegments(trimmed);
+    const normalized = normalizeCommand(trimmed);
+    const candidates = normalized ? [...segments, ...normalized] : segments;
+
+    const denyRule = findMatch(config.denyPatterns, trimmed, candidates);
+    if (denyRule) {
+        return { decision: 'deny', rule: denyRule, reason: 'deny_rule' };
+    }
+
+    // 总是询问规则不能被本会话放行的模式或允许规则绕过
+    const askRule = findMatch(config.askPatterns ?? DEFAULT_ASK_PATTERNS, trimmed, candidates);
+    if (askRule) {
+        return { decision: 'ask', rule: askRule, reason: 'ask_rule' };
+    }
+
+    // 无法确定实际执行的命令（引号未闭合、命令名来自变量等）时不放行
+    if (!normalized) {
+        return { decision: 'ask', rule: null, reason: 'unparsed' };
+    }
+
+    const sessionRules = [...(sessionAllowances.get(sessionId) || [])];
+    const sessionRule = findFullMatch(sessionRules, trimmed, segments);
+    if (sessionRule) {
+        return { decision: 'allow', rule: sessionRule, reason: 'session_allowance' };
+    }
+
+    const allowRule = findFullMatch(config.allowPatterns, trimmed, segments);
+    if (allowRule) {
+        return { decision: 'allow', rule: allowRule, reason: 'allow_rule' };
+    }
+
+    return config.requireConfirmation
+        ? { decision: 'ask', rule: null, reason: 'require_confirmation' }
+        : { decision: 'allow', rule: null, reason: 'default' };
+}
+
+/**
+ * 为命令生成“本会话允许”的建议模式
+ * @param {string} command - 命令
+ * @returns {string}
+ */
+function suggestPattern(command) {
+    const segments = splitCommand(String(command || '').trim());
+    if (segments.length !== 1 || UNSAFE_FOR_GLOB.test(command)) {
+        // 复合命令、带重定向或替换的命令只放行完全相同的命令
+        const escaped = String(command || '').trim().replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        return `/^${escaped}$/`;
+    }
+
+    const tokens = segments[0].split(/\s+/);
+    const head = tokens[0];
+    if (SUBCOMMAND_TOOLS.has(head) && tokens[1] && /^[a-z][\w:-]*$/i.test(tokens[1])) {
+        return `${head} ${tokens[1]}*`;
+    }
+    return tokens.length > 1 ? `${head} *` : head;
+}
+
+/**
+ * 本会话放行模式
+ * @param {string} sessionId - 聊天会话 ID
+ * @param {string} pattern - 模式
+ */
+function allowForSession(sessionId, pattern) {
+    if (!pattern) return;
+    const allowances = sessionAllowances.get(sessionId) || new Set();
+    allowances.add(pattern);
+    sessionAllowances.set(sessionId, allowances);
+    logger.info('BashPolicy', `Pattern allowed for session ${sessionId}: ${pattern}`);
+}
+
+/**
+ * 清除会话的放行模式
+ * @param {string} sessionId - 聊天会话 ID
+ */
+function clearSession(sessionId) {
+    sessionAllowances.delete(sessionId);
+}
+
+module.exports = {
+    DEFAULT_ASK_PATTERNS,
+    evaluate,
+    suggestPattern,
+    allowForSession,
+    clearSession
+};
@@ -1,120 +1,462 @@
 /**
  * Bash 命令执行模块
- * 使用 Node.js child_process
+ * 每个聊天会话对应一个常驻 shell 进程（child_process.spawn），
+ * cd、export、激活的虚拟环境等状态在多次工具调用之间保留；
+ * 命令输出增量回调，运行中的命令可以发送 Ctrl-C 中断
  */
 
-const { exec } = require('child_process');
-const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+
+const IS_WINDOWS = process.platform === 'win32';
+
+// 中断后等待命令结束的时间，超时则重启会话
+const INTERRUPT_GRACE_MS = 2000;
+
+// 单次命令保留的最大输出（超出部分丢弃开头）
+const MAX_OUTPUT_LENGTH = 10 * 1024 * 1024; // 10 MB
+
+// 语法检查的超时时间
+const SYNTAX_CHECK_TIMEOUT_MS = 5000;
 
 /**
- * 执行 Bash 命令
- * @param {string} command - 命令字符串
- * @param {Object} config - 配置对象
- * @param {string} config.workingDirectory - 工作目录
- * @param {number} config.timeout - 超时时间（秒）
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ * 截断过长的输出，保留末尾
+ * @param {string} text - 输出
+ * @returns {string}
  */
-async function execute(command, config = {}) {
-    const {
-        workingDirectory = process.cwd(),
-        timeout = 30
-    } = config;
-
-    // ✅ 如果 workingDirectory 为空字符串，使用 process.cwd()
-    const cwd = workingDirectory && workingDirectory.trim() !== ''
-        ? workingDirectory
-        : process.cwd();
-
-    return new Promise((resolve, reject) => {
-        const options = {
-            cwd: cwd,
-            timeout: timeout * 1000,
-            maxBuffer: 10 * 1024 * 1024, // 10 MB
-            shell: process.platform === 'win32' ? 'powershell.exe' : '/bin/bash'
-        };
+function truncateOutput(text) {
+    if (text.length <= MAX_OUTPUT_LENGTH) return text;
+    return `... (输出过长，已截断前 ${text.length - MAX_OUTPUT_LENGTH} 个字符)\n` + text.slice(-MAX_OUTPUT_LENGTH);
+}
+
+/**
+ * 检查命令的 bash 语法（bash -n，不执行）
+ * 未闭合的引号、括号写入常驻 shell 后会一直等待后续输入，必须在写入前拦截
+ * @param {string} command - 命令
+ * @returns {string|null} 语法错误信息；语法正确或无法检查时为 null
+ */
+function checkSyntax(command) {
+    const result = spawnSync('/bin/bash', ['--noprofile', '--norc', '-n'], {
+        input: command,
+        encoding: 'utf-8',
+        timeout: SYNTAX_CHECK_TIMEOUT_MS,
+        windowsHide: true
+    });
+    if (result.error || result.status === 0 || result.status === null) return null;
+    return (result.stderr || '').trim() || `语法错误（退出码 ${result.status}）`;
+}
+
+/**
+ * 常驻 shell 会话
+ * 每条命令之后写入带随机标记的结束语句，读到标记即视为命令完成并取出退出码
+ */
+class BashSession {
+    /**
+     * @param {string} id - 会话 ID（聊天会话 ID）
+     * @param {string} cwd - 初始工作目录
+     */
+    constructor(id, cwd) {
+        this.id = id;
+        this.cwd = cwd;
+        this.marker = `__MIAOMIAO_CMD_DONE_${crypto.randomBytes(8).toString('hex')}__`;
+        this.process = null;
+        this.running = null;     // 当前命令 { runId, stdout, stderr, ... }
+        this.queue = Promise.resolve();
+        this.exited = false;
+    }
+
+    /**
+     * 启动 shell 进程
+     */
+    start() {
+        const [shell, args] = IS_WINDOWS
+            ? ['powershell.exe', ['-NoLogo', '-NoProfile', '-NonInteractive', '-Command', '-']]
+            : ['/bin/bash', ['--noprofile', '--norc']];
+
+        // 独立进程组：中断时向整个进程组发送 SIGINT
+        this.process = spawn(shell, args, {
+            cwd: this.cwd,
+            env: { ...process.env, PAGER: 'cat', GIT_PAGER: 'cat', TERM: 'dumb' },
+            detached: !IS_WINDOWS,
+            windowsHide: true
+        });
+
+        // shell 意外退出后写入 stdin 会触发 EPIPE
+        this.process.stdin.on('error', (error) => {
+            logger.warn('Bash', `Session ${this.id} stdin error: ${error.message}`);
+        });
+        this.process.stdout.setEncoding('utf-8');
+        this.process.stderr.setEncoding('utf-8');
+        this.process.stdout.on('data', (chunk) => this.handleData('stdout', chunk));
+        this.process.stderr.on('data', (chunk) => this.handleData('stderr', chunk));
+
+        this.process.on('exit', (code, signal) => {
+            this.exited = true;
+            logger.info('Bash', `Session ${this.id} exited (code: ${code}, signal: ${signal})`);
+            this.finishRunning({ exitedUnexpectedly: true, code });
+        });
+        this.process.on('error', (error) => {
+            this.exited = true;
+            logger.error('Bash', `Session ${this.id} process error`, error);
+            this.finishRunning({ error });
+        });
+
+        // shell 捕获 SIGINT：前台子进程被中断，命令的剩余部分不再执行，shell 本身继续运行
+        if (!IS_WINDOWS) {
+            this.process.stdin.write("trap 'return 130 2>/dev/null' INT\n");
+        }
+
+        logger.info('Bash', `Session ${this.id} started in ${this.cwd}`);
+    }
+
+    /**
+     * 执行命令（同一会话内的命令按顺序排队执行）
+     * @param {string} command - 命令
+     * @param {Object} options
+     * @param {string} [options.runId] - 本次执行的 ID（用于中断和输出归属）
+     * @param {number} [options.timeout=30] - 超时时间（秒）
+     * @param {Function} [options.onOutput] - 增量输出回调 (stream, text)
+     * @returns {Promise<{stdout: string, stderr: string, exitCode: number, success: boolean}>}
+     */
+    run(command, options = {}) {
+        const result = this.queue.then(() => this.runNow(command, options));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * 立即执行命令
+     * @private
+     */
+    runNow(command, { runId = null, timeout = 30, onOutput = null } = {}) {
+        if (this.exited) {
+            return Promise.reject(new Error('Shell 会话已退出，请重启（restart）'));
+        }
 
-        console.log(`[Bash] Executing: ${command}`);
-        console.log(`[Bash] Working directory: ${cwd}`);
-        console.log(`[Bash] Timeout: ${timeout}s`);
-
-        const childProcess = exec(command, options, (error, stdout, stderr) => {
-            const exitCode = error ? (error.code || 1) : 0;
-            const result = {
-                stdout: stdout.toString(),
-                stderr: stderr.toString(),
-                exitCode: exitCode,
-                success: exitCode === 0  // ✅ 添加成功标志
+        const syntaxError = IS_WINDOWS ? null : checkSyntax(command);
+        if (syntaxError) {
+            logger.warn('Bash', `[${this.id}] Syntax error: ${command}`);
+            return Promise.resolve({ stdout: '', stderr: syntaxError, exitCode: 2, success: false, timedOut: false });
+        }
+
+        return new Promise((resolve) => {
+            this.running = {
+                runId,
+                onOutput,
+                resolve,
+                buffers: { stdout: '', stderr: '' },
+                emitted: { stdout: 0, stderr: 0 },
+                done: { stdout: false, stderr: false },
+                exitCode: null,
+                timedOut: false,
+                interrupted: false
             };
 
-            if (error) {
-                if (error.killed) {
-                    console.error(`[Bash] Command timeout after ${timeout}s`);
-                    result.stderr += `\nCommand timeout after ${timeout}s`;
-                } else {
-                    console.error(`[Bash] Command failed with code ${exitCode}`);
-                }
+            this.running.timer = setTimeout(() => this.handleTimeout(timeout), timeout * 1000);
+
+            logger.info('Bash', `[${this.id}] Executing: ${command}`);
+            this.process.stdin.write(this.wrapCommand(command));
+        });
+    }
+
+    /**
+     * 在命令后追加结束标记（stdout 带退出码，stderr 仅标记）
+     * 命令放在引号界定的 here-document 中（带随机标记，内容不做展开），由当前 shell 用 source 执行：
+     * 变量、declare 在会话中全局生效，中断时 trap 的 return 从 source 返回；
+     * 命令自身未结束的 here-document 也只会读到 source 文件末尾，不会吞掉结束标记。
+     * stdin 重定向到空设备，防止读取 stdin 的命令吞掉后续输入
+     * @private
+     */
+    wrapCommand(command) {
+        if (IS_WINDOWS) {
+            return `${command}\n` +
+                `$__code = if ($?) { 0 } elseif ($LASTEXITCODE) { $LASTEXITCODE } else { 1 }; ` +
+                `[Console]::Out.Write("\`n${this.marker}$__code\`n"); [Console]::Error.Write("\`n${this.marker}\`n")\n`;
+        }
+        const delimiter = `${this.marker}_EOF`;
+        return `. /dev/fd/3 < /dev/null 3<<'${delimiter}'\n${command}\n${delimiter}\n__miaomiao_status=$?; printf '\\n${this.marker}%s\\n' "$__miaomiao_status"; printf '\\n${this.marker}\\n' >&2\n`;
+    }
+
+    /**
+     * 处理进程输出：检测结束标记，其余内容增量回调
+     * @private
+     */
+    handleData(stream, chunk) {
+        const run = this.running;
+        if (!run || run.done[stream]) return;
+
+        run.buffers[stream] += chunk;
+        const buffer = run.buffers[stream];
+        const markerIndex = buffer.indexOf(this.marker);
+
+        if (markerIndex === -1) {
+            // 保留可能是标记开头的末尾部分，避免把标记发给界面
+            this.emitOutput(stream, buffer.length - this.getPartialMarkerLength(buffer));
+            return;
+        }
+
+        // 标记前有一个我们追加的换行
+        const outputEnd = markerIndex > 0 && buffer[markerIndex - 1] === '\n' ? markerIndex - 1 : markerIndex;
+        const lineEnd = buffer.indexOf('\n', markerIndex);
+        if (lineEnd === -1) return; // 标记行尚未读完
+
+        if (stream === 'stdout') {
+            run.exitCode = parseInt(buffer.slice(markerIndex + this.marker.length, lineEnd), 10);
+        }
+        this.emitOutput(stream, outputEnd);
+        run.buffers[stream] = buffer.slice(0, outputEnd);
+        run.done[stream] = true;
+
+        if (run.done.stdout && run.done.stderr) {
+            this.finishRunning();
+        }
+    }
+
+    /**
+     * 计算缓冲区末尾与"换行 + 标记"开头重合的长度
+     * @private
+     */
+    getPartialMarkerLength(buffer) {
+        const pattern = '\n' + this.marker;
+        for (let length = Math.min(buffer.length, pattern.length - 1); length > 0; length--) {
+            if (buffer.endsWith(pattern.slice(0, length))) return length;
+        }
+        return 0;
+    }
+
+    /**
+     * 回调尚未发出的输出
+     * @private
+     */
+    emitOutput(stream, end) {
+        const run = this.running;
+        if (end <= run.emitted[stream]) return;
+
+        const text = run.buffers[stream].slice(run.emitted[stream], end);
+        run.emitted[stream] = end;
+        try {
+            run.onOutput?.(stream, text);
+        } catch (error) {
+            logger.warn('Bash', 'Output callback failed', error);
+        }
+    }
+
+    /**
+     * 结束当前命令并返回结果
+     * @private
+     */
+    finishRunning({ exitedUnexpectedly = false, code = null, error = null } = {}) {
+        const run = this.running;
+        if (!run) return;
+        this.running = null;
+        clearTimeout(run.timer);
+
+        const stdout = truncateOutput(run.buffers.stdout);
+        let stderr = truncateOutput(run.buffers.stderr);
+        let exitCode = Number.isFinite(run.exitCode) ? run.exitCode : (code ?? 1);
+        const appendNote = (note) => {
+            stderr = stderr ? `${stderr.replace(/\n$/, '')}\n${note}` : note;
+        };
+
+        if (run.timedOut) {
+            appendNote('命令超时，已中断并重启 shell 会话（工作目录和环境变量已重置）');
+            exitCode = 124;
+        } else if (error) {
+            appendNote(`Shell 进程错误: ${error.message}`);
+        } else if (exitedUnexpectedly) {
+            appendNote(`Shell 已退出（退出码 ${code}），下次执行将启动新的会话`);
+        } else if (run.interrupted) {
+            appendNote('^C 命令已被用户中断');
+        }
+
+        run.resolve({ stdout, stderr, exitCode, success: exitCode === 0, timedOut: run.timedOut });
+    }
+
+    /**
+     * 超时：先发送中断，命令仍未结束则结束整个会话
+     * @private
+     */
+    handleTimeout(timeout) {
+        const run = this.running;
+        if (!run) return;
+
+        logger.warn('Bash', `[${this.id}] Command timeout after ${timeout}s`);
+        run.timedOut = true;
+        this.interrupt();
+        setTimeout(() => {
+            if (this.running === run) this.kill();
+        }, INTERRUPT_GRACE_MS);
+    }
+
+    /**
+     * 中断当前命令（相当于 Ctrl-C）
+     * @returns {boolean} 是否有正在运行的命令
+     */
+    interrupt() {
+        if (!this.running || this.exited) return false;
+        this.running.interrupted = true;
+
+        if (IS_WINDOWS) {
+            // PowerShell 管道模式不支持发送 Ctrl-C，只能结束会话
+            this.kill();
+            return true;
+        }
+
+        try {
+            process.kill(-this.process.pid, 'SIGINT');
+            logger.info('Bash', `[${this.id}] Sent SIGINT`);
+        } catch (error) {
+            logger.error('Bash', `[${this.id}] Failed to send SIGINT`, error);
+        }
+        return true;
+    }
+
+    /**
+     * 结束 shell 进程（含其启动的子进程）
+     */
+    kill() {
+        if (this.exited || !this.process) return;
+        try {
+            if (IS_WINDOWS) {
+                spawn('taskkill', ['/pid', String(this.process.pid), '/T', '/F'], { windowsHide: true });
             } else {
-                console.log(`[Bash] Command completed successfully`);
+                process.kill(-this.process.pid, 'SIGKILL');
             }
+        } catch {
+            this.process.kill('SIGKILL');
+        }
+    }
+}
 
-            // 即使有错误也 resolve，让调用方处理
-            resolve(result);
-        });
+// 聊天会话 ID → shell 会话
+const sessions = new Map();
 
-        // 处理进程意外终止
-        childProcess.on('error', (err) => {
-            console.error('[Bash] Process error:', err);
-            reject(err);
-        });
-    });
+/**
+ * 获取工作目录（空字符串时使用 process.cwd()）
+ * @param {Object} config - Bash 配置
+ * @returns {string}
+ */
+function resolveWorkingDirectory(config = {}) {
+    const { workingDirectory } = config;
+    return workingDirectory && workingDirectory.trim() !== '' ? workingDirectory : process.cwd();
 }
 
 /**
- * 执行多个命令（按顺序）
- * @param {string[]} commands - 命令数组
- * @param {Object} config - 配置对象
+ * 获取（必要时创建）shell 会话
+ * @param {string} sessionId - 聊天会话 ID
+ * @param {Object} config - Bash 配置
+ * @returns {BashSession}
  */
-async function executeSequence(commands, config = {}) {
-    const results = [];
+function getSession(sessionId, config) {
+    let session = sessions.get(sessionId);
+    if (!session || session.exited) {
+        session = new BashSession(sessionId, resolveWorkingDirectory(config));
+        session.start();
+        sessions.set(sessionId, session);
+    }
+    return session;
+}
 
-    for (const command of commands) {
-        const result = await execute(command, config);
-        results.push({ command, ...result });
+/**
+ * 获取聊天会话 shell 的当前工作目录
+ * Linux 下读取 /proc/<pid>/cwd（反映 cd 之后的目录），其他平台返回会话启动时的目录
+ * @param {string} sessionId - 聊天会话 ID
+ * @param {Object} config - Bash 配置
+ * @returns {string}
+ */
+function getWorkingDirectory(sessionId, config = {}) {
+    const session = sessions.get(sessionId);
+    if (!session || session.exited) {
+        return resolveWorkingDirectory(config);
+    }
 
-        // 如果某个命令失败且退出码非0，停止执行后续命令
-        if (result.exitCode !== 0) {
-            console.warn(`[Bash] Command failed, stopping sequence`);
-            break;
+    if (process.platform === 'linux' && session.process?.pid) {
+        try {
+            return fs.readlinkSync(`/proc/${session.process.pid}/cwd`);
+        } catch {
+            // 进程刚退出等情况，使用启动目录
         }
     }
+    return session.cwd;
+}
 
-    return results;
+/**
+ * 执行 Bash 命令（在聊天会话对应的常驻 shell 中）
+ * @param {string} command - 命令字符串
+ * @param {Object} config - 配置对象
+ * @param {string} config.workingDirectory - 新会话的工作目录
+ * @param {number} config.timeout - 超时时间（秒）
+ * @param {Object} [options]
+ * @param {string} [options.sessionId='default'] - 聊天会话 ID
+ * @param {string} [options.runId] - 本次执行的 ID
+ * @param {Function} [options.onOutput] - 增量输出回调 (stream, text)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, success: boolean}>}
+ */
+async function execute(command, config = {}, { sessionId = 'default', runId = null, onOutput = null } = {}) {
+    const { timeout = 30 } = config;
+    const session = getSession(sessionId, config);
+    const result = await session.run(command, { runId, timeout, onOutput });
+
+    // 超时后的会话状态不可靠，下次执行时启动新会话
+    if (result.timedOut && sessions.get(sessionId) === session) {
+        closeSession(sessionId);
+    }
+    return result;
 }
 
 /**
- * 获取当前工作目录
+ * 重启聊天会话对应的 shell
+ * @param {string} sessionId - 聊天会话 ID
+ * @param {Object} config - Bash 配置
  */
-async function getCurrentDirectory() {
-    const command = process.platform === 'win32' ? 'cd' : 'pwd';
-    const result = await execute(command);
-    return result.stdout.trim();
+function restart(sessionId, config = {}) {
+    closeSession(sessionId);
+    getSession(sessionId, config);
+    logger.info('Bash', `Session ${sessionId} restarted`);
 }
 
 /**
- * 列出目录内容
+ * 中断正在运行的命令
+ * @param {string} runId - 执行 ID
+ * @returns {boolean} 是否找到该命令
  */
-async function listDirectory(directory = '.') {
-    const command = process.platform === 'win32'
-        ? `dir "${directory}"`
-        : `ls -la "${directory}"`;
+function interrupt(runId) {
+    for (const session of sessions.values()) {
+        if (session.running?.runId === runId) {
+            return session.interrupt();
+        }
+    }
+    return false;
+}
 
-    const result = await execute(command);
-    return result.stdout;
+/**
+ * 关闭聊天会话对应的 shell
+ * @param {string} sessionId - 聊天会话 ID
+ */
+function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    session.kill();
+    sessions.delete(sessionId);
+}
+
+/**
+ * 关闭所有 shell（应用退出时）
+ */
+function closeAll() {
+    for (const sessionId of [...sessions.keys()]) {
+        closeSession(sessionId);
+    }
 }
 
 module.exports = {
+    resolveWorkingDirectory,
+    getWorkingDirectory,
     execute,
-    executeSequence,
-    getCurrentDirectory,
-    listDirectory
+    restart,
+    interrupt,
+    closeSession,
+    closeAll
 };
@@ -3,15 +3,25 @@
  * 统一管理所有 Computer Use 功能模块
  */
 
+const fs = require('fs');
+const path = require('path');
 const screenshot = require('./screenshot');
 const mouse = require('./mouse');
 const keyboard = require('./keyboard');
 const display = require('./display');
 const bash = require('./bash');
+const bashPolicy = require('./bash-policy');
 const textEditor = require('./text-editor');
 const logger = require('./logger');
 const audit = require('./audit');
 
+// 权限不足时的错误信息
+const PERMISSION_DENIED_MESSAGES = {
+    mouse: 'Mouse permission denied',
+    keyboard: 'Keyboard permission denied',
+    textEditor: 'Text editor permission denied'
+};
+
 class ComputerUseManager {
     constructor() {
         this.permissions = {
@@ -25,7 +35,14 @@ class ComputerUseManager {
         this.bashConfig = {
             workingDirectory: process.cwd(),
             timeout: 30,
-            requireConfirmation: false
+            requireConfirmation: false,          // 未匹配任何规则的命令是否需要确认
+            allowPatterns: [],                   // 直接允许的命令模式
+            denyPatterns: [],                    // 直接拒绝的命令模式
+            askPatterns: [...bashPolicy.DEFAULT_ASK_PATTERNS]  // 总是询问的命令模式
+        };
+
+        this.textEditorConfig = {
+            allowedRoots: []    // 允许访问的根目录（为空时仅允许 Bash 工作目录）
         };
 
         logger.info('Manager', 'Manager initialized');
@@ -47,15 +64,97 @@ class ComputerUseManager {
         logger.info('Manager', 'Bash config updated', this.bashConfig);
     }
 
+    /**
+     * 更新文本编辑器配置
+     */
+    updateTextEditorConfig(newConfig) {
+        this.textEditorConfig = { ...this.textEditorConfig, ...newConfig };
+        logger.info('Manager', 'Text editor config updated', this.textEditorConfig);
+    }
+
     /**
      * 检查权限
+     * @param {string} action - 动作类型
+     * @param {string} [targetPath] - 要访问的文件绝对路径（文件操作时检查是否位于允许的根目录内）
      */
-    checkPermission(action) {
+    checkPermission(action, targetPath = null) {
         const allowed = this.permissions[action] !== false;
         if (!allowed) {
             logger.warn('Manager', `Action denied: ${action}`);
+            return false;
+        }
+
+        if (targetPath && !this.isPathAllowed(targetPath)) {
+            logger.warn('Manager', `Path denied: ${action}`, { path: targetPath, allowedRoots: this.getAllowedRoots() });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 获取允许访问的根目录（解析符号链接后的真实路径）
+     * @returns {string[]}
+     */
+    getAllowedRoots() {
+        const roots = (this.textEditorConfig.allowedRoots || []).filter(root => root && root.trim() !== '');
+        const effectiveRoots = roots.length > 0 ? roots : [bash.resolveWorkingDirectory(this.bashConfig)];
+        return effectiveRoots.map(root => resolveRealPath(path.resolve(root)));
+    }
+
+    /**
+     * 判断路径是否位于允许的根目录内（按真实路径比较，防止通过 .. 或符号链接越界）
+     * @param {string} targetPath - 绝对路径
+     * @returns {boolean}
+     */
+    isPathAllowed(targetPath) {
+        const realPath = normalizeForCompare(resolveRealPath(targetPath));
+        return this.getAllowedRoots().some(root => {
+            const normalizedRoot = normalizeForCompare(root);
+            return realPath === normalizedRoot || realPath.startsWith(normalizedRoot.endsWith(path.sep) ? normalizedRoot : normalizedRoot + path.sep);
+        });
+    }
+
+    /**
+     * 解析文件路径并检查文本编辑器权限
+     * 相对路径以 Bash 工作目录为基准
+     * @param {string} filePath - 文件路径
+     * @returns {string} 绝对路径
+     */
+    resolveFilePath(filePath) {
+        if (!filePath || typeof filePath !== 'string') {
+            throw new Error('Parameter `path` is required');
+        }
+        if (!this.checkPermission('textEditor')) {
+            throw new Error('Text editor permission denied');
+        }
+
+        const absolutePath = path.resolve(bash.resolveWorkingDirectory(this.bashConfig), filePath);
+        if (!this.checkPermission('textEditor', absolutePath)) {
+            throw new Error(`Access denied: ${absolutePath} is outside the allowed directories (${this.getAllowedRoots().join(', ')})`);
+        }
+        return absolutePath;
+    }
+
+    /**
+     * 检查权限后执行操作，并写入审计日志
+     * @param {string} action - 审计动作名
+     * @param {Object} params - 审计参数
+     * @param {string} permission - 需要的权限
+     * @param {Function} run - 执行函数
+     */
+    async runAudited(action, params, permission, run) {
+        const startTime = Date.now();
+        try {
+            if (!this.checkPermission(permission)) {
+                throw new Error(PERMISSION_DENIED_MESSAGES[permission] || `${permission} permission denied`);
+            }
+            const result = await run();
+            await audit.log(action, params, { success: true, duration: Date.now() - startTime });
+            return result;
+        } catch (error) {
+            await audit.log(action, params, { success: false, error: error.message, duration: Date.now() - startTime });
+            throw error;
         }
-        return allowed;
     }
 
     /**
@@ -119,110 +218,77 @@ class ComputerUseManager {
      * 鼠标点击
      */
     async clickMouse(button = 'left') {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.click(button);
+        return await this.runAudited('mouse_click', { button }, 'mouse', () => mouse.click(button));
     }
 
     /**
      * 鼠标双击
      */
     async doubleClickMouse(button = 'left') {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.doubleClick(button);
+        return await this.runAudited('mouse_double_click', { button }, 'mouse', () => mouse.doubleClick(button));
     }
 
     /**
      * 鼠标三击
      */
     async tripleClickMouse(button = 'left') {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.tripleClick(button);
+        return await this.runAudited('mouse_triple_click', { button }, 'mouse', () => mouse.tripleClick(button));
     }
 
     /**
      * 鼠标拖拽
      */
     async dragMouse(fromX, fromY, toX, toY) {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.drag(fromX, fromY, toX, toY);
+        return await this.runAudited('mouse_drag', { fromX, fromY, toX, toY }, 'mouse', () => mouse.drag(fromX, fromY, toX, toY));
     }
 
     /**
      * 鼠标滚轮
      */
     async scrollMouse(amount) {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.scroll(amount);
+        return await this.runAudited('mouse_scroll', { amount }, 'mouse', () => mouse.scroll(amount));
     }
 
     /**
      * 按下鼠标按钮（不释放）
      */
     async pressMouseButton(button = 'left') {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.pressButton(button);
+        return await this.runAudited('mouse_down', { button }, 'mouse', () => mouse.pressButton(button));
     }
 
     /**
      * 释放鼠标按钮
      */
     async releaseMouseButton(button = 'left') {
-        if (!this.checkPermission('mouse')) {
-            throw new Error('Mouse permission denied');
-        }
-        return await mouse.releaseButton(button);
+        return await this.runAudited('mouse_up', { button }, 'mouse', () => mouse.releaseButton(button));
     }
 
     /**
      * 键盘输入
      */
     async typeText(text) {
-        if (!this.checkPermission('keyboard')) {
-            throw new Error('Keyboard permission denied');
-        }
-        return await keyboard.type(text);
+        return await this.runAudited('keyboard_type', { length: text?.length || 0 }, 'keyboard', () => keyboard.type(text));
     }
 
     /**
      * 按键
      */
     async pressKey(key, modifiers = []) {
-        if (!this.checkPermission('keyboard')) {
-            throw new Error('Keyboard permission denied');
-        }
-        return await keyboard.press(key, modifiers);
+        return await this.runAudited('keyboard_press', { key, modifiers }, 'keyboard', () => keyboard.press(key, modifiers));
     }
 
     /**
      * 按住按键
      */
     async holdKey(key) {
-        if (!this.checkPermission('keyboard')) {
-            throw new Error('Keyboard permission denied');
-        }
-        return await keyboard.pressDown(key);
+        return await this.runAudited('keyboard_hold', { key }, 'keyboard', () => keyboard.pressDown(key));
     }
 
     /**
      * 释放按键
      */
     async releaseKey(key) {
-        if (!this.checkPermission('keyboard')) {
-            throw new Error('Keyboard permission denied');
-        }
-        return await keyboard.release(key);
+        return await this.runAudited('keyboard_release', { key }, 'keyboard', () => keyboard.release(key));
     }
 
     /**
@@ -240,44 +306,236 @@ class ComputerUseManager {
     }
 
     /**
-     * 执行 Bash 命令
+     * 按命令策略检查 Bash 命令，需要时请求用户审批；每个决定都写入审计日志
+     * @param {string} command - 命令
+     * @param {string} sessionId - 聊天会话 ID
+     * @param {Function} [requestApproval] - 审批回调，返回 Promise<{approved, pattern?, timedOut?}>
+     */
+    async authorizeBash(command, sessionId, requestApproval) {
+        const { decision, rule, reason } = bashPolicy.evaluate(command, this.bashConfig, sessionId);
+
+        if (decision === 'deny') {
+            await audit.log('bash_policy', { command, sessionId, decision, rule, reason }, { success: false, error: 'Denied by rule' });
+            throw new Error(`Command denied by rule: ${rule}`);
+        }
+
+        if (decision === 'allow') {
+            await audit.log('bash_policy', { command, sessionId, decision, rule, reason }, { success: true });
+            return;
+        }
+
+        // 需要审批：没有可用的审批界面时按拒绝处理
+        const request = {
+            command,
+            cwd: bash.getWorkingDirectory(sessionId, this.bashConfig),
+            rule,
+            reason,
+            // 总是询问规则和无法解析的命令不能按会话放行，只提供“允许一次”
+            suggestedPattern: reason === 'ask_rule' || reason === 'unparsed' ? null : bashPolicy.suggestPattern(command)
+        };
+        const response = requestApproval
+            ? await requestApproval(request)
+            : { approved: false, unavailable: true };
+
+        let userDecision = 'deny';
+        if (response.approved) {
+            userDecision = response.pattern ? 'allow_session' : 'allow_once';
+        } else if (response.timedOut) {
+            userDecision = 'timeout';
+        } else if (response.unavailable) {
+            userDecision = 'no_approver';
+        }
+
+        await audit.log('bash_approval', {
+            command,
+            sessionId,
+            cwd: request.cwd,
+            rule,
+            reason,
+            decision: userDecision,
+            pattern: response.pattern || null
+        }, { success: response.approved, error: response.approved ? null : 'Rejected by user' });
+
+        if (!response.approved) {
+            if (response.timedOut) throw new Error('Command approval timed out');
+            if (response.unavailable) throw new Error('Command requires approval but no approval UI is available');
+            throw new Error('Command rejected by user');
+        }
+        if (response.pattern) {
+            bashPolicy.allowForSession(sessionId, response.pattern);
+        }
+    }
+
+    /**
+     * 执行 Bash 命令（在聊天会话对应的常驻 shell 中）
+     * @param {string} command - 命令
+     * @param {Object} [options] - { sessionId, runId, onOutput }，见 bash.execute；
+     *   requestApproval 为命令需要审批时的回调
      */
-    async executeBash(command) {
+    async executeBash(command, options = {}) {
         const startTime = Date.now();
+        const { requestApproval, ...executeOptions } = options;
         try {
             if (!this.checkPermission('bash')) {
                 await audit.log('bash', { command }, { success: false, error: 'Permission denied' });
                 throw new Error('Bash permission denied');
             }
-            const result = await bash.execute(command, this.bashConfig);
-            await audit.log('bash', { command }, { success: result.success, duration: Date.now() - startTime });
+            await this.authorizeBash(command, executeOptions.sessionId || 'default', requestApproval);
+            const result = await bash.execute(command, this.bashConfig, executeOptions);
+            await audit.log('bash', { command, sessionId: executeOptions.sessionId }, {
+                success: result.success,
+                error: result.success ? null : `exit code ${result.exitCode}`,
+                duration: Date.now() - startTime
+            });
             return result;
         } catch (error) {
-            await audit.log('bash', { command }, { success: false, error: error.message, duration: Date.now() - startTime });
+            await audit.log('bash', { command, sessionId: executeOptions.sessionId }, { success: false, error: error.message, duration: Date.now() - startTime });
             throw error;
         }
     }
 
     /**
-     * 读取文件
+     * 重启 Bash 会话
+     * @param {string} sessionId - 聊天会话 ID
      */
-    async readFile(path) {
-        if (!this.checkPermission('textEditor')) {
-            throw new Error('Text editor permission denied');
+    async restartBash(sessionId) {
+        if (!this.checkPermission('bash')) {
+            throw new Error('Bash permission denied');
         }
-        return await textEditor.read(path);
+        bash.restart(sessionId, this.bashConfig);
+        await audit.log('bash_restart', { sessionId }, { success: true });
+    }
+
+    /**
+     * 中断正在运行的 Bash 命令（Ctrl-C）
+     * @param {string} runId - 执行 ID
+     * @returns {boolean} 是否找到该命令
+     */
+    interruptBash(runId) {
+        return bash.interrupt(runId);
+    }
+
+    /**
+     * 关闭 Bash 会话
+     * @param {string} sessionId - 聊天会话 ID
+     */
+    closeBashSession(sessionId) {
+        bash.closeSession(sessionId);
+        bashPolicy.clearSession(sessionId);
+    }
+
+    /**
+     * 关闭所有 Bash 会话
+     */
+    closeAllBashSessions() {
+        bash.closeAll();
+    }
+
+    /**
+     * 读取文件
+     */
+    async readFile(filePath) {
+        return await this.runAudited('file_read', { path: filePath }, 'textEditor', () => textEditor.read(this.resolveFilePath(filePath)));
     }
 
     /**
      * 写入文件
      */
-    async writeFile(path, content) {
-        if (!this.checkPermission('textEditor')) {
-            throw new Error('Text editor permission denied');
+    async writeFile(filePath, content) {
+        return await this.runAudited('file_write', { path: filePath, size: content?.length || 0 }, 'textEditor', () => textEditor.write(this.resolveFilePath(filePath), content));
+    }
+
+    /**
+     * 执行文本编辑器命令（str_replace_based_edit_tool）
+     * @param {Object} params - { command, path, view_range, file_text, old_str, new_str, insert_line }
+     */
+    async editText(params = {}) {
+        const startTime = Date.now();
+        const auditParams = { command: params.command, path: params.path, sessionId: params.sessionId };
+        try {
+            const absolutePath = this.resolveFilePath(params.path);
+            const result = await textEditor.runCommand(absolutePath, params);
+            await audit.log('text_editor', auditParams, { success: true, duration: Date.now() - startTime });
+            return result;
+        } catch (error) {
+            await audit.log('text_editor', auditParams, { success: false, error: error.message, duration: Date.now() - startTime });
+            throw error;
+        }
+    }
+
+    // ========== 审计日志 ==========
+
+    /**
+     * 设置审计日志的当前聊天会话（未显式传入会话的操作归属于此会话）
+     * @param {string|null} sessionId - 聊天会话 ID
+     */
+    setAuditSession(sessionId) {
+        audit.setSession(sessionId);
+    }
+
+    /**
+     * 查询审计日志
+     * @param {Object} filters - { actions, sessionId, from, to, failedOnly }
+     * @param {number} [limit] - 最大条数
+     */
+    async queryAuditLog(filters, limit) {
+        return await audit.query(filters, limit);
+    }
+
+    /**
+     * 导出审计日志
+     * @param {'json'|'csv'} format - 导出格式
+     * @param {Object} filters - 同 queryAuditLog
+     */
+    async exportAuditLog(format, filters) {
+        return await audit.export(format, filters);
+    }
+
+    /**
+     * 获取审计日志文件信息
+     */
+    async getAuditLogInfo() {
+        return await audit.getInfo();
+    }
+
+    /**
+     * 清空审计日志
+     */
+    async clearAuditLog() {
+        await audit.clear();
+        logger.info('Manager', 'Audit log cleared');
+    }
+}
+
+/**
+ * 解析真实路径：路径不存在时解析最近的已存在上级目录，再拼回剩余部分
+ * @param {string} absolutePath - 绝对路径
+ * @returns {string}
+ */
+function resolveRealPath(absolutePath) {
+    const missingParts = [];
+    let current = absolutePath;
+
+    while (true) {
+        try {
+            return path.join(fs.realpathSync.native(current), ...missingParts);
+        } catch {
+            const parent = path.dirname(current);
+            if (parent === current) return absolutePath;
+            missingParts.unshift(path.basename(current));
+            current = parent;
         }
-        return await textEditor.write(path, content);
     }
 }
 
+/**
+ * 统一路径比较格式（Windows 不区分大小写）
+ * @param {string} p - 路径
+ * @returns {string}
+ */
+function normalizeForCompare(p) {
+    return process.platform === 'win32' ? p.toLowerCase() : p;
+}
+
 // 导出单例
 module.exports = new ComputerUseManager();
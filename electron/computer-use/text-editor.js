@@ -1,11 +1,25 @@
 /**
  * 文本编辑器模块
- * 使用 Node.js fs API 进行文件读写
+ * 使用 Node.js fs API 进行文件读写，并实现 str_replace_based_edit_tool 的完整命令集
+ * （view / create / str_replace / insert / undo_edit），每个文件保留编辑历史用于撤销
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 
+// 每个文件最多保留的撤销步数
+const MAX_HISTORY_PER_FILE = 20;
+
+// 目录列表的最大深度和条目数
+const MAX_LIST_DEPTH = 2;
+const MAX_LIST_ENTRIES = 500;
+
+// str_replace / insert 结果中编辑位置前后显示的行数
+const SNIPPET_CONTEXT_LINES = 4;
+
+// 文件绝对路径 → 编辑前内容的栈（null 表示编辑前文件不存在）
+const editHistory = new Map();
+
 /**
  * 读取文件内容
  * @param {string} filePath - 文件路径
@@ -144,11 +158,304 @@ async function getInfo(filePath) {
     }
 }
 
+// ========== str_replace_based_edit_tool 命令 ==========
+
+/**
+ * 读取文件（不存在时返回 null）
+ * @param {string} absolutePath - 绝对路径
+ * @returns {Promise<string|null>}
+ */
+async function readIfExists(absolutePath) {
+    try {
+        return await fs.readFile(absolutePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * 记录编辑前的内容
+ * @param {string} absolutePath - 绝对路径
+ * @param {string|null} previousContent - 编辑前内容
+ */
+function pushHistory(absolutePath, previousContent) {
+    const stack = editHistory.get(absolutePath) || [];
+    stack.push(previousContent);
+    if (stack.length > MAX_HISTORY_PER_FILE) {
+        stack.shift();
+    }
+    editHistory.set(absolutePath, stack);
+}
+
+/**
+ * 写入文件并记录撤销历史
+ * @param {string} absolutePath - 绝对路径
+ * @param {string} content - 新内容
+ * @param {string|null} previousContent - 编辑前内容
+ */
+async function writeWithHistory(absolutePath, content, previousContent) {
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, content, 'utf-8');
+    pushHistory(absolutePath, previousContent);
+}
+
+/**
+ * 按 `cat -n` 格式给内容加行号
+ * @param {string} content - 内容
+ * @param {number} startLine - 起始行号（从 1 开始）
+ * @returns {string}
+ */
+function numberLines(content, startLine = 1) {
+    return content
+        .split('\n')
+        .map((line, index) => `${String(index + startLine).padStart(6)}\t${line}`)
+        .join('\n');
+}
+
+/**
+ * 生成编辑位置附近的内容片段
+ * @param {string} content - 编辑后的完整内容
+ * @param {number} firstLine - 编辑起始行（从 1 开始）
+ * @param {number} lineCount - 编辑涉及的行数
+ * @returns {string}
+ */
+function makeSnippet(content, firstLine, lineCount) {
+    const lines = content.split('\n');
+    const start = Math.max(1, firstLine - SNIPPET_CONTEXT_LINES);
+    const end = Math.min(lines.length, firstLine + lineCount - 1 + SNIPPET_CONTEXT_LINES);
+    return numberLines(lines.slice(start - 1, end).join('\n'), start);
+}
+
+/**
+ * 列出目录内容（最多两层，跳过隐藏项和 node_modules）
+ * @param {string} absolutePath - 目录绝对路径
+ * @returns {Promise<string>}
+ */
+async function listDirectory(absolutePath) {
+    const entries = [];
+    let truncated = false;
+
+    const walk = async (directory, depth) => {
+        const items = await fs.readdir(directory, { withFileTypes: true });
+        items.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const item of items) {
+            if (item.name.startsWith('.') || item.name === 'node_modules') continue;
+            if (entries.length >= MAX_LIST_ENTRIES) {
+                truncated = true;
+                return;
+            }
+
+            const itemPath = path.join(directory, item.name);
+            entries.push(item.isDirectory() ? `${itemPath}/` : itemPath);
+            if (item.isDirectory() && depth < MAX_LIST_DEPTH) {
+                await walk(itemPath, depth + 1);
+            }
+        }
+    };
+
+    await walk(absolutePath, 1);
+
+    let output = `Here's the files and directories up to ${MAX_LIST_DEPTH} levels deep in ${absolutePath}, excluding hidden items:\n${absolutePath}/\n${entries.join('\n')}`;
+    if (truncated) {
+        output += `\n... (only the first ${MAX_LIST_ENTRIES} entries are shown)`;
+    }
+    return output;
+}
+
+/**
+ * view：查看文件（可指定行范围）或列出目录
+ * @param {string} absolutePath - 绝对路径
+ * @param {number[]} [viewRange] - [起始行, 结束行]，结束行为 -1 表示到文件末尾
+ * @returns {Promise<{output: string}>}
+ */
+async function view(absolutePath, viewRange) {
+    const stats = await fs.stat(absolutePath);
+
+    if (stats.isDirectory()) {
+        if (viewRange) {
+            throw new Error('The `view_range` parameter is not allowed when `path` points to a directory.');
+        }
+        return { output: await listDirectory(absolutePath) };
+    }
+
+    const content = await fs.readFile(absolutePath, 'utf-8');
+    if (!viewRange) {
+        return { output: `Here's the result of running \`cat -n\` on ${absolutePath}:\n${numberLines(content)}` };
+    }
+
+    const lines = content.split('\n');
+    const [start, end] = viewRange;
+    if (!Array.isArray(viewRange) || viewRange.length !== 2 || !Number.isInteger(start) || !Number.isInteger(end)) {
+        throw new Error('Invalid `view_range`. It should be a list of two integers.');
+    }
+    if (start < 1 || start > lines.length) {
+        throw new Error(`Invalid \`view_range\`: [${start}, ${end}]. Its first element \`${start}\` should be within the range of lines of the file: [1, ${lines.length}].`);
+    }
+    if (end !== -1 && (end < start || end > lines.length)) {
+        throw new Error(`Invalid \`view_range\`: [${start}, ${end}]. Its second element \`${end}\` should be -1 or within [${start}, ${lines.length}].`);
+    }
+
+    const selected = lines.slice(start - 1, end === -1 ? undefined : end).join('\n');
+    return { output: `Here's the result of running \`cat -n\` on ${absolutePath}:\n${numberLines(selected, start)}` };
+}
+
+/**
+ * create：创建（或覆盖）文件
+ * @param {string} absolutePath - 绝对路径
+ * @param {string} fileText - 文件内容
+ * @returns {Promise<{output: string}>}
+ */
+async function create(absolutePath, fileText) {
+    if (typeof fileText !== 'string') {
+        throw new Error('Parameter `file_text` is required for command: create');
+    }
+
+    const previousContent = await readIfExists(absolutePath);
+    await writeWithHistory(absolutePath, fileText, previousContent);
+
+    console.log(`[TextEditor] Created file: ${absolutePath}`);
+    return {
+        output: previousContent === null
+            ? `File created successfully at: ${absolutePath}`
+            : `File overwritten successfully at: ${absolutePath}`
+    };
+}
+
+/**
+ * str_replace：替换文件中唯一出现的字符串
+ * @param {string} absolutePath - 绝对路径
+ * @param {string} oldStr - 要替换的字符串（必须恰好出现一次）
+ * @param {string} [newStr] - 新字符串（缺省为空，即删除）
+ * @returns {Promise<{output: string}>}
+ */
+async function strReplace(absolutePath, oldStr, newStr = '') {
+    if (typeof oldStr !== 'string' || oldStr === '') {
+        throw new Error('Parameter `old_str` is required for command: str_replace');
+    }
+
+    const content = await fs.readFile(absolutePath, 'utf-8');
+
+    // 统计出现位置（用于唯一性检查和报错）
+    const positions = [];
+    for (let index = content.indexOf(oldStr); index !== -1; index = content.indexOf(oldStr, index + 1)) {
+        positions.push(index);
+    }
+
+    if (positions.length === 0) {
+        throw new Error(`No replacement was performed, old_str \`${oldStr}\` did not appear verbatim in ${absolutePath}.`);
+    }
+    if (positions.length > 1) {
+        const lineNumbers = positions.map(index => content.slice(0, index).split('\n').length);
+        throw new Error(`No replacement was performed. Multiple occurrences of old_str \`${oldStr}\` in lines ${JSON.stringify(lineNumbers)}. Please ensure it is unique.`);
+    }
+
+    const replacement = newStr ?? '';
+    const newContent = content.slice(0, positions[0]) + replacement + content.slice(positions[0] + oldStr.length);
+    await writeWithHistory(absolutePath, newContent, content);
+
+    const firstLine = content.slice(0, positions[0]).split('\n').length;
+    const snippet = makeSnippet(newContent, firstLine, replacement.split('\n').length);
+
+    console.log(`[TextEditor] Replaced text in: ${absolutePath} (line ${firstLine})`);
+    return {
+        output: `The file ${absolutePath} has been edited. Here's the result of running \`cat -n\` on a snippet of ${absolutePath}:\n${snippet}\nReview the changes and make sure they are as expected. Edit the file again if necessary.`
+    };
+}
+
+/**
+ * insert：在指定行之后插入文本（0 表示插入到文件开头）
+ * @param {string} absolutePath - 绝对路径
+ * @param {number} insertLine - 行号
+ * @param {string} text - 要插入的文本
+ * @returns {Promise<{output: string}>}
+ */
+async function insert(absolutePath, insertLine, text) {
+    if (typeof text !== 'string') {
+        throw new Error('Parameter `new_str` is required for command: insert');
+    }
+
+    const content = await fs.readFile(absolutePath, 'utf-8');
+    const lines = content.split('\n');
+
+    if (!Number.isInteger(insertLine) || insertLine < 0 || insertLine > lines.length) {
+        throw new Error(`Invalid \`insert_line\` parameter: ${insertLine}. It should be within the range of lines of the file: [0, ${lines.length}].`);
+    }
+
+    const insertedLines = text.split('\n');
+    lines.splice(insertLine, 0, ...insertedLines);
+    const newContent = lines.join('\n');
+    await writeWithHistory(absolutePath, newContent, content);
+
+    const snippet = makeSnippet(newContent, insertLine + 1, insertedLines.length);
+
+    console.log(`[TextEditor] Inserted ${insertedLines.length} line(s) into: ${absolutePath} (after line ${insertLine})`);
+    return {
+        output: `The file ${absolutePath} has been edited. Here's the result of running \`cat -n\` on a snippet of the edited file:\n${snippet}\nReview the changes and make sure they are as expected (correct indentation, no duplicate lines, etc). Edit the file again if necessary.`
+    };
+}
+
+/**
+ * undo_edit：撤销对文件的最近一次编辑
+ * @param {string} absolutePath - 绝对路径
+ * @returns {Promise<{output: string}>}
+ */
+async function undoEdit(absolutePath) {
+    const stack = editHistory.get(absolutePath);
+    if (!stack || stack.length === 0) {
+        throw new Error(`No edit history found for ${absolutePath}.`);
+    }
+
+    const previousContent = stack.pop();
+    if (stack.length === 0) {
+        editHistory.delete(absolutePath);
+    }
+
+    // 编辑前文件不存在：撤销 create 即删除文件
+    if (previousContent === null) {
+        await fs.rm(absolutePath, { force: true });
+        console.log(`[TextEditor] Undo removed created file: ${absolutePath}`);
+        return { output: `Last edit to ${absolutePath} undone successfully. The file has been removed.` };
+    }
+
+    await fs.writeFile(absolutePath, previousContent, 'utf-8');
+
+    console.log(`[TextEditor] Undo last edit: ${absolutePath}`);
+    return {
+        output: `Last edit to ${absolutePath} undone successfully. Here's the result of running \`cat -n\` on ${absolutePath}:\n${numberLines(previousContent)}`
+    };
+}
+
+/**
+ * 执行 str_replace_based_edit_tool 命令
+ * @param {string} absolutePath - 已校验的绝对路径
+ * @param {Object} params - 工具参数 { command, view_range, file_text, old_str, new_str, insert_line }
+ * @returns {Promise<{output: string}>}
+ */
+async function runCommand(absolutePath, params) {
+    switch (params.command) {
+        case 'view':
+            return await view(absolutePath, params.view_range);
+        case 'create':
+            return await create(absolutePath, params.file_text);
+        case 'str_replace':
+            return await strReplace(absolutePath, params.old_str, params.new_str);
+        case 'insert':
+            return await insert(absolutePath, params.insert_line, params.new_str ?? params.file_text);
+        case 'undo_edit':
+            return await undoEdit(absolutePath);
+        default:
+            throw new Error(`Unrecognized command ${params.command}. The allowed commands are: view, create, str_replace, insert, undo_edit`);
+    }
+}
+
 module.exports = {
     read,
     write,
     append,
     exists,
     remove,
-    getInfo
+    getInfo,
+    runCommand
 };
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, shell, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, Menu, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
@@ -118,6 +118,19 @@ function createWindow() {
 
     // 设置 CSP 响应头（在 Electron 中生效，包含 frame-ancestors）
     mainWindow.webContents.session.webRequest.onHeadersReceived((details, callback) => {
+        // 未授权网络访问的沙箱 Worker：只允许同源脚本和 eval（执行工具代码），禁止网络连接和动态 import() 外部脚本
+        if (/\/js\/tools\/custom\/sandbox-worker-offline\.js(?:[?#]|$)/.test(details.url)) {
+            callback({
+                responseHeaders: {
+                    ...details.responseHeaders,
+                    'Content-Security-Policy': [
+                        "default-src 'none'; script-src 'self' 'unsafe-eval'; connect-src 'none';"
+                    ]
+                }
+            });
+            return;
+        }
+
         callback({
             responseHeaders: {
                 ...details.responseHeaders,
@@ -269,6 +282,50 @@ ipcMain.on('install-update', () => {
     quitAndInstall();  // ✅ 调用 updater.js 的导出函数
 });
 
+// ========== 凭据库 IPC 处理器（系统密钥链） ==========
+
+/**
+ * IPC: 系统密钥链是否可用
+ */
+ipcMain.handle('vault:is-available', () => {
+    try {
+        return safeStorage.isEncryptionAvailable();
+    } catch (error) {
+        console.error('[Vault] 检测系统密钥链失败:', error);
+        return false;
+    }
+});
+
+/**
+ * IPC: 用系统密钥链加密文本（返回 base64）
+ */
+ipcMain.handle('vault:encrypt', async (event, { plaintext }) => {
+    try {
+        if (!safeStorage.isEncryptionAvailable()) {
+            throw new Error('系统密钥链不可用');
+        }
+        return { success: true, data: safeStorage.encryptString(String(plaintext)).toString('base64') };
+    } catch (error) {
+        console.error('[Vault] 加密失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 用系统密钥链解密 base64 密文
+ */
+ipcMain.handle('vault:decrypt', async (event, { data }) => {
+    try {
+        if (!safeStorage.isEncryptionAvailable()) {
+            throw new Error('系统密钥链不可用');
+        }
+        return { success: true, data: safeStorage.decryptString(Buffer.from(String(data), 'base64')) };
+    } catch (error) {
+        console.error('[Vault] 解密失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // ========== MCP IPC 处理器 ==========
 
 function normalizeMcpTools(rawPayload) {
@@ -372,6 +429,46 @@ ipcMain.handle('mcp:call-tool', async (event, { serverId, toolName, arguments: a
     }
 });
 
+/**
+ * IPC: 发送通用 MCP 请求（resources/*、prompts/* 等）
+ */
+ipcMain.handle('mcp:request', async (event, { serverId, method, params }) => {
+    try {
+        console.log('[Main] MCP 请求:', { serverId, method });
+        const result = await mcpManager.sendRequest(serverId, method, params || {});
+        return { success: true, result };
+    } catch (error) {
+        console.error('[Main] MCP 请求失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 发送 MCP 通知（roots/list_changed 等）
+ */
+ipcMain.handle('mcp:notify', async (event, { serverId, method, params }) => {
+    try {
+        await mcpManager.sendNotification(serverId, method, params);
+        return { success: true };
+    } catch (error) {
+        console.error('[Main] MCP 通知失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 回复服务器发起的请求（sampling 等）
+ */
+ipcMain.handle('mcp:respond', async (event, { serverId, response }) => {
+    try {
+        mcpManager.sendResponse(serverId, response);
+        return { success: true };
+    } catch (error) {
+        console.error('[Main] MCP 回复失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 /**
  * IPC: 获取 MCP 状态
  */
@@ -508,6 +605,19 @@ mcpManager.on('notification', (data) => {
     }
 });
 
+mcpManager.on('request', (data) => {
+    if (mainWindow) {
+        mainWindow.webContents.send('mcp:server-request', data);
+    } else {
+        // 没有窗口可处理，直接拒绝
+        mcpManager.sendResponse(data.serverId, {
+            jsonrpc: '2.0',
+            id: data.message.id,
+            error: { code: -32603, message: 'No renderer available' }
+        });
+    }
+});
+
 // ========== Computer Use IPC 处理器 ==========
 
 // 延迟加载 Computer Use 模块（避免启动时的 asar 路径解析问题）
@@ -545,6 +655,19 @@ ipcMain.handle('computer-use:update-bash-config', async (event, config) => {
     }
 });
 
+/**
+ * IPC: 更新文本编辑器配置（允许访问的根目录）
+ */
+ipcMain.handle('computer-use:update-text-editor-config', async (event, config) => {
+    try {
+        getComputerUse().updateTextEditorConfig(config);
+        return { success: true };
+    } catch (error) {
+        console.error('[Computer Use] 更新文本编辑器配置失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 /**
  * IPC: 截图
  */
@@ -753,12 +876,55 @@ ipcMain.handle('computer-use:get-cursor-position', async () => {
     }
 });
 
+// Bash 命令审批：approvalId → resolve
+const pendingBashApprovals = new Map();
+const BASH_APPROVAL_TIMEOUT_SECONDS = 60;
+
+/**
+ * 请求渲染进程审批 Bash 命令（超时自动拒绝）
+ * @param {WebContents} sender - 发起执行的渲染进程
+ * @param {Object} request - { command, cwd, rule, reason, suggestedPattern, sessionId }
+ * @returns {Promise<{approved: boolean, pattern?: string, timedOut?: boolean}>}
+ */
+function requestBashApproval(sender, request) {
+    if (sender.isDestroyed()) {
+        return Promise.resolve({ approved: false });
+    }
+
+    return new Promise((resolve) => {
+        const approvalId = crypto.randomBytes(8).toString('hex');
+        const timer = setTimeout(() => {
+            pendingBashApprovals.delete(approvalId);
+            resolve({ approved: false, timedOut: true });
+        }, BASH_APPROVAL_TIMEOUT_SECONDS * 1000);
+
+        pendingBashApprovals.set(approvalId, (response) => {
+            clearTimeout(timer);
+            pendingBashApprovals.delete(approvalId);
+            resolve(response);
+        });
+
+        sender.send('computer-use:bash-approval-request', {
+            ...request,
+            approvalId,
+            timeoutSeconds: BASH_APPROVAL_TIMEOUT_SECONDS
+        });
+    });
+}
+
 /**
  * IPC: 执行 Bash 命令
  */
-ipcMain.handle('computer-use:bash-execute', async (event, { command }) => {
+ipcMain.handle('computer-use:bash-execute', async (event, { command, sessionId, runId }) => {
     try {
-        const result = await getComputerUse().executeBash(command);
+        // 增量输出推送到渲染进程
+        const onOutput = (stream, data) => {
+            if (!event.sender.isDestroyed()) {
+                event.sender.send('computer-use:bash-output', { runId, sessionId, stream, data });
+            }
+        };
+        const requestApproval = (request) => requestBashApproval(event.sender, { ...request, sessionId });
+        const result = await getComputerUse().executeBash(command, { sessionId, runId, onOutput, requestApproval });
         // bash.execute() 已经返回了包含 success 字段的对象，直接返回
         return result;
     } catch (error) {
@@ -767,6 +933,57 @@ ipcMain.handle('computer-use:bash-execute', async (event, { command }) => {
     }
 });
 
+/**
+ * IPC: 响应 Bash 命令审批
+ */
+ipcMain.handle('computer-use:bash-approval-respond', async (event, { approvalId, approved, pattern }) => {
+    const resolve = pendingBashApprovals.get(approvalId);
+    if (!resolve) {
+        return { success: false, error: '审批请求不存在或已超时' };
+    }
+    resolve({ approved: !!approved, pattern: approved && pattern ? String(pattern) : null });
+    return { success: true };
+});
+
+/**
+ * IPC: 重启 Bash 会话
+ */
+ipcMain.handle('computer-use:bash-restart', async (event, { sessionId }) => {
+    try {
+        await getComputerUse().restartBash(sessionId);
+        return { success: true };
+    } catch (error) {
+        console.error('[Computer Use] Bash 重启失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 中断正在运行的 Bash 命令
+ */
+ipcMain.handle('computer-use:bash-interrupt', async (event, { runId }) => {
+    try {
+        const interrupted = getComputerUse().interruptBash(runId);
+        return { success: interrupted };
+    } catch (error) {
+        console.error('[Computer Use] Bash 中断失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 关闭 Bash 会话（聊天会话删除时）
+ */
+ipcMain.handle('computer-use:bash-close-session', async (event, { sessionId }) => {
+    try {
+        getComputerUse().closeBashSession(sessionId);
+        return { success: true };
+    } catch (error) {
+        console.error('[Computer Use] 关闭 Bash 会话失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 /**
  * IPC: 读取文件
  */
@@ -793,8 +1010,79 @@ ipcMain.handle('computer-use:file-write', async (event, { path, content }) => {
     }
 });
 
+/**
+ * IPC: 执行文本编辑器命令（view / create / str_replace / insert / undo_edit）
+ */
+ipcMain.handle('computer-use:text-editor', async (event, params) => {
+    try {
+        const result = await getComputerUse().editText(params);
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('[Computer Use] 文本编辑器命令失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 设置审计日志的当前聊天会话
+ */
+ipcMain.handle('computer-use:set-audit-session', async (event, { sessionId }) => {
+    try {
+        getComputerUse().setAuditSession(sessionId);
+        return { success: true };
+    } catch (error) {
+        console.error('[Computer Use] 设置审计会话失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 查询审计日志
+ */
+ipcMain.handle('computer-use:audit-query', async (event, { filters, limit }) => {
+    try {
+        const [result, info] = await Promise.all([
+            getComputerUse().queryAuditLog(filters, limit),
+            getComputerUse().getAuditLogInfo()
+        ]);
+        return { success: true, ...result, info };
+    } catch (error) {
+        console.error('[Computer Use] 查询审计日志失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 导出审计日志
+ */
+ipcMain.handle('computer-use:audit-export', async (event, { format, filters }) => {
+    try {
+        const result = await getComputerUse().exportAuditLog(format, filters);
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('[Computer Use] 导出审计日志失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+/**
+ * IPC: 清空审计日志
+ */
+ipcMain.handle('computer-use:audit-clear', async () => {
+    try {
+        await getComputerUse().clearAuditLog();
+        return { success: true };
+    } catch (error) {
+        console.error('[Computer Use] 清空审计日志失败:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // 应用退出时清理所有 MCP 进程
 app.on('before-quit', async () => {
+    // 结束 Computer Use 的常驻 shell
+    computerUse?.closeAllBashSessions();
+
     console.log('[Main] 应用退出，停止所有 MCP 服务器');
     await mcpManager.stopAll();
 });
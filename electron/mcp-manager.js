@@ -6,6 +6,13 @@
 const { spawn } = require('child_process');
 const { EventEmitter } = require('events');
 
+// 客户端能力声明（与渲染进程 MCPClient 保持一致）
+const CLIENT_CAPABILITIES = {
+    sampling: {},
+    roots: { listChanged: true },
+    elicitation: {}
+};
+
 /**
  * MCP 服务器进程管理器
  */
@@ -55,7 +62,7 @@ class MCPManager extends EventEmitter {
         processInfo.initializing = (async () => {
             await this.sendRequest(serverId, 'initialize', {
                 protocolVersion: '2024-11-05',
-                capabilities: {},
+                capabilities: CLIENT_CAPABILITIES,
                 clientInfo: {
                     name: 'webchat',
                     version: '1.1.4'
@@ -101,6 +108,17 @@ class MCPManager extends EventEmitter {
         console.log(`[MCP Manager] [${serverId}] Sent notification:`, method);
     }
 
+    /**
+     * 发送通知到 MCP 服务器（如 notifications/roots/list_changed）
+     * @param {string} serverId - 服务器 ID
+     * @param {string} method - 通知方法
+     * @param {Object} [params] - 参数
+     */
+    async sendNotification(serverId, method, params) {
+        await this.ensureInitialized(serverId);
+        this._sendNotification(serverId, method, params);
+    }
+
     /**
      * 启动 MCP 服务器
      * @param {Object} config - 配置
@@ -254,9 +272,10 @@ class MCPManager extends EventEmitter {
      * @param {string} serverId - 服务器 ID
      * @param {string} method - MCP 方法
      * @param {Object} [params] - 参数
+     * @param {Object} [options] - { timeout } 自定义超时（毫秒）
      * @returns {Promise<Object>} 响应结果
      */
-    async sendRequest(serverId, method, params = {}) {
+    async sendRequest(serverId, method, params = {}, options = {}) {
         // Ensure initialization handshake before calling any non-initialize methods
         if (method !== 'initialize') {
             await this.ensureInitialized(serverId);
@@ -285,7 +304,7 @@ class MCPManager extends EventEmitter {
         // 创建 Promise
         return new Promise((resolve, reject) => {
             // ✅ 根据方法类型设置超时时间
-            const timeoutDuration = method === 'tools/call' ? 180000 : 10000; // 工具调用 180s，其他 10s
+            const timeoutDuration = options.timeout || (method === 'tools/call' ? 180000 : 10000); // 工具调用 180s，其他 10s
 
             const timeout = setTimeout(() => {
                 this.requestQueue.delete(requestId);
@@ -308,6 +327,21 @@ class MCPManager extends EventEmitter {
         });
     }
 
+    /**
+     * 回复服务器发起的请求
+     * @param {string} serverId - 服务器 ID
+     * @param {Object} response - JSON-RPC 响应 { jsonrpc, id, result | error }
+     */
+    sendResponse(serverId, response) {
+        const processInfo = this.processes.get(serverId);
+        if (!processInfo || processInfo.status !== 'running') {
+            throw new Error(`服务器未运行: ${serverId}`);
+        }
+
+        processInfo.process.stdin.write(JSON.stringify(response) + '\n');
+        console.log(`[MCP Manager] [${serverId}] 发送响应:`, response.id);
+    }
+
     /**
      * 处理 stdout 数据
      * @private
@@ -386,6 +420,12 @@ class MCPManager extends EventEmitter {
     handleMessage(serverId, message) {
         console.log(`[MCP Manager] [${serverId}] 收到消息:`, message);
 
+        // 服务器发起的请求（同时包含 method 和 id），交给渲染进程处理
+        if (message.method && message.id !== undefined) {
+            this.emit('request', { serverId, message });
+            return;
+        }
+
         // 响应消息（包含 id）
         if (message.id) {
             const pending = this.requestQueue.get(message.id);
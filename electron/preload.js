@@ -97,6 +97,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return true;
     },
 
+    // ========== 凭据库（系统密钥链） ==========
+
+    /**
+     * 系统密钥链是否可用
+     * @returns {Promise<boolean>}
+     */
+    vault_isAvailable: () => {
+        return ipcRenderer.invoke('vault:is-available');
+    },
+
+    /**
+     * 用系统密钥链加密文本
+     * @param {string} plaintext - 明文
+     * @returns {Promise<{success: boolean, data?: string, error?: string}>} data 为 base64 密文
+     */
+    vault_encrypt: (plaintext) => {
+        return ipcRenderer.invoke('vault:encrypt', { plaintext });
+    },
+
+    /**
+     * 用系统密钥链解密
+     * @param {string} data - base64 密文
+     * @returns {Promise<{success: boolean, data?: string, error?: string}>} data 为明文
+     */
+    vault_decrypt: (data) => {
+        return ipcRenderer.invoke('vault:decrypt', { data });
+    },
+
     // ========== 窗口控制 ==========
     windowMinimize: () => ipcRenderer.send('window:minimize'),
     windowMaximize: () => ipcRenderer.send('window:maximize'),
@@ -121,6 +149,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return ipcRenderer.invoke('computer-use:update-bash-config', config);
     },
 
+    /**
+     * Computer Use: 更新文本编辑器配置
+     * @param {Object} config - 配置对象 { allowedRoots }
+     */
+    computerUse_updateTextEditorConfig: (config) => {
+        return ipcRenderer.invoke('computer-use:update-text-editor-config', config);
+    },
+
     /**
      * Computer Use: 截图
      * @returns {Promise<{success: boolean, base64?: string, width?: number, height?: number}>}
@@ -259,12 +295,71 @@ contextBridge.exposeInMainWorld('electronAPI', {
     },
 
     /**
-     * Computer Use: 执行 Bash 命令
+     * Computer Use: 执行 Bash 命令（同一聊天会话共用一个常驻 shell）
      * @param {string} command - 命令字符串
+     * @param {Object} [options] - { sessionId: 聊天会话 ID, runId: 本次执行 ID（用于增量输出和中断） }
      * @returns {Promise<{success: boolean, stdout?: string, stderr?: string, exitCode?: number}>}
      */
-    computerUse_executeBash: (command) => {
-        return ipcRenderer.invoke('computer-use:bash-execute', { command });
+    computerUse_executeBash: (command, { sessionId, runId } = {}) => {
+        return ipcRenderer.invoke('computer-use:bash-execute', { command, sessionId, runId });
+    },
+
+    /**
+     * Computer Use: 重启 Bash 会话
+     * @param {string} sessionId - 聊天会话 ID
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    computerUse_restartBash: (sessionId) => {
+        return ipcRenderer.invoke('computer-use:bash-restart', { sessionId });
+    },
+
+    /**
+     * Computer Use: 中断正在运行的 Bash 命令（Ctrl-C）
+     * @param {string} runId - 执行 ID
+     * @returns {Promise<{success: boolean}>}
+     */
+    computerUse_interruptBash: (runId) => {
+        return ipcRenderer.invoke('computer-use:bash-interrupt', { runId });
+    },
+
+    /**
+     * Computer Use: 关闭 Bash 会话
+     * @param {string} sessionId - 聊天会话 ID
+     * @returns {Promise<{success: boolean}>}
+     */
+    computerUse_closeBashSession: (sessionId) => {
+        return ipcRenderer.invoke('computer-use:bash-close-session', { sessionId });
+    },
+
+    /**
+     * Computer Use: 监听 Bash 增量输出
+     * @param {Function} callback - 回调函数，接收 { runId, sessionId, stream, data }
+     * @returns {Function} 取消监听
+     */
+    computerUse_onBashOutput: (callback) => {
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on('computer-use:bash-output', listener);
+        return () => ipcRenderer.removeListener('computer-use:bash-output', listener);
+    },
+
+    /**
+     * Computer Use: 监听 Bash 命令审批请求
+     * @param {Function} callback - ({ approvalId, command, cwd, rule, reason, suggestedPattern, sessionId, timeoutSeconds }) => void
+     * @returns {Function} 取消监听
+     */
+    computerUse_onBashApprovalRequest: (callback) => {
+        const listener = (event, request) => callback(request);
+        ipcRenderer.on('computer-use:bash-approval-request', listener);
+        return () => ipcRenderer.removeListener('computer-use:bash-approval-request', listener);
+    },
+
+    /**
+     * Computer Use: 响应 Bash 命令审批
+     * @param {string} approvalId - 审批 ID
+     * @param {Object} response - { approved, pattern }（pattern 表示本会话允许该模式）
+     */
+    computerUse_respondBashApproval: (approvalId, { approved, pattern = null }) => {
+        return ipcRenderer.invoke('computer-use:bash-approval-respond', { approvalId, approved, pattern });
     },
 
     /**
@@ -284,6 +379,50 @@ contextBridge.exposeInMainWorld('electronAPI', {
      */
     computerUse_writeFile: (path, content) => {
         return ipcRenderer.invoke('computer-use:file-write', { path, content });
+    },
+
+    /**
+     * Computer Use: 执行文本编辑器命令
+     * @param {Object} params - { command, path, view_range, file_text, old_str, new_str, insert_line }
+     * @returns {Promise<{success: boolean, output?: string, error?: string}>}
+     */
+    computerUse_textEditor: (params) => {
+        return ipcRenderer.invoke('computer-use:text-editor', params);
+    },
+
+    /**
+     * Computer Use: 设置审计日志的当前聊天会话
+     * @param {string|null} sessionId - 聊天会话 ID
+     */
+    computerUse_setAuditSession: (sessionId) => {
+        return ipcRenderer.invoke('computer-use:set-audit-session', { sessionId });
+    },
+
+    /**
+     * Computer Use: 查询审计日志
+     * @param {Object} filters - { actions, sessionId, from, to, failedOnly }
+     * @param {number} [limit] - 最大条数（最新的在前）
+     * @returns {Promise<{success: boolean, entries?: Array, total?: number, actions?: string[], sessionIds?: string[], info?: Object}>}
+     */
+    computerUse_queryAuditLog: (filters = {}, limit = 500) => {
+        return ipcRenderer.invoke('computer-use:audit-query', { filters, limit });
+    },
+
+    /**
+     * Computer Use: 导出审计日志
+     * @param {'json'|'csv'} format - 导出格式
+     * @param {Object} filters - 同 computerUse_queryAuditLog
+     * @returns {Promise<{success: boolean, content?: string, count?: number}>}
+     */
+    computerUse_exportAuditLog: (format, filters = {}) => {
+        return ipcRenderer.invoke('computer-use:audit-export', { format, filters });
+    },
+
+    /**
+     * Computer Use: 清空审计日志
+     */
+    computerUse_clearAuditLog: () => {
+        return ipcRenderer.invoke('computer-use:audit-clear');
     }
 });
 
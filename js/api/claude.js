@@ -8,6 +8,8 @@ import { buildModelParams, buildThinkingConfig, getCustomHeadersObject } from '.
 import { getPrefillMessages, getOpeningMessages } from '../utils/prefill.js';
 import { processVariables } from '../utils/variables.js';
 import { filterMessagesByCapabilities } from '../utils/message-filter.js';
+import { applyContextWindow } from './context-window.js';
+import { applyResumeContinuation } from './resume.js';
 import { getCurrentModelCapabilities } from '../providers/manager.js';
 import { getOrCreateMappedId } from './format-converter.js';  // ID 重映射
 
@@ -331,6 +333,9 @@ async function convertToClaudeMessages(messages) {
                                 }
                             };
                         }
+                    } else if (part.type === 'input_audio') {
+                        // Claude 不支持音频输入
+                        return { type: 'text', text: '[音频内容已跳过 - Claude API 不支持音频输入]' };
                     }
                     return null;
                 }).filter(Boolean);
@@ -403,11 +408,20 @@ async function convertToClaudeMessages(messages) {
  * @param {string} apiKey - API 密钥
  * @param {string} model - 模型名称
  * @param {AbortSignal} signal - 取消信号
+ * @param {Object} [overrides] - 独立请求（如 MCP sampling），不读取当前会话：
+ *   { messages, systemPrompt, maxTokens, temperature, stopSequences }，固定非流式、无工具
  * @returns {Promise<Response>} Fetch Response
  */
-export async function sendClaudeRequest(endpoint, apiKey, model, signal = null) {
+export async function sendClaudeRequest(endpoint, apiKey, model, signal = null, overrides = null) {
     // 转换消息格式为 Claude Messages API（过滤掉错误消息）
-    let messages = state.messages.filter(m => !m.isError);
+    let messages = overrides ? [...overrides.messages] : state.messages.filter(m => !m.isError);
+
+    // 按上下文管理策略裁剪对话历史（System Prompt 和预填充层不参与裁剪）
+    if (!overrides) {
+        messages = applyContextWindow(messages);
+        // 续写被中断的回复（预填充部分回复或追加续写提示）
+        messages = applyResumeContinuation(messages, 'claude');
+    }
 
     // 根据模型能力过滤消息（在格式转换前，OpenAI格式）
     const capabilities = getCurrentModelCapabilities();
@@ -423,15 +437,15 @@ export async function sendClaudeRequest(endpoint, apiKey, model, signal = null)
     let claudeMessages = await convertToClaudeMessages(messages);
 
     // 开场对话插入到对话历史之前（Claude 的 system 是独立参数，所以这里直接插入到最前面）
-    if (state.prefillEnabled) {
+    if (state.prefillEnabled && !overrides) {
         const opening = getOpeningMessages();
         if (opening.length > 0) {
             claudeMessages = [...opening, ...claudeMessages];
         }
     }
 
-    // 预填充消息追加到末尾（用户最新消息之后）
-    if (state.prefillEnabled) {
+    // 预填充消息追加到末尾（用户最新消息之后；续写中断的回复时不追加）
+    if (state.prefillEnabled && !overrides && !state.isResumingStream) {
         const prefill = getPrefillMessages();
         claudeMessages = [...claudeMessages, ...prefill];
     }
@@ -440,10 +454,31 @@ export async function sendClaudeRequest(endpoint, apiKey, model, signal = null)
     const requestBody = {
         model: model,
         messages: claudeMessages,
-        stream: state.streamEnabled,
+        stream: overrides ? false : state.streamEnabled,
         ...buildModelParams('claude'), // 包含 max_tokens（默认 8192）及其他参数
     };
 
+    // 独立请求：使用调用方指定的参数，跳过思维链/工具等会话级配置
+    if (overrides) {
+        if (overrides.systemPrompt) requestBody.system = overrides.systemPrompt;
+        if (overrides.maxTokens) requestBody.max_tokens = overrides.maxTokens;
+        if (overrides.temperature !== undefined) requestBody.temperature = overrides.temperature;
+        if (overrides.stopSequences?.length) requestBody.stop_sequences = overrides.stopSequences;
+
+        return await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true',
+                ...getCustomHeadersObject(),
+            },
+            body: JSON.stringify(requestBody),
+            signal
+        });
+    }
+
     // Claude 的 system 是顶层参数（独立于预填充开关）
     if (state.systemPrompt) {
         requestBody.system = processVariables(state.systemPrompt);
@@ -0,0 +1,344 @@
+/**
+ * 上下文窗口管理
+ * 在构建请求时按策略裁剪对话历史，避免超出模型的上下文窗口：
+ * - drop-oldest: 超出预算时从最早的轮次开始丢弃
+ * - sliding-window: 只保留最近 N 轮
+ * - summarize: 后台将较早的轮次压缩为摘要（state.contextSummary），请求时以摘要替代原文
+ *
+ * 只处理对话历史（OpenAI 格式，在格式转换前），System Prompt、开场对话和预填充层保持不变。
+ * 按「轮」裁剪（从用户消息开始到下一条用户消息之前），保证工具调用与结果不会被拆开。
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { RequestState } from '../core/request-state-machine.js';
+import { getSendFunction } from './factory.js';
+import { getCurrentEndpoint, getCurrentApiKey, getCurrentModel } from './handler.js';
+import { parseApiResponse } from './response-parser.js';
+import { getCurrentProvider, getModelContextWindow } from '../providers/manager.js';
+import { toOpenAIMessage } from '../messages/converters.js';
+import { saveCurrentSessionMessages } from '../state/sessions.js';
+import { estimateTokenCount } from '../stream/stats.js';
+import { getPrefillMessages, getOpeningMessages } from '../utils/prefill.js';
+import {
+    CONTEXT_BUDGET_RATIO,
+    CONTEXT_ATTACHMENT_TOKENS,
+    CONTEXT_SUMMARY_KEEP_TURNS,
+    CONTEXT_SUMMARY_MAX_TOKENS
+} from '../utils/constants.js';
+
+// 每条消息的角色/分隔符开销
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// 摘要中单条工具结果保留的最大字符数
+const SUMMARY_TOOL_RESULT_CHARS = 500;
+
+const SUMMARY_SYSTEM_PROMPT = '你是对话摘要助手。请把用户提供的对话压缩为简洁的摘要，保留关键事实、用户的偏好与要求、已经做出的决定、未解决的问题，以及后续对话需要的代码、数据和文件名等细节。使用对话所用的语言，只输出摘要正文。';
+
+let summarizing = false;
+
+/**
+ * 估算单条消息的 token 数
+ * @param {Object} msg - OpenAI 格式消息
+ * @returns {number}
+ */
+export function estimateMessageTokens(msg) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS;
+
+    if (typeof msg.content === 'string') {
+        tokens += estimateTokenCount(msg.content);
+    } else if (Array.isArray(msg.content)) {
+        for (const part of msg.content) {
+            if (part.type === 'text') {
+                tokens += estimateTokenCount(part.text);
+            } else if (part.type !== 'thinking') {
+                tokens += CONTEXT_ATTACHMENT_TOKENS;
+            }
+        }
+    }
+
+    if (msg.tool_calls) {
+        tokens += estimateTokenCount(JSON.stringify(msg.tool_calls));
+    }
+    return tokens;
+}
+
+/**
+ * 估算消息列表的 token 数
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {number}
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+}
+
+/**
+ * 估算不参与裁剪的固定层（System Prompt、开场对话、预填充）的 token 数
+ * @returns {number}
+ */
+function estimateFixedLayerTokens() {
+    // Gemini 启用多段系统提示时替代 System Prompt
+    const systemParts = state.apiFormat === 'gemini' && state.geminiSystemPartsEnabled ? (state.geminiSystemParts || []) : [];
+    const systemTokens = systemParts.length > 0
+        ? systemParts.reduce((sum, part) => sum + estimateTokenCount(part.text || ''), 0)
+        : estimateTokenCount(state.systemPrompt || '');
+
+    return systemTokens
+        + estimateMessagesTokens(getOpeningMessages('openai'))
+        + estimateMessagesTokens(getPrefillMessages('openai'));
+}
+
+/**
+ * 将消息按轮次分组（每轮从一条用户消息开始）
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {Array<Array>} 轮次列表
+ */
+function groupTurns(messages) {
+    const turns = [];
+    for (const msg of messages) {
+        if (msg.role === 'user' || turns.length === 0) {
+            turns.push([msg]);
+        } else {
+            turns[turns.length - 1].push(msg);
+        }
+    }
+    return turns;
+}
+
+/**
+ * 获取摘要之后保留原文的起始位置
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {number} 起始索引，摘要不存在或已失效（如编辑/切换分支）时返回 -1
+ */
+function getSummaryKeepIndex(messages) {
+    const summary = state.contextSummary;
+    if (!summary?.keepFromId) return -1;
+    return messages.findIndex(m => m.id === summary.keepFromId);
+}
+
+/**
+ * 用摘要替代被覆盖的消息：摘要以文本块的形式放在第一条保留的用户消息之前
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {Array}
+ */
+function applySummary(messages) {
+    const keepIndex = getSummaryKeepIndex(messages);
+    if (keepIndex <= 0) return messages;
+
+    const [first, ...rest] = messages.slice(keepIndex);
+    const summaryText = `<conversation_summary>\n以下是此前对话的摘要（原始消息已省略）：\n${state.contextSummary.text}\n</conversation_summary>`;
+    const content = Array.isArray(first.content)
+        ? [{ type: 'text', text: summaryText }, ...first.content]
+        : `${summaryText}\n\n${first.content || ''}`;
+
+    return [{ ...first, content }, ...rest];
+}
+
+/**
+ * 从最早的轮次开始丢弃，直到总量不超过预算（始终保留最后一轮）
+ * @param {Array} messages - OpenAI 格式消息
+ * @param {number} budget - 可用 token 预算
+ * @returns {Array}
+ */
+function dropOldestTurns(messages, budget) {
+    const turns = groupTurns(messages);
+    let total = estimateMessagesTokens(messages);
+
+    while (turns.length > 1 && total > budget) {
+        total -= estimateMessagesTokens(turns.shift());
+    }
+    return turns.flat();
+}
+
+/**
+ * 获取对话历史可用的 token 预算
+ * @returns {{limit: number, budget: number}|null} 当前模型未配置上下文窗口时返回 null
+ */
+function getContextBudget() {
+    const limit = getModelContextWindow();
+    if (!limit) return null;
+    return {
+        limit,
+        budget: Math.max(0, Math.floor(limit * CONTEXT_BUDGET_RATIO) - estimateFixedLayerTokens())
+    };
+}
+
+/**
+ * 按当前策略裁剪对话历史
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {Array}
+ */
+function trimHistory(messages) {
+    const strategy = state.contextStrategy || 'off';
+    if (strategy === 'off' || messages.length === 0) return messages;
+
+    let result = messages;
+    if (strategy === 'summarize') {
+        result = applySummary(result);
+    } else if (strategy === 'sliding-window') {
+        result = groupTurns(result).slice(-Math.max(1, state.contextWindowTurns || 1)).flat();
+    }
+
+    // 所有策略在超出预算时都回退为丢弃最早的轮次（摘要尚未生成时同样生效）
+    const context = getContextBudget();
+    if (context) {
+        result = dropOldestTurns(result, context.budget);
+    }
+    return result;
+}
+
+/**
+ * 按当前策略处理请求的对话历史
+ * @param {Array} messages - OpenAI 格式消息（已过滤错误消息）
+ * @returns {Array} 实际发送的消息
+ */
+export function applyContextWindow(messages) {
+    const result = trimHistory(messages);
+    if (result.length !== messages.length) {
+        console.log(`[ContextWindow] 策略 ${state.contextStrategy}: ${messages.length} → ${result.length} 条消息`);
+    }
+    return result;
+}
+
+/**
+ * 获取当前对话的上下文用量（供用量指示器使用）
+ * @returns {{tokens: number, fullTokens: number, limit: number|null, sentCount: number, totalCount: number, summarizedCount: number}}
+ */
+export function getContextUsage() {
+    const messages = state.messages.filter(m => !m.isError);
+    const sent = trimHistory(messages);
+    const fixedTokens = estimateFixedLayerTokens();
+    const keepIndex = state.contextStrategy === 'summarize' ? getSummaryKeepIndex(messages) : -1;
+
+    return {
+        tokens: fixedTokens + estimateMessagesTokens(sent),
+        fullTokens: fixedTokens + estimateMessagesTokens(messages),
+        limit: getModelContextWindow(),
+        sentCount: sent.length,
+        totalCount: messages.length,
+        summarizedCount: Math.max(0, keepIndex)
+    };
+}
+
+/**
+ * 将消息转换为摘要用的文字记录
+ * @param {Array} messages - OpenAI 格式消息
+ * @returns {string}
+ */
+function buildTranscript(messages) {
+    const roleLabels = { user: '用户', assistant: '助手', tool: '工具结果' };
+
+    return messages.map(msg => {
+        let text = '';
+        if (typeof msg.content === 'string') {
+            text = msg.content;
+        } else if (Array.isArray(msg.content)) {
+            text = msg.content
+                .map(part => {
+                    if (part.type === 'text') return part.text;
+                    if (part.type === 'thinking') return '';
+                    return '[附件]';
+                })
+                .filter(Boolean)
+                .join('\n');
+        }
+
+        if (msg.role === 'tool' && text.length > SUMMARY_TOOL_RESULT_CHARS) {
+            text = `${text.slice(0, SUMMARY_TOOL_RESULT_CHARS)}...（已截断）`;
+        }
+        if (msg.tool_calls?.length) {
+            const calls = msg.tool_calls.map(call => `[调用工具 ${call.function?.name || call.name || ''}]`).join(' ');
+            text = text ? `${text}\n${calls}` : calls;
+        }
+
+        return `${roleLabels[msg.role] || msg.role}: ${text}`;
+    }).join('\n\n');
+}
+
+/**
+ * 后台将较早的轮次压缩为摘要
+ * 仅在摘要策略下、对话超出预算时执行；保留最近 CONTEXT_SUMMARY_KEEP_TURNS 轮原文
+ */
+export async function summarizeOlderTurns() {
+    if (summarizing || state.contextStrategy !== 'summarize') return;
+
+    const context = getContextBudget();
+    const messages = state.messages.filter(m => !m.isError);
+    if (!context || estimateMessagesTokens(applySummary(messages)) <= context.budget) return;
+
+    const turns = groupTurns(messages);
+    if (turns.length <= CONTEXT_SUMMARY_KEEP_TURNS) return;
+
+    const keepFrom = turns[turns.length - CONTEXT_SUMMARY_KEEP_TURNS][0];
+    if (!keepFrom.id) {
+        console.warn('[ContextWindow] 保留起点消息没有 ID，跳过摘要');
+        return;
+    }
+
+    // 已有摘要时只把新增的部分合并进摘要
+    const previousIndex = getSummaryKeepIndex(messages);
+    const newMessages = messages.slice(Math.max(0, previousIndex), messages.indexOf(keepFrom));
+    if (newMessages.length === 0) return;
+
+    const previousText = previousIndex > 0 ? state.contextSummary.text : '';
+    const prompt = previousText
+        ? `已有摘要：\n${previousText}\n\n请将以下新增对话合并进摘要：\n\n${buildTranscript(newMessages)}`
+        : `请总结以下对话：\n\n${buildTranscript(newMessages)}`;
+
+    const sessionId = state.currentSessionId;
+    const format = getCurrentProvider()?.apiFormat || 'openai';
+    if (!['openai', 'openai-responses', 'claude', 'gemini'].includes(format)) return;
+
+    summarizing = true;
+    eventBus.emit('context:summarizing', { active: true });
+    console.log(`[ContextWindow] 🗜️ 后台摘要 ${newMessages.length} 条消息...`);
+
+    try {
+        const sendFn = getSendFunction(format);
+        const response = await sendFn(getCurrentEndpoint(), getCurrentApiKey(), getCurrentModel(), null, {
+            messages: [toOpenAIMessage('user', prompt)],
+            systemPrompt: SUMMARY_SYSTEM_PROMPT,
+            maxTokens: CONTEXT_SUMMARY_MAX_TOKENS
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const reply = parseApiResponse(await response.json(), format);
+        const text = reply?.content?.trim();
+        if (!text) {
+            throw new Error('模型没有返回摘要');
+        }
+
+        // 摘要期间切换了会话：丢弃结果
+        if (state.currentSessionId !== sessionId) return;
+
+        state.contextSummary = {
+            text,
+            keepFromId: keepFrom.id,
+            updatedAt: Date.now()
+        };
+        state.sessionDirty = true;
+        await saveCurrentSessionMessages();
+        eventBus.emit('context:summary-updated', { summary: state.contextSummary });
+        console.log('[ContextWindow] ✅ 摘要已更新');
+    } catch (error) {
+        console.error('[ContextWindow] 摘要失败:', error);
+        eventBus.emit('ui:notification', { message: `上下文摘要失败: ${error.message}`, type: 'warning' });
+    } finally {
+        summarizing = false;
+        eventBus.emit('context:summarizing', { active: false });
+    }
+}
+
+/**
+ * 初始化上下文管理（每次请求完成后检查是否需要后台摘要）
+ */
+export function initContextWindow() {
+    eventBus.on('request:state-changed', ({ to }) => {
+        if (to === RequestState.COMPLETED) {
+            // 等待消息保存完成后再摘要
+            setTimeout(summarizeOlderTurns, 0);
+        }
+    });
+}
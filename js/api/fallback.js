@@ -0,0 +1,120 @@
+/**
+ * 提供商后备链
+ * 主模型不可用（网络错误、限流、服务端错误、过载）时，依次用后备链中的提供商/模型重试同一轮对话。
+ * 三种格式的消息数组始终同步保存，切换到不同 API 格式的提供商后历史可以直接使用。
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { getSendFunction } from './factory.js';
+import { sendWithRetry } from './retry.js';
+import { getCurrentEndpoint, getCurrentApiKey, getCurrentModel } from './handler.js';
+import {
+    getCurrentProvider,
+    getModelDisplayName,
+    rotateToNextKey,
+    setFallbackOverride
+} from '../providers/manager.js';
+import { FALLBACK_STATUS_CODES } from '../utils/constants.js';
+
+// 后备链支持的 API 格式（OpenClaw 为 WebSocket 网关，不参与）
+export const FALLBACK_FORMATS = ['openai', 'openai-responses', 'claude', 'gemini'];
+
+/**
+ * 获取提供商/模型的显示名称
+ * @param {Object} provider - 提供商
+ * @param {string} model - 模型 ID
+ * @returns {string}
+ */
+function getTargetLabel(provider, model) {
+    return `${getModelDisplayName(model, provider)} | ${provider?.name || 'Unknown'}`;
+}
+
+/**
+ * 获取本次请求可用的后备链条目（跳过已禁用、已删除的提供商和与主模型相同的条目）
+ * @param {string} primaryProviderId - 主提供商 ID
+ * @param {string} primaryModel - 主模型 ID
+ * @returns {Array<{providerId: string, model: string}>}
+ */
+export function getFallbackTargets(primaryProviderId, primaryModel) {
+    return (state.fallbackChain || []).filter(entry => {
+        if (!entry.providerId || !entry.model) return false;
+        if (entry.providerId === primaryProviderId && entry.model === primaryModel) return false;
+
+        const provider = state.providers.find(p => p.id === entry.providerId);
+        return provider?.enabled && FALLBACK_FORMATS.includes(provider.apiFormat);
+    });
+}
+
+/**
+ * 判断失败的响应是否应切换到后备模型
+ * @param {Response} response - 响应
+ * @returns {boolean}
+ */
+function shouldFallbackOnResponse(response) {
+    return FALLBACK_STATUS_CODES.includes(response.status);
+}
+
+/**
+ * 判断请求异常是否应切换到后备模型（用户取消和超时不切换）
+ * @param {Error} error - 异常
+ * @returns {boolean}
+ */
+function shouldFallbackOnError(error) {
+    return error?.name !== 'AbortError';
+}
+
+/**
+ * 发送当前会话的请求，失败时按后备链依次重试
+ * 每个提供商/模型先按重试设置自动重试，仍失败再切换到下一个；
+ * 切换后的提供商/模型通过 state.fallbackOverride 生效，直到本轮对话（含工具调用续写）结束
+ * @param {AbortSignal} signal - 取消信号
+ * @param {Function} [onRetry] - 重试等待回调（见 sendWithRetry）
+ * @returns {Promise<Response>} 最后一次尝试的响应（成功或不可重试的失败）
+ */
+export async function sendWithFallback(signal, onRetry = null) {
+    const primaryProvider = getCurrentProvider();
+    const primaryModel = getCurrentModel();
+    const targets = state.fallbackOverride ? [] : getFallbackTargets(primaryProvider?.id, primaryModel);
+    const primaryLabel = state.fallbackOverride?.from || getTargetLabel(primaryProvider, primaryModel);
+
+    for (let attempt = 0; ; attempt++) {
+        const provider = getCurrentProvider();
+        const requestFormat = provider?.apiFormat || 'openai';
+        const currentLabel = getTargetLabel(provider, getCurrentModel());
+        const hasNext = attempt < targets.length;
+
+        let response;
+        try {
+            const sendFn = getSendFunction(requestFormat);
+            response = await sendWithRetry(
+                () => sendFn(getCurrentEndpoint(), getCurrentApiKey(), getCurrentModel(), signal),
+                signal,
+                onRetry
+            );
+        } catch (error) {
+            if (!hasNext || !shouldFallbackOnError(error)) throw error;
+            console.warn(`[Fallback] ${currentLabel} 请求失败:`, error.message);
+        }
+
+        if (response) {
+            if (response.ok || !hasNext || !shouldFallbackOnResponse(response)) {
+                return response;
+            }
+
+            console.warn(`[Fallback] ${currentLabel} 返回 HTTP ${response.status}`);
+            // 限流时同时轮询密钥，后续回到该提供商时使用下一个密钥
+            if (response.status === 429 && provider) {
+                rotateToNextKey(provider.id);
+            }
+        }
+
+        const target = targets[attempt];
+        const targetProvider = state.providers.find(p => p.id === target.providerId);
+        setFallbackOverride(target, primaryLabel);
+        eventBus.emit('ui:notification', {
+            message: `${currentLabel} 暂不可用，已切换到后备模型 ${getTargetLabel(targetProvider, target.model)}`,
+            type: 'warning'
+        });
+    }
+}
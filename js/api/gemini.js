@@ -9,6 +9,8 @@ import { getPrefillMessages, getOpeningMessages } from '../utils/prefill.js';
 import { processVariables } from '../utils/variables.js';
 import { compressImage } from '../utils/images.js';
 import { filterMessagesByCapabilities } from '../utils/message-filter.js';
+import { applyContextWindow } from './context-window.js';
+import { applyResumeContinuation } from './resume.js';
 import { getCurrentModelCapabilities, getCurrentProvider } from '../providers/manager.js';
 import { getOrCreateMappedId } from './format-converter.js';  // ID 重映射
 
@@ -238,6 +240,14 @@ function convertOpenAIMessageToGemini(msg) {
                     }
                     parts.push(filePart);
                 }
+            } else if (part.type === 'input_audio' && part.input_audio?.data) {
+                // 音频（语音输入）使用 inlineData
+                parts.push({
+                    inlineData: {
+                        mimeType: `audio/${part.input_audio.format || 'wav'}`,
+                        data: part.input_audio.data
+                    }
+                });
             }
         }
     }
@@ -350,11 +360,14 @@ function buildGeminiContentsWithSignatures(contents) {
  * @param {string} apiKey - API 密钥
  * @param {string} model - 模型名称
  * @param {AbortSignal} signal - 取消信号
+ * @param {Object} [overrides] - 独立请求（如 MCP sampling），不读取当前会话：
+ *   { messages, systemPrompt, maxTokens, temperature, stopSequences }，固定非流式、无工具
  * @returns {Promise<Response>} Fetch Response
  */
-export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = null) {
-    // 根据流式模式选择正确的端点
-    const action = state.streamEnabled ? 'streamGenerateContent' : 'generateContent';
+export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = null, overrides = null) {
+    // 根据流式模式选择正确的端点（独立请求固定非流式）
+    const stream = overrides ? false : state.streamEnabled;
+    const action = stream ? 'streamGenerateContent' : 'generateContent';
 
     // 智能端点处理：根据提供商的原始 apiFormat 决定端点格式
     const provider = getCurrentProvider();
@@ -385,7 +398,7 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
 
     // 获取图片配置
     const imageSize = elements.imageSizeSelect?.value;
-    if (imageSize) {
+    if (imageSize && !overrides) {
         // 添加图片生成配置
         generationConfig.responseModalities = ['TEXT', 'IMAGE'];
         generationConfig.imageConfig = {
@@ -394,7 +407,7 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
     }
 
     // 添加思维链配置 (Gemini 3+ 使用 thinkingLevel，2.5 使用 thinkingBudget)
-    const geminiThinkingConfig = buildThinkingConfig('gemini', model);
+    const geminiThinkingConfig = overrides ? null : buildThinkingConfig('gemini', model);
     if (geminiThinkingConfig) {
         generationConfig.thinkingConfig = geminiThinkingConfig.thinkingConfig;
     }
@@ -428,7 +441,14 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
 
     // 处理 contents：先从 OpenAI 格式过滤消息，再转换为 Gemini 格式
     // 根据模型能力过滤消息（在格式转换前，OpenAI格式）
-    let openaiMessages = state.messages.filter(m => !m.isError);
+    let openaiMessages = overrides ? [...overrides.messages] : state.messages.filter(m => !m.isError);
+
+    // 按上下文管理策略裁剪对话历史（System Prompt 和预填充层不参与裁剪）
+    if (!overrides) {
+        openaiMessages = applyContextWindow(openaiMessages);
+        // 续写被中断的回复（预填充部分回复或追加续写提示）
+        openaiMessages = applyResumeContinuation(openaiMessages, 'gemini');
+    }
 
     const capabilities = getCurrentModelCapabilities();
     if (capabilities) {
@@ -456,15 +476,15 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
 
     // 开场对话插入到对话历史之前（Gemini 的 systemInstruction 是独立参数）
     let finalContents = processedContents;
-    if (state.prefillEnabled) {
+    if (state.prefillEnabled && !overrides) {
         const opening = getOpeningMessages('gemini');
         if (opening.length > 0) {
             finalContents = [...opening, ...processedContents];
         }
     }
 
-    // 预填充消息追加到末尾（用户最新消息之后）
-    if (state.prefillEnabled) {
+    // 预填充消息追加到末尾（用户最新消息之后；续写中断的回复时不追加）
+    if (state.prefillEnabled && !overrides && !state.isResumingStream) {
         const prefill = getPrefillMessages('gemini');
         finalContents = [...finalContents, ...prefill];
     }
@@ -482,8 +502,18 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
     // 添加 System Instruction (独立于预填充开关)
     const systemParts = [];
 
+    // 独立请求：使用调用方指定的 system 与参数，跳过工具等会话级配置
+    if (overrides) {
+        if (overrides.systemPrompt) {
+            requestBody.systemInstruction = { parts: [{ text: overrides.systemPrompt }] };
+        }
+        if (overrides.maxTokens) generationConfig.maxOutputTokens = overrides.maxTokens;
+        if (overrides.temperature !== undefined) generationConfig.temperature = overrides.temperature;
+        if (overrides.stopSequences?.length) generationConfig.stopSequences = overrides.stopSequences;
+    }
+
     // 1. 优先使用 geminiSystemParts（多段系统提示）- 仅在开关启用时
-    if (state.geminiSystemPartsEnabled && state.geminiSystemParts && state.geminiSystemParts.length > 0) {
+    if (!overrides && state.geminiSystemPartsEnabled && state.geminiSystemParts && state.geminiSystemParts.length > 0) {
         state.geminiSystemParts.forEach(part => {
             if (part.text && part.text.trim()) {
                 systemParts.push({ text: processVariables(part.text) });
@@ -492,7 +522,7 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
     }
 
     // 2. 如果没有自定义 parts，但有 systemPrompt，使用单个 part
-    if (systemParts.length === 0 && state.systemPrompt) {
+    if (systemParts.length === 0 && state.systemPrompt && !overrides) {
         systemParts.push({ text: processVariables(state.systemPrompt) });
     }
 
@@ -505,13 +535,13 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
     const tools = [];
 
     // 1. Code Execution 工具（新增）
-    if (state.codeExecutionEnabled) {
+    if (state.codeExecutionEnabled && !overrides) {
         tools.push({ codeExecution: {} });
         console.log('[Gemini] 📊 Code Execution 工具已启用');
     }
 
     // 2. Google Search 工具（保持不变）
-    if (state.webSearchEnabled) {
+    if (state.webSearchEnabled && !overrides) {
         tools.push({ googleSearch: {} });
         tools.push({ urlContext: {} });  // 可选：允许读取 URL 内容
     }
@@ -519,7 +549,7 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
     // 添加工具系统中的工具 (Function Declaration 格式)
     try {
         const { getToolsForAPI } = await import('../tools/manager.js');
-        const systemTools = getToolsForAPI('gemini');
+        const systemTools = overrides ? [] : getToolsForAPI('gemini');
         if (systemTools.length > 0) {
             // Gemini 要求工具包装在 functionDeclarations 数组中
             tools.push({
@@ -560,12 +590,12 @@ export async function sendGeminiRequest(baseEndpoint, apiKey, model, signal = nu
         // 方式1: 通过请求头传递（适用于代理服务器）
         headers['x-goog-api-key'] = apiKey;
         // 流式模式仅添加 alt=sse
-        if (state.streamEnabled) {
+        if (stream) {
             queryParams = 'alt=sse';
         }
     } else {
         // 方式2: 通过 URL 参数传递（标准 Gemini API）
-        queryParams = state.streamEnabled
+        queryParams = stream
             ? `key=${apiKey}&alt=sse`
             : `key=${apiKey}`;
     }
@@ -7,19 +7,21 @@ import { state, elements } from '../core/state.js';
 import { eventBus } from '../core/events.js';
 import { requestStateMachine, RequestState } from '../core/request-state-machine.js';
 import { getSendFunction } from './factory.js';
-import { getCurrentProvider, getActiveApiKey, rotateToNextKey } from '../providers/manager.js';
+import { getCurrentProvider, getActiveApiKey, rotateToNextKey, clearFallbackOverride } from '../providers/manager.js';
 import { parseOpenAIStream } from '../stream/parser-openai.js';
 import { parseClaudeStream } from '../stream/parser-claude.js';
 import { parseGeminiStream } from '../stream/parser-gemini.js';
 import { handleOpenClawStream } from '../stream/parser-openclaw.js';
-import { resetStreamStats, finalizeStreamStats, getCurrentStreamStatsData, appendStreamStats } from '../stream/stats.js';
+import { resetStreamStats, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats, startUsageRound, recordUsage, getStreamUsage } from '../stream/stats.js';
 import { saveErrorMessage, saveAssistantMessage } from '../messages/sync.js';
 import { setCurrentMessageIndex } from '../messages/dom-sync.js';
 import { renderHumanizedError } from '../utils/errors.js';
-import { renderFinalTextWithThinking, renderFinalContentWithThinking } from '../stream/helpers.js';
-import { parseApiResponse } from './response-parser.js';
-import { renderReplyWithSelector } from '../messages/renderer.js';
+import { renderFinalTextWithThinking, renderFinalContentWithThinking, resetStreamPartial, getStreamPartial, setResumePrefix, clearResumePrefix } from '../stream/helpers.js';
+import { parseApiResponse, extractRawUsage } from './response-parser.js';
+import { renderReplyWithSelector, renderInterruptedNotice } from '../messages/renderer.js';
 import { handleMultiStreamResponses } from '../stream/multi-stream.js';
+import { isArenaActive, handleArenaResponses } from '../stream/arena.js';
+import { sendWithFallback } from './fallback.js';
 
 /**
  * 获取当前端点（从提供商获取）
@@ -73,6 +75,11 @@ export function getCurrentApiKey() {
  * @returns {string} 模型名称
  */
 export function getCurrentModel() {
+    // 后备链生效时返回后备模型
+    if (state.fallbackOverride?.model) {
+        return state.fallbackOverride.model;
+    }
+
     // 优先返回下拉列表选中的模型
     if (elements.modelSelect?.value) {
         return elements.modelSelect.value;
@@ -148,6 +155,19 @@ function createAssistantMessagePlaceholder() {
     quoteButton.onclick = () => eventBus.emit('message:quote-requested', { messageEl: messageDiv, role: 'assistant', content: '' });
     actionsDiv.appendChild(quoteButton);
 
+    // 朗读按钮
+    const readAloudButton = document.createElement('button');
+    readAloudButton.className = 'msg-action-btn read-aloud-msg';
+    readAloudButton.innerHTML = `<svg aria-hidden="true" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/>
+        <path d="M15.54 8.46a5 5 0 0 1 0 7.07"/>
+        <path d="M19.07 4.93a10 10 0 0 1 0 14.14"/>
+    </svg>`;
+    readAloudButton.title = '朗读';
+    readAloudButton.setAttribute('aria-label', '朗读消息');
+    readAloudButton.onclick = () => eventBus.emit('message:read-aloud-requested', { messageEl: messageDiv });
+    actionsDiv.appendChild(readAloudButton);
+
     // 删除按钮
     const deleteButton = document.createElement('button');
     deleteButton.className = 'msg-action-btn delete-msg';
@@ -219,7 +239,8 @@ async function handleStreamResponse(response, abortController, sessionId) {
  * @param {string} sessionId - 请求发起时的会话ID
  */
 async function handleNonStreamResponse(response, assistantMessageEl, sessionId) {
-    const replyCount = state.replyCount || 1;
+    // 续写中断的回复时只生成一个回复
+    const replyCount = state.isResumingStream ? 1 : (state.replyCount || 1);
     const allReplies = [];
     const requestErrors = []; // 收集错误信息
 
@@ -254,6 +275,8 @@ async function handleNonStreamResponse(response, assistantMessageEl, sessionId)
                 errorMessage: err.message || 'Unknown error'
             });
         } else {
+            recordUsage(extractRawUsage(data, responseFormat), responseFormat);
+
             const reply = parseApiResponse(data, responseFormat);
             if (reply) {
                 // ⭐ 检测工具调用
@@ -265,6 +288,7 @@ async function handleNonStreamResponse(response, assistantMessageEl, sessionId)
                         textContent: reply.content || '(调用工具)',
                         toolCalls: reply.toolCalls,
                         streamStats: getCurrentStreamStatsData(),
+                        usage: getStreamUsage(),
                         sessionId: sessionId
                     });
 
@@ -334,6 +358,10 @@ async function handleNonStreamResponse(response, assistantMessageEl, sessionId)
                             errorMessage: err.message || 'Unknown error'
                         });
                     } else {
+                        // 每个额外回复都是独立计费的请求，单独记一轮用量
+                        startUsageRound();
+                        recordUsage(extractRawUsage(result.value, responseFormat), responseFormat);
+
                         const reply = parseApiResponse(result.value, responseFormat);
                         if (reply) {
                             allReplies.push(reply);
@@ -380,6 +408,7 @@ async function handleNonStreamResponse(response, assistantMessageEl, sessionId)
                 thoughtSignature: reply0.thoughtSignature,
                 encryptedContent: reply0.encryptedContent,  // 🔐 Responses API 签名
                 streamStats: getCurrentStreamStatsData(),
+                usage: getStreamUsage(),
                 allReplies: allReplies,
                 selectedReplyIndex: 0,
                 geminiParts: reply0.parts,
@@ -456,6 +485,11 @@ async function handleNonStreamResponse(response, assistantMessageEl, sessionId)
  * 发送到 API
  */
 async function sendToAPI() {
+    // 新一轮对话从选中的模型开始（工具调用续写和图片压缩重试沿用本轮的后备模型）
+    if (!state.isToolCallContinuation && !state.isImageCompressionRetry) {
+        clearFallbackOverride();
+    }
+
     const endpoint = getCurrentEndpoint();
     const apiKey = getCurrentApiKey();
     const model = getCurrentModel();
@@ -482,11 +516,18 @@ async function sendToAPI() {
         sessionId
     });
 
-    // 设置请求超时
-    const timeoutId = setTimeout(() => {
-        abortController.abort();
-        console.warn(`请求超时（${state.requestTimeout}ms），已自动取消`);
-    }, state.requestTimeout);
+    // 设置请求超时（自动重试等待期间暂停计时）
+    let timeoutId = null;
+    let timedOut = false;  // 区分超时取消和用户取消
+    const startRequestTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            timedOut = true;
+            abortController.abort();
+            console.warn(`请求超时（${state.requestTimeout}ms），已自动取消`);
+        }, state.requestTimeout);
+    };
+    startRequestTimeout();
 
     // 移除欢迎消息（如果存在）
     const welcomeMessage = elements.messagesArea.querySelector('.welcome-message');
@@ -521,6 +562,35 @@ async function sendToAPI() {
         // 重置continuation标志和引用
         state.isToolCallContinuation = false;
         state.toolCallContinuationElement = null;
+    } else if (state.isResumingStream && state.resumeMessageElement) {
+        // 继续生成被中断的回复 - 复用原消息元素，新内容接在已有内容之后
+        isContinuationMode = true;
+        assistantMessageEl = state.resumeMessageElement;
+        state.currentAssistantMessage = assistantMessageEl.querySelector('.message-content');
+        state.currentAssistantMessage.querySelector('.stream-interrupted')?.remove();
+        console.log('[Handler] 复用被中断的消息元素继续生成');
+
+        const loadingIndicator = document.createElement('div');
+        loadingIndicator.innerHTML = '<span></span><span></span><span></span>';
+
+        if (state.currentAssistantMessage.querySelector('.tool-calls-group')) {
+            // 含工具调用 UI：沿用工具调用 continuation 的追加渲染
+            loadingIndicator.className = 'thinking-dots continuation-loading';
+            state.currentAssistantMessage.dataset.isContinuation = 'true';
+        } else {
+            // 纯文本回复：已有内容作为前缀与新内容一起渲染，续写无缝接在断点处
+            const message = state.messages[parseInt(assistantMessageEl.dataset.messageIndex, 10)];
+            const text = typeof message?.content === 'string'
+                ? message.content
+                : (message?.contentParts || []).filter(p => p.type === 'text').map(p => p.text).join('');
+            loadingIndicator.className = 'thinking-dots';
+            setResumePrefix(text, message?.thinkingContent);
+        }
+        state.currentAssistantMessage.appendChild(loadingIndicator);
+
+        // 续写结果合并到原消息
+        state.isSavingContinuation = true;
+        requestStateMachine.transition(RequestState.CONTINUATION, { assistantMessageEl });
     } else if (state.isImageCompressionRetry && state.imageRetryMessageElement) {
         // 图片压缩重试 - 复用保存的消息元素（无感重试）
         isContinuationMode = true;
@@ -547,23 +617,42 @@ async function sendToAPI() {
     } else {
         console.log('[Handler] Continuation 模式，保留原有统计数据');
     }
+    // 每次请求单独记录一轮用量，continuation 时与之前轮次累加
+    startUsageRound();
+    resetStreamPartial();
 
     try {
+        // 竞技场模式：同一问题发送给多个模型分栏对比
+        if (!isContinuationMode && isArenaActive()) {
+            clearTimeout(timeoutId); // 各模型的流并行接收，不使用单请求超时
+            requestSucceeded = await handleArenaResponses(abortController, assistantMessageEl, sessionId);
+            if (requestSucceeded) {
+                requestStateMachine.transition(RequestState.COMPLETED);
+            } else {
+                requestStateMachine.transition(RequestState.ERROR, { error: new Error('所有对比模型均请求失败') });
+            }
+            return;
+        }
+
         // 流式多回复模式
-        if (state.streamEnabled && state.replyCount > 1) {
+        if (state.streamEnabled && state.replyCount > 1 && !state.isResumingStream) {
             clearTimeout(timeoutId); // 清除单请求超时
             await handleMultiStreamResponses(endpoint, apiKey, model, abortController, assistantMessageEl, sessionId);
             return;
         }
 
         // 单回复模式（流式或非流式）
-        // 使用提供商的原始 apiFormat，而不是切换后的格式
+        // 使用提供商的原始 apiFormat，而不是切换后的格式；主模型不可用时按后备链重试
+        const response = await sendWithFallback(abortController.signal, (retry) => {
+            if (retry) {
+                clearTimeout(timeoutId);
+            } else {
+                startRequestTimeout();
+            }
+            renderRetryCountdown(assistantMessageEl, retry);
+        });
         const provider = getCurrentProvider();
-        const requestFormat = provider?.apiFormat || 'openai';
-        console.log('🔧 [sendToAPI] 使用提供商原始格式:', requestFormat, '(provider:', provider?.name, ')');
-
-        const sendFn = getSendFunction(requestFormat);
-        const response = await sendFn(endpoint, apiKey, model, abortController.signal);
+        console.log('🔧 [sendToAPI] 使用提供商原始格式:', provider?.apiFormat || 'openai', '(provider:', provider?.name, ')');
 
         // 清除超时定时器（请求成功）
         clearTimeout(timeoutId);
@@ -578,6 +667,11 @@ async function sendToAPI() {
                 }
             }
 
+            // 续写失败：交给 catch 保留原有的部分回复
+            if (state.isResumingStream) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
             // 处理错误响应
             try {
                 const errorData = await response.json();
@@ -658,8 +752,26 @@ async function sendToAPI() {
 
         console.error('Error:', error);
 
+        // 流式输出中途断开（网络中断、超时）或续写失败：保留已生成的部分回复
+        const partial = getStreamPartial();
+        const isUserCancel = error.name === 'AbortError' && !timedOut;
+        const isStreamInterrupted = requestStateMachine.getState() === RequestState.STREAMING &&
+            !isUserCancel && !!(partial.textContent || partial.thinkingContent);
+
+        if ((state.isResumingStream || isStreamInterrupted) && sessionId === state.currentSessionId) {
+            handleInterruptedStream(assistantMessageEl, partial, sessionId, {
+                error,
+                timedOut,
+                isUserCancel
+            });
+            if (isUserCancel) {
+                requestStateMachine.cancel();
+            } else {
+                requestStateMachine.transition(RequestState.ERROR, { error });
+            }
+        }
         // 检查是否是取消错误
-        if (error.name === 'AbortError') {
+        else if (error.name === 'AbortError') {
             if (state.currentAssistantMessage) {
                 state.currentAssistantMessage.innerHTML = '<div class="error-message">[!] 请求已取消</div>';
             }
@@ -775,10 +887,86 @@ async function sendToAPI() {
         // 工具调用进行中不重置状态机（等待 continuation 完成）
         if (state.isToolCallPending) {
             console.log('[Handler] 工具调用进行中，保持 loading 状态');
+        } else {
+            // 本轮结束，恢复使用选中的模型
+            clearFallbackOverride();
         }
     }
 }
 
+/**
+ * 流式输出中断时保留部分回复
+ * 渲染并保存已生成的内容（续写时合并到原消息），标记为中断并显示继续生成按钮
+ * @param {HTMLElement} assistantMessageEl - 助手消息元素
+ * @param {{textContent: string, thinkingContent: string}} partial - 本次请求已输出的内容
+ * @param {string} sessionId - 请求发起时的会话ID
+ * @param {Object} reason - { error, timedOut, isUserCancel }
+ */
+function handleInterruptedStream(assistantMessageEl, partial, sessionId, { error, timedOut, isUserCancel }) {
+    const { textContent, thinkingContent } = partial;
+    const hasNewContent = !!(textContent || thinkingContent);
+
+    // 渲染最终内容（续写时与已有内容拼接；没有新内容时恢复原有内容）
+    renderFinalTextWithThinking(textContent, thinkingContent);
+
+    if (hasNewContent) {
+        const messageIndex = saveAssistantMessage({
+            textContent,
+            thinkingContent,
+            streamStats: getPartialStreamStatsData(),
+            usage: getStreamUsage(),
+            sessionId
+        });
+        setCurrentMessageIndex(messageIndex);
+
+        // 三种格式同步标记为中断（续写合并时清除）
+        [state.messages, state.geminiContents, state.claudeContents].forEach(list => {
+            if (list[messageIndex]) list[messageIndex].interrupted = true;
+        });
+        eventBus.emit('messages:changed', { action: 'assistant_updated', index: messageIndex });
+    }
+
+    renderInterruptedNotice(assistantMessageEl);
+
+    let message;
+    if (isUserCancel) {
+        message = hasNewContent ? '请求已取消，已保留部分回复' : '已取消继续生成';
+    } else if (!hasNewContent) {
+        message = `继续生成失败: ${timedOut ? '请求超时' : error.message}`;
+    } else {
+        message = timedOut ? '请求超时，已保留部分回复' : '连接中断，已保留部分回复';
+    }
+    eventBus.emit('ui:notification', { message, type: isUserCancel ? 'info' : 'warning' });
+}
+
+/**
+ * 在助手消息中显示自动重试倒计时
+ * @param {HTMLElement} assistantMessageEl - 助手消息元素
+ * @param {Object|null} retry - { attempt, maxAttempts, reason, remainingMs }，null 表示等待结束
+ */
+function renderRetryCountdown(assistantMessageEl, retry) {
+    const contentDiv = assistantMessageEl?.querySelector('.message-content');
+    if (!contentDiv) return;
+
+    let countdown = contentDiv.querySelector('.retry-countdown');
+    if (!retry) {
+        countdown?.remove();
+        return;
+    }
+
+    if (!countdown) {
+        countdown = document.createElement('div');
+        countdown.className = 'retry-countdown';
+        countdown.innerHTML = '<span class="retry-countdown-text"></span><button type="button" class="retry-countdown-cancel">取消</button>';
+        countdown.querySelector('.retry-countdown-cancel').addEventListener('click', () => cancelCurrentRequest());
+        contentDiv.appendChild(countdown);
+    }
+
+    const seconds = Math.ceil(retry.remainingMs / 1000);
+    countdown.querySelector('.retry-countdown-text').textContent =
+        `请求失败（${retry.reason}），${seconds} 秒后重试（第 ${retry.attempt}/${retry.maxAttempts} 次）`;
+}
+
 /**
  * 取消当前请求
  */
@@ -955,6 +1143,42 @@ export async function resendWithToolResults(toolResultMessages, apiConfig, assis
     }
 }
 
+/**
+ * 继续生成被中断的回复
+ * 复用原消息元素并进入 CONTINUATION 状态：Claude 以部分回复预填充，OpenAI/Gemini 追加续写提示，
+ * 新内容追加到同一条消息
+ * @param {HTMLElement} messageEl - 被中断的助手消息元素
+ */
+async function resumeInterruptedResponse(messageEl) {
+    if (!requestStateMachine.canTransition(RequestState.SENDING)) {
+        eventBus.emit('ui:notification', { message: '请等待当前请求完成', type: 'warning' });
+        return;
+    }
+
+    const index = parseInt(messageEl?.dataset.messageIndex, 10);
+    if (!state.messages[index]?.interrupted) return;
+    if (index !== state.messages.length - 1) {
+        eventBus.emit('ui:notification', { message: '只能继续生成最后一条回复', type: 'warning' });
+        return;
+    }
+    if (getCurrentProvider()?.apiFormat === 'openclaw') {
+        eventBus.emit('ui:notification', { message: 'OpenClaw 网关不支持继续生成', type: 'warning' });
+        return;
+    }
+
+    // 标记续写请求（发送函数据此改写消息，后备链/图片压缩重试期间保持有效）
+    state.isResumingStream = true;
+    state.resumeMessageElement = messageEl;
+
+    try {
+        await sendToAPI();
+    } finally {
+        state.isResumingStream = false;
+        state.resumeMessageElement = null;
+        clearResumePrefix();
+    }
+}
+
 /**
  * 初始化 API 处理器
  */
@@ -969,6 +1193,11 @@ export function initAPIHandler() {
         sendToAPI().catch(err => console.error('[handler] sendToAPI 失败:', err));
     });
 
+    // 监听继续生成被中断回复的请求
+    eventBus.on('message:continue-requested', ({ messageEl }) => {
+        resumeInterruptedResponse(messageEl).catch(err => console.error('[handler] 继续生成失败:', err));
+    });
+
     // 监听取消请求事件
     eventBus.on('api:cancel-requested', () => {
         cancelCurrentRequest();
@@ -8,17 +8,38 @@ import { buildModelParams, buildThinkingConfig, buildVerbosityConfig, getCustomH
 import { getPrefillMessages, getOpeningMessages } from '../utils/prefill.js';
 import { processVariables } from '../utils/variables.js';
 import { filterMessagesByCapabilities } from '../utils/message-filter.js';
+import { applyContextWindow } from './context-window.js';
+import { applyResumeContinuation } from './resume.js';
 import { getCurrentModelCapabilities, getCurrentProvider } from '../providers/manager.js';
 
+// 拒绝 stream_options 字段的端点（部分严格的兼容代理对未知字段返回 400），本次运行内不再发送
+const endpointsWithoutStreamOptions = new Set();
+
+/**
+ * 判断 400 响应是否因为不支持 stream_options 字段（读取克隆的响应体，原响应仍可使用）
+ * @param {Response} response - 响应
+ * @returns {Promise<boolean>}
+ */
+async function isStreamOptionsRejected(response) {
+    if (response.status !== 400) return false;
+    try {
+        return /stream_options|include_usage/i.test(await response.clone().text());
+    } catch {
+        return false;
+    }
+}
+
 /**
  * 发送 OpenAI 格式的请求
  * @param {string} endpoint - API 端点
  * @param {string} apiKey - API 密钥
  * @param {string} model - 模型名称
  * @param {AbortSignal} signal - 取消信号
+ * @param {Object} [overrides] - 独立请求（如 MCP sampling），不读取当前会话：
+ *   { messages, systemPrompt, maxTokens, temperature, stopSequences }，固定非流式、无工具
  * @returns {Promise<Response>} Fetch Response
  */
-export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null) {
+export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null, overrides = null) {
     // 使用提供商的原始格式（OpenAI 或 OpenAI-Responses）
     const provider = getCurrentProvider();
     const format = provider?.apiFormat || 'openai';
@@ -30,7 +51,14 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
     }
 
     // 构建消息数组（过滤掉错误消息，它们不应发送给 API）
-    let messages = state.messages.filter(m => !m.isError);
+    let messages = overrides ? [...overrides.messages] : state.messages.filter(m => !m.isError);
+
+    // 按上下文管理策略裁剪对话历史（System Prompt 和预填充层不参与裁剪）
+    if (!overrides) {
+        messages = applyContextWindow(messages);
+        // 续写被中断的回复（预填充部分回复或追加续写提示）
+        messages = applyResumeContinuation(messages, 'openai');
+    }
 
     // 根据模型能力过滤消息（在格式转换前，OpenAI格式）
     const capabilities = getCurrentModelCapabilities();
@@ -44,7 +72,11 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
     }
 
     // System Prompt 独立于预填充开关（总是生效）
-    if (state.systemPrompt) {
+    if (overrides) {
+        if (overrides.systemPrompt) {
+            messages.unshift({ role: 'system', content: overrides.systemPrompt });
+        }
+    } else if (state.systemPrompt) {
         messages.unshift({
             role: 'system',
             content: processVariables(state.systemPrompt)
@@ -52,7 +84,7 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
     }
 
     // 开场对话插入到 System Prompt 之后、对话历史之前
-    if (state.prefillEnabled) {
+    if (state.prefillEnabled && !overrides) {
         const opening = getOpeningMessages();
         if (opening.length > 0) {
             // 找到 system 消息后的位置插入
@@ -62,15 +94,15 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
         }
     }
 
-    // 预填充消息追加到末尾（用户最新消息之后）
-    if (state.prefillEnabled) {
+    // 预填充消息追加到末尾（用户最新消息之后；续写中断的回复时不追加）
+    if (state.prefillEnabled && !overrides && !state.isResumingStream) {
         const prefill = getPrefillMessages();
         messages.push(...prefill);
     }
 
     const requestBody = {
         model: model,
-        stream: state.streamEnabled,
+        stream: overrides ? false : state.streamEnabled,
     };
 
     // 根据API格式选择消息参数名
@@ -83,7 +115,7 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
 
         // 从消息历史中查找并传递 encrypted_content 签名
         // 类似 Gemini 的 thoughtSignature，需要传递给所有消息
-        const encryptedContent = findEncryptedContentFromMessages(state.messages);
+        const encryptedContent = overrides ? null : findEncryptedContentFromMessages(state.messages);
         if (encryptedContent) {
             // 将签名添加到每个非 system 消息中（Responses API 格式）
             requestBody.input = propagateEncryptedContent(messages, encryptedContent);
@@ -92,11 +124,37 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
     } else {
         // Chat Completions API 使用 messages
         requestBody.messages = messages;
+
+        // 流式模式下请求在末尾返回真实 token 用量（端点不支持时回退，见请求末尾）
+        if (requestBody.stream && !endpointsWithoutStreamOptions.has(apiEndpoint)) {
+            requestBody.stream_options = { include_usage: true };
+        }
     }
 
     // 添加自定义模型参数（两种格式共用 openai 参数）
     Object.assign(requestBody, buildModelParams('openai'));
 
+    // 独立请求：使用调用方指定的参数，跳过思维链/工具等会话级配置
+    if (overrides) {
+        if (overrides.maxTokens) {
+            delete requestBody.max_tokens;
+            requestBody[isResponsesFormat ? 'max_output_tokens' : 'max_tokens'] = overrides.maxTokens;
+        }
+        if (overrides.temperature !== undefined) requestBody.temperature = overrides.temperature;
+        if (overrides.stopSequences?.length && !isResponsesFormat) requestBody.stop = overrides.stopSequences;
+
+        return await fetch(apiEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`,
+                ...getCustomHeadersObject(),
+            },
+            body: JSON.stringify(requestBody),
+            signal
+        });
+    }
+
     // 添加思维链配置（已在 params.js 中根据格式自动选择）
     const thinkingConfig = buildThinkingConfig(format, model);
     if (thinkingConfig) Object.assign(requestBody, thinkingConfig);
@@ -179,7 +237,16 @@ export async function sendOpenAIRequest(endpoint, apiKey, model, signal = null)
         body: JSON.stringify(requestBody),
     };
     if (signal) options.signal = signal;
-    return await fetch(apiEndpoint, options);
+    const response = await fetch(apiEndpoint, options);
+
+    // 端点拒绝 stream_options 时去掉该字段重试一次（该端点不再返回真实用量）
+    if (requestBody.stream_options && await isStreamOptionsRejected(response)) {
+        console.warn('[OpenAI] 端点不支持 stream_options，已去掉该字段重试:', apiEndpoint);
+        endpointsWithoutStreamOptions.add(apiEndpoint);
+        delete requestBody.stream_options;
+        return await fetch(apiEndpoint, { ...options, body: JSON.stringify(requestBody) });
+    }
+    return response;
 }
 
 /**
@@ -9,6 +9,17 @@ import { state } from '../core/state.js';
 import { parseThinkTags } from '../stream/think-tag-parser.js';
 import { isVideoMimeType, isVideoUrl } from '../utils/media.js';
 
+/**
+ * 提取非流式响应中的原始 usage 对象
+ * @param {Object} data - API 响应数据
+ * @param {string} format - API 格式
+ * @returns {Object|null} 原始 usage（交给 normalizeUsage / recordUsage 归一化）
+ */
+export function extractRawUsage(data, format = 'openai') {
+    if (!data || data.error) return null;
+    return (format === 'gemini' ? data.usageMetadata : data.usage) || null;
+}
+
 /**
  * 解析 API 响应数据
  * @param {Object} data - API 响应数据
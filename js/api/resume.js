@@ -0,0 +1,61 @@
+/**
+ * 中断回复续写
+ * 流式响应中途断开（网络中断、请求超时）时保留已生成的部分回复，之后可从断点继续生成：
+ * Claude 将部分回复作为末尾的 assistant 轮次预填充，OpenAI/Gemini 追加一条续写提示，
+ * 新生成的内容无缝拼接到同一条消息中
+ */
+
+import { state } from '../core/state.js';
+
+// 续写提示（OpenAI/Gemini，以及开启思维链时的 Claude）
+const RESUME_PROMPT = '你的上一条回复因连接中断而不完整。请从中断处直接继续输出，不要重复已输出的内容，也不要添加任何说明。';
+
+/**
+ * 获取消息的纯文本内容
+ * @param {Object} message - OpenAI 格式消息
+ * @returns {string}
+ */
+function getMessageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    if (Array.isArray(message.content)) {
+        return message.content.filter(p => p.type === 'text').map(p => p.text || '').join('');
+    }
+    return '';
+}
+
+/**
+ * 拼接中断前的内容和续写内容
+ * 续写以空白开头时去掉原内容末尾的空白（Claude 预填充要求末尾无空白，模型会自行补上）
+ * @param {string} previous - 中断前的内容
+ * @param {string} next - 续写内容
+ * @returns {string}
+ */
+export function joinResumedText(previous, next) {
+    if (!previous) return next || '';
+    if (!next) return previous;
+    return /^\s/.test(next) ? previous.trimEnd() + next : previous + next;
+}
+
+/**
+ * 续写请求：按 API 格式改写待发送的消息
+ * 仅在 state.isResumingStream 时生效，最后一条须为被中断的助手消息
+ * @param {Array} messages - 待发送的 OpenAI 格式消息（已过滤、已裁剪）
+ * @param {string} format - API 格式
+ * @returns {Array} 改写后的消息数组（不修改 state 中的消息）
+ */
+export function applyResumeContinuation(messages, format) {
+    if (!state.isResumingStream) return messages;
+
+    const last = messages[messages.length - 1];
+    if (last?.role !== 'assistant' || !last.interrupted) return messages;
+
+    // Claude：部分回复作为预填充，模型从断点直接续写（思维链模式不支持预填充）
+    const partialText = getMessageText(last).trimEnd();
+    if (format === 'claude' && !state.thinkingEnabled && partialText) {
+        console.log('[Resume] 使用 assistant 预填充续写');
+        return [...messages.slice(0, -1), { role: 'assistant', content: partialText }];
+    }
+
+    console.log('[Resume] 使用续写提示续写');
+    return [...messages, { role: 'user', content: RESUME_PROMPT }];
+}
@@ -0,0 +1,186 @@
+/**
+ * 请求重试
+ * 对限流、服务端错误、过载和网络错误自动重试：指数退避 + 随机抖动，
+ * 优先使用服务端给出的等待时间（Retry-After、各提供商的限流重置头、Gemini RetryInfo）
+ */
+
+import { state } from '../core/state.js';
+import { getCurrentProvider, rotateToNextKey } from '../providers/manager.js';
+import { RETRY_STATUS_CODES, RETRY_MAX_DELAY_MS, RETRY_MAX_WAIT_MS } from '../utils/constants.js';
+
+/**
+ * 解析时长字符串（OpenAI 限流头 "6m0s" / "1.5s" / "20ms"，Gemini RetryInfo "30s"）
+ * @param {string} value - 时长
+ * @returns {number|null} 毫秒
+ */
+function parseDuration(value) {
+    if (!value) return null;
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = 0;
+    let matched = false;
+    for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+        total += parseFloat(amount) * units[unit];
+        matched = true;
+    }
+    return matched ? Math.ceil(total) : null;
+}
+
+/**
+ * 从响应中读取服务端建议的等待时间
+ * @param {Response} response - 失败的响应
+ * @returns {Promise<number|null>} 毫秒，没有建议时返回 null
+ */
+export async function getRetryAfterMs(response) {
+    const headers = response.headers;
+
+    // OpenAI SDK 约定的毫秒级头
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    if (Number.isFinite(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+    // 标准 Retry-After：秒数或 HTTP 日期
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    // Anthropic：ISO 时间戳
+    const resets = ['anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset', 'anthropic-ratelimit-input-tokens-reset', 'anthropic-ratelimit-output-tokens-reset']
+        .map(name => Date.parse(headers.get(name) || ''))
+        .filter(time => !Number.isNaN(time));
+    if (resets.length > 0) {
+        return Math.max(0, Math.max(...resets) - Date.now());
+    }
+
+    // OpenAI：剩余额度为 0 的那一项的重置时长
+    for (const kind of ['requests', 'tokens']) {
+        if (headers.get(`x-ratelimit-remaining-${kind}`) === '0') {
+            const reset = parseDuration(headers.get(`x-ratelimit-reset-${kind}`));
+            if (reset !== null) return reset;
+        }
+    }
+
+    // Gemini：错误体中的 google.rpc.RetryInfo
+    try {
+        const data = await response.clone().json();
+        const details = (Array.isArray(data) ? data[0] : data)?.error?.details || [];
+        const retryInfo = details.find(d => d['@type']?.endsWith('RetryInfo'));
+        const delay = parseDuration(retryInfo?.retryDelay);
+        if (delay !== null) return delay;
+    } catch {
+        // 非 JSON 错误体
+    }
+
+    return null;
+}
+
+/**
+ * 计算指数退避等待时间（带 50% 随机抖动）
+ * @param {number} attempt - 第几次重试（从 0 开始）
+ * @returns {number} 毫秒
+ */
+export function getBackoffDelay(attempt) {
+    const base = state.retryBaseDelayMs * 2 ** attempt;
+    const capped = Math.min(RETRY_MAX_DELAY_MS, base);
+    return Math.round(capped / 2 + Math.random() * capped / 2);
+}
+
+/**
+ * 等待指定时间，期间每秒回调剩余时间；取消时以 AbortError 结束
+ * @param {number} delayMs - 等待时间
+ * @param {AbortSignal} signal - 取消信号
+ * @param {Function} onTick - (remainingMs) => void
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delayMs, signal, onTick) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => {
+            const error = new Error('请求已取消');
+            error.name = 'AbortError';
+            return error;
+        };
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        const endsAt = Date.now() + delayMs;
+        const tick = setInterval(() => onTick?.(Math.max(0, endsAt - Date.now())), 1000);
+        const timer = setTimeout(() => {
+            cleanup();
+            resolve();
+        }, delayMs);
+
+        const onAbort = () => {
+            cleanup();
+            reject(abortError());
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            clearInterval(tick);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        signal?.addEventListener('abort', onAbort);
+    });
+}
+
+/**
+ * 发送请求，遇到可重试的错误时自动重试
+ * @param {Function} send - () => Promise<Response>，每次重试都重新调用（会读取轮询后的密钥）
+ * @param {AbortSignal} signal - 取消信号
+ * @param {Function} [onRetry] - 等待期间每秒回调 ({ attempt, maxAttempts, reason, remainingMs })，等待结束（或取消）时以 null 回调
+ * @returns {Promise<Response>} 成功的响应，或不可重试/重试次数用尽时的最后一个响应
+ */
+export async function sendWithRetry(send, signal, onRetry = null) {
+    const maxAttempts = Math.max(0, state.retryMaxAttempts || 0);
+
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let reason;
+        try {
+            response = await send();
+        } catch (error) {
+            if (error.name === 'AbortError' || attempt >= maxAttempts) throw error;
+            reason = error.message || '网络错误';
+        }
+
+        let delayMs;
+        if (response) {
+            if (response.ok || !RETRY_STATUS_CODES.includes(response.status) || attempt >= maxAttempts) {
+                return response;
+            }
+
+            const retryAfter = await getRetryAfterMs(response);
+            // 服务端要求等待太久（如每日配额耗尽），不再重试
+            if (retryAfter !== null && retryAfter > RETRY_MAX_WAIT_MS) {
+                console.warn(`[Retry] 服务端要求等待 ${Math.round(retryAfter / 1000)} 秒，超过上限，不再重试`);
+                return response;
+            }
+
+            delayMs = retryAfter ?? getBackoffDelay(attempt);
+            reason = `HTTP ${response.status}`;
+            response.body?.cancel().catch(() => {});
+
+            // 限流时轮询到下一个密钥（多密钥提供商）
+            const provider = getCurrentProvider();
+            if (response.status === 429 && provider) {
+                rotateToNextKey(provider.id);
+            }
+        } else {
+            delayMs = getBackoffDelay(attempt);
+        }
+
+        console.warn(`[Retry] ${reason}，${(delayMs / 1000).toFixed(1)} 秒后第 ${attempt + 1}/${maxAttempts} 次重试`);
+        const info = { attempt: attempt + 1, maxAttempts, reason };
+        onRetry?.({ ...info, remainingMs: delayMs });
+        try {
+            await waitForRetry(delayMs, signal, (remainingMs) => onRetry?.({ ...info, remainingMs }));
+        } finally {
+            onRetry?.(null);
+        }
+    }
+}
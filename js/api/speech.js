@@ -0,0 +1,47 @@
+/**
+ * 语音合成请求
+ * 调用 OpenAI 兼容的 /audio/speech 接口（OpenAI TTS、本地 Kokoro / openedai-speech 服务等）
+ */
+
+import { getActiveApiKey, getSpeechEndpoint, DEFAULT_SPEECH_MODEL, DEFAULT_SPEECH_VOICE } from '../providers/manager.js';
+import { getCustomHeadersObject } from './params.js';
+
+/**
+ * 将文本合成为语音
+ * @param {Object} provider - 已启用语音合成的提供商
+ * @param {string} text - 要朗读的文本
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise<Blob>} 音频数据（mp3）
+ */
+export async function synthesizeSpeech(provider, text, signal = null) {
+    const config = provider.speech || {};
+    const endpoint = getSpeechEndpoint(provider);
+
+    const headers = {
+        'Content-Type': 'application/json',
+        ...getCustomHeadersObject()
+    };
+    const apiKey = getActiveApiKey(provider.id);
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: config.model || DEFAULT_SPEECH_MODEL,
+            voice: config.voice || DEFAULT_SPEECH_VOICE,
+            input: text,
+            response_format: 'mp3'
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`语音合成失败 (HTTP ${response.status})${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+
+    return await response.blob();
+}
@@ -0,0 +1,51 @@
+/**
+ * 语音转写请求
+ * 调用 OpenAI 兼容的 /audio/transcriptions 接口（OpenAI Whisper、本地 faster-whisper / whisper.cpp 服务等）
+ */
+
+import { getActiveApiKey, getTranscriptionEndpoint, DEFAULT_TRANSCRIPTION_MODEL } from '../providers/manager.js';
+import { getCustomHeadersObject } from './params.js';
+
+/**
+ * 将音频转写为文字
+ * @param {Object} provider - 已启用语音转写的提供商
+ * @param {Blob} audio - 音频数据
+ * @param {string} fileName - 上传的文件名（服务端依据扩展名识别格式）
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise<string>} 转写文本
+ */
+export async function transcribeAudio(provider, audio, fileName = 'recording.wav', signal = null) {
+    const config = provider.transcription || {};
+    const endpoint = getTranscriptionEndpoint(provider);
+
+    const body = new FormData();
+    body.append('file', audio, fileName);
+    body.append('model', config.model || DEFAULT_TRANSCRIPTION_MODEL);
+    body.append('response_format', 'json');
+    if (config.language) {
+        body.append('language', config.language);
+    }
+
+    // 不设置 Content-Type，由浏览器生成 multipart boundary
+    const headers = getCustomHeadersObject();
+    const apiKey = getActiveApiKey(provider.id);
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    console.log(`[Transcription] 请求 ${endpoint} (${config.model || DEFAULT_TRANSCRIPTION_MODEL}, ${(audio.size / 1024).toFixed(1)} KB)`);
+
+    const response = await fetch(endpoint, { method: 'POST', headers, body, signal });
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`语音转写失败 (HTTP ${response.status})${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json')) {
+        const data = await response.json();
+        return (data.text || '').trim();
+    }
+    // 部分本地服务忽略 response_format，直接返回纯文本
+    return (await response.text()).trim();
+}
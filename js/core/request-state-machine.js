@@ -15,7 +15,7 @@ export const RequestState = {
     SENDING: 'sending',             // 正在发送用户消息
     STREAMING: 'streaming',         // 正在接收流式响应
     TOOL_CALLING: 'tool_calling',   // 正在执行工具调用
-    CONTINUATION: 'continuation',   // 工具调用后的续写
+    CONTINUATION: 'continuation',   // 续写（工具调用后 / 中断的回复）
     COMPLETED: 'completed',         // 请求完成（临时状态，会立即转回 IDLE）
     ERROR: 'error',                 // 请求错误（临时状态，会立即转回 IDLE）
     CANCELLED: 'cancelled'          // 请求取消（临时状态，会立即转回 IDLE）
@@ -31,6 +31,7 @@ const VALID_TRANSITIONS = {
     ],
     [RequestState.SENDING]: [
         RequestState.STREAMING,
+        RequestState.CONTINUATION,
         RequestState.ERROR,
         RequestState.CANCELLED,
         RequestState.COMPLETED
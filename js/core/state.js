@@ -97,6 +97,10 @@ export const state = {
     // messageId -> 数组索引，用于快速查找和防止删除错位
     messageIdMap: new Map(), // Map<messageId, number>
 
+    // 会话分支（编辑/重试时保留的其他时间线），结构见 messages/branches.js
+    messageBranches: {}, // { [forkKey]: { active, branches } }
+    contextSummary: null, // 较早轮次的摘要: { text, keepFromId, updatedAt }
+
     // 会话脏标记（消息变更追踪，避免无变更时冗余保存）
     sessionDirty: false,
 
@@ -105,6 +109,8 @@ export const state = {
     currentAssistantMessage: null,
     currentAbortController: null, // 🛑 用于取消当前请求
     requestTimeout: 300000, // 请求超时时间（毫秒），默认 5 分钟
+    retryMaxAttempts: 3, // 临时错误（429/5xx/网络错误）的最大自动重试次数，0 为不重试
+    retryBaseDelayMs: 1000, // 指数退避的初始等待时间（毫秒）
 
     // 图片处理
     imageBuffers: new Map(), // 存储正在接收的图片分块数据
@@ -115,6 +121,12 @@ export const state = {
     imageSize: '2K', // '2K' | '4K'
     fastImageCompression: false, // 高速压缩模式（512px 超级压缩）
     pdfMode: 'standard', // PDF 处理模式: 'standard' | 'compat' | 'render'
+    voiceInputMode: 'auto', // 语音输入模式: 'auto' | 'transcribe' | 'audio'
+    ttsEngine: 'browser', // 朗读引擎: 'browser'（SpeechSynthesis）| 'provider'（/audio/speech）
+    ttsVoice: '', // 浏览器朗读语音 voiceURI（空为系统默认）
+    ttsAutoRead: false, // 流式输出时逐句自动朗读
+    contextStrategy: 'off', // 上下文管理: 'off' | 'drop-oldest' | 'sliding-window' | 'summarize'
+    contextWindowTurns: 10, // 滑动窗口保留的轮数
 
     // 消息编辑
     lastUserMessage: null,
@@ -146,6 +158,11 @@ export const state = {
     providers: [],                    // 提供商列表
     currentProviderId: null,          // 当前使用的提供商 ID
     selectedModel: '',                // 当前选中的模型ID（从下拉列表）
+    fallbackChain: [],                // 后备链: [{ providerId, model }]，主模型不可用时依次尝试
+    fallbackOverride: null,           // 当前请求使用的后备模型: { providerId, model, from }（不持久化）
+    arenaEnabled: false,              // 竞技场模式：同一问题并行发给多个模型对比
+    arenaModels: [],                  // 竞技场参赛模型: [{ providerId, model }]，2-4 个
+    arenaTally: {},                   // 竞技场胜负统计: { 'providerId/model': { wins, losses, label } }
 
     // 模型参数
     modelParams: {
@@ -201,7 +218,13 @@ export const state = {
     bashConfig: {
         workingDirectory: '',  // 默认工作目录（空表示应用根目录）
         timeout: 30,           // 超时时间（秒）
-        requireConfirmation: false  // 是否需要用户确认
+        requireConfirmation: false,  // 未匹配任何规则的命令是否需要用户确认
+        allowPatterns: [],     // 直接允许的命令模式（通配符或 /正则/）
+        denyPatterns: [],      // 直接拒绝的命令模式
+        askPatterns: ['rm', 'rm *', 'sudo *', 'git push*', '/(curl|wget)\\b.*\\|\\s*(sudo\\s+)?(ba|z)?sh\\b/']  // 总是询问的命令模式
+    },
+    textEditorConfig: {
+        allowedRoots: []       // 文本编辑器允许访问的根目录（空表示仅 Bash 工作目录）
     },
 
     // 工具调用兜底
@@ -215,6 +238,9 @@ export const state = {
     // 会话管理
     sessions: [],
     currentSessionId: null,
+    sessionFolders: [],          // 会话文件夹 [{ id, name, parentId, collapsed, createdAt }]
+    sessionTags: [],             // 会话标签定义 [{ name, color }]
+    sessionTagFilter: [],        // 侧边栏当前选中的标签筛选
     isSwitchingSession: false, // 🔒 防止会话切换竞态条件
     backgroundTasks: new Map(),
 
@@ -243,7 +269,8 @@ export const state = {
         firstTokenTime: 0,
         endTime: 0,
         tokenCount: 0,
-        isFirstToken: true
+        isFirstToken: true,
+        usageRounds: []     // 每轮请求的 API 真实用量（continuation 会追加新轮次）
     },
 
     // 预填充消息（在用户最新输入之后插入）
@@ -147,6 +147,7 @@ import './messages/renderer.js';
 import './messages/editor.js';
 import './messages/restore.js';
 import { initReplySelector } from './messages/reply-selector.js';
+import { initBranches } from './messages/branches.js';
 
 // ========== API Layer ==========
 import './api/params.js';
@@ -171,6 +172,9 @@ import './tools/message-compat.js';
 
 // ========== UI Layer (Critical — 首屏交互必需) ==========
 import { initInputHandlers } from './ui/input.js';
+import { initVoiceInput } from './ui/voice-input.js';
+import { initReadAloud } from './ui/read-aloud.js';
+import { initContextMeter } from './ui/context-meter.js';
 import { initSidebar } from './ui/sidebar.js';
 import { initScrollControl } from './ui/scroll.js';
 import { initClearChat } from './ui/clear.js';
@@ -179,6 +183,7 @@ import { initInputResize, initPanelResize } from './ui/resize.js';
 import { initModels } from './ui/models.js';
 import { initFormatSwitcher } from './ui/format-switcher.js';
 import { initQuickToggles, exposeToggleFunctions } from './ui/quick-toggles.js';
+import { initArenaPanel } from './ui/arena-panel.js';
 import { initPasswordToggles, initRippleEffects } from './ui/enhancements.js';
 import { initMobileOverflowMenu } from './ui/mobile-overflow-menu.js';
 
@@ -296,6 +301,14 @@ async function init() {
             }
         }
 
+        // 3.4.1. 解锁凭据库（加载配置前完成，以便回填 API 密钥）
+        try {
+            const { unlockVaultOnStartup } = await import('./ui/credential-vault.js');
+            await unlockVaultOnStartup();
+        } catch (error) {
+            console.error('凭据库解锁失败:', error);
+        }
+
         // 3.5. 迁移检查与配置加载并行（迁移已完成时省去串行等待）
         if (state.storageMode !== 'localStorage') {
             const [migrationStatus] = await Promise.all([
@@ -386,6 +399,7 @@ async function init() {
         console.log('🌐 Step 6/9: Initializing API handler...');
         initAPIHandler();
         initReplySelector();
+        initBranches();
 
         // 5. UI 层（同步，绑定事件）
         // ⭐ Step 7.5/9: 初始化工具系统
@@ -409,10 +423,14 @@ async function init() {
         initPasswordToggles();
         initRippleEffects();
         initInputHandlers();
+        initVoiceInput();
+        initReadAloud();
+        initContextMeter();
         initClearChat();
         initModels();
         initFormatSwitcher();
         initQuickToggles();
+        initArenaPanel();
         exposeToggleFunctions();
         initSidebar();
         initScrollControl();
@@ -439,7 +457,9 @@ async function init() {
                 { initToolsQuickSelector },
                 { initUpdateModal },
                 { initExportImport },
-                { initProvidersUI }
+                { initProvidersUI },
+                { initCostDashboard },
+                { initCredentialVaultSettings }
             ] = await Promise.all([
                 import('./ui/settings.js'),
                 import('./ui/viewer.js'),
@@ -453,7 +473,9 @@ async function init() {
                 import('./ui/tools-quick-selector.js'),
                 import('./update/update-modal.js'),
                 import('./state/export-import.js'),
-                import('./providers/ui.js')
+                import('./providers/ui.js'),
+                import('./ui/cost-dashboard.js'),
+                import('./ui/credential-vault.js')
             ]);
 
             initSettings();
@@ -474,6 +496,8 @@ async function init() {
             initToolsQuickSelector();
             initUpdateModal();
             initExportImport();
+            initCostDashboard();
+            initCredentialVaultSettings();
 
             // MCP 增强
             import('./ui/tool-manager-mcp-enhancements.js').then(({ initToolManagerMCPEnhancements }) => {
@@ -482,6 +506,9 @@ async function init() {
             import('./ui/tools-quick-selector-enhancements.js').then(({ initQuickSelectorEnhancements }) => {
                 initQuickSelectorEnhancements();
             });
+            import('./ui/mcp-resource-picker.js').then(({ initMCPResourcePicker }) => {
+                initMCPResourcePicker();
+            });
 
             // OpenClaw 模块（审批、屏幕截图、定时任务）
             import('./ui/openclaw-approval.js').then(({ initOpenClawApproval }) => {
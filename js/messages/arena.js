@@ -0,0 +1,208 @@
+/**
+ * 竞技场消息
+ * 以分栏形式展示多个模型对同一问题的回复，用户选出最佳回复后
+ * 将其设为历史中的正式回复，并记录各模型的胜负统计
+ */
+
+import { state, elements } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { saveCurrentConfig } from '../state/config.js';
+import { safeMarkedParse } from '../utils/markdown.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { renderHumanizedError } from '../utils/errors.js';
+import { renderThinkingBlock, renderReplyWithSelector, enhanceCodeBlocks, enhanceThinkingBlocks } from './renderer.js';
+import { selectReply } from './reply-selector.js';
+import { renderStreamStatsFromData } from '../stream/stats.js';
+
+/**
+ * 获取竞技场统计的模型键
+ * @param {{providerId: string, model: string}} target - 提供商/模型
+ * @returns {string}
+ */
+export function getArenaKey(target) {
+    return `${target.providerId}/${target.model}`;
+}
+
+/**
+ * 获取回复的模型显示名称
+ * @param {Object} reply - 竞技场回复
+ * @returns {string}
+ */
+function getReplyLabel(reply) {
+    return [reply.modelName, reply.providerName].filter(Boolean).join(' | ') || reply.model || '未知模型';
+}
+
+/**
+ * 在消息内容区创建分栏
+ * @param {HTMLElement} contentDiv - 消息内容容器
+ * @param {Array<Object>} replies - 各栏的回复（至少包含 modelName/providerName）
+ * @returns {Array<HTMLElement>} 各栏元素
+ */
+export function renderArenaGrid(contentDiv, replies) {
+    contentDiv.innerHTML = `
+        <div class="arena-grid" style="--arena-columns: ${replies.length}">
+            ${replies.map((reply, index) => `
+                <div class="arena-column" data-reply-index="${index}">
+                    <div class="arena-column-header">
+                        <span class="arena-column-model" title="${escapeHtml(getReplyLabel(reply))}">${escapeHtml(getReplyLabel(reply))}</span>
+                        <span class="arena-column-status"></span>
+                    </div>
+                    <div class="arena-column-body"></div>
+                    <div class="arena-column-footer">
+                        <div class="arena-column-stats"></div>
+                        <button type="button" class="btn btn-secondary arena-pick-btn" disabled>选为最佳</button>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    return Array.from(contentDiv.querySelectorAll('.arena-column'));
+}
+
+/**
+ * 更新单栏内容
+ * @param {HTMLElement} columnEl - 栏元素
+ * @param {Object} reply - 回复 { content, thinkingContent, isError, errorType, errorMessage, streamStats }
+ * @param {boolean} [streaming=false] - 是否仍在生成
+ */
+export function updateArenaColumn(columnEl, reply, streaming = false) {
+    const body = columnEl.querySelector('.arena-column-body');
+    const status = columnEl.querySelector('.arena-column-status');
+
+    if (reply.isError) {
+        body.innerHTML = renderHumanizedError({
+            error: { type: reply.errorType || 'unknown', message: reply.errorMessage || 'Unknown error' }
+        }, reply.httpStatus || null, false);
+        status.textContent = '失败';
+        columnEl.classList.add('error');
+        return;
+    }
+
+    let html = '';
+    if (reply.thinkingContent) {
+        html += renderThinkingBlock(reply.thinkingContent, streaming);
+    }
+    if (reply.content) {
+        html += safeMarkedParse(reply.content);
+    }
+    if (streaming) {
+        html += '<span class="typing-cursor"></span>';
+    }
+    body.innerHTML = html;
+    status.textContent = streaming ? '生成中...' : '';
+
+    if (!streaming) {
+        enhanceThinkingBlocks(body);
+        enhanceCodeBlocks(body);
+        if (reply.streamStats) {
+            columnEl.querySelector('.arena-column-stats').innerHTML = renderStreamStatsFromData(reply.streamStats);
+        }
+    }
+}
+
+/**
+ * 启用各栏的"选为最佳"按钮
+ * @param {HTMLElement} messageEl - 消息元素
+ */
+export function enableArenaPicking(messageEl) {
+    messageEl.querySelectorAll('.arena-column').forEach(columnEl => {
+        const btn = columnEl.querySelector('.arena-pick-btn');
+        if (columnEl.classList.contains('error')) return;
+
+        btn.disabled = false;
+        btn.addEventListener('click', () => {
+            const messageIndex = parseInt(messageEl.dataset.messageIndex, 10);
+            pickArenaWinner(messageIndex, parseInt(columnEl.dataset.replyIndex, 10));
+        });
+    });
+}
+
+/**
+ * 恢复未决出胜者的竞技场消息（会话加载时）
+ * @param {HTMLElement} messageEl - 消息元素
+ * @param {Object} msg - OpenAI 格式消息
+ */
+export function restoreArenaMessage(messageEl, msg) {
+    const contentDiv = messageEl.querySelector('.message-content');
+    if (!contentDiv) return;
+
+    messageEl.querySelector('.reply-selector')?.remove();
+    messageEl.querySelector('.stream-stats')?.remove();
+
+    const columns = renderArenaGrid(contentDiv, msg.allReplies);
+    columns.forEach((columnEl, index) => updateArenaColumn(columnEl, msg.allReplies[index]));
+    enableArenaPicking(messageEl);
+}
+
+/**
+ * 判断消息是否为等待选出胜者的竞技场消息
+ * @param {Object} msg - OpenAI 格式消息
+ * @returns {boolean}
+ */
+export function isPendingArenaMessage(msg) {
+    return !!msg?.arena && msg.arena.winner === null && Array.isArray(msg.allReplies);
+}
+
+/**
+ * 选出竞技场胜者：设为正式回复，并更新胜负统计
+ * @param {number} messageIndex - 消息索引
+ * @param {number} replyIndex - 胜出回复的索引
+ */
+export function pickArenaWinner(messageIndex, replyIndex) {
+    const msg = state.messages[messageIndex];
+    if (!isPendingArenaMessage(msg)) return;
+
+    const winner = msg.allReplies[replyIndex];
+    if (!winner || winner.isError) return;
+
+    // 胜出回复成为正式回复（同步三种格式的内容）
+    selectReply(replyIndex, messageIndex);
+
+    // 模型标签和统计改为胜出模型
+    const metadata = {
+        modelName: winner.modelName,
+        providerName: winner.providerName,
+        streamStats: winner.streamStats
+    };
+    [state.messages, state.geminiContents, state.claudeContents].forEach(list => {
+        if (list[messageIndex]) Object.assign(list[messageIndex], metadata);
+    });
+    msg.arena = { winner: replyIndex };
+
+    // 胜负统计：胜者 +1 胜，其余成功回复的模型 +1 负
+    msg.allReplies.forEach((reply, index) => {
+        if (reply.isError || !reply.providerId) return;
+        const key = getArenaKey(reply);
+        const entry = state.arenaTally[key] || { wins: 0, losses: 0 };
+        entry.label = getReplyLabel(reply);
+        if (index === replyIndex) {
+            entry.wins++;
+        } else {
+            entry.losses++;
+        }
+        state.arenaTally[key] = entry;
+    });
+    saveCurrentConfig();
+
+    // 以普通多回复消息的形式展示胜出回复
+    const messageEl = elements.messagesArea.querySelector(`.message[data-message-index="${messageIndex}"]`);
+    if (messageEl) {
+        renderReplyWithSelector(msg.allReplies, replyIndex, messageEl);
+
+        const badge = messageEl.querySelector('.message-model-badge');
+        if (badge) {
+            badge.textContent = getReplyLabel(winner);
+            badge.title = `模型: ${winner.modelName || '未知'}\n提供商: ${winner.providerName || '未知'}\n竞技场胜出`;
+        }
+
+        const wrapper = messageEl.querySelector('.message-content-wrapper');
+        wrapper?.querySelector('.stream-stats')?.remove();
+        if (wrapper && winner.streamStats) {
+            wrapper.insertAdjacentHTML('beforeend', renderStreamStatsFromData(winner.streamStats));
+        }
+    }
+
+    eventBus.emit('messages:changed', { action: 'assistant_updated', index: messageIndex });
+    eventBus.emit('arena:tally-updated', { tally: state.arenaTally });
+    eventBus.emit('ui:notification', { message: `已选择 ${getReplyLabel(winner)} 的回复`, type: 'success' });
+}
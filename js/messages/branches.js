@@ -0,0 +1,247 @@
+/**
+ * 会话分支模块（消息树）
+ * 编辑或重试时在分叉点保留原有的后续消息，形成可切换的分支，而不是直接丢弃
+ *
+ * 数据结构（state.messageBranches，随会话一起持久化）:
+ * {
+ *   [forkKey]: {           // 分叉点前一条消息的 ID（在第一条消息处分叉时为 ROOT_FORK_KEY）
+ *     active: 1,           // 当前显示的分支索引
+ *     branches: [          // 每个分支从分叉点开始的后续消息（三种格式同步保存）
+ *       { messages: [...], geminiContents: [...], claudeContents: [...] },
+ *       null               // 当前分支为 null，内容就是 state 中三种格式数组的后缀
+ *     ]
+ *   }
+ * }
+ *
+ * 非当前分支内部的分叉点仍保留在表中（前一条消息 ID 唯一），切回该分支后自动生效
+ */
+
+import { state, elements } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { rebuildMessageIdMap } from '../core/state-mutations.js';
+import { generateMessageId } from '../utils/helpers.js';
+
+export const ROOT_FORK_KEY = '__root__';
+
+/**
+ * 初始化分支模块（监听消息变更以刷新分支切换器）
+ */
+export function initBranches() {
+    eventBus.on('messages:changed', ({ action } = {}) => {
+        if (action === 'branch_switched') return; // 切换分支会整体重新渲染
+        // 等待 DOM 索引同步完成
+        setTimeout(refreshBranchSwitchers, 0);
+    });
+}
+
+/**
+ * 确保指定索引的消息有 ID（三种格式同步）
+ * @param {number} index - 消息索引
+ * @returns {string} 消息 ID
+ */
+function ensureMessageId(index) {
+    const openaiMsg = state.messages[index];
+    const geminiMsg = state.geminiContents[index];
+    const claudeMsg = state.claudeContents[index];
+
+    const id = openaiMsg?.id || geminiMsg?.id || claudeMsg?.id || generateMessageId();
+    if (openaiMsg) openaiMsg.id = id;
+    if (geminiMsg) geminiMsg.id = id;
+    if (claudeMsg) claudeMsg.id = id;
+    state.messageIdMap?.set(id, index);
+
+    return id;
+}
+
+/**
+ * 获取从指定索引开始的分叉点键（不创建 ID）
+ */
+function getForkKey(index) {
+    if (index === 0) return ROOT_FORK_KEY;
+    return state.messages[index - 1]?.id || state.geminiContents[index - 1]?.id || null;
+}
+
+/**
+ * 根据分叉点键计算分叉位置（分支第一条消息的索引）
+ * @returns {number} 索引，-1 表示分叉点不在当前分支上
+ */
+function getForkIndex(forkKey) {
+    if (forkKey === ROOT_FORK_KEY) return 0;
+
+    let parentIndex = state.messageIdMap?.get(forkKey);
+    if (parentIndex === undefined || state.messages[parentIndex]?.id !== forkKey) {
+        parentIndex = state.messages.findIndex(m => m.id === forkKey);
+    }
+    return parentIndex === -1 ? -1 : parentIndex + 1;
+}
+
+/**
+ * 截取当前三种格式数组从指定索引开始的后缀
+ */
+function sliceSuffix(index) {
+    return {
+        messages: state.messages.slice(index),
+        geminiContents: state.geminiContents.slice(index),
+        claudeContents: state.claudeContents.slice(index)
+    };
+}
+
+/**
+ * 在指定索引处创建新分支
+ * 当前从该索引开始的后续消息被保存为旧分支，之后由调用方替换/移除当前数组中的消息
+ * @param {number} index - 分叉位置（被编辑的用户消息或被重试的助手消息索引）
+ */
+export function forkBranchAt(index) {
+    if (index < 0 || index >= state.messages.length) return;
+
+    const forkKey = index === 0 ? ROOT_FORK_KEY : ensureMessageId(index - 1);
+
+    let fork = state.messageBranches[forkKey];
+    if (!fork) {
+        fork = { active: 0, branches: [null] };
+        state.messageBranches[forkKey] = fork;
+    }
+
+    fork.branches[fork.active] = sliceSuffix(index);
+    fork.branches.push(null);
+    fork.active = fork.branches.length - 1;
+
+    state.sessionDirty = true;
+    console.log(`[Branches] 在索引 ${index} 处创建分支 ${fork.active + 1}/${fork.branches.length}`);
+}
+
+/**
+ * 切换到指定分支
+ * @param {string} forkKey - 分叉点键
+ * @param {number} branchIndex - 目标分支索引
+ * @returns {boolean} 是否切换成功
+ */
+export function switchBranch(forkKey, branchIndex) {
+    if (state.isLoading) {
+        eventBus.emit('ui:notification', { message: '请等待回复完成后再切换分支', type: 'warning' });
+        return false;
+    }
+    if (state.editingIndex !== null) {
+        eventBus.emit('ui:notification', { message: '请先完成或取消编辑', type: 'warning' });
+        return false;
+    }
+
+    const fork = state.messageBranches[forkKey];
+    if (!fork || branchIndex === fork.active || !fork.branches[branchIndex]) return false;
+
+    const forkIndex = getForkIndex(forkKey);
+    if (forkIndex === -1) {
+        console.warn(`[Branches] 分叉点 ${forkKey} 不在当前分支上`);
+        return false;
+    }
+
+    // 保存当前分支，载入目标分支（三种格式同步替换）
+    const target = fork.branches[branchIndex];
+    fork.branches[fork.active] = sliceSuffix(forkIndex);
+    fork.branches[branchIndex] = null;
+    fork.active = branchIndex;
+
+    state.messages = [...state.messages.slice(0, forkIndex), ...(target.messages || [])];
+    state.geminiContents = [...state.geminiContents.slice(0, forkIndex), ...(target.geminiContents || [])];
+    state.claudeContents = [...state.claudeContents.slice(0, forkIndex), ...(target.claudeContents || [])];
+
+    rebuildMessageIdMap();
+    state.sessionDirty = true;
+    state.currentAssistantMessage = null;
+    state.currentReplies = [];
+    state.selectedReplyIndex = 0;
+
+    eventBus.emit('messages:changed', { action: 'branch_switched', index: forkIndex });
+
+    import('./restore.js').then(({ renderSessionMessages }) => {
+        renderSessionMessages();
+        // renderSessionMessages 会滚动到底部，之后再定位到分叉的消息
+        setTimeout(() => {
+            const forkEl = elements.messagesArea.querySelector(`.message[data-message-index="${forkIndex}"]`);
+            forkEl?.scrollIntoView({ block: 'center', behavior: 'instant' });
+        }, 100);
+    });
+
+    return true;
+}
+
+/**
+ * 获取应显示在指定消息上的分支信息
+ * @param {number} index - 消息索引
+ * @returns {{forkKey: string, active: number, total: number}|null}
+ */
+function getBranchInfo(index) {
+    const candidates = [getForkKey(index)];
+    // 当前分支为空（例如重试被取消）时，切换器显示在分叉点前一条消息上
+    if (index === state.messages.length - 1) {
+        candidates.push(state.messages[index]?.id);
+    }
+
+    for (const forkKey of candidates) {
+        const fork = forkKey && state.messageBranches[forkKey];
+        if (fork && fork.branches.length > 1) {
+            return { forkKey, active: fork.active, total: fork.branches.length };
+        }
+    }
+    return null;
+}
+
+/**
+ * 在消息元素上渲染分支切换器（< 2/3 >）
+ * @param {HTMLElement} messageEl - 消息元素
+ * @param {number} index - 消息索引
+ */
+export function renderBranchSwitcher(messageEl, index) {
+    messageEl.querySelector('.branch-switcher')?.remove();
+
+    const info = getBranchInfo(index);
+    if (!info) return;
+
+    const wrapper = messageEl.querySelector('.message-content-wrapper');
+    if (!wrapper) return;
+
+    const switcher = document.createElement('div');
+    switcher.className = 'branch-switcher';
+    switcher.setAttribute('role', 'group');
+    switcher.setAttribute('aria-label', '分支切换');
+
+    const prevBtn = document.createElement('button');
+    prevBtn.className = 'branch-switch-btn';
+    prevBtn.textContent = '‹';
+    prevBtn.title = '上一个分支';
+    prevBtn.setAttribute('aria-label', '上一个分支');
+    prevBtn.disabled = info.active === 0;
+    prevBtn.onclick = () => switchBranch(info.forkKey, info.active - 1);
+
+    const label = document.createElement('span');
+    label.className = 'branch-switch-label';
+    label.textContent = `${info.active + 1}/${info.total}`;
+
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'branch-switch-btn';
+    nextBtn.textContent = '›';
+    nextBtn.title = '下一个分支';
+    nextBtn.setAttribute('aria-label', '下一个分支');
+    nextBtn.disabled = info.active === info.total - 1;
+    nextBtn.onclick = () => switchBranch(info.forkKey, info.active + 1);
+
+    switcher.append(prevBtn, label, nextBtn);
+    wrapper.insertBefore(switcher, wrapper.querySelector('.message-actions'));
+}
+
+/**
+ * 刷新当前 DOM 中所有消息的分支切换器
+ */
+export function refreshBranchSwitchers() {
+    if (!elements.messagesArea) return;
+
+    const hasBranches = Object.keys(state.messageBranches).length > 0;
+    elements.messagesArea.querySelectorAll('.message').forEach(messageEl => {
+        const index = parseInt(messageEl.dataset.messageIndex, 10);
+        if (!hasBranches || Number.isNaN(index)) {
+            messageEl.querySelector('.branch-switcher')?.remove();
+            return;
+        }
+        renderBranchSwitcher(messageEl, index);
+    });
+}
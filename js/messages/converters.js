@@ -6,10 +6,13 @@
  * 支持的附件类型：
  * - 图片: image/jpeg, image/png, image/gif, image/webp
  * - PDF: application/pdf
+ * - 音频: audio/wav, audio/mpeg 等（语音输入录音）
  * - 文本: text/plain
+ * - 文档: DOCX / XLSX / CSV / JSON / 源代码（客户端提取为带名称的 <document> 文本块）
  */
 
 import { categorizeFile } from '../utils/file-helpers.js';
+import { getAudioFormat } from '../utils/audio.js';
 import { state } from '../core/state.js';
 
 /**
@@ -22,6 +25,77 @@ export function getFileCategory(mimeType) {
     return categorizeFile(mimeType);
 }
 
+/**
+ * 转义 document 标签属性值
+ */
+function escapeDocumentAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 将提取的文档文本包裹为带名称的 document 块
+ * @param {string} text - 文档文本
+ * @param {Object} meta - 文档信息
+ * @param {string} meta.name - 文件名
+ * @param {string} meta.kind - 文档类型（docx/xlsx/csv/json/code）
+ * @returns {string} <document name="..." type="...">...</document>
+ */
+export function wrapDocument(text, { name, kind }) {
+    return `<document name="${escapeDocumentAttr(name)}" type="${escapeDocumentAttr(kind)}">\n${text}\n</document>`;
+}
+
+/**
+ * 解析带名称的 document 块（wrapDocument 的逆操作，用于恢复附件）
+ * @param {string} text - 文本
+ * @returns {{name: string, kind: string}|null} 不是 document 块时返回 null
+ */
+export function parseDocumentBlock(text) {
+    if (typeof text !== 'string') return null;
+    const match = text.match(/^<document name="([^"]*)" type="([^"]*)">\n[\s\S]*\n<\/document>$/);
+    if (!match) return null;
+
+    const decodeAttr = value => value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    return { name: decodeAttr(match[1]), kind: decodeAttr(match[2]) };
+}
+
+/**
+ * 将带名称的 document 块恢复为文本附件（用于会话恢复和编辑消息）
+ * @param {string} text - 文本
+ * @returns {Object|null} 附件对象，不是文档块时返回 null
+ */
+export function documentBlockToAttachment(text) {
+    const doc = parseDocumentBlock(text);
+    if (!doc) return null;
+    return {
+        name: doc.name,
+        type: 'text/plain',
+        category: 'text',
+        documentKind: doc.kind,
+        data: text,
+    };
+}
+
+/**
+ * 将 Gemini text/plain inlineData 中的 document 块恢复为文本附件
+ * @param {string} base64Data - base64 数据
+ * @returns {Object|null} 附件对象，不是文档块时返回 null
+ */
+export function inlineDataToDocumentAttachment(base64Data) {
+    try {
+        return documentBlockToAttachment(decodeURIComponent(escape(atob(base64Data))));
+    } catch {
+        // 非 UTF-8 文本，按普通 TXT 处理
+        return null;
+    }
+}
+
+/**
+ * 纯文本附件转换为 document 块（已包裹的文档保持原样）
+ */
+function toDocumentText(text) {
+    return parseDocumentBlock(text) ? text : `<document>\n${text}\n</document>`;
+}
+
 /**
  * 转换为 OpenAI 格式消息
  * @param {string} role - 角色 ('user' | 'assistant' | 'model')
@@ -52,6 +126,12 @@ export function toOpenAIMessage(role, content, attachments = null) {
                 } else if (category === 'video') {
                     // 视频使用 video_url 格式
                     parts.push({ type: 'video_url', video_url: { url: att } });
+                } else if (category === 'audio') {
+                    // 音频使用 input_audio 格式（OpenAI 仅接受 wav/mp3）
+                    parts.push({
+                        type: 'input_audio',
+                        input_audio: { data: base64Data, format: getAudioFormat(mimeType) }
+                    });
                 } else if (category === 'pdf') {
                     // PDF 处理策略
                     if (state.pdfMode === 'compat') {
@@ -86,7 +166,7 @@ export function toOpenAIMessage(role, content, attachments = null) {
                 // 新格式：纯文本内容（不是 Data URL）
                 parts.push({
                     type: 'text',
-                    text: `<document>\n${att}\n</document>`
+                    text: toDocumentText(att)
                 });
             } else {
                 // 兼容旧格式（纯 URL）
@@ -123,8 +203,8 @@ export function toGeminiMessage(role, content, attachments = null) {
                 const base64Data = match[2];
                 const category = getFileCategory(mimeType);
 
-                if (category === 'image' || category === 'video' || category === 'pdf') {
-                    // 图片、视频和 PDF 都使用 inlineData 格式
+                if (category === 'image' || category === 'video' || category === 'audio' || category === 'pdf') {
+                    // 图片、视频、音频和 PDF 都使用 inlineData 格式
                     parts.push({
                         inlineData: {
                             mimeType: mimeType,
@@ -141,7 +221,7 @@ export function toGeminiMessage(role, content, attachments = null) {
                     });
                 }
             } else if (typeof att === 'string' && !att.startsWith('http')) {
-                // 新格式：纯文本内容，需要编码为 base64
+                // 新格式：纯文本内容（含提取的文档块），需要编码为 base64
                 const base64 = btoa(unescape(encodeURIComponent(att)));
                 parts.push({
                     inlineData: {
@@ -192,6 +272,12 @@ export function toClaudeMessage(role, content, attachments = null) {
                         type: 'text',
                         text: '[视频内容已跳过 - Claude API 不支持视频输入]'
                     });
+                } else if (category === 'audio') {
+                    // Claude 不支持音频，添加文本说明
+                    parts.push({
+                        type: 'text',
+                        text: '[音频内容已跳过 - Claude API 不支持音频输入]'
+                    });
                 } else if (category === 'pdf') {
                     // PDF 使用 document 类型
                     parts.push({
@@ -218,7 +304,7 @@ export function toClaudeMessage(role, content, attachments = null) {
                 // 新格式：纯文本内容（不是 Data URL）
                 parts.push({
                     type: 'text',
-                    text: `<document>\n${att}\n</document>`
+                    text: toDocumentText(att)
                 });
             }
         });
@@ -262,6 +348,7 @@ function getAttachmentMarker(part) {
 
     if (part.type === 'image_url' || part.type === 'image') return '[图片]';
     if (part.type === 'video_url') return '[视频]';
+    if (part.type === 'input_audio') return '[音频]';
     if (part.type === 'document' || part.type === 'file') return '[文档]';
 
     const inlineData = part.inlineData || part.inline_data;
@@ -270,6 +357,7 @@ function getAttachmentMarker(part) {
         const category = categorizeFile(mimeType);
         if (category === 'image') return '[图片]';
         if (category === 'video') return '[视频]';
+        if (category === 'audio') return '[音频]';
         if (category === 'pdf' || category === 'text') return '[文档]';
         return '[附件]';
     }
@@ -14,6 +14,8 @@ import { canEditMessage, safeDeleteMessage } from '../tools/message-compat.js';
 import { clearThoughtSignatures, hasThoughtSignatures } from '../api/format-converter.js';  // thoughtSignature 清理
 import { categorizeFile } from '../utils/file-helpers.js';
 import { enhanceCodeBlocks } from './renderer.js';
+import { forkBranchAt } from './branches.js';
+import { documentBlockToAttachment, inlineDataToDocumentAttachment } from './converters.js';
 
 /**
  * 自动调整文本框高度（通用函数）
@@ -601,6 +603,11 @@ export async function handleRetry(messageEl) {
     const allAssistantMsgs = elements.messagesArea.querySelectorAll('.message.assistant');
     const lastAssistantMsg = allAssistantMsgs.length > 0 ? allAssistantMsgs[allAssistantMsgs.length - 1] : null;
 
+    // 保留原回复为旧分支
+    if (state.messages.length > 0 && state.messages[state.messages.length - 1].role === 'assistant') {
+        forkBranchAt(state.messages.length - 1);
+    }
+
     // 移除所有格式的最后一条助手消息
     if (state.messages.length > 0 && state.messages[state.messages.length - 1].role === 'assistant') {
         state.messages.pop();
@@ -662,6 +669,7 @@ function resolveMessageIndex(messageEl) {
 function getAttachmentDisplayName(mimeType) {
     const category = categorizeFile(mimeType);
     if (category === 'image') return '已上传图片';
+    if (category === 'audio') return '已上传音频';
     if (category === 'pdf') return '已上传PDF';
     if (mimeType === 'text/markdown') return '已上传MD';
     if (category === 'text') return '已上传TXT';
@@ -677,7 +685,11 @@ function parseUserContent(content) {
 
     if (Array.isArray(content)) {
         content.forEach(part => {
-            if (part.type === 'text') {
+            const documentAttachment = part.type === 'text' && documentBlockToAttachment(part.text);
+            if (documentAttachment) {
+                // 提取的文档（DOCX/XLSX 等）恢复为附件，避免文档内容进入输入框
+                attachments.push(documentAttachment);
+            } else if (part.type === 'text') {
                 text += (text ? '\n' : '') + (part.text || '');
             } else if (part.type === 'image_url' && part.image_url?.url) {
                 // 图片（OpenAI 格式）
@@ -704,6 +716,15 @@ function parseUserContent(content) {
                     category: 'pdf',
                     data: part.file.file_data,
                 });
+            } else if (part.type === 'input_audio' && part.input_audio?.data) {
+                // 音频（OpenAI 格式，语音输入）
+                const mimeType = `audio/${part.input_audio.format || 'wav'}`;
+                attachments.push({
+                    name: '已上传音频',
+                    type: mimeType,
+                    category: 'audio',
+                    data: `data:${mimeType};base64,${part.input_audio.data}`,
+                });
             } else if (part.type === 'document' && part.source?.data) {
                 // PDF（Claude 格式）
                 const mimeType = part.source.media_type || 'application/pdf';
@@ -739,6 +760,12 @@ function parseGeminiUserContent(parts) {
                 const data = inlineData.data;
                 const category = categorizeFile(mimeType);
 
+                const documentAttachment = category === 'text' && inlineDataToDocumentAttachment(data);
+                if (documentAttachment) {
+                    attachments.push(documentAttachment);
+                    return;
+                }
+
                 attachments.push({
                     name: getAttachmentDisplayName(mimeType),
                     type: mimeType,
@@ -38,9 +38,10 @@ export function addMessage(role, content, images = null) {
  * @param {string} messageId - 可选的唯一消息ID
  * @param {string} modelName - 可选的模型名称
  * @param {string} providerName - 可选的提供商名称
+ * @param {string} fallbackFrom - 可选，后备链生效时原本选中的模型
  * @returns {HTMLElement} 消息元素
  */
-export function createMessageElement(role, content, images = null, messageId = null, modelName = null, _providerName = null) {
+export function createMessageElement(role, content, images = null, messageId = null, modelName = null, _providerName = null, fallbackFrom = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}`;
 
@@ -72,6 +73,11 @@ export function createMessageElement(role, content, images = null, messageId = n
         const badgeText = [modelName + badgesText, _providerName].filter(Boolean).join(' | ');
         modelBadge.textContent = badgeText;
         modelBadge.title = `模型: ${modelName || '未知'}\n提供商: ${_providerName || '未知'}`;
+        if (fallbackFrom) {
+            modelBadge.classList.add('fallback');
+            modelBadge.textContent = `↪ ${badgeText}`;
+            modelBadge.title += `\n后备自: ${fallbackFrom}`;
+        }
 
         contentWrapper.appendChild(modelBadge);
     }
@@ -86,7 +92,7 @@ export function createMessageElement(role, content, images = null, messageId = n
         contentDiv.textContent = content;
     }
 
-    // 添加附件（用户消息）- 支持图片、PDF、TXT
+    // 添加附件（用户消息）- 支持图片、音频、PDF、TXT
     if (images && images.length > 0) {
         const attachmentsContainer = document.createElement('div');
         attachmentsContainer.className = 'message-images';
@@ -112,6 +118,9 @@ export function createMessageElement(role, content, images = null, messageId = n
                 requestIdleCallback(() => {
                     lazyImageManager.observe(imgEl);
                 }, { timeout: 500 });
+            } else if (category === 'audio') {
+                // 音频（语音输入录音）：使用内联播放器
+                attachmentsContainer.insertAdjacentHTML('beforeend', renderAudioMedia(file.data, file.type, '语音输入'));
             } else if (category === 'pdf') {
                 // PDF：显示文件图标
                 const fileEl = document.createElement('div');
@@ -196,6 +205,23 @@ export function createMessageElement(role, content, images = null, messageId = n
     };
     actionsDiv.appendChild(quoteButton);
 
+    // 朗读按钮（仅助手消息，通过事件解耦）
+    if (role === 'assistant') {
+        const readAloudButton = document.createElement('button');
+        readAloudButton.className = 'msg-action-btn read-aloud-msg';
+        readAloudButton.innerHTML = `<svg aria-hidden="true" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/>
+            <path d="M15.54 8.46a5 5 0 0 1 0 7.07"/>
+            <path d="M19.07 4.93a10 10 0 0 1 0 14.14"/>
+        </svg>`;
+        readAloudButton.title = '朗读';
+        readAloudButton.setAttribute('aria-label', '朗读消息');
+        readAloudButton.onclick = () => {
+            eventBus.emit('message:read-aloud-requested', { messageEl: messageDiv });
+        };
+        actionsDiv.appendChild(readAloudButton);
+    }
+
     // 删除按钮（通过事件解耦）
     const deleteButton = document.createElement('button');
     deleteButton.className = 'msg-action-btn delete-msg';
@@ -257,7 +283,7 @@ export function renderReplyWithSelector(replies, selectedIndex, assistantMessage
             const tab = document.createElement('button');
             tab.className = `reply-tab${index === selectedIndex ? ' active' : ''}`;
             tab.textContent = index + 1;
-            tab.title = `回复 ${index + 1}`;
+            tab.title = reply.modelName ? `回复 ${index + 1}：${reply.modelName}` : `回复 ${index + 1}`;
             tab.onclick = () => {
                 eventBus.emit('reply:select-requested', { index, messageIndex: msgIdx });
             };
@@ -404,14 +430,15 @@ function renderVideoMedia(url, mimeType = '') {
  * 渲染音频媒体块
  * @param {string} url - 音频 URL
  * @param {string} mimeType - MIME 类型（可选）
+ * @param {string} title - 播放器提示文字（可选）
  * @returns {string}
  */
-function renderAudioMedia(url, mimeType = '') {
+function renderAudioMedia(url, mimeType = '', title = 'AI 生成音频') {
     const encodedUrl = encodeInlineUrl(url);
     const ext = getMediaExtension(url, mimeType, 'mp3');
 
     return `<div class="audio-wrapper">
-        <audio src="${url}" controls preload="metadata" title="AI 生成音频"></audio>
+        <audio src="${url}" controls preload="metadata" title="${title}"></audio>
         <button type="button" class="download-image-btn" onclick="event.stopPropagation();downloadMedia(decodeURIComponent('${encodedUrl}'), 'audio-${Date.now()}.${ext}')" title="下载音频">
             ${renderDownloadIcon()}
         </button>
@@ -632,6 +659,26 @@ export function renderSearchGrounding(groundingMetadata) {
     `;
 }
 
+/**
+ * 在助手消息末尾显示"回复中断"提示和继续生成按钮
+ * @param {HTMLElement} messageEl - 助手消息元素
+ */
+export function renderInterruptedNotice(messageEl) {
+    const contentDiv = messageEl?.querySelector('.message-content');
+    if (!contentDiv || contentDiv.querySelector('.stream-interrupted')) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'stream-interrupted';
+    notice.innerHTML = `
+        <span class="stream-interrupted-text">回复因连接中断而不完整</span>
+        <button type="button" class="stream-interrupted-continue">继续生成</button>
+    `;
+    notice.querySelector('.stream-interrupted-continue').addEventListener('click', () => {
+        eventBus.emit('message:continue-requested', { messageEl });
+    });
+    contentDiv.appendChild(notice);
+}
+
 /**
  * 滚动到底部
  */
@@ -4,7 +4,7 @@
  */
 
 import { state, elements } from '../core/state.js';
-import { createMessageElement, renderThinkingBlock, renderReplyWithSelector, enhanceCodeBlocks, renderContentParts, bindImageClickEvents, clearThinkingCache } from './renderer.js';
+import { createMessageElement, renderThinkingBlock, renderReplyWithSelector, enhanceCodeBlocks, renderContentParts, bindImageClickEvents, clearThinkingCache, renderInterruptedNotice } from './renderer.js';
 import { safeMarkedParse } from '../utils/markdown.js';
 import { renderStreamStatsFromData } from '../stream/stats.js';
 import { generateMessageId } from '../utils/helpers.js';
@@ -14,6 +14,9 @@ import { renderHumanizedError } from '../utils/errors.js';
 import { restoreToolCallsGroup } from '../ui/tool-display.js';  // 工具UI恢复
 import { categorizeFile } from '../utils/file-helpers.js';
 import { lazyImageManager } from '../utils/lazy-image.js';
+import { refreshBranchSwitchers } from './branches.js';
+import { documentBlockToAttachment, inlineDataToDocumentAttachment } from './converters.js';
+import { isPendingArenaMessage, restoreArenaMessage } from './arena.js';
 
 /**
  * 解析 Gemini 用户消息内容
@@ -35,9 +38,17 @@ function parseGeminiUserContent(parts) {
                 const data = inlineData.data;
                 const category = categorizeFile(mimeType);
 
+                // 提取的文档（DOCX/XLSX 等）带有原文件名
+                const documentAttachment = category === 'text' && inlineDataToDocumentAttachment(data);
+                if (documentAttachment) {
+                    attachments.push(documentAttachment);
+                    return;
+                }
+
                 // 根据类型生成名称
                 let name = '已上传文件';
                 if (category === 'image') name = '已上传图片';
+                else if (category === 'audio') name = '已上传音频';
                 else if (category === 'pdf') name = '已上传PDF';
                 else if (category === 'text') name = mimeType === 'text/markdown' ? '已上传MD' : '已上传TXT';
 
@@ -66,7 +77,11 @@ function parseUserContent(content) {
 
     if (Array.isArray(content)) {
         content.forEach(part => {
-            if (part.type === 'text') {
+            const documentAttachment = part.type === 'text' && documentBlockToAttachment(part.text);
+            if (documentAttachment) {
+                // 提取的文档（DOCX/XLSX 等）恢复为附件
+                attachments.push(documentAttachment);
+            } else if (part.type === 'text') {
                 text += (text ? '\n' : '') + (part.text || '');
             } else if (part.type === 'image_url' && part.image_url?.url) {
                 // 图片（OpenAI 格式）
@@ -93,6 +108,15 @@ function parseUserContent(content) {
                     category: 'pdf',
                     data: part.file.file_data,
                 });
+            } else if (part.type === 'input_audio' && part.input_audio?.data) {
+                // 音频（OpenAI 格式，语音输入）
+                const mimeType = `audio/${part.input_audio.format || 'wav'}`;
+                attachments.push({
+                    name: '已上传音频',
+                    type: mimeType,
+                    category: 'audio',
+                    data: `data:${mimeType};base64,${part.input_audio.data}`,
+                });
             } else if (part.type === 'document' && part.source?.data) {
                 // PDF（Claude 格式）
                 const mimeType = part.source.media_type || 'application/pdf';
@@ -104,7 +128,7 @@ function parseUserContent(content) {
                 });
             }
             // 注意：TXT/MD 文件在 OpenAI/Claude 格式中会被解码为文本内容
-            // 无法从纯文本中恢复为附件形式
+            // 无法从纯文本中恢复为附件形式（带名称的文档块除外）
         });
     } else if (typeof content === 'string') {
         text = content;
@@ -182,7 +206,7 @@ export function renderSessionMessages() {
                 idsGenerated = true;
             }
 
-            const messageEl = createMessageElement(role, text, images.length > 0 ? images : null, msg.id, openaiMsg?.modelName, openaiMsg?.providerName);
+            const messageEl = createMessageElement(role, text, images.length > 0 ? images : null, msg.id, openaiMsg?.modelName, openaiMsg?.providerName, openaiMsg?.fallbackFrom);
             messageEl.dataset.messageIndex = index;
 
             // 添加到 Fragment 而非直接 appendChild（减少 reflow）
@@ -229,7 +253,7 @@ export function renderSessionMessages() {
                 idsGenerated = true;
             }
 
-            const messageEl = createMessageElement(msg.role, text, images.length > 0 ? images : null, msg.id, msg.modelName, msg.providerName);
+            const messageEl = createMessageElement(msg.role, text, images.length > 0 ? images : null, msg.id, msg.modelName, msg.providerName, msg.fallbackFrom);
             messageEl.dataset.messageIndex = index;
 
             // 添加到 Fragment 而非直接 appendChild（减少 reflow）
@@ -269,6 +293,9 @@ export function renderSessionMessages() {
     // 一次性插入所有消息（只触发一次 reflow）
     elements.messagesArea.appendChild(fragment);
 
+    // 分支切换器（编辑/重试产生的其他时间线）
+    refreshBranchSwitchers();
+
     // Render assistant enhancements immediately on restore.
     for (let idx = 0; idx < enhancementQueue.length; idx++) {
         const { messageEl, msg, openaiMsg } = enhancementQueue[idx];
@@ -435,12 +462,14 @@ function enhanceAssistantMessage(_messageEl, msg, openaiMsg) {
     if (statsData) {
         const wrapper = _messageEl.querySelector('.message-content-wrapper');
         if (wrapper) {
-            wrapper.insertAdjacentHTML('beforeend', renderStreamStatsFromData(statsData));
+            wrapper.insertAdjacentHTML('beforeend', renderStreamStatsFromData(statsData, msg.usage || openaiMsg?.usage, msg.cost ?? openaiMsg?.cost));
         }
     }
 
-    // 恢复多回复选择器
-    if (openaiMsg?.allReplies && openaiMsg.allReplies.length > 1) {
+    // 恢复多回复选择器（尚未选出胜者的竞技场消息恢复为分栏）
+    if (isPendingArenaMessage(openaiMsg)) {
+        restoreArenaMessage(_messageEl, openaiMsg);
+    } else if (openaiMsg?.allReplies && openaiMsg.allReplies.length > 1) {
         const selectedIndex = openaiMsg.selectedReplyIndex || 0;
         renderReplyWithSelector(openaiMsg.allReplies, selectedIndex, _messageEl);
     } else {
@@ -452,4 +481,9 @@ function enhanceAssistantMessage(_messageEl, msg, openaiMsg) {
     if (openaiMsg?.toolCalls && openaiMsg.toolCalls.length > 0) {
         restoreToolCallsUI(openaiMsg.toolCalls, _messageEl);
     }
+
+    // 流式输出中断的部分回复：显示继续生成按钮
+    if (openaiMsg?.interrupted) {
+        renderInterruptedNotice(_messageEl);
+    }
 }
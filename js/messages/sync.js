@@ -9,8 +9,11 @@ import { eventBus } from '../core/events.js';
 import { toOpenAIMessage, toGeminiMessage, toClaudeMessage } from './converters.js';
 import { generateMessageId } from '../utils/helpers.js';
 import { pushMessage, rebuildMessageIdMap } from '../core/state-mutations.js';
-import { getCurrentProvider, getModelDisplayName } from '../providers/manager.js';
+import { getCurrentProvider, getModelDisplayName, getActiveModelId } from '../providers/manager.js';
 import { isVideoMimeType } from '../utils/media.js';
+import { sumUsage } from '../stream/stats.js';
+import { calculateMessageCost, trackMessageCost } from '../state/cost-tracker.js';
+import { joinResumedText } from '../api/resume.js';
 
 /**
  * 简单的字符串 hash 函数（用于图片去重）
@@ -84,6 +87,7 @@ export function saveAssistantMessage(options) {
         thoughtSignature = null,
         groundingMetadata = null,
         streamStats = null,
+        usage = null,        // API 返回的真实 token 用量（归一化后）
         allReplies = null,
         selectedReplyIndex = 0,
         contentParts = [],
@@ -99,9 +103,11 @@ export function saveAssistantMessage(options) {
 
     // 🏷️ 记录当前使用的模型和提供商信息
     const provider = getCurrentProvider();
-    const modelId = state.selectedModel || '';
+    const modelId = getActiveModelId();
     const modelName = getModelDisplayName(modelId, provider); // 使用友好显示名称而不是模型 ID
     const providerName = provider?.name || 'Unknown';
+    const fallbackFrom = state.fallbackOverride?.from || null; // 后备链生效时记录原模型
+    const cost = calculateMessageCost(usage, modelId, provider);
 
     // 媒体去重：移除重复的图片/视频 URL（修复工具返回重复媒体问题）
     // 在构建消息之前进行去重，确保所有格式的消息都不包含重复媒体
@@ -130,7 +136,7 @@ export function saveAssistantMessage(options) {
     // 1. 构建 OpenAI 格式（使用去重后的contentParts）
     const openaiMsg = buildOpenAIAssistantMessage({
         messageId, textContent, contentParts: finalContentParts, hasMedia, thinkingContent, thinkingSignature,
-        thoughtSignature, streamStats, allReplies, selectedReplyIndex, modelName, providerName,
+        thoughtSignature, streamStats, usage, cost, allReplies, selectedReplyIndex, modelName, providerName, fallbackFrom,
         toolCalls,  // 传递工具调用信息
         encryptedContent
     });
@@ -138,7 +144,7 @@ export function saveAssistantMessage(options) {
     // 2. 构建 Gemini 格式（使用去重后的contentParts）
     const geminiMsg = buildGeminiAssistantMessage({
         messageId, textContent, contentParts: finalContentParts, hasMedia, thoughtSignature,
-        streamStats, allReplies, selectedReplyIndex, geminiParts, modelName, providerName,
+        streamStats, usage, cost, allReplies, selectedReplyIndex, geminiParts, modelName, providerName, fallbackFrom,
         toolCalls,
         encryptedContent
     });
@@ -146,7 +152,7 @@ export function saveAssistantMessage(options) {
     // 3. 构建 Claude 格式（使用去重后的contentParts）
     const claudeMsg = buildClaudeAssistantMessage({
         messageId, textContent, contentParts: finalContentParts, hasMedia, thinkingContent, thinkingSignature,
-        streamStats, allReplies, selectedReplyIndex, modelName, providerName,
+        streamStats, usage, cost, allReplies, selectedReplyIndex, modelName, providerName, fallbackFrom,
         toolCalls,
         encryptedContent
     });
@@ -162,6 +168,7 @@ export function saveAssistantMessage(options) {
             targetSession.geminiContents.push(geminiMsg);
             targetSession.claudeContents.push(claudeMsg);
             targetSession.updatedAt = Date.now();
+            trackMessageCost({ messageId, sessionId, provider, modelId, modelName, usage, cost });
 
             // 保存到数据库
             Promise.all([
@@ -285,9 +292,13 @@ export function saveAssistantMessage(options) {
             const prevText = typeof prevOpenai.content === 'string'
                 ? prevOpenai.content
                 : (prevOpenai.content?.find(p => p.type === 'text')?.text || '');
+            // 续写被中断的回复：新内容紧接在断点之后，不另起段落
+            const isResumed = !!prevOpenai.interrupted;
             const mergedText = prevText === '(调用工具)'
                 ? textContent
-                : [prevText, textContent].filter(Boolean).join('\n\n');
+                : isResumed
+                    ? joinResumedText(prevText, textContent)
+                    : [prevText, textContent].filter(Boolean).join('\n\n');
 
             // 合并 contentParts，正确处理占位符和空 contentParts
             const prevContentParts = prevOpenai.contentParts || [];
@@ -306,6 +317,14 @@ export function saveAssistantMessage(options) {
                     mergedContentParts = prevContentParts
                         .filter(p => !(p.type === 'text' && p.text === '(调用工具)'))
                         .concat(contentParts);
+                } else if (isResumed && prevContentParts.at(-1)?.type === 'text' && contentParts[0]?.type === 'text') {
+                    // 续写模式：断点处的两段文本合并为一段
+                    const [first, ...rest] = contentParts;
+                    mergedContentParts = [
+                        ...prevContentParts.slice(0, -1),
+                        { ...prevContentParts.at(-1), text: joinResumedText(prevContentParts.at(-1).text, first.text) },
+                        ...rest
+                    ];
                 } else {
                     // 追加模式：正常追加新内容
                     mergedContentParts = [...prevContentParts, ...contentParts];
@@ -316,8 +335,14 @@ export function saveAssistantMessage(options) {
                 if (textContent && textContent !== '(调用工具)') {
                     mergedContentParts = prevContentParts
                         .filter(p => !(p.type === 'text' && p.text === '(调用工具)'));
-                    // 添加新的文本内容
-                    mergedContentParts.push({ type: 'text', text: textContent });
+                    if (isResumed && mergedContentParts.at(-1)?.type === 'text') {
+                        // 续写模式：接在断点处的文本之后
+                        const last = mergedContentParts.pop();
+                        mergedContentParts.push({ ...last, text: joinResumedText(last.text, textContent) });
+                    } else {
+                        // 添加新的文本内容
+                        mergedContentParts.push({ type: 'text', text: textContent });
+                    }
                 } else {
                     // 保留原有的非占位符内容
                     mergedContentParts = prevContentParts.filter(p =>
@@ -481,7 +506,15 @@ export function saveAssistantMessage(options) {
             }
             // 如果 toolCalls 为 null/undefined，不做任何处理，保留原有的 toolCalls（如果有的话）
 
+            // 续写完成，清除中断标记（续写再次中断时由调用方重新标记）
+            if (isResumed) {
+                delete prevOpenai.interrupted;
+                if (prevGemini) delete prevGemini.interrupted;
+                if (prevClaude) delete prevClaude.interrupted;
+            }
+
             // 更新 streamStats（优先使用最终统计，避免 continuation 时重复累加 token）
+            let statsWereReset = false;
             if (streamStats) {
                 const prevStats = prevOpenai.streamStats;
                 let finalStats = streamStats;
@@ -493,6 +526,7 @@ export function saveAssistantMessage(options) {
 
                     if (currentTokens < prevTokens) {
                         // 少见：如果 continuation 开始时重置了统计，则 tokens 是增量，需要进行聚合
+                        statsWereReset = true;
                         const totalTokens = prevTokens + currentTokens;
                         const ttft = (prevStats.ttft && prevStats.ttft !== '-') ? prevStats.ttft : streamStats.ttft;
 
@@ -532,6 +566,26 @@ export function saveAssistantMessage(options) {
                 if (prevClaude) prevClaude.streamStats = finalStats;
             }
 
+            // 更新真实用量（统计未重置时 usage 已是所有轮次的累计值，直接覆盖；重置过则累加）
+            if (usage) {
+                const finalUsage = statsWereReset ? sumUsage(prevOpenai.usage, usage) : usage;
+                prevOpenai.usage = finalUsage;
+                if (prevGemini) prevGemini.usage = finalUsage;
+                if (prevClaude) prevClaude.usage = finalUsage;
+
+                // 按合并后的用量重新计算费用，并覆盖该消息的用量记录
+                const finalCost = calculateMessageCost(finalUsage, modelId, provider);
+                if (typeof finalCost === 'number') {
+                    prevOpenai.cost = finalCost;
+                    if (prevGemini) prevGemini.cost = finalCost;
+                    if (prevClaude) prevClaude.cost = finalCost;
+                }
+                trackMessageCost({
+                    messageId: prevOpenai.id, sessionId: state.currentSessionId,
+                    provider, modelId, modelName, usage: finalUsage, cost: finalCost
+                });
+            }
+
             // 发出更新事件
             eventBus.emit('messages:changed', {
                 action: 'assistant_updated',
@@ -544,6 +598,7 @@ export function saveAssistantMessage(options) {
 
     // 使用安全的状态更新函数
     pushMessage(openaiMsg, geminiMsg, claudeMsg);
+    trackMessageCost({ messageId, sessionId: state.currentSessionId, provider, modelId, modelName, usage, cost });
 
     const messageIndex = state.messages.length - 1;
 
@@ -564,6 +619,11 @@ export function saveAssistantMessage(options) {
                         const badgeText = [modelName, providerName].filter(Boolean).join(' | ');
                         modelBadge.textContent = badgeText;
                         modelBadge.title = `模型: ${modelName || '未知'}\n提供商: ${providerName || '未知'}`;
+                        if (fallbackFrom) {
+                            modelBadge.classList.add('fallback');
+                            modelBadge.textContent = `↪ ${badgeText}`;
+                            modelBadge.title += `\n后备自: ${fallbackFrom}`;
+                        }
 
                         // 插入到 contentWrapper 的最前面
                         contentWrapper.insertBefore(modelBadge, contentWrapper.firstChild);
@@ -598,6 +658,7 @@ export function saveAssistantMessageToSession(session, options) {
         thoughtSignature = null,
         groundingMetadata = null,
         streamStats = null,
+        usage = null,        // API 返回的真实 token 用量（归一化后）
         allReplies = null,
         selectedReplyIndex = 0,
         contentParts = [],
@@ -610,9 +671,11 @@ export function saveAssistantMessageToSession(session, options) {
 
     // 🏷️ 记录当前使用的模型和提供商信息
     const provider = getCurrentProvider();
-    const modelId = state.selectedModel || '';
+    const modelId = getActiveModelId();
     const modelName = getModelDisplayName(modelId, provider); // 使用友好显示名称而不是模型 ID
     const providerName = provider?.name || 'Unknown';
+    const fallbackFrom = state.fallbackOverride?.from || null; // 后备链生效时记录原模型
+    const cost = calculateMessageCost(usage, modelId, provider);
 
     const hasMedia = contentParts?.some(
         p => (p.type === 'image_url' || p.type === 'video_url') && p.complete
@@ -621,24 +684,25 @@ export function saveAssistantMessageToSession(session, options) {
     // 构建并添加到会话
     const openaiMsg = buildOpenAIAssistantMessage({
         messageId, textContent, contentParts, hasMedia, thinkingContent, thinkingSignature,
-        thoughtSignature, streamStats, allReplies, selectedReplyIndex, modelName, providerName,
+        thoughtSignature, streamStats, usage, cost, allReplies, selectedReplyIndex, modelName, providerName, fallbackFrom,
         toolCalls  // 传递工具调用信息
     });
     session.messages.push(openaiMsg);
 
     const geminiMsg = buildGeminiAssistantMessage({
         messageId, textContent, contentParts, hasMedia, thoughtSignature,
-        streamStats, allReplies, selectedReplyIndex, geminiParts, modelName, providerName,
+        streamStats, usage, cost, allReplies, selectedReplyIndex, geminiParts, modelName, providerName, fallbackFrom,
         toolCalls  // 传递工具调用信息
     });
     session.geminiContents.push(geminiMsg);
 
     const claudeMsg = buildClaudeAssistantMessage({
         messageId, textContent, contentParts, hasMedia, thinkingContent, thinkingSignature,
-        streamStats, allReplies, selectedReplyIndex, modelName, providerName,
+        streamStats, usage, cost, allReplies, selectedReplyIndex, modelName, providerName, fallbackFrom,
         toolCalls  // 传递工具调用信息
     });
     session.claudeContents.push(claudeMsg);
+    trackMessageCost({ messageId, sessionId: session.id, provider, modelId, modelName, usage, cost });
 
     // 后台会话不需要保存到 IndexedDB，由 sessions.js 处理
 }
@@ -708,7 +772,7 @@ export function saveErrorMessage(errorData, httpStatus = null, renderHumanizedEr
 function buildOpenAIAssistantMessage(opts) {
     const {
         messageId, textContent, contentParts, hasMedia, thinkingContent, thinkingSignature,
-        thoughtSignature, streamStats, allReplies, selectedReplyIndex, modelName, providerName,
+        thoughtSignature, streamStats, usage, cost, allReplies, selectedReplyIndex, modelName, providerName, fallbackFrom,
         toolCalls,
         encryptedContent
     } = opts;
@@ -721,6 +785,7 @@ function buildOpenAIAssistantMessage(opts) {
     // 🏷️ 添加模型和提供商信息
     if (modelName) msg.modelName = modelName;
     if (providerName) msg.providerName = providerName;
+    if (fallbackFrom) msg.fallbackFrom = fallbackFrom;
 
     // 处理内容
     if (hasMedia) {
@@ -748,6 +813,8 @@ function buildOpenAIAssistantMessage(opts) {
     if (thoughtSignature) msg.thoughtSignature = thoughtSignature;
     if (encryptedContent) msg.encryptedContent = encryptedContent;
     if (streamStats) msg.streamStats = streamStats;
+    if (usage) msg.usage = usage;
+    if (typeof cost === 'number') msg.cost = cost;
     // 始终初始化 allReplies，即使是第一次生成
     if (allReplies && allReplies.length > 0) {
         msg.allReplies = allReplies;
@@ -786,7 +853,7 @@ function buildOpenAIAssistantMessage(opts) {
 function buildGeminiAssistantMessage(opts) {
     const {
         messageId, textContent, contentParts, hasMedia, thoughtSignature,
-        streamStats, geminiParts, modelName, providerName,
+        streamStats, usage, cost, geminiParts, modelName, providerName, fallbackFrom,
         toolCalls,
         encryptedContent,
         thinkingSignature  // 添加 Claude 签名支持
@@ -833,12 +900,15 @@ function buildGeminiAssistantMessage(opts) {
     // 🏷️ 添加模型和提供商信息
     if (modelName) msg.modelName = modelName;
     if (providerName) msg.providerName = providerName;
+    if (fallbackFrom) msg.fallbackFrom = fallbackFrom;
 
     // 添加元数据
     if (thoughtSignature) msg.thoughtSignature = thoughtSignature;
     if (thinkingSignature) msg.thinkingSignature = thinkingSignature;  // 添加 Claude 签名支持
     if (encryptedContent) msg.encryptedContent = encryptedContent;
     if (streamStats) msg.streamStats = streamStats;
+    if (usage) msg.usage = usage;
+    if (typeof cost === 'number') msg.cost = cost;
 
     // 保存原始 contentParts（用于会话恢复时的完整渲染）
     if (contentParts && contentParts.length > 0) {
@@ -865,7 +935,7 @@ function buildGeminiAssistantMessage(opts) {
 function buildClaudeAssistantMessage(opts) {
     const {
         messageId, textContent, contentParts, hasMedia, thinkingContent, thinkingSignature,
-        streamStats, modelName, providerName,
+        streamStats, usage, cost, modelName, providerName, fallbackFrom,
         toolCalls,
         encryptedContent,
         thoughtSignature  // 添加 Gemini 签名支持
@@ -901,6 +971,7 @@ function buildClaudeAssistantMessage(opts) {
     // 🏷️ 添加模型和提供商信息
     if (modelName) msg.modelName = modelName;
     if (providerName) msg.providerName = providerName;
+    if (fallbackFrom) msg.fallbackFrom = fallbackFrom;
 
     // 添加元数据
     if (thinkingContent) msg.thinkingContent = thinkingContent;
@@ -908,6 +979,8 @@ function buildClaudeAssistantMessage(opts) {
     if (thoughtSignature) msg.thoughtSignature = thoughtSignature;  // 添加 Gemini 签名支持
     if (encryptedContent) msg.encryptedContent = encryptedContent;
     if (streamStats) msg.streamStats = streamStats;
+    if (usage) msg.usage = usage;
+    if (typeof cost === 'number') msg.cost = cost;
 
     // 保存原始 contentParts（用于会话恢复时的完整渲染）
     if (contentParts && contentParts.length > 0) {
@@ -940,6 +1013,8 @@ export function copyMessageMetadata(source, target) {
         'selectedReplyIndex', // 选中的回复索引
         'groundingMetadata',  // 搜索引用（Gemini 专有）
         'streamStats',        // 流统计数据
+        'usage',              // API 真实 token 用量
+        'cost',               // 按模型价格计算的费用（美元）
         'thoughtSignature',   // 思维链签名（Gemini 专有）
         'encryptedContent',   // Responses API 签名
         'isError',            // 错误标记
@@ -948,6 +1023,9 @@ export function copyMessageMetadata(source, target) {
         'id',                 // 消息唯一ID
         'modelName',          // 🏷️ 模型名称
         'providerName',       // 🏷️ 提供商名称
+        'fallbackFrom',       // 后备链：原本选中的模型
+        'interrupted',        // 流式输出中断，仅保存了部分回复
+        'arena',              // 竞技场对比（winner 为选中的回复索引，未选时为 null）
         'contentParts'        // 原始内容部分（用于会话恢复）
     ];
     metadataKeys.forEach(key => {
@@ -0,0 +1,166 @@
+/**
+ * 后备链编辑弹窗
+ * 按顺序配置主模型不可用时依次尝试的提供商/模型
+ */
+
+import { state } from '../core/state.js';
+import { saveCurrentConfig } from '../state/config.js';
+import { getModelDisplayName } from './manager.js';
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { getIcon } from '../utils/icons.js';
+import { FALLBACK_FORMATS } from '../api/fallback.js';
+
+/**
+ * 获取可作为后备的提供商
+ * @returns {Array<Object>}
+ */
+function getFallbackProviders() {
+    return state.providers.filter(p => FALLBACK_FORMATS.includes(p.apiFormat) && p.models?.length > 0);
+}
+
+/**
+ * 获取模型 ID（兼容字符串和对象格式）
+ * @param {string|Object} model - 模型
+ * @returns {string}
+ */
+function getModelId(model) {
+    return typeof model === 'string' ? model : model.id;
+}
+
+/**
+ * 渲染单个后备链条目
+ * @param {{providerId: string, model: string}} entry - 条目
+ * @param {number} index - 序号
+ * @param {number} total - 条目总数
+ * @returns {string} HTML
+ */
+function renderEntry(entry, index, total) {
+    const providers = getFallbackProviders();
+    const provider = providers.find(p => p.id === entry.providerId) || providers[0];
+
+    const providerOptions = providers.map(p => `
+        <option value="${escapeHtml(p.id)}" ${p.id === provider?.id ? 'selected' : ''}>
+            ${escapeHtml(p.name)}${p.enabled ? '' : '（已禁用）'}
+        </option>
+    `).join('');
+
+    const modelOptions = (provider?.models || []).map(m => {
+        const id = getModelId(m);
+        return `<option value="${escapeHtml(id)}" ${id === entry.model ? 'selected' : ''}>${escapeHtml(getModelDisplayName(id, provider))}</option>`;
+    }).join('');
+
+    return `
+        <div class="fallback-chain-entry" data-index="${index}">
+            <span class="fallback-chain-order">${index + 1}</span>
+            <select class="settings-select" data-field="providerId" aria-label="后备提供商">${providerOptions}</select>
+            <select class="settings-select" data-field="model" aria-label="后备模型">${modelOptions}</select>
+            <button type="button" class="icon-button" data-action="up" title="上移" aria-label="上移" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="icon-button" data-action="down" title="下移" aria-label="下移" ${index === total - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="icon-button" data-action="remove" title="移除" aria-label="移除">${getIcon('trash', { size: 16 })}</button>
+        </div>
+    `;
+}
+
+/**
+ * 打开后备链编辑弹窗
+ */
+export function openFallbackChainDialog() {
+    // 编辑副本，点击保存后才写回配置
+    let chain = (state.fallbackChain || []).map(entry => ({ ...entry }));
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal active';
+    dialog.style.zIndex = '10002';
+    dialog.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content fallback-chain-dialog" style="max-width: 640px;">
+            <div class="modal-header">
+                <h3>后备链</h3>
+                <button class="close-btn" data-action="close" aria-label="关闭">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="settings-hint">当前模型遇到网络错误、限流（429）、服务端错误（5xx）或过载（529）时，按顺序改用以下模型重试同一轮对话。不同 API 格式的提供商可以混用，回复上会标注实际回答的模型。</p>
+                <div class="fallback-chain-list"></div>
+                <button type="button" class="add-provider-btn" data-action="add">${getIcon('plus', { size: 16 })} 添加后备模型</button>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="close">取消</button>
+                <button class="btn btn-primary" data-action="save">保存</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const list = dialog.querySelector('.fallback-chain-list');
+
+    const render = () => {
+        list.innerHTML = chain.length > 0
+            ? chain.map((entry, index) => renderEntry(entry, index, chain.length)).join('')
+            : '<p class="settings-hint">尚未配置后备模型</p>';
+    };
+
+    const close = () => dialog.remove();
+
+    list.addEventListener('change', (e) => {
+        const row = e.target.closest('.fallback-chain-entry');
+        if (!row) return;
+
+        const entry = chain[Number(row.dataset.index)];
+        if (e.target.dataset.field === 'providerId') {
+            const provider = state.providers.find(p => p.id === e.target.value);
+            entry.providerId = e.target.value;
+            entry.model = provider?.models?.length ? getModelId(provider.models[0]) : '';
+            render();
+        } else if (e.target.dataset.field === 'model') {
+            entry.model = e.target.value;
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        const row = btn?.closest('.fallback-chain-entry');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        const action = btn.dataset.action;
+        if (action === 'remove') {
+            chain.splice(index, 1);
+        } else if (action === 'up' || action === 'down') {
+            const target = action === 'up' ? index - 1 : index + 1;
+            [chain[index], chain[target]] = [chain[target], chain[index]];
+        }
+        render();
+    });
+
+    dialog.querySelector('[data-action="add"]').addEventListener('click', () => {
+        const provider = getFallbackProviders()[0];
+        if (!provider) {
+            showNotification('没有可用的提供商：请先添加提供商并配置模型', 'warning');
+            return;
+        }
+        chain.push({ providerId: provider.id, model: getModelId(provider.models[0]) });
+        render();
+    });
+
+    dialog.querySelector('[data-action="save"]').addEventListener('click', () => {
+        // 去掉无效和重复的条目
+        const seen = new Set();
+        chain = chain.filter(entry => {
+            const key = `${entry.providerId}:${entry.model}`;
+            if (!entry.providerId || !entry.model || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        state.fallbackChain = chain;
+        saveCurrentConfig();
+        showNotification(chain.length > 0 ? `后备链已保存（${chain.length} 个模型）` : '后备链已清空', 'success');
+        close();
+    });
+
+    dialog.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+    dialog.querySelector('.modal-overlay').addEventListener('click', close);
+
+    render();
+}
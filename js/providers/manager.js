@@ -83,6 +83,8 @@ export function createProvider(data) {
         models: data.models || [],
         createdAt: Date.now(),
         geminiApiKeyInHeader: data.geminiApiKeyInHeader || false,
+        transcription: data.transcription || null, // 语音转写配置 {enabled, model, endpoint, language}
+        speech: data.speech || null, // 语音合成配置 {enabled, model, voice, endpoint}
         modelParams: null,
     };
 
@@ -142,6 +144,8 @@ export function deleteProvider(id) {
     }
 
     state.providers.splice(index, 1);
+    state.fallbackChain = (state.fallbackChain || []).filter(entry => entry.providerId !== id);
+    state.arenaModels = (state.arenaModels || []).filter(entry => entry.providerId !== id);
     saveCurrentConfig();
     eventBus.emit('providers:deleted', { id });
 
@@ -485,6 +489,70 @@ export function setKeyRotationConfig(providerId, config) {
     eventBus.emit('providers:rotation-config-changed', { providerId, config: provider.keyRotation });
 }
 
+/**
+ * 默认语音转写模型
+ */
+export const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+
+/**
+ * 获取用于语音转写的提供商（优先当前提供商）
+ * @returns {Object|null} 已启用语音转写的提供商
+ */
+export function getTranscriptionProvider() {
+    const candidates = state.providers.filter(p => p.enabled && p.transcription?.enabled);
+    return candidates.find(p => p.id === state.currentProviderId) || candidates[0] || null;
+}
+
+/**
+ * 默认语音合成模型与音色
+ */
+export const DEFAULT_SPEECH_MODEL = 'tts-1';
+export const DEFAULT_SPEECH_VOICE = 'alloy';
+
+/**
+ * 获取用于朗读的语音合成提供商（优先当前提供商）
+ * @returns {Object|null} 已启用语音合成的提供商
+ */
+export function getSpeechProvider() {
+    const candidates = state.providers.filter(p => p.enabled && p.speech?.enabled);
+    return candidates.find(p => p.id === state.currentProviderId) || candidates[0] || null;
+}
+
+/**
+ * 推导 OpenAI 兼容的音频端点
+ * @param {string} base - 独立配置的地址或提供商地址
+ * @param {string} path - 音频接口路径（如 /audio/transcriptions）
+ * @returns {string} 端点 URL
+ */
+function resolveAudioEndpoint(base, path) {
+    const url = (base || getDefaultEndpoint('openai')).replace(/\/$/, '');
+
+    if (url.endsWith(path)) return url;
+    if (url.includes('/chat/completions')) return url.replace('/chat/completions', path);
+    if (/\/responses$/.test(url)) return url.replace(/\/responses$/, path);
+    if (url.includes('/v1')) return `${url}${path}`;
+    return `${url}/v1${path}`;
+}
+
+/**
+ * 获取 OpenAI 兼容的 /audio/transcriptions 端点
+ * 优先使用转写配置中的独立地址（例如本地 Whisper 服务），否则由提供商地址推导
+ * @param {Object} provider - 提供商对象
+ * @returns {string} 转写端点 URL
+ */
+export function getTranscriptionEndpoint(provider) {
+    return resolveAudioEndpoint(provider.transcription?.endpoint || provider.endpoint, '/audio/transcriptions');
+}
+
+/**
+ * 获取 OpenAI 兼容的 /audio/speech 端点
+ * @param {Object} provider - 提供商对象
+ * @returns {string} 语音合成端点 URL
+ */
+export function getSpeechEndpoint(provider) {
+    return resolveAudioEndpoint(provider.speech?.endpoint || provider.endpoint, '/audio/speech');
+}
+
 /**
  * 同步提供商状态到全局 state
  * @param {Object} provider - 提供商对象
@@ -510,6 +578,15 @@ function syncProviderState(provider) {
  * @returns {Object|undefined} 当前提供商对象
  */
 export function getCurrentProvider() {
+    // 后备链生效时，当前请求使用后备提供商
+    if (state.fallbackOverride) {
+        const provider = state.providers.find(p => p.id === state.fallbackOverride.providerId);
+        if (provider?.enabled) {
+            syncProviderState(provider);
+            return provider;
+        }
+    }
+
     // 优先1: 使用存储的 currentProviderId（避免同名模型冲突）
     if (state.currentProviderId) {
         const provider = state.providers.find(p => p.id === state.currentProviderId);
@@ -624,9 +701,84 @@ export function getModelDisplayName(modelId, provider = null) {
     return modelId;
 }
 
+/**
+ * 规范化模型价格表（单位：美元 / 百万 tokens）
+ * 无效或空值会被丢弃；全部为空时返回 null
+ * @param {Object} pricing - 原始价格 {input, output, cachedInput, reasoning}
+ * @returns {Object|null} 规范化后的价格表
+ */
+export function normalizeModelPricing(pricing) {
+    if (!pricing || typeof pricing !== 'object') return null;
+
+    const result = {};
+    for (const key of ['input', 'output', 'cachedInput', 'reasoning']) {
+        const value = parseFloat(pricing[key]);
+        if (Number.isFinite(value) && value >= 0) {
+            result[key] = value;
+        }
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * 获取模型的价格表
+ * @param {string} modelId - 模型 ID
+ * @param {Object} provider - 提供商对象（可选，默认当前提供商）
+ * @returns {Object|null} 价格表 {input, output, cachedInput?, reasoning?}，未配置时返回 null
+ */
+export function getModelPricing(modelId, provider = null) {
+    const targetProvider = provider || getCurrentProvider();
+    if (!modelId || !targetProvider?.models) return null;
+
+    const modelConfig = targetProvider.models.find(m => typeof m === 'object' && m.id === modelId);
+    return normalizeModelPricing(modelConfig?.pricing);
+}
+
+/**
+ * 获取当前请求实际使用的模型 ID（后备链生效时为后备模型）
+ * @returns {string} 模型 ID
+ */
+export function getActiveModelId() {
+    return state.fallbackOverride?.model || state.selectedModel || '';
+}
+
+/**
+ * 切换当前请求到后备提供商/模型
+ * @param {{providerId: string, model: string}} target - 后备链条目
+ * @param {string} from - 原模型的显示名称（记录到回复消息上）
+ */
+export function setFallbackOverride(target, from) {
+    state.fallbackOverride = { providerId: target.providerId, model: target.model, from };
+    console.log(`[Fallback] 切换到后备模型: ${target.model} (${target.providerId})`);
+}
+
+/**
+ * 清除后备模型，恢复使用选中的模型
+ */
+export function clearFallbackOverride() {
+    if (!state.fallbackOverride) return;
+    state.fallbackOverride = null;
+    console.log('[Fallback] 已恢复使用选中的模型');
+}
+
+/**
+ * 获取模型的上下文窗口大小
+ * @param {string} modelId - 模型 ID（默认当前请求使用的模型）
+ * @param {Object} provider - 提供商对象（默认当前提供商）
+ * @returns {number|null} 上下文窗口（tokens），未配置时返回 null
+ */
+export function getModelContextWindow(modelId = getActiveModelId(), provider = null) {
+    const targetProvider = provider || getCurrentProvider();
+    if (!modelId || !targetProvider?.models) return null;
+
+    const modelConfig = targetProvider.models.find(m => typeof m === 'object' && m.id === modelId);
+    return modelConfig?.contextWindow || null;
+}
+
 /**
  * 获取当前选中模型的能力配置
- * @returns {Object|null} 能力配置对象 {imageInput: boolean, imageOutput: boolean}
+ * @returns {Object|null} 能力配置对象 {imageInput: boolean, imageOutput: boolean, audioInput?: boolean}
  */
 export function getCurrentModelCapabilities() {
     const provider = getCurrentProvider();
@@ -635,7 +787,7 @@ export function getCurrentModelCapabilities() {
         return null;
     }
 
-    const selectedModel = state.selectedModel || elements.modelSelect?.value;
+    const selectedModel = getActiveModelId() || elements.modelSelect?.value;
     if (!selectedModel) {
         console.warn('[getCurrentModelCapabilities] 未选中任何模型');
         return null;
@@ -739,6 +891,8 @@ export function addModelToProvider(providerId, modelData) {
             name: modelData.name || modelData.id,
             capabilities: modelData.capabilities || getDefaultCapabilities(provider.apiFormat)
         };
+        const pricing = normalizeModelPricing(modelData.pricing);
+        if (pricing) modelObj.pricing = pricing;
     } else {
         console.error('无效的模型数据:', modelData);
         return false;
@@ -820,6 +974,8 @@ export function addModelsToProvider(providerId, modelDataList) {
                 name: modelData.name || modelData.id,
                 capabilities: modelData.capabilities || getDefaultCapabilities(provider.apiFormat)
             };
+            const pricing = normalizeModelPricing(modelData.pricing);
+            if (pricing) modelObj.pricing = pricing;
         } else {
             console.warn('跳过无效的模型数据:', modelData);
             return;
@@ -20,11 +20,16 @@ import {
     updateApiKey,
     getActiveApiKey,
     setKeyRotationConfig,
-    ensureApiKeysArray
+    ensureApiKeysArray,
+    normalizeModelPricing,
+    DEFAULT_TRANSCRIPTION_MODEL,
+    DEFAULT_SPEECH_MODEL,
+    DEFAULT_SPEECH_VOICE
 } from './manager.js';
 import { renderCapabilityBadges } from '../utils/capability-badges.js';
 import { showInputDialog, showConfirmDialog } from '../utils/dialogs.js';
 import { showNotification } from '../ui/notifications.js';
+import { openFallbackChainDialog } from './fallback-ui.js';
 
 // 当前选中的提供商ID
 let selectedProviderId = null;
@@ -49,6 +54,9 @@ export function initProvidersUI() {
         showMobileDetail();
     });
 
+    // 后备链
+    document.getElementById('fallback-chain-btn')?.addEventListener('click', openFallbackChainDialog);
+
     // 移动端返回按钮
     document.getElementById('mobile-back-btn')?.addEventListener('click', backToProviderList);
 
@@ -319,6 +327,53 @@ function showProviderForm(providerId) {
                 <p class="form-hint">启用后使用 x-goog-api-key 请求头（适用于代理）</p>
             </div>
 
+            <div class="form-group transcription-section" style="display: ${supportsAudioEndpoints(provider?.apiFormat || 'openai') ? 'block' : 'none'};">
+                <div class="form-group-inline">
+                    <input type="checkbox" id="detail-transcription-enabled"
+                           ${provider?.transcription?.enabled ? 'checked' : ''} />
+                    <label for="detail-transcription-enabled">启用语音转写</label>
+                </div>
+                <p class="form-hint">语音输入时调用 OpenAI 兼容的 /audio/transcriptions 接口将录音转为文字</p>
+                <div class="audio-api-fields">
+                    <label for="detail-transcription-model">转写模型</label>
+                    <input type="text" id="detail-transcription-model"
+                           value="${escapeHtml(provider?.transcription?.model || '')}"
+                           placeholder="${DEFAULT_TRANSCRIPTION_MODEL}" />
+                    <label for="detail-transcription-endpoint">转写地址</label>
+                    <input type="text" id="detail-transcription-endpoint"
+                           value="${escapeHtml(provider?.transcription?.endpoint || '')}"
+                           placeholder="留空使用 API 地址，例如 http://localhost:8000/v1" />
+                    <label for="detail-transcription-language">语言</label>
+                    <input type="text" id="detail-transcription-language"
+                           value="${escapeHtml(provider?.transcription?.language || '')}"
+                           placeholder="留空自动识别，例如 zh" />
+                    <p class="form-hint">转写地址可指向本地 Whisper 服务（faster-whisper-server、whisper.cpp 等），此时使用该地址且仍发送当前密钥</p>
+                </div>
+            </div>
+
+            <div class="form-group speech-section" style="display: ${supportsAudioEndpoints(provider?.apiFormat || 'openai') ? 'block' : 'none'};">
+                <div class="form-group-inline">
+                    <input type="checkbox" id="detail-speech-enabled"
+                           ${provider?.speech?.enabled ? 'checked' : ''} />
+                    <label for="detail-speech-enabled">启用语音合成</label>
+                </div>
+                <p class="form-hint">朗读引擎选择「提供商接口」时调用 OpenAI 兼容的 /audio/speech 接口</p>
+                <div class="audio-api-fields">
+                    <label for="detail-speech-model">合成模型</label>
+                    <input type="text" id="detail-speech-model"
+                           value="${escapeHtml(provider?.speech?.model || '')}"
+                           placeholder="${DEFAULT_SPEECH_MODEL}" />
+                    <label for="detail-speech-voice">音色</label>
+                    <input type="text" id="detail-speech-voice"
+                           value="${escapeHtml(provider?.speech?.voice || '')}"
+                           placeholder="${DEFAULT_SPEECH_VOICE}" />
+                    <label for="detail-speech-endpoint">合成地址</label>
+                    <input type="text" id="detail-speech-endpoint"
+                           value="${escapeHtml(provider?.speech?.endpoint || '')}"
+                           placeholder="留空使用 API 地址，例如 http://localhost:8880/v1" />
+                </div>
+            </div>
+
             ${isEdit && provider?.apiFormat === 'openclaw' ? `
                 <div class="form-group openclaw-connection-section">
                     <label>连接状态</label>
@@ -430,6 +485,9 @@ function bindFormEvents(providerId) {
         if (geminiOnly) {
             geminiOnly.style.display = apiFormat === 'gemini' ? 'block' : 'none';
         }
+        document.querySelectorAll('.transcription-section, .speech-section').forEach(section => {
+            section.style.display = supportsAudioEndpoints(apiFormat) ? 'block' : 'none';
+        });
         updateEndpointHint(apiFormat);
     });
 
@@ -624,6 +682,32 @@ function saveProviderForm(providerId) {
         return;
     }
 
+    // 语音转写配置（仅 OpenAI 兼容格式）
+    const transcriptionEndpoint = document.getElementById('detail-transcription-endpoint')?.value.trim() || '';
+    if (transcriptionEndpoint && !transcriptionEndpoint.startsWith('http://') && !transcriptionEndpoint.startsWith('https://')) {
+        showNotification('转写地址必须以 http:// 或 https:// 开头', 'error');
+        return;
+    }
+    const transcription = supportsAudioEndpoints(apiFormat) ? {
+        enabled: document.getElementById('detail-transcription-enabled')?.checked || false,
+        model: document.getElementById('detail-transcription-model')?.value.trim() || '',
+        endpoint: transcriptionEndpoint,
+        language: document.getElementById('detail-transcription-language')?.value.trim() || ''
+    } : null;
+
+    // 语音合成配置（仅 OpenAI 兼容格式）
+    const speechEndpoint = document.getElementById('detail-speech-endpoint')?.value.trim() || '';
+    if (speechEndpoint && !speechEndpoint.startsWith('http://') && !speechEndpoint.startsWith('https://')) {
+        showNotification('合成地址必须以 http:// 或 https:// 开头', 'error');
+        return;
+    }
+    const speech = supportsAudioEndpoints(apiFormat) ? {
+        enabled: document.getElementById('detail-speech-enabled')?.checked || false,
+        model: document.getElementById('detail-speech-model')?.value.trim() || '',
+        voice: document.getElementById('detail-speech-voice')?.value.trim() || '',
+        endpoint: speechEndpoint
+    } : null;
+
     // 自动补全端点格式（如果用户填写了端点）
     const finalEndpoint = endpoint ? autoCompleteEndpoint(endpoint, apiFormat) : endpoint;
 
@@ -633,6 +717,8 @@ function saveProviderForm(providerId) {
         endpoint: finalEndpoint,
         apiKey,
         geminiApiKeyInHeader,
+        transcription,
+        speech,
         enabled
     };
 
@@ -650,6 +736,15 @@ function saveProviderForm(providerId) {
     }
 }
 
+/**
+ * 是否为支持 /audio/transcriptions 和 /audio/speech 的 API 格式
+ * @param {string} apiFormat - API 格式
+ * @returns {boolean}
+ */
+function supportsAudioEndpoints(apiFormat) {
+    return apiFormat === 'openai' || apiFormat === 'openai-responses';
+}
+
 /**
  * 切换提供商启用状态
  * @param {string} providerId - 提供商ID
@@ -1571,6 +1666,14 @@ function autoCompleteEndpoint(endpoint, apiFormat) {
     }
 }
 
+// 模型价格字段 → 编辑弹窗输入框 ID
+const PRICING_INPUTS = {
+    input: 'edit-model-price-input',
+    output: 'edit-model-price-output',
+    cachedInput: 'edit-model-price-cached',
+    reasoning: 'edit-model-price-reasoning'
+};
+
 /**
  * 打开模型编辑弹窗
  * @param {string} providerId - 提供商ID
@@ -1597,6 +1700,12 @@ function openEditModelModal(providerId, modelId) {
     document.getElementById('edit-model-name').value = model.name || model.id;
     document.getElementById('edit-model-image-input').checked = model.capabilities?.imageInput || false;
     document.getElementById('edit-model-image-output').checked = model.capabilities?.imageOutput || false;
+    document.getElementById('edit-model-audio-input').checked = model.capabilities?.audioInput || false;
+    for (const [field, inputId] of Object.entries(PRICING_INPUTS)) {
+        const value = model.pricing?.[field];
+        document.getElementById(inputId).value = value !== undefined ? value : '';
+    }
+    document.getElementById('edit-model-context-window').value = model.contextWindow || '';
 
     // 显示弹窗
     const modal = document.getElementById('edit-model-modal');
@@ -1625,12 +1734,32 @@ function saveEditedModel() {
     const newName = document.getElementById('edit-model-name').value.trim();
     const imageInput = document.getElementById('edit-model-image-input').checked;
     const imageOutput = document.getElementById('edit-model-image-output').checked;
+    const audioInput = document.getElementById('edit-model-audio-input').checked;
 
     if (!newName) {
         showNotification('请输入模型名称', 'error');
         return;
     }
 
+    const rawPricing = {};
+    for (const [field, inputId] of Object.entries(PRICING_INPUTS)) {
+        const value = document.getElementById(inputId).value.trim();
+        if (!value) continue;
+        if (!Number.isFinite(parseFloat(value)) || parseFloat(value) < 0) {
+            showNotification('价格必须是非负数字', 'error');
+            return;
+        }
+        rawPricing[field] = value;
+    }
+    const pricing = normalizeModelPricing(rawPricing);
+
+    const rawContextWindow = document.getElementById('edit-model-context-window').value.trim();
+    const contextWindow = rawContextWindow ? parseInt(rawContextWindow, 10) : null;
+    if (rawContextWindow && !(contextWindow > 0)) {
+        showNotification('上下文窗口必须是正整数', 'error');
+        return;
+    }
+
     // 更新模型配置
     const modelIndex = provider.models.findIndex(m => {
         return typeof m === 'string' ? m === modelId : m.id === modelId;
@@ -1638,15 +1767,29 @@ function saveEditedModel() {
 
     if (modelIndex === -1) return;
 
-    // 构建新的模型对象
-    provider.models[modelIndex] = {
+    // 构建新的模型对象（保留其他已有字段）
+    const existing = typeof provider.models[modelIndex] === 'object' ? provider.models[modelIndex] : {};
+    const updatedModel = {
+        ...existing,
         id: modelId,
         name: newName,
         capabilities: {
             imageInput,
-            imageOutput
+            imageOutput,
+            audioInput
         }
     };
+    if (pricing) {
+        updatedModel.pricing = pricing;
+    } else {
+        delete updatedModel.pricing;
+    }
+    if (contextWindow) {
+        updatedModel.contextWindow = contextWindow;
+    } else {
+        delete updatedModel.contextWindow;
+    }
+    provider.models[modelIndex] = updatedModel;
 
     // 更新提供商
     updateProvider(providerId, { models: provider.models });
@@ -7,6 +7,8 @@ import { state, elements } from '../core/state.js';
 import { eventBus } from '../core/events.js';
 // 新增：IndexedDB 存储 API
 import { saveConfig as saveConfigToDB, loadConfig as loadConfigFromDB, saveSavedConfigs as saveSavedConfigsToDB, loadSavedConfigs as loadSavedConfigsFromDB } from './storage.js';
+import { sealConfig, unsealConfig, sealSavedConfigs, unsealSavedConfigs, flushVault } from './vault.js';
+import { generateId } from '../utils/helpers.js';
 
 // ⭐ 配置版本管理
 const CONFIG_VERSION = 2;  // v1 = 旧格式（provider.models为字符串数组），v2 = 新格式（对象数组）
@@ -19,7 +21,8 @@ let saveConfigTimeout = null;
  * 优化：同时保存到 localStorage（同步）确保数据不丢失
  */
 export async function saveCurrentConfigImmediate() {
-    const config = buildConfigObject();
+    // 启用凭据库时，密钥等敏感字段转入凭据库，不以明文持久化
+    const config = sealConfig(buildConfigObject());
 
     // 关键：先同步保存到 localStorage，确保页面关闭前数据已保存
     try {
@@ -38,6 +41,12 @@ export async function saveCurrentConfigImmediate() {
         console.error('[saveCurrentConfigImmediate] IndexedDB 保存失败:', error);
         // localStorage 已在上面保存，无需再次保存
     }
+
+    try {
+        await flushVault();
+    } catch (error) {
+        console.error('[saveCurrentConfigImmediate] 凭据库保存失败:', error);
+    }
 }
 
 /**
@@ -45,7 +54,7 @@ export async function saveCurrentConfigImmediate() {
  * 优化：立即保存到 localStorage（同步），延迟保存到 IndexedDB（异步）
  */
 export function saveCurrentConfig() {
-    const config = buildConfigObject();
+    const config = sealConfig(buildConfigObject());
 
     // 立即同步保存到 localStorage（确保数据不丢失）
     try {
@@ -93,6 +102,14 @@ function buildConfigObject() {
         apiFormat: state?.apiFormat ?? 'openai',
         imageSize: state?.imageSize ?? '2K',  // 使用 ?? 保留空字符串
         pdfMode: state?.pdfMode ?? 'standard', // PDF 处理模式
+        voiceInputMode: state?.voiceInputMode ?? 'auto', // 语音输入模式
+        ttsEngine: state?.ttsEngine ?? 'browser', // 朗读引擎
+        ttsVoice: state?.ttsVoice ?? '', // 浏览器朗读语音
+        ttsAutoRead: state?.ttsAutoRead ?? false, // 自动朗读
+        contextStrategy: state?.contextStrategy ?? 'off', // 上下文管理策略
+        contextWindowTurns: state?.contextWindowTurns ?? 10, // 滑动窗口轮数
+        retryMaxAttempts: state?.retryMaxAttempts ?? 3, // 自动重试次数
+        retryBaseDelayMs: state?.retryBaseDelayMs ?? 1000, // 重试初始等待
         replyCount: state?.replyCount ?? 1,
 
         // 功能开关
@@ -147,6 +164,15 @@ function buildConfigObject() {
         // 提供商管理（深拷贝）
         providers: JSON.parse(JSON.stringify(state.providers || [])),
         currentProviderId: state.currentProviderId || null,
+        fallbackChain: JSON.parse(JSON.stringify(state.fallbackChain || [])),
+        arenaEnabled: state.arenaEnabled ?? false,
+        arenaModels: JSON.parse(JSON.stringify(state.arenaModels || [])),
+        arenaTally: JSON.parse(JSON.stringify(state.arenaTally || {})),
+
+        // Computer Use 权限和配置（深拷贝）
+        computerUsePermissions: JSON.parse(JSON.stringify(state.computerUsePermissions)),
+        bashConfig: JSON.parse(JSON.stringify(state.bashConfig)),
+        textEditorConfig: JSON.parse(JSON.stringify(state.textEditorConfig)),
 
         // 快捷消息（深拷贝）
         quickMessages: JSON.parse(JSON.stringify(state.quickMessages || [])),
@@ -308,6 +334,9 @@ export async function loadConfig() {
 
         console.log('[loadConfig] 解析配置成功, apiFormat:', savedConfig.apiFormat);
 
+        // 凭据库已解锁时回填密钥等敏感字段
+        unsealConfig(savedConfig);
+
         // 应用配置到 state
         applyConfigToState(savedConfig);
 
@@ -408,6 +437,28 @@ function applyConfigToState(config) {
     } else if (config.pdfImageModeEnabled) {
         state.pdfMode = 'compat';
     }
+    if (config.voiceInputMode !== undefined) {
+        state.voiceInputMode = config.voiceInputMode;
+    }
+    if (config.ttsEngine !== undefined) {
+        state.ttsEngine = config.ttsEngine;
+    }
+    if (config.ttsVoice !== undefined) {
+        state.ttsVoice = config.ttsVoice;
+    }
+    state.ttsAutoRead = config.ttsAutoRead ?? false;
+    if (config.contextStrategy !== undefined) {
+        state.contextStrategy = config.contextStrategy;
+    }
+    if (config.contextWindowTurns !== undefined) {
+        state.contextWindowTurns = config.contextWindowTurns;
+    }
+    if (config.retryMaxAttempts !== undefined) {
+        state.retryMaxAttempts = config.retryMaxAttempts;
+    }
+    if (config.retryBaseDelayMs !== undefined) {
+        state.retryBaseDelayMs = config.retryBaseDelayMs;
+    }
     if (config.replyCount !== undefined) {
         state.replyCount = config.replyCount;
         if (elements.replyCountSelect) {
@@ -473,6 +524,15 @@ function applyConfigToState(config) {
     // 提供商管理
     state.providers = config.providers ?? [];
     state.currentProviderId = config.currentProviderId ?? null;
+    state.fallbackChain = config.fallbackChain ?? [];
+    state.arenaEnabled = config.arenaEnabled ?? false;
+    state.arenaModels = config.arenaModels ?? [];
+    state.arenaTally = config.arenaTally ?? {};
+
+    // Computer Use 权限和配置（与默认值合并，兼容旧配置）
+    state.computerUsePermissions = { ...state.computerUsePermissions, ...config.computerUsePermissions };
+    state.bashConfig = { ...state.bashConfig, ...config.bashConfig };
+    state.textEditorConfig = { ...state.textEditorConfig, ...config.textEditorConfig };
 
     // 快捷消息
     state.quickMessages = config.quickMessages ?? [];
@@ -550,6 +610,18 @@ function applyConfigToState(config) {
     }
 }
 
+/**
+ * 为旧版没有 ID 的已保存配置补充 ID（原地修改，下次保存时持久化）
+ * @param {Array} configs - 配置列表
+ * @returns {Array}
+ */
+function ensureSavedConfigIds(configs) {
+    configs.forEach(config => {
+        if (config && !config.id) config.id = generateId('config');
+    });
+    return configs;
+}
+
 /**
  * 加载已保存的配置列表
  */
@@ -559,7 +631,7 @@ export async function loadSavedConfigs() {
         if (state.storageMode !== 'localStorage') {
             const configs = await loadSavedConfigsFromDB();
             if (configs) {
-                state.savedConfigs = configs;
+                state.savedConfigs = unsealSavedConfigs(ensureSavedConfigIds(configs));
                 console.log('[loadSavedConfigs] 从 IndexedDB 加载配置列表:', configs.length);
                 return;
             }
@@ -568,7 +640,7 @@ export async function loadSavedConfigs() {
         // 降级：从 localStorage 加载
         const saved = localStorage.getItem('geminiChatConfigs');
         if (saved) {
-            state.savedConfigs = JSON.parse(saved);
+            state.savedConfigs = unsealSavedConfigs(ensureSavedConfigIds(JSON.parse(saved)));
             console.log('[loadSavedConfigs] 从 localStorage 加载配置列表（降级模式）');
         } else {
             state.savedConfigs = [];
@@ -583,20 +655,21 @@ export async function loadSavedConfigs() {
  * 保存配置列表
  */
 export async function saveSavedConfigs() {
+    const configs = sealSavedConfigs(state.savedConfigs);
     try {
         // 优先保存到 IndexedDB
         if (state.storageMode !== 'localStorage') {
-            await saveSavedConfigsToDB(state.savedConfigs);
+            await saveSavedConfigsToDB(configs);
             console.log('[saveSavedConfigs] 配置列表已保存到 IndexedDB');
         } else {
             // 降级：保存到 localStorage
-            localStorage.setItem('geminiChatConfigs', JSON.stringify(state.savedConfigs));
+            localStorage.setItem('geminiChatConfigs', JSON.stringify(configs));
             console.log('[saveSavedConfigs] 配置列表已保存到 localStorage（降级模式）');
         }
     } catch (error) {
         console.error('[saveSavedConfigs] IndexedDB 保存失败，降级到 localStorage:', error);
         // 降级处理
-        localStorage.setItem('geminiChatConfigs', JSON.stringify(state.savedConfigs));
+        localStorage.setItem('geminiChatConfigs', JSON.stringify(configs));
     }
 }
 
@@ -705,6 +778,46 @@ export function syncUIWithState() {
         pdfModeSelect.value = state.pdfMode || 'standard';
     }
 
+    // 语音输入模式
+    const voiceInputModeSelect = document.getElementById('voice-input-mode-select');
+    if (voiceInputModeSelect) {
+        voiceInputModeSelect.value = state.voiceInputMode || 'auto';
+    }
+
+    // 朗读设置
+    const ttsAutoRead = document.getElementById('tts-auto-read');
+    if (ttsAutoRead) {
+        ttsAutoRead.checked = state.ttsAutoRead;
+    }
+    const ttsEngineSelect = document.getElementById('tts-engine-select');
+    if (ttsEngineSelect) {
+        ttsEngineSelect.value = state.ttsEngine || 'browser';
+    }
+    const ttsVoiceSelect = document.getElementById('tts-voice-select');
+    if (ttsVoiceSelect) {
+        ttsVoiceSelect.value = state.ttsVoice || '';
+    }
+
+    // 上下文管理
+    const contextStrategySelect = document.getElementById('context-strategy-select');
+    if (contextStrategySelect) {
+        contextStrategySelect.value = state.contextStrategy || 'off';
+    }
+    const contextWindowTurns = document.getElementById('context-window-turns');
+    if (contextWindowTurns) {
+        contextWindowTurns.value = state.contextWindowTurns;
+    }
+
+    // 自动重试
+    const retryMaxAttempts = document.getElementById('retry-max-attempts');
+    if (retryMaxAttempts) {
+        retryMaxAttempts.value = state.retryMaxAttempts;
+    }
+    const retryBaseDelay = document.getElementById('retry-base-delay');
+    if (retryBaseDelay) {
+        retryBaseDelay.value = state.retryBaseDelayMs / 1000;
+    }
+
     // 思维链开关
     const thinkingEnabled = document.getElementById('thinking-enabled');
     const thinkingStrengthGroup = document.getElementById('thinking-strength-group');
@@ -0,0 +1,251 @@
+/**
+ * 费用统计模块
+ * 根据模型价格表计算每条消息的费用，按消息写入 IndexedDB 用量记录，
+ * 并按会话 / 提供商 / 模型 / 日期聚合；本月费用达到预算阈值时通过 ui:notification 提醒
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { getModelPricing } from '../providers/manager.js';
+import { saveUsageRecord, loadUsageRecords, savePreference, loadPreference } from './storage.js';
+
+// 价格单位：美元 / 百万 tokens
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+const BUDGET_KEY = 'monthlyBudget';
+const BUDGET_WARNING_KEY = 'monthlyBudgetWarning';
+
+// 预算提醒阈值（占月度预算的比例），每个月每个阈值只提醒一次
+const BUDGET_THRESHOLDS = [0.8, 1];
+
+/**
+ * 根据用量和价格表计算费用
+ * 缓存命中部分按缓存价格计（未配置则按输入价格），推理部分按推理价格计（未配置则按输出价格）
+ * @param {Object} usage - 归一化用量 {inputTokens, outputTokens, cachedTokens, reasoningTokens}
+ * @param {Object} pricing - 价格表 {input, output, cachedInput?, reasoning?}
+ * @returns {number|null} 费用（美元），缺少用量或价格时返回 null
+ */
+export function calculateCost(usage, pricing) {
+    if (!usage || !pricing) return null;
+    if (pricing.input === undefined && pricing.output === undefined) return null;
+
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const cachedTokens = Math.min(usage.cachedTokens || 0, inputTokens);
+    const reasoningTokens = Math.min(usage.reasoningTokens || 0, outputTokens);
+
+    const inputPrice = pricing.input || 0;
+    const outputPrice = pricing.output || 0;
+    const cachedPrice = pricing.cachedInput ?? inputPrice;
+    const reasoningPrice = pricing.reasoning ?? outputPrice;
+
+    const cost = (inputTokens - cachedTokens) * inputPrice
+        + cachedTokens * cachedPrice
+        + (outputTokens - reasoningTokens) * outputPrice
+        + reasoningTokens * reasoningPrice;
+
+    return cost / TOKENS_PER_PRICE_UNIT;
+}
+
+/**
+ * 按模型价格表计算消息费用
+ * @param {Object} usage - 归一化用量
+ * @param {string} modelId - 模型 ID
+ * @param {Object} [provider] - 提供商对象（默认当前提供商）
+ * @returns {number|null} 费用（美元），模型未配置价格时返回 null
+ */
+export function calculateMessageCost(usage, modelId, provider = null) {
+    return calculateCost(usage, getModelPricing(modelId, provider));
+}
+
+/**
+ * 格式化费用显示
+ * @param {number} cost - 费用（美元）
+ * @returns {string}
+ */
+export function formatCost(cost) {
+    if (typeof cost !== 'number' || !Number.isFinite(cost)) return '-';
+    if (cost === 0) return '$0';
+    if (cost < 0.01) return `$${cost.toFixed(4)}`;
+    return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * 获取本地日期字符串
+ * @param {number} [timestamp] - 时间戳
+ * @returns {string} YYYY-MM-DD
+ */
+export function getLocalDay(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 获取指定月份的日期范围
+ * @param {string} [month] - YYYY-MM（默认本月）
+ * @returns {{fromDay: string, toDay: string}}
+ */
+export function getMonthRange(month = getLocalDay().slice(0, 7)) {
+    return { fromDay: `${month}-01`, toDay: `${month}-31` };
+}
+
+/**
+ * 记录单条助手消息的用量与费用（同一消息重复记录时覆盖，用于工具调用 continuation）
+ * @param {Object} options
+ * @param {string} options.messageId - 消息 ID
+ * @param {string} options.sessionId - 会话 ID
+ * @param {Object} options.provider - 提供商对象
+ * @param {string} options.modelId - 模型 ID
+ * @param {string} options.modelName - 模型显示名称
+ * @param {Object} options.usage - 归一化用量
+ * @param {number|null} options.cost - 费用（美元）
+ * @returns {Promise<void>}
+ */
+export async function trackMessageCost({ messageId, sessionId, provider, modelId, modelName, usage, cost }) {
+    if (!messageId || !usage || state.storageMode === 'localStorage') return;
+
+    const timestamp = Date.now();
+    const session = state.sessions.find(s => s.id === sessionId);
+
+    try {
+        await saveUsageRecord({
+            messageId,
+            sessionId: sessionId || '',
+            sessionName: session?.name || '',
+            providerId: provider?.id || '',
+            providerName: provider?.name || 'Unknown',
+            modelId: modelId || '',
+            modelName: modelName || modelId || '',
+            day: getLocalDay(timestamp),
+            timestamp,
+            usage,
+            cost: typeof cost === 'number' ? cost : null
+        });
+
+        if (typeof cost === 'number' && cost > 0) {
+            await checkMonthlyBudget();
+        }
+    } catch (error) {
+        console.error('[CostTracker] 记录用量失败:', error);
+    }
+}
+
+/**
+ * 累加一条记录到分组
+ */
+function addToGroup(groups, key, label, record) {
+    let group = groups.get(key);
+    if (!group) {
+        group = { key, label, cost: 0, messages: 0, unpriced: 0, inputTokens: 0, outputTokens: 0 };
+        groups.set(key, group);
+    }
+
+    group.messages++;
+    group.inputTokens += record.usage?.inputTokens || 0;
+    group.outputTokens += record.usage?.outputTokens || 0;
+    if (typeof record.cost === 'number') {
+        group.cost += record.cost;
+    } else {
+        group.unpriced++;
+    }
+}
+
+/**
+ * 按会话 / 提供商 / 模型 / 日期聚合用量费用
+ * @param {Object} [range]
+ * @param {string} [range.fromDay] - 起始日期（YYYY-MM-DD，含）
+ * @param {string} [range.toDay] - 结束日期（YYYY-MM-DD，含）
+ * @returns {Promise<Object>} 汇总 {total, bySession, byProvider, byModel, byDay}
+ */
+export async function getCostSummary({ fromDay = null, toDay = null } = {}) {
+    const records = await loadUsageRecords(fromDay, toDay);
+
+    const total = { cost: 0, messages: 0, unpriced: 0, inputTokens: 0, outputTokens: 0 };
+    const bySession = new Map();
+    const byProvider = new Map();
+    const byModel = new Map();
+    const byDay = new Map();
+
+    for (const record of records) {
+        total.messages++;
+        total.inputTokens += record.usage?.inputTokens || 0;
+        total.outputTokens += record.usage?.outputTokens || 0;
+        if (typeof record.cost === 'number') {
+            total.cost += record.cost;
+        } else {
+            total.unpriced++;
+        }
+
+        // 会话名称优先使用当前名称（会话可能已重命名）
+        const session = state.sessions.find(s => s.id === record.sessionId);
+        const sessionLabel = session?.name || record.sessionName || '已删除的会话';
+
+        addToGroup(bySession, record.sessionId, sessionLabel, record);
+        addToGroup(byProvider, record.providerId || record.providerName, record.providerName, record);
+        addToGroup(byModel, `${record.providerId}:${record.modelId}`, `${record.modelName} | ${record.providerName}`, record);
+        addToGroup(byDay, record.day, record.day, record);
+    }
+
+    const byCost = (a, b) => b.cost - a.cost || b.messages - a.messages;
+
+    return {
+        total,
+        bySession: [...bySession.values()].sort(byCost),
+        byProvider: [...byProvider.values()].sort(byCost),
+        byModel: [...byModel.values()].sort(byCost),
+        byDay: [...byDay.values()].sort((a, b) => a.key.localeCompare(b.key))
+    };
+}
+
+/**
+ * 获取月度预算
+ * @returns {Promise<number|null>} 预算（美元），未设置时返回 null
+ */
+export async function getMonthlyBudget() {
+    const value = parseFloat(await loadPreference(BUDGET_KEY));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * 设置月度预算（0 或空表示关闭提醒）
+ * @param {number|null} amount - 预算（美元）
+ * @returns {Promise<void>}
+ */
+export async function setMonthlyBudget(amount) {
+    const value = Number.isFinite(amount) && amount > 0 ? amount : 0;
+    await savePreference(BUDGET_KEY, value);
+    // 预算变更后重新计算提醒状态
+    await savePreference(BUDGET_WARNING_KEY, null);
+    if (value > 0) {
+        await checkMonthlyBudget();
+    }
+}
+
+/**
+ * 检查本月费用是否达到预算阈值，达到新阈值时发出提醒
+ * @returns {Promise<void>}
+ */
+export async function checkMonthlyBudget() {
+    const budget = await getMonthlyBudget();
+    if (!budget) return;
+
+    const month = getLocalDay().slice(0, 7);
+    const { total } = await getCostSummary(getMonthRange(month));
+    const ratio = total.cost / budget;
+    const level = BUDGET_THRESHOLDS.filter(threshold => ratio >= threshold).pop();
+    if (!level) return;
+
+    const warned = await loadPreference(BUDGET_WARNING_KEY);
+    if (warned?.month === month && warned.level >= level) return;
+
+    await savePreference(BUDGET_WARNING_KEY, { month, level });
+
+    const message = level >= 1
+        ? `本月费用 ${formatCost(total.cost)} 已超出月度预算 ${formatCost(budget)}`
+        : `本月费用 ${formatCost(total.cost)} 已达到月度预算 ${formatCost(budget)} 的 ${Math.round(level * 100)}%`;
+
+    console.warn(`[CostTracker] ${message}`);
+    eventBus.emit('ui:notification', { message, type: 'warning', duration: 8000 });
+}
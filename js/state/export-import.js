@@ -5,12 +5,16 @@
 
 import { state } from '../core/state.js';
 import { elements } from '../core/elements.js';
-import { loadAllSessionsFromDB, saveSessionToDB, loadConfig as loadConfigFromDB, loadSavedConfigs as loadSavedConfigsFromDB, saveConfig as saveConfigToDB, saveSavedConfigs as saveSavedConfigsToDB, loadPreference, savePreference } from './storage.js';
+import { loadAllSessionsFromDB, loadSessionMessages, saveSessionAtomic, loadConfig as loadConfigFromDB, loadSavedConfigs as loadSavedConfigsFromDB, saveConfig as saveConfigToDB, saveSavedConfigs as saveSavedConfigsToDB, loadPreference, savePreference } from './storage.js';
 import { loadSavedConfigs } from './config.js';
 import { loadSessions } from './sessions.js';
+import { getSessionOrganizationForExport, mergeSessionOrganization } from './session-organization.js';
 import { showNotification } from '../ui/notifications.js';
 import { showConfirmDialog } from '../utils/dialogs.js';
 import { sanitizeMessageForExport } from '../api/format-converter.js';  // 过滤私有字段
+import { sealConfig, unsealConfig, sealSavedConfigs, unsealSavedConfigs, unsealCustomTools, extractExportSecrets, injectExportSecrets, encryptWithPassphrase } from './vault.js';
+import { registerCustomTool, saveCustomTools } from '../tools/manager.js';
+import { showExportSecretsDialog, decryptImportedSecrets, ensureVaultUnlockedForImport } from '../ui/credential-vault.js';
 
 /**
  * 生成导出文件名
@@ -67,9 +71,147 @@ function sanitizeSession(session) {
         cleaned.messages = cleaned.messages.map(msg => sanitizeMessageForExport(msg));
     }
 
+    // 清理分支中保存的消息
+    if (cleaned.branches) {
+        cleaned.branches = Object.fromEntries(Object.entries(cleaned.branches).map(([forkKey, fork]) => [forkKey, {
+            ...fork,
+            branches: (fork.branches || []).map(branch => branch && {
+                ...branch,
+                messages: (branch.messages || []).map(msg => sanitizeMessageForExport(msg))
+            })
+        }]));
+    }
+
     return cleaned;
 }
 
+/**
+ * 读取所有会话及其消息数据（v4 起消息与会话元数据分开存储）
+ * @returns {Promise<Array>} 含 messages、geminiContents、claudeContents、branches、contextSummary 的会话
+ */
+async function loadSessionsForExport() {
+    const sessions = await loadAllSessionsFromDB();
+
+    return Promise.all(sessions.map(async (session) => {
+        const { _pendingMessages, _pendingGemini, _pendingClaude, ...meta } = session;
+        let data = null;
+        try {
+            data = await loadSessionMessages(session.id);
+        } catch (error) {
+            console.warn(`[Export] 读取会话 ${session.id} 的消息失败:`, error);
+        }
+
+        return {
+            ...meta,
+            messages: data?.messages ?? _pendingMessages ?? [],
+            geminiContents: data?.geminiContents ?? _pendingGemini ?? [],
+            claudeContents: data?.claudeContents ?? _pendingClaude ?? [],
+            branches: data?.branches || {},
+            contextSummary: data?.contextSummary || null
+        };
+    }));
+}
+
+/**
+ * 保存导入的会话：元数据和消息原子写入，保留分支和上下文摘要
+ * 兼容旧备份（v3 兼容视图导出的 _pending* 字段）
+ * @param {Object} session - 导入的会话
+ * @returns {Promise<void>}
+ */
+async function saveImportedSession(session) {
+    const {
+        messages, geminiContents, claudeContents, branches, contextSummary,
+        _pendingMessages, _pendingGemini, _pendingClaude,
+        ...meta
+    } = session;
+
+    const messagesData = {
+        messages: messages ?? _pendingMessages ?? [],
+        geminiContents: geminiContents ?? _pendingGemini ?? [],
+        claudeContents: claudeContents ?? _pendingClaude ?? [],
+        branches: branches || {},
+        contextSummary: contextSummary || null
+    };
+
+    await saveSessionAtomic({ ...meta, messageCount: messagesData.messages.length }, messagesData);
+}
+
+/**
+ * 读取自定义工具（导出用）
+ * @returns {Promise<Array>}
+ */
+async function loadCustomToolsForExport() {
+    try {
+        const toolsJson = await loadPreference('customTools');
+        return toolsJson ? JSON.parse(toolsJson) : [];
+    } catch (error) {
+        console.warn('[Export] 读取自定义工具失败:', error);
+        return [];
+    }
+}
+
+/**
+ * 导入自定义工具（按 ID 合并到现有工具）
+ * @param {Array|undefined} customTools - 导入的工具列表
+ * @returns {Promise<void>}
+ */
+async function importCustomTools(customTools) {
+    if (!Array.isArray(customTools) || customTools.length === 0) return;
+
+    let importCount = 0;
+    for (const toolConfig of customTools) {
+        try {
+            registerCustomTool(toolConfig, true);
+            importCount++;
+        } catch (error) {
+            console.warn(`[Import] 自定义工具 "${toolConfig?.name}" 导入失败:`, error.message);
+        }
+    }
+    await saveCustomTools();
+    console.log(`[Import] 已导入 ${importCount} 个自定义工具`);
+}
+
+/**
+ * 处理导出配置中的密钥（原地修改）：明文密钥一律剥离，可选用导出密码加密后附带
+ * @param {Object|null} currentConfig - 当前配置
+ * @param {Array} savedConfigs - 已保存的配置
+ * @param {Array} customTools - 自定义工具（Webhook 请求头）
+ * @returns {Promise<Object|null|false>} 加密信封；不附带密钥时为 null；取消导出时为 false
+ */
+async function protectExportSecrets(currentConfig, savedConfigs, customTools) {
+    // 启用凭据库时存储中的密钥已置空，先从凭据库回填
+    unsealConfig(currentConfig);
+    unsealSavedConfigs(savedConfigs);
+    unsealCustomTools(customTools);
+
+    const secrets = extractExportSecrets({ currentConfig, savedConfigs, customTools });
+    const count = Object.keys(secrets).length;
+    if (count === 0) return null;
+
+    const choice = await showExportSecretsDialog(count);
+    if (!choice) return false;
+    if (choice.mode === 'exclude') return null;
+    return encryptWithPassphrase(JSON.stringify(secrets), choice.passphrase);
+}
+
+/**
+ * 恢复导入文件中加密的密钥（原地修改）
+ * @param {Object} configData - { currentConfig, savedConfigs, customTools }
+ * @param {Object|undefined} envelope - 导出时的加密信封
+ */
+async function restoreImportedSecrets(configData, envelope) {
+    if (!envelope) return;
+
+    const secrets = await decryptImportedSecrets(envelope);
+    if (!secrets) {
+        showNotification('已跳过密钥导入，请在设置中重新填写', 'warning');
+        return;
+    }
+
+    const count = injectExportSecrets(configData, secrets);
+    console.log(`[Import] 已恢复 ${count} 项密钥`);
+}
+
 /**
  * 导出配置
  */
@@ -97,6 +239,11 @@ export async function exportConfig() {
         // 过滤掉运行时状态（selectedModel）
         const filteredCurrentConfig = currentConfig ? filterRuntimeState(currentConfig) : null;
         const filteredSavedConfigs = savedConfigs.map(filterRuntimeState);
+        const customTools = await loadCustomToolsForExport();
+
+        // 密钥不以明文导出
+        const encryptedSecrets = await protectExportSecrets(filteredCurrentConfig, filteredSavedConfigs, customTools);
+        if (encryptedSecrets === false) return;
 
         // 导出工具启用状态
         let toolsEnabled = null;
@@ -116,12 +263,14 @@ export async function exportConfig() {
             data: {
                 currentConfig: filteredCurrentConfig,
                 savedConfigs: filteredSavedConfigs,
-                toolsEnabled: toolsEnabled  // 包含工具状态
+                customTools,
+                toolsEnabled: toolsEnabled,  // 包含工具状态
+                ...(encryptedSecrets && { encryptedSecrets })  // 用导出密码加密的密钥
             }
         };
 
         downloadJSON(exportData, generateExportFilename('config'));
-        showNotification('配置已导出', 'success');
+        showNotification(encryptedSecrets ? '配置已导出（密钥已加密）' : '配置已导出（不含密钥）', 'success');
     } catch (error) {
         console.error('导出配置失败:', error);
         showNotification('导出配置失败: ' + error.message, 'error');
@@ -133,7 +282,7 @@ export async function exportConfig() {
  */
 export async function exportSessions() {
     try {
-        const sessions = await loadAllSessionsFromDB();
+        const sessions = await loadSessionsForExport();
 
         // 清理会话中的私有字段
         const cleanedSessions = sessions.map(session => sanitizeSession(session));
@@ -143,7 +292,8 @@ export async function exportSessions() {
             version: 1,
             exportDate: new Date().toISOString(),
             totalSessions: cleanedSessions.length,
-            sessions: cleanedSessions
+            sessions: cleanedSessions,
+            organization: getSessionOrganizationForExport()  // 文件夹和标签定义
         };
 
         downloadJSON(exportData, generateExportFilename('sessions'));
@@ -162,7 +312,7 @@ export async function exportAllData() {
         // 从 IndexedDB 读取数据
         let currentConfig = null;
         let savedConfigs = [];
-        const sessions = await loadAllSessionsFromDB();
+        const sessions = await loadSessionsForExport();
 
         if (state.storageMode !== 'localStorage') {
             currentConfig = await loadConfigFromDB();
@@ -182,6 +332,11 @@ export async function exportAllData() {
         // 过滤掉运行时状态（selectedModel）
         const filteredCurrentConfig = currentConfig ? filterRuntimeState(currentConfig) : null;
         const filteredSavedConfigs = savedConfigs.map(filterRuntimeState);
+        const customTools = await loadCustomToolsForExport();
+
+        // 密钥不以明文导出
+        const encryptedSecrets = await protectExportSecrets(filteredCurrentConfig, filteredSavedConfigs, customTools);
+        if (encryptedSecrets === false) return;
 
         // 清理会话中的私有字段
         const cleanedSessions = sessions.map(session => sanitizeSession(session));
@@ -196,9 +351,12 @@ export async function exportAllData() {
             },
             config: {
                 currentConfig: filteredCurrentConfig,
-                savedConfigs: filteredSavedConfigs
+                savedConfigs: filteredSavedConfigs,
+                customTools,
+                ...(encryptedSecrets && { encryptedSecrets })
             },
-            sessions: cleanedSessions
+            sessions: cleanedSessions,
+            organization: getSessionOrganizationForExport()  // 文件夹和标签定义
         };
 
         downloadJSON(exportData, generateExportFilename('backup'));
@@ -218,10 +376,13 @@ async function importConfig(data) {
         throw new Error('配置数据格式错误');
     }
 
+    if (!await ensureVaultUnlockedForImport()) return;
+    await restoreImportedSecrets(data.data, data.data.encryptedSecrets);
+
     try {
         // 导入当前配置（过滤掉运行时状态）
         if (data.data.currentConfig) {
-            const filtered = filterRuntimeState(data.data.currentConfig);
+            const filtered = sealConfig(filterRuntimeState(data.data.currentConfig));
             if (state.storageMode !== 'localStorage') {
                 await saveConfigToDB(filtered);
             } else {
@@ -231,7 +392,7 @@ async function importConfig(data) {
 
         // 导入保存的配置（过滤掉运行时状态）
         if (data.data.savedConfigs) {
-            const filtered = data.data.savedConfigs.map(filterRuntimeState);
+            const filtered = sealSavedConfigs(data.data.savedConfigs.map(filterRuntimeState));
             if (state.storageMode !== 'localStorage') {
                 await saveSavedConfigsToDB(filtered);
             } else {
@@ -239,6 +400,9 @@ async function importConfig(data) {
             }
         }
 
+        // 导入自定义工具（旧版导出没有此字段）
+        await importCustomTools(data.data.customTools);
+
         // 导入工具启用状态
         if (data.data.toolsEnabled) {
             try {
@@ -262,11 +426,11 @@ async function importConfig(data) {
         console.error('导入配置失败:', error);
         // 降级处理
         if (data.data.currentConfig) {
-            const filtered = filterRuntimeState(data.data.currentConfig);
+            const filtered = sealConfig(filterRuntimeState(data.data.currentConfig));
             localStorage.setItem('geminiChatConfig', JSON.stringify(filtered));
         }
         if (data.data.savedConfigs) {
-            const filtered = data.data.savedConfigs.map(filterRuntimeState);
+            const filtered = sealSavedConfigs(data.data.savedConfigs.map(filterRuntimeState));
             localStorage.setItem('geminiChatConfigs', JSON.stringify(filtered));
         }
         throw error;
@@ -298,7 +462,7 @@ async function importSessions(data) {
                 if (!overwrite) continue;
             }
 
-            await saveSessionToDB(session);
+            await saveImportedSession(session);
             importCount++;
         } catch (error) {
             console.error(`导入会话 ${session.id} 失败:`, error);
@@ -306,6 +470,13 @@ async function importSessions(data) {
         }
     }
 
+    // 导入文件夹和标签定义（旧版备份没有此字段）
+    try {
+        await mergeSessionOrganization(data.organization);
+    } catch (error) {
+        console.error('导入文件夹和标签失败:', error);
+    }
+
     // 重新加载会话列表
     await loadSessions();
 
@@ -325,10 +496,13 @@ async function importFullBackup(data) {
         throw new Error('备份数据格式错误');
     }
 
+    if (!await ensureVaultUnlockedForImport()) return;
+    await restoreImportedSecrets(data.config, data.config.encryptedSecrets);
+
     try {
         // 导入配置（过滤掉运行时状态）
         if (data.config.currentConfig) {
-            const filtered = filterRuntimeState(data.config.currentConfig);
+            const filtered = sealConfig(filterRuntimeState(data.config.currentConfig));
             if (state.storageMode !== 'localStorage') {
                 await saveConfigToDB(filtered);
             } else {
@@ -336,7 +510,7 @@ async function importFullBackup(data) {
             }
         }
         if (data.config.savedConfigs) {
-            const filtered = data.config.savedConfigs.map(filterRuntimeState);
+            const filtered = sealSavedConfigs(data.config.savedConfigs.map(filterRuntimeState));
             if (state.storageMode !== 'localStorage') {
                 await saveSavedConfigsToDB(filtered);
             } else {
@@ -344,17 +518,26 @@ async function importFullBackup(data) {
             }
         }
 
+        await importCustomTools(data.config.customTools);
+
         // 导入会话
         let importCount = 0;
         for (const session of data.sessions) {
             try {
-                await saveSessionToDB(session);
+                await saveImportedSession(session);
                 importCount++;
             } catch (error) {
                 console.error(`导入会话 ${session.id} 失败:`, error);
             }
         }
 
+        // 导入文件夹和标签定义（旧版备份没有此字段）
+        try {
+            await mergeSessionOrganization(data.organization);
+        } catch (error) {
+            console.error('导入文件夹和标签失败:', error);
+        }
+
         // 重新加载配置和会话列表
         loadSavedConfigs();
         await loadSessions();
@@ -369,11 +552,11 @@ async function importFullBackup(data) {
         console.error('导入完整备份失败:', error);
         // 降级处理
         if (data.config.currentConfig) {
-            const filtered = filterRuntimeState(data.config.currentConfig);
+            const filtered = sealConfig(filterRuntimeState(data.config.currentConfig));
             localStorage.setItem('geminiChatConfig', JSON.stringify(filtered));
         }
         if (data.config.savedConfigs) {
-            const filtered = data.config.savedConfigs.map(filterRuntimeState);
+            const filtered = sealSavedConfigs(data.config.savedConfigs.map(filterRuntimeState));
             localStorage.setItem('geminiChatConfigs', JSON.stringify(filtered));
         }
         throw error;
@@ -0,0 +1,461 @@
+/**
+ * 全文搜索索引
+ * 每条消息作为一个文档写入 IndexedDB searchIndex store，terms 字段的多值索引即倒排表
+ *
+ * - 分词：拉丁文按单词（查询时前缀匹配），中日韩文字按单字 + 相邻双字
+ * - 增量更新：监听 messages:persisted，按消息内容哈希只重建变化的文档
+ * - 查询语法：普通词（全部命中）、"短语"、role:user|assistant、model:名称、from:/to:YYYY-MM-DD
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import {
+    loadSessionMessages,
+    loadSearchManifest,
+    loadAllSearchManifests,
+    updateSearchDocuments,
+    querySearchTerm,
+    loadSearchDocuments
+} from './storage.js';
+
+// 索引结构版本（分词规则变化时递增，触发全部重建）
+const INDEX_VERSION = 1;
+
+// 单个拉丁词项最大长度
+const MAX_TERM_LENGTH = 40;
+
+// 中日韩文字（平假名、片假名、CJK 统一表意文字、兼容表意文字、谚文）
+const CJK_CHAR = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const CJK_RUN_PATTERN = new RegExp(`[${CJK_CHAR}]+`, 'g');
+const CJK_TEST_PATTERN = new RegExp(`[${CJK_CHAR}]`);
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// 查询中的过滤条件
+const FILTER_PATTERN = /(?:^|\s)(role|model|from|to):("[^"]*"|\S+)/gi;
+const PHRASE_PATTERN = /"([^"]+)"/g;
+
+// 消息 ID 中嵌入的创建时间（msg_<timestamp>_<random>）
+const MESSAGE_ID_TIME_PATTERN = /^msg_(\d{10,})_/;
+
+// 索引更新队列（串行执行，避免同一会话的并发写入互相覆盖）
+let _indexQueue = Promise.resolve();
+let _initialized = false;
+
+/**
+ * 规范化文本（全角转半角、统一小写）
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 分词
+ * @param {string} text - 原始文本
+ * @returns {Array<string>} 去重后的词项
+ */
+export function tokenize(text) {
+    const terms = new Set();
+    // 在中日韩文字片段两侧插入空格，使其与相邻的拉丁文字分开
+    const spaced = normalizeText(text).replace(CJK_RUN_PATTERN, ' $& ');
+
+    for (const [token] of spaced.matchAll(WORD_PATTERN)) {
+        if (CJK_TEST_PATTERN.test(token)) {
+            const chars = [...token];
+            chars.forEach((char, i) => {
+                terms.add(char);
+                if (i < chars.length - 1) terms.add(char + chars[i + 1]);
+            });
+        } else {
+            terms.add(token.slice(0, MAX_TERM_LENGTH));
+        }
+    }
+
+    return [...terms];
+}
+
+/**
+ * 将查询片段转换为索引查找条件
+ * @param {string} text - 查询片段
+ * @returns {Array<{term: string, prefix: boolean}>}
+ */
+function getLookups(text) {
+    const lookups = [];
+    const spaced = normalizeText(text).replace(CJK_RUN_PATTERN, ' $& ');
+
+    for (const [token] of spaced.matchAll(WORD_PATTERN)) {
+        if (CJK_TEST_PATTERN.test(token)) {
+            const chars = [...token];
+            if (chars.length === 1) {
+                lookups.push({ term: chars[0], prefix: false });
+            }
+            for (let i = 0; i < chars.length - 1; i++) {
+                lookups.push({ term: chars[i] + chars[i + 1], prefix: false });
+            }
+        } else {
+            lookups.push({ term: token.slice(0, MAX_TERM_LENGTH), prefix: true });
+        }
+    }
+
+    return lookups;
+}
+
+/**
+ * 解析搜索查询
+ * @param {string} query - 原始查询
+ * @returns {{terms: Array<string>, phrases: Array<string>, filters: Object, highlights: Array<string>}}
+ */
+export function parseQuery(query) {
+    const filters = { role: null, model: null, from: null, to: null };
+
+    let rest = String(query || '').replace(FILTER_PATTERN, (match, key, value) => {
+        filters[key.toLowerCase()] = value.replace(/^"|"$/g, '').trim();
+        return ' ';
+    });
+
+    const phrases = [];
+    rest = rest.replace(PHRASE_PATTERN, (match, phrase) => {
+        if (phrase.trim()) phrases.push(phrase.trim());
+        return ' ';
+    });
+
+    const terms = rest.split(/\s+/).filter(Boolean);
+
+    const role = normalizeText(filters.role);
+    filters.role = role === 'ai' ? 'assistant' : (role || null);
+    filters.model = filters.model ? normalizeText(filters.model) : null;
+    filters.from = parseDay(filters.from, false);
+    filters.to = parseDay(filters.to, true);
+
+    return { terms, phrases, filters, highlights: [...phrases, ...terms] };
+}
+
+/**
+ * 解析日期过滤值（YYYY-MM-DD 或 YYYY-MM）
+ * @param {string} value
+ * @param {boolean} endOfRange - 是否取范围末尾
+ * @returns {number|null} 时间戳
+ */
+function parseDay(value, endOfRange) {
+    const match = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    if (!endOfRange) {
+        return new Date(year, month - 1, day || 1).getTime();
+    }
+    return day
+        ? new Date(year, month - 1, day + 1).getTime() - 1
+        : new Date(year, month, 1).getTime() - 1;
+}
+
+/**
+ * 判断查询是否有可执行的条件
+ * @param {Object} parsed - parseQuery 的结果
+ * @returns {boolean}
+ */
+export function hasSearchCriteria(parsed) {
+    const { terms, phrases, filters } = parsed;
+    return terms.length > 0 || phrases.length > 0 || Object.values(filters).some(v => v !== null);
+}
+
+/**
+ * 提取消息纯文本（支持三种格式）
+ * @param {Object} message - 消息对象
+ * @returns {string}
+ */
+export function extractMessageText(message) {
+    if (!message) return '';
+
+    // OpenAI / Claude：content 为字符串或内容块数组
+    if (typeof message.content === 'string') {
+        return message.content;
+    }
+    if (Array.isArray(message.content)) {
+        return message.content
+            .filter(part => part.type === 'text' && part.text)
+            .map(part => part.text)
+            .join(' ');
+    }
+
+    // Gemini：parts 数组中的 text（排除思维链）
+    if (Array.isArray(message.parts)) {
+        return message.parts
+            .filter(part => part.text && !part.thought)
+            .map(part => part.text)
+            .join(' ');
+    }
+
+    return '';
+}
+
+/**
+ * 计算字符串哈希（FNV-1a，用于检测消息内容变化）
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * 从会话消息构建待索引的文档（不含 terms）
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} data - {messages, geminiContents, claudeContents}
+ * @param {number} fallbackTime - 无法从消息 ID 推断时间时使用的时间戳
+ * @returns {Array<Object>}
+ */
+export function buildSessionDocuments(sessionId, data, fallbackTime = Date.now()) {
+    const messages = data?.messages || [];
+    const geminiContents = data?.geminiContents || [];
+    const claudeContents = data?.claudeContents || [];
+    const count = Math.max(messages.length, geminiContents.length, claudeContents.length);
+    const docs = [];
+
+    for (let index = 0; index < count; index++) {
+        const message = messages[index] || claudeContents[index] || geminiContents[index];
+        if (!message) continue;
+
+        // 只索引用户和助手消息（工具结果、系统消息不参与搜索）
+        const role = message.role === 'model' ? 'assistant' : message.role;
+        if (role !== 'user' && role !== 'assistant') continue;
+
+        let text = extractMessageText(messages[index]);
+        if (!text.trim()) text = extractMessageText(claudeContents[index]) || extractMessageText(geminiContents[index]);
+        if (!text.trim()) continue;
+
+        const messageId = message.id || geminiContents[index]?.id || claudeContents[index]?.id || null;
+        const model = role === 'assistant' ? (message.modelName || '') : '';
+        const time = Number(MESSAGE_ID_TIME_PATTERN.exec(messageId || '')?.[1]) || fallbackTime;
+
+        docs.push({
+            id: `${sessionId}|${messageId || `idx_${index}`}`,
+            sessionId,
+            messageId,
+            index,
+            role,
+            model,
+            time,
+            text,
+            hash: hashString(`${role}\n${model}\n${text}`)
+        });
+    }
+
+    return docs;
+}
+
+/**
+ * 增量更新单个会话的索引
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} data - {messages, geminiContents, claudeContents}
+ * @returns {Promise<void>}
+ */
+async function updateSessionIndex(sessionId, data) {
+    const session = state.sessions.find(s => s.id === sessionId);
+    const fallbackTime = session?.createdAt || Date.now();
+    const manifest = await loadSearchManifest(sessionId);
+    const previous = manifest?.version === INDEX_VERSION ? manifest.hashes : {};
+
+    const docs = buildSessionDocuments(sessionId, data, fallbackTime);
+    const hashes = {};
+    const changed = [];
+
+    for (const doc of docs) {
+        hashes[doc.id] = doc.hash;
+        if (previous[doc.id] !== doc.hash) {
+            changed.push({ ...doc, terms: tokenize(doc.text) });
+        }
+    }
+
+    const deleteIds = Object.keys(previous).filter(id => !(id in hashes));
+
+    await updateSearchDocuments({
+        id: `${sessionId}|__manifest__`,
+        sessionId,
+        manifestOf: sessionId,
+        version: INDEX_VERSION,
+        indexedAt: Date.now(),
+        hashes
+    }, changed, deleteIds);
+
+    if (changed.length > 0 || deleteIds.length > 0) {
+        eventBus.emit('search-index:updated', { sessionId });
+    }
+}
+
+/**
+ * 将索引更新加入队列
+ * @param {string} sessionId - 会话 ID
+ * @param {Object|null} data - 消息数据（null 时从 IndexedDB 读取）
+ * @returns {Promise<void>}
+ */
+export function queueSessionIndex(sessionId, data = null) {
+    _indexQueue = _indexQueue.then(async () => {
+        try {
+            let messageData = data;
+            if (!messageData) {
+                messageData = await loadSessionMessages(sessionId);
+                // 兼容未迁移的 v3 会话（消息仍嵌在元数据中）
+                if (!messageData) {
+                    const session = state.sessions.find(s => s.id === sessionId);
+                    messageData = {
+                        messages: session?._pendingMessages || [],
+                        geminiContents: session?._pendingGemini || [],
+                        claudeContents: session?._pendingClaude || []
+                    };
+                }
+            }
+            await updateSessionIndex(sessionId, messageData);
+        } catch (error) {
+            console.warn(`[SearchIndex] 更新会话 ${sessionId} 的索引失败:`, error);
+        }
+    });
+    return _indexQueue;
+}
+
+/**
+ * 为尚未索引或索引过期的会话补建索引（后台执行）
+ * @returns {Promise<number>} 补建的会话数
+ */
+export async function backfillSearchIndex() {
+    let manifests;
+    try {
+        manifests = await loadAllSearchManifests();
+    } catch (error) {
+        console.warn('[SearchIndex] 搜索索引不可用:', error);
+        return 0;
+    }
+
+    const indexed = new Map(manifests.map(m => [m.sessionId, m]));
+    const stale = state.sessions.filter(session => {
+        const manifest = indexed.get(session.id);
+        return !manifest || manifest.version !== INDEX_VERSION || (session.updatedAt || 0) > manifest.indexedAt;
+    });
+
+    for (const session of stale) {
+        await queueSessionIndex(session.id);
+    }
+
+    if (stale.length > 0) {
+        console.log(`[SearchIndex] 已补建 ${stale.length} 个会话的索引`);
+    }
+    return stale.length;
+}
+
+/**
+ * 初始化搜索索引（监听消息持久化事件并后台补建）
+ */
+export function initSearchIndex() {
+    if (_initialized) return;
+    _initialized = true;
+
+    eventBus.on('messages:persisted', ({ sessionId, data }) => {
+        queueSessionIndex(sessionId, data);
+    });
+
+    // 已删除会话的文档由 deleteSessionFromDB 级联删除，这里只需处理导入后的新会话
+    eventBus.on('sessions:loaded', () => {
+        backfillSearchIndex();
+    });
+
+    backfillSearchIndex();
+}
+
+/**
+ * 判断文档是否满足查询（过滤条件 + 短语 + 中日韩连续匹配）
+ * @param {Object} doc - 索引文档
+ * @param {Object} parsed - parseQuery 的结果
+ * @returns {boolean}
+ */
+export function matchDocument(doc, parsed) {
+    const { terms, phrases, filters } = parsed;
+
+    if (filters.role && doc.role !== filters.role) return false;
+    if (filters.model && !normalizeText(doc.model).includes(filters.model)) return false;
+    if (filters.from && doc.time < filters.from) return false;
+    if (filters.to && doc.time > filters.to) return false;
+
+    const text = normalizeText(doc.text).replace(/\s+/g, ' ');
+
+    // 短语需要连续出现
+    for (const phrase of phrases) {
+        if (!text.includes(normalizeText(phrase).replace(/\s+/g, ' '))) return false;
+    }
+
+    // 双字索引只保证每个双字出现，中日韩词需要再校验连续出现
+    for (const term of terms) {
+        const normalized = normalizeText(term);
+        if (CJK_TEST_PATTERN.test(normalized)) {
+            const runs = normalized.match(CJK_RUN_PATTERN) || [];
+            if (runs.some(run => !text.includes(run))) return false;
+        } else if (getLookups(normalized).length === 0 && !text.includes(normalized)) {
+            // 纯符号查询（如 "c++" 中的 "++"）无法走索引，直接按子串匹配
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * 在索引中查询匹配的消息文档
+ * @param {Object} parsed - parseQuery 的结果
+ * @returns {Promise<Array>} 匹配的文档
+ */
+export async function searchDocuments(parsed) {
+    const lookups = [...parsed.terms, ...parsed.phrases].flatMap(getLookups);
+
+    let docs;
+    if (lookups.length === 0) {
+        // 只有过滤条件：扫描全部文档
+        docs = await loadSearchDocuments(null);
+    } else {
+        // 从结果最少的词项开始求交集
+        const keySets = await Promise.all(lookups.map(({ term, prefix }) => querySearchTerm(term, prefix)));
+        keySets.sort((a, b) => a.length - b.length);
+
+        let candidates = new Set(keySets[0]);
+        for (const keys of keySets.slice(1)) {
+            if (candidates.size === 0) break;
+            const next = new Set(keys);
+            candidates = new Set([...candidates].filter(key => next.has(key)));
+        }
+
+        docs = candidates.size > 0 ? await loadSearchDocuments([...candidates]) : [];
+    }
+
+    return docs.filter(doc => matchDocument(doc, parsed));
+}
+
+/**
+ * 生成命中位置附近的摘要
+ * @param {string} text - 消息文本
+ * @param {Array<string>} highlights - 高亮词
+ * @param {number} [radius=50] - 前后保留的字符数
+ * @returns {string}
+ */
+export function createSnippet(text, highlights, radius = 50) {
+    const lowerText = text.toLowerCase();
+    let matchIndex = -1;
+    let matchLength = 0;
+
+    for (const word of highlights) {
+        const index = lowerText.indexOf(word.toLowerCase());
+        if (index !== -1 && (matchIndex === -1 || index < matchIndex)) {
+            matchIndex = index;
+            matchLength = word.length;
+        }
+    }
+    if (matchIndex === -1) matchIndex = 0;
+
+    const start = Math.max(0, matchIndex - radius);
+    const end = Math.min(text.length, matchIndex + matchLength + radius);
+    let snippet = text.slice(start, end).replace(/\s+/g, ' ');
+    if (start > 0) snippet = '...' + snippet;
+    if (end < text.length) snippet = snippet + '...';
+    return snippet;
+}
@@ -0,0 +1,446 @@
+/**
+ * 会话整理模块
+ * 管理会话置顶、嵌套文件夹和彩色标签
+ *
+ * 会话元数据上的字段（随 saveSessionToDB 持久化）:
+ *   pinned: boolean      是否置顶
+ *   folderId: string     所属文件夹 ID（null 表示未归档）
+ *   tags: string[]       标签名称列表
+ *
+ * 文件夹与标签颜色定义保存在偏好设置 sessionOrganization 中:
+ *   { folders: [{ id, name, parentId, collapsed, createdAt }], tags: [{ name, color }] }
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { saveSessionToDB, savePreference, loadPreference } from './storage.js';
+import { generateId } from '../utils/helpers.js';
+
+const ORGANIZATION_KEY = 'sessionOrganization';
+
+// 标签名称最大长度
+const MAX_TAG_LENGTH = 20;
+
+// 新标签依次使用的颜色
+export const TAG_COLORS = [
+    '#4A90E2', // 蓝
+    '#2BA88C', // 青
+    '#7CB342', // 绿
+    '#F5A623', // 橙
+    '#E5533D', // 红
+    '#D46BA8', // 粉
+    '#8E6CD8', // 紫
+    '#7F8C8D'  // 灰
+];
+
+/**
+ * 从偏好设置加载文件夹和标签定义
+ * @returns {Promise<void>}
+ */
+export async function loadSessionOrganization() {
+    try {
+        const data = await loadPreference(ORGANIZATION_KEY);
+        state.sessionFolders = Array.isArray(data?.folders) ? data.folders : [];
+        state.sessionTags = Array.isArray(data?.tags) ? data.tags : [];
+    } catch (error) {
+        console.error('[SessionOrganization] 加载文件夹和标签失败:', error);
+        state.sessionFolders = [];
+        state.sessionTags = [];
+    }
+
+    // 清理已不存在的标签筛选
+    state.sessionTagFilter = state.sessionTagFilter.filter(name => getTag(name));
+}
+
+/**
+ * 保存文件夹和标签定义并通知 UI
+ * @returns {Promise<void>}
+ */
+async function saveSessionOrganization() {
+    try {
+        await savePreference(ORGANIZATION_KEY, getSessionOrganizationForExport());
+    } catch (error) {
+        console.error('[SessionOrganization] 保存文件夹和标签失败:', error);
+        eventBus.emit('ui:notification', { message: '保存文件夹和标签失败', type: 'error' });
+    }
+    eventBus.emit('sessions:updated', { sessions: state.sessions });
+}
+
+/**
+ * 获取用于导出的文件夹和标签定义
+ * @returns {{folders: Array, tags: Array}}
+ */
+export function getSessionOrganizationForExport() {
+    return {
+        folders: state.sessionFolders.map(folder => ({ ...folder })),
+        tags: state.sessionTags.map(tag => ({ ...tag }))
+    };
+}
+
+/**
+ * 合并导入的文件夹和标签定义（同 ID 文件夹 / 同名标签以导入数据为准）
+ * @param {Object} data - {folders, tags}
+ * @returns {Promise<void>}
+ */
+export async function mergeSessionOrganization(data) {
+    if (!data) return;
+
+    const folders = Array.isArray(data.folders) ? data.folders.filter(f => f?.id && f.name) : [];
+    const tags = Array.isArray(data.tags) ? data.tags.filter(t => t?.name) : [];
+
+    for (const folder of folders) {
+        const index = state.sessionFolders.findIndex(f => f.id === folder.id);
+        const merged = { parentId: null, collapsed: false, createdAt: Date.now(), ...folder };
+        if (index === -1) {
+            state.sessionFolders.push(merged);
+        } else {
+            state.sessionFolders[index] = merged;
+        }
+    }
+
+    // 修复导入后可能出现的悬空父级或循环
+    for (const folder of state.sessionFolders) {
+        if (folder.parentId && (!getFolder(folder.parentId) || isFolderDescendant(folder.parentId, folder.id))) {
+            folder.parentId = null;
+        }
+    }
+
+    for (const tag of tags) {
+        const existing = getTag(tag.name);
+        if (existing) {
+            existing.color = tag.color || existing.color;
+        } else {
+            state.sessionTags.push({ name: tag.name, color: tag.color || getNextTagColor() });
+        }
+    }
+
+    await saveSessionOrganization();
+}
+
+// ========== 置顶 ==========
+
+/**
+ * 更新会话元数据并保存
+ */
+async function updateSessionMeta(sessionId, updates) {
+    const session = state.sessions.find(s => s.id === sessionId);
+    if (!session) return null;
+
+    Object.assign(session, updates);
+    await saveSessionToDB(session);
+    eventBus.emit('sessions:updated', { sessions: state.sessions });
+    return session;
+}
+
+/**
+ * 设置会话置顶状态
+ * @param {string} sessionId - 会话 ID
+ * @param {boolean} pinned - 是否置顶
+ * @returns {Promise<void>}
+ */
+export async function setSessionPinned(sessionId, pinned) {
+    try {
+        await updateSessionMeta(sessionId, { pinned: !!pinned });
+    } catch (error) {
+        console.error('[SessionOrganization] 更新置顶状态失败:', error);
+        eventBus.emit('ui:notification', { message: '更新置顶状态失败', type: 'error' });
+    }
+}
+
+// ========== 文件夹 ==========
+
+/**
+ * 获取文件夹
+ * @param {string} folderId - 文件夹 ID
+ * @returns {Object|undefined}
+ */
+export function getFolder(folderId) {
+    return state.sessionFolders.find(f => f.id === folderId);
+}
+
+/**
+ * 获取子文件夹（按名称排序）
+ * @param {string|null} parentId - 父文件夹 ID（null 表示根级）
+ * @returns {Array}
+ */
+export function getChildFolders(parentId = null) {
+    return state.sessionFolders
+        .filter(f => (f.parentId || null) === parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 判断 folderId 是否是 ancestorId 自身或其子孙文件夹
+ */
+function isFolderDescendant(folderId, ancestorId) {
+    const visited = new Set();
+    let current = getFolder(folderId);
+    while (current && !visited.has(current.id)) {
+        if (current.id === ancestorId) return true;
+        visited.add(current.id);
+        current = current.parentId ? getFolder(current.parentId) : null;
+    }
+    return false;
+}
+
+/**
+ * 获取文件夹路径（用于显示，例如 "工作 / 项目A"）
+ * @param {string} folderId - 文件夹 ID
+ * @returns {string}
+ */
+export function getFolderPath(folderId) {
+    const names = [];
+    const visited = new Set();
+    let current = getFolder(folderId);
+    while (current && !visited.has(current.id)) {
+        names.unshift(current.name);
+        visited.add(current.id);
+        current = current.parentId ? getFolder(current.parentId) : null;
+    }
+    return names.join(' / ');
+}
+
+/**
+ * 新建文件夹
+ * @param {string} name - 文件夹名称
+ * @param {string|null} parentId - 父文件夹 ID
+ * @returns {Promise<Object>} 新文件夹
+ */
+export async function createFolder(name, parentId = null) {
+    const folder = {
+        id: generateId('folder'),
+        name: name.trim() || '新建文件夹',
+        parentId: parentId && getFolder(parentId) ? parentId : null,
+        collapsed: false,
+        createdAt: Date.now()
+    };
+
+    // 在折叠的文件夹中新建时自动展开父级
+    const parent = folder.parentId ? getFolder(folder.parentId) : null;
+    if (parent) parent.collapsed = false;
+
+    state.sessionFolders.push(folder);
+    await saveSessionOrganization();
+    return folder;
+}
+
+/**
+ * 重命名文件夹
+ * @param {string} folderId - 文件夹 ID
+ * @param {string} name - 新名称
+ * @returns {Promise<void>}
+ */
+export async function renameFolder(folderId, name) {
+    const folder = getFolder(folderId);
+    if (!folder || !name.trim()) return;
+
+    folder.name = name.trim();
+    await saveSessionOrganization();
+}
+
+/**
+ * 切换文件夹折叠状态
+ * @param {string} folderId - 文件夹 ID
+ * @returns {Promise<void>}
+ */
+export async function toggleFolderCollapsed(folderId) {
+    const folder = getFolder(folderId);
+    if (!folder) return;
+
+    folder.collapsed = !folder.collapsed;
+    await saveSessionOrganization();
+}
+
+/**
+ * 移动文件夹到另一个文件夹下（不允许移动到自身或子孙文件夹中）
+ * @param {string} folderId - 文件夹 ID
+ * @param {string|null} parentId - 目标父文件夹 ID（null 表示根级）
+ * @returns {Promise<boolean>} 是否移动成功
+ */
+export async function moveFolder(folderId, parentId = null) {
+    const folder = getFolder(folderId);
+    if (!folder) return false;
+    if ((folder.parentId || null) === parentId) return false;
+
+    if (parentId && (!getFolder(parentId) || isFolderDescendant(parentId, folderId))) {
+        eventBus.emit('ui:notification', { message: '不能将文件夹移动到自身或其子文件夹中', type: 'warning' });
+        return false;
+    }
+
+    folder.parentId = parentId;
+    await saveSessionOrganization();
+    return true;
+}
+
+/**
+ * 删除文件夹（其中的会话和子文件夹移动到上一级）
+ * @param {string} folderId - 文件夹 ID
+ * @returns {Promise<void>}
+ */
+export async function deleteFolder(folderId) {
+    const folder = getFolder(folderId);
+    if (!folder) return;
+
+    const parentId = folder.parentId || null;
+
+    state.sessionFolders.forEach(f => {
+        if (f.parentId === folderId) f.parentId = parentId;
+    });
+    state.sessionFolders = state.sessionFolders.filter(f => f.id !== folderId);
+
+    const affected = state.sessions.filter(s => s.folderId === folderId);
+    try {
+        for (const session of affected) {
+            session.folderId = parentId;
+            await saveSessionToDB(session);
+        }
+    } catch (error) {
+        console.error('[SessionOrganization] 移动文件夹内会话失败:', error);
+    }
+
+    await saveSessionOrganization();
+}
+
+/**
+ * 移动会话到文件夹
+ * @param {string} sessionId - 会话 ID
+ * @param {string|null} folderId - 目标文件夹 ID（null 表示移出文件夹）
+ * @returns {Promise<void>}
+ */
+export async function moveSessionToFolder(sessionId, folderId = null) {
+    const targetId = folderId && getFolder(folderId) ? folderId : null;
+    const session = state.sessions.find(s => s.id === sessionId);
+    if (!session || (session.folderId || null) === targetId) return;
+
+    try {
+        await updateSessionMeta(sessionId, { folderId: targetId });
+    } catch (error) {
+        console.error('[SessionOrganization] 移动会话失败:', error);
+        eventBus.emit('ui:notification', { message: '移动会话失败', type: 'error' });
+    }
+}
+
+// ========== 标签 ==========
+
+/**
+ * 获取标签定义
+ * @param {string} name - 标签名称
+ * @returns {Object|undefined}
+ */
+export function getTag(name) {
+    return state.sessionTags.find(t => t.name === name);
+}
+
+/**
+ * 获取标签颜色
+ * @param {string} name - 标签名称
+ * @returns {string}
+ */
+export function getTagColor(name) {
+    return getTag(name)?.color || TAG_COLORS[TAG_COLORS.length - 1];
+}
+
+/**
+ * 为新标签挑选颜色（依次循环）
+ */
+function getNextTagColor() {
+    return TAG_COLORS[state.sessionTags.length % TAG_COLORS.length];
+}
+
+/**
+ * 规范化标签名称
+ * @param {string} name - 原始名称
+ * @returns {string} 去除首尾空白和 # 前缀后的名称（截断到最大长度）
+ */
+export function normalizeTagName(name) {
+    return String(name || '').trim().replace(/^#+/, '').trim().slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * 设置会话标签（不存在的标签会自动创建）
+ * @param {string} sessionId - 会话 ID
+ * @param {string[]} tags - 标签名称列表
+ * @returns {Promise<void>}
+ */
+export async function setSessionTags(sessionId, tags) {
+    const normalized = [...new Set(tags.map(normalizeTagName).filter(Boolean))];
+
+    let created = false;
+    for (const name of normalized) {
+        if (!getTag(name)) {
+            state.sessionTags.push({ name, color: getNextTagColor() });
+            created = true;
+        }
+    }
+    if (created) {
+        await saveSessionOrganization();
+    }
+
+    try {
+        await updateSessionMeta(sessionId, { tags: normalized });
+    } catch (error) {
+        console.error('[SessionOrganization] 更新会话标签失败:', error);
+        eventBus.emit('ui:notification', { message: '更新会话标签失败', type: 'error' });
+    }
+}
+
+/**
+ * 修改标签颜色
+ * @param {string} name - 标签名称
+ * @param {string} color - 颜色（#RRGGBB）
+ * @returns {Promise<void>}
+ */
+export async function setTagColor(name, color) {
+    const tag = getTag(name);
+    if (!tag || !/^#[0-9a-f]{6}$/i.test(color)) return;
+
+    tag.color = color;
+    await saveSessionOrganization();
+}
+
+/**
+ * 删除标签（同时从所有会话中移除）
+ * @param {string} name - 标签名称
+ * @returns {Promise<void>}
+ */
+export async function deleteTag(name) {
+    state.sessionTags = state.sessionTags.filter(t => t.name !== name);
+    state.sessionTagFilter = state.sessionTagFilter.filter(t => t !== name);
+
+    try {
+        for (const session of state.sessions) {
+            if (session.tags?.includes(name)) {
+                session.tags = session.tags.filter(t => t !== name);
+                await saveSessionToDB(session);
+            }
+        }
+    } catch (error) {
+        console.error('[SessionOrganization] 移除会话标签失败:', error);
+    }
+
+    await saveSessionOrganization();
+}
+
+/**
+ * 切换侧边栏标签筛选（选中多个标签时，会话需同时包含全部标签）
+ * @param {string} name - 标签名称
+ */
+export function toggleTagFilter(name) {
+    if (state.sessionTagFilter.includes(name)) {
+        state.sessionTagFilter = state.sessionTagFilter.filter(t => t !== name);
+    } else {
+        state.sessionTagFilter = [...state.sessionTagFilter, name];
+    }
+    eventBus.emit('sessions:updated', { sessions: state.sessions });
+}
+
+/**
+ * 判断会话是否匹配当前标签筛选
+ * @param {Object} session - 会话元数据
+ * @returns {boolean}
+ */
+export function matchesTagFilter(session) {
+    if (state.sessionTagFilter.length === 0) return true;
+    const tags = session.tags || [];
+    return state.sessionTagFilter.every(name => tags.includes(name));
+}
@@ -12,6 +12,7 @@ import { generateSessionId, generateSessionName } from '../utils/helpers.js';
 import { renderSessionMessages } from '../messages/restore.js';
 import { replaceAllMessages } from '../core/state-mutations.js';
 import { requestStateMachine } from '../core/request-state-machine.js';
+import { loadSessionOrganization } from './session-organization.js';
 
 // 防抖保存定时器
 let saveSessionTimer = null;
@@ -192,7 +193,9 @@ export async function createPersistedSessionPayload(source = {}) {
     const clonedPayload = {
         messages: cloneSerializable(source.messages || []),
         geminiContents: cloneSerializable(source.geminiContents || []),
-        claudeContents: cloneSerializable(source.claudeContents || [])
+        claudeContents: cloneSerializable(source.claudeContents || []),
+        branches: cloneSerializable(source.branches || {}),
+        contextSummary: cloneSerializable(source.contextSummary || null)
     };
 
     if (!isElectronIpcAvailable() && !isAndroidFilesystemAvailable()) {
@@ -204,6 +207,7 @@ export async function createPersistedSessionPayload(source = {}) {
     await replaceVideoDataUrlsDeep(clonedPayload.messages, cache);
     await replaceVideoDataUrlsDeep(clonedPayload.geminiContents, cache);
     await replaceVideoDataUrlsDeep(clonedPayload.claudeContents, cache);
+    await replaceVideoDataUrlsDeep(clonedPayload.branches, cache);
 
     for (const [dataUrl, fileUrl] of cache.entries()) {
         persistedVideoUrlCache.set(dataUrl, fileUrl);
@@ -227,6 +231,9 @@ export async function loadSessions() {
         state.sessions = [];
     }
 
+    // 加载文件夹和标签定义
+    await loadSessionOrganization();
+
     // 加载当前会话ID
     let currentId = null;
     try {
@@ -327,14 +334,18 @@ export async function saveCurrentSessionMessages(force = false) {
         persistedPayload = await createPersistedSessionPayload({
             messages: state.messages,
             geminiContents: state.geminiContents,
-            claudeContents: state.claudeContents
+            claudeContents: state.claudeContents,
+            branches: state.messageBranches,
+            contextSummary: state.contextSummary
         });
     } catch (error) {
         console.error('[Session] 构建持久化快照失败，回退到原始消息:', error);
         persistedPayload = {
             messages: cloneSerializable(state.messages),
             geminiContents: cloneSerializable(state.geminiContents),
-            claudeContents: cloneSerializable(state.claudeContents)
+            claudeContents: cloneSerializable(state.claudeContents),
+            branches: cloneSerializable(state.messageBranches),
+            contextSummary: cloneSerializable(state.contextSummary)
         };
     }
 
@@ -349,6 +360,9 @@ export async function saveCurrentSessionMessages(force = false) {
             updatedAt: session.updatedAt,
             customName: session.customName,
             messageCount: session.messageCount,
+            pinned: session.pinned || false,
+            folderId: session.folderId || null,
+            tags: session.tags || [],
         };
         await saveSessionAtomic(sessionMeta, persistedPayload);
         state.sessionDirty = false;
@@ -401,6 +415,9 @@ export async function createNewSession(shouldSwitch = true) {
         updatedAt: Date.now(),
         customName: false,
         messageCount: 0,
+        pinned: false,
+        folderId: null,
+        tags: [],
     };
 
     state.sessions.unshift(newSession);
@@ -557,6 +574,8 @@ export async function switchToSession(sessionId, saveOld = true, elements = null
             msgData.geminiContents || [],
             msgData.claudeContents || []
         );
+        state.messageBranches = msgData.branches || {};
+        state.contextSummary = msgData.contextSummary || null;
 
         state.lastUserMessage = null;
         state.messageHistory = [];
@@ -768,6 +787,7 @@ export async function deleteSession(sessionId) {
         }
     }
 
+    eventBus.emit('session:deleted', { sessionId });
     eventBus.emit('ui:notification', { message: '会话已删除', type: 'info' });
     eventBus.emit('sessions:updated', { sessions: state.sessions });
 }
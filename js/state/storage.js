@@ -4,10 +4,11 @@
  */
 
 import { eventBus } from '../core/events.js';
+import { sealMCPServer, unsealMCPServer, forgetMCPServer } from './vault.js';
 
 // IndexedDB 配置
 const DB_NAME = 'GeminiChatDB';
-const DB_VERSION = 4;  // 升级到版本 4（消息分离存储）
+const DB_VERSION = 6;  // 升级到版本 6（全文搜索索引）
 const STORE_NAME = 'sessions';
 
 // 对象存储名称常量
@@ -17,7 +18,9 @@ const STORES = {
     PREFERENCES: 'preferences',
     QUICK_MESSAGES: 'quickMessages',
     MCP_SERVERS: 'mcpServers',
-    MESSAGES: 'messages'  // 版本 4 新增：消息独立存储
+    MESSAGES: 'messages',  // 版本 4 新增：消息独立存储
+    USAGE_RECORDS: 'usageRecords',  // 版本 5 新增：每条消息的用量与费用
+    SEARCH_INDEX: 'searchIndex'  // 版本 6 新增：消息全文搜索倒排索引
 };
 
 let db = null;
@@ -242,6 +245,30 @@ export function initDB() {
                 }
                 // 数据迁移在 onupgradeneeded 完成后由 migrateSessionsToV4 执行
             }
+
+            // 版本 5: 用量费用记录（按会话/提供商/模型/日期建立索引用于聚合）
+            if (oldVersion < 5) {
+                if (!database.objectStoreNames.contains(STORES.USAGE_RECORDS)) {
+                    const usageStore = database.createObjectStore(STORES.USAGE_RECORDS, { keyPath: 'messageId' });
+                    usageStore.createIndex('day', 'day', { unique: false });
+                    usageStore.createIndex('sessionId', 'sessionId', { unique: false });
+                    usageStore.createIndex('providerId', 'providerId', { unique: false });
+                    usageStore.createIndex('modelId', 'modelId', { unique: false });
+                    console.log('创建对象存储: usageRecords');
+                }
+            }
+
+            // 版本 6: 全文搜索索引（每条消息一个文档，terms 多值索引即倒排表）
+            if (oldVersion < 6) {
+                if (!database.objectStoreNames.contains(STORES.SEARCH_INDEX)) {
+                    const searchStore = database.createObjectStore(STORES.SEARCH_INDEX, { keyPath: 'id' });
+                    searchStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+                    searchStore.createIndex('sessionId', 'sessionId', { unique: false });
+                    // 只有清单记录带 manifestOf 字段，用于快速列出已索引的会话
+                    searchStore.createIndex('manifestOf', 'manifestOf', { unique: true });
+                    console.log('创建对象存储: searchIndex');
+                }
+            }
         };
     });
 }
@@ -321,6 +348,9 @@ export async function loadAllSessionsFromDB() {
                         updatedAt: s.updatedAt,
                         customName: s.customName || false,
                         messageCount: (s.messages || []).length,
+                        pinned: s.pinned || false,
+                        folderId: s.folderId || null,
+                        tags: s.tags || [],
                         // 临时保留消息引用（v4 迁移前需要）
                         _pendingMessages: s.messages,
                         _pendingGemini: s.geminiContents,
@@ -351,15 +381,23 @@ export async function deleteSessionFromDB(sessionId) {
         if (!db) throw new Error('数据库未初始化且重连失败');
     }
     return new Promise((resolve, reject) => {
-        // 级联删除：同时删除 session 和对应的 messages
+        // 级联删除：同时删除 session、对应的 messages 和搜索索引
         const storeNames = [STORE_NAME];
         if (hasMessagesStore()) storeNames.push(STORES.MESSAGES);
+        if (hasSearchIndexStore()) storeNames.push(STORES.SEARCH_INDEX);
 
         const transaction = db.transaction(storeNames, 'readwrite');
         transaction.objectStore(STORE_NAME).delete(sessionId);
         if (hasMessagesStore()) {
             transaction.objectStore(STORES.MESSAGES).delete(sessionId);
         }
+        if (hasSearchIndexStore()) {
+            const searchIndex = transaction.objectStore(STORES.SEARCH_INDEX).index('sessionId');
+            searchIndex.getAllKeys(sessionId).onsuccess = (event) => {
+                const store = transaction.objectStore(STORES.SEARCH_INDEX);
+                event.target.result.forEach(key => store.delete(key));
+            };
+        }
 
         transaction.oncomplete = () => resolve();
         transaction.onerror = () => {
@@ -382,8 +420,12 @@ export async function saveSessionMessages(sessionId, data) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORES.MESSAGES], 'readwrite');
         const store = transaction.objectStore(STORES.MESSAGES);
-        store.put({ sessionId, messages: data.messages, geminiContents: data.geminiContents, claudeContents: data.claudeContents });
-        transaction.oncomplete = () => resolve();
+        store.put({ sessionId, messages: data.messages, geminiContents: data.geminiContents, claudeContents: data.claudeContents, branches: data.branches || {}, contextSummary: data.contextSummary || null });
+        transaction.oncomplete = () => {
+            // 通知搜索索引增量更新
+            eventBus.emit('messages:persisted', { sessionId, data });
+            resolve();
+        };
         transaction.onerror = () => {
             const error = transaction.error;
             if (error && (error.name === 'QuotaExceededError' || error.message?.includes('quota'))) {
@@ -409,12 +451,18 @@ export async function saveSessionAtomic(sessionMeta, messagesData) {
             sessionId: sessionMeta.id,
             messages: messagesData.messages,
             geminiContents: messagesData.geminiContents,
-            claudeContents: messagesData.claudeContents
+            claudeContents: messagesData.claudeContents,
+            branches: messagesData.branches || {},
+            contextSummary: messagesData.contextSummary || null
         });
         // 写 sessions store（仅元数据）
         transaction.objectStore(STORE_NAME).put(sessionMeta);
 
-        transaction.oncomplete = () => resolve();
+        transaction.oncomplete = () => {
+            // 通知搜索索引增量更新
+            eventBus.emit('messages:persisted', { sessionId: sessionMeta.id, data: messagesData });
+            resolve();
+        };
         transaction.onerror = () => {
             const error = transaction.error;
             if (error && (error.name === 'QuotaExceededError' || error.message?.includes('quota'))) {
@@ -428,7 +476,7 @@ export async function saveSessionAtomic(sessionMeta, messagesData) {
 /**
  * 从 messages store 加载指定会话的消息
  * @param {string} sessionId - 会话 ID
- * @returns {Promise<Object|null>} { messages, geminiContents, claudeContents } 或 null
+ * @returns {Promise<Object|null>} { messages, geminiContents, claudeContents, branches, contextSummary } 或 null
  */
 export async function loadSessionMessages(sessionId) {
     if (!db) {
@@ -469,6 +517,13 @@ function hasMessagesStore() {
     return db && db.objectStoreNames.contains(STORES.MESSAGES);
 }
 
+/**
+ * 检查搜索索引 store 是否存在（v6+）
+ */
+function hasSearchIndexStore() {
+    return db && db.objectStoreNames.contains(STORES.SEARCH_INDEX);
+}
+
 /**
  * v4 数据迁移：将 sessions store 中嵌入的消息提取到 messages store
  * 在 initDB 成功后调用
@@ -514,7 +569,10 @@ export async function migrateSessionsToV4() {
                     createdAt: session.createdAt,
                     updatedAt: session.updatedAt,
                     customName: session.customName || false,
-                    messageCount: (session.messages || []).length
+                    messageCount: (session.messages || []).length,
+                    pinned: session.pinned || false,
+                    folderId: session.folderId || null,
+                    tags: session.tags || []
                 };
                 cursor.update(metaSession);
                 migratedCount++;
@@ -926,7 +984,8 @@ export async function saveMCPServer(server) {
             return;
         }
 
-        const serverData = { ...server, updatedAt: Date.now() };
+        // 启用凭据库时，密钥和请求头等敏感字段不写入数据库
+        const serverData = { ...sealMCPServer(server), updatedAt: Date.now() };
 
         try {
             const transaction = db.transaction([STORES.MCP_SERVERS], 'readwrite');
@@ -981,7 +1040,9 @@ export async function loadAllMCPServers() {
 
             request.onsuccess = () => {
                 // 按更新时间排序，最新的在前
-                const servers = request.result.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+                const servers = request.result
+                    .map(unsealMCPServer)
+                    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
                 console.log(`[Storage] 加载 ${servers.length} 个 MCP 服务器`);
                 resolve(servers);
             };
@@ -1014,7 +1075,7 @@ export async function loadMCPServer(serverId) {
             const request = store.get(serverId);
 
             request.onsuccess = () => {
-                resolve(request.result || null);
+                resolve(unsealMCPServer(request.result || null));
             };
             request.onerror = () => {
                 console.error('[Storage] ❌ 加载 MCP 服务器失败:', request.error);
@@ -1045,6 +1106,7 @@ export async function deleteMCPServer(serverId) {
             const request = store.delete(serverId);
 
             request.onsuccess = () => {
+                forgetMCPServer(serverId);
                 console.log(`[Storage] 删除 MCP 服务器: ${serverId}`);
                 resolve();
             };
@@ -1089,7 +1151,7 @@ export async function saveAllMCPServers(servers) {
 
             // 批量写入
             servers.forEach(server => {
-                const serverData = { ...server, updatedAt: Date.now() };
+                const serverData = { ...sealMCPServer(server), updatedAt: Date.now() };
                 store.put(serverData);
             });
 
@@ -1206,3 +1268,257 @@ export async function updateMCPServer(serverId, updates) {
     await saveMCPServer(updatedServer);
     console.log(`[Storage] 更新 MCP 服务器: ${serverId}`);
 }
+
+// ========================================
+// 用量费用记录存储 API（版本 5 新增）
+// ========================================
+
+/**
+ * 保存（覆盖）单条消息的用量费用记录
+ * @param {Object} record - 用量记录（以 messageId 为主键）
+ * @returns {Promise<void>}
+ */
+export async function saveUsageRecord(record) {
+    return new Promise((resolve, reject) => {
+        if (!db || !db.objectStoreNames.contains(STORES.USAGE_RECORDS)) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const transaction = db.transaction([STORES.USAGE_RECORDS], 'readwrite');
+            const store = transaction.objectStore(STORES.USAGE_RECORDS);
+            const request = store.put(record);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                console.error('[Storage] ❌ 保存用量记录失败:', request.error);
+                reject(request.error);
+            };
+        } catch (error) {
+            console.error('[Storage] ❌ 保存用量记录异常:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * 按日期范围加载用量费用记录
+ * @param {string} [fromDay] - 起始日期（YYYY-MM-DD，含）
+ * @param {string} [toDay] - 结束日期（YYYY-MM-DD，含）
+ * @returns {Promise<Array>} 用量记录数组
+ */
+export async function loadUsageRecords(fromDay = null, toDay = null) {
+    return new Promise((resolve, reject) => {
+        if (!db || !db.objectStoreNames.contains(STORES.USAGE_RECORDS)) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            let range = null;
+            if (fromDay && toDay) {
+                range = window.IDBKeyRange.bound(fromDay, toDay);
+            } else if (fromDay) {
+                range = window.IDBKeyRange.lowerBound(fromDay);
+            } else if (toDay) {
+                range = window.IDBKeyRange.upperBound(toDay);
+            }
+
+            const transaction = db.transaction([STORES.USAGE_RECORDS], 'readonly');
+            const index = transaction.objectStore(STORES.USAGE_RECORDS).index('day');
+            const request = index.getAll(range);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error('[Storage] ❌ 加载用量记录失败:', request.error);
+                reject(request.error);
+            };
+        } catch (error) {
+            console.error('[Storage] ❌ 加载用量记录异常:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * 清空所有用量费用记录
+ * @returns {Promise<void>}
+ */
+export async function clearUsageRecords() {
+    return new Promise((resolve, reject) => {
+        if (!db || !db.objectStoreNames.contains(STORES.USAGE_RECORDS)) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const transaction = db.transaction([STORES.USAGE_RECORDS], 'readwrite');
+            const request = transaction.objectStore(STORES.USAGE_RECORDS).clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => {
+                console.error('[Storage] ❌ 清空用量记录失败:', request.error);
+                reject(request.error);
+            };
+        } catch (error) {
+            console.error('[Storage] ❌ 清空用量记录异常:', error);
+            reject(error);
+        }
+    });
+}
+
+// ========================================
+// 全文搜索索引存储 API（版本 6 新增）
+// ========================================
+
+/**
+ * 加载会话的索引清单（记录已索引消息的内容哈希，用于增量更新）
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<Object|null>} 清单记录
+ */
+export async function loadSearchManifest(sessionId) {
+    return new Promise((resolve, reject) => {
+        if (!hasSearchIndexStore()) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const transaction = db.transaction([STORES.SEARCH_INDEX], 'readonly');
+            const request = transaction.objectStore(STORES.SEARCH_INDEX).get(`${sessionId}|__manifest__`);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            console.error('[Storage] ❌ 加载搜索索引清单异常:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * 加载所有会话的索引清单
+ * @returns {Promise<Array>} 清单记录数组
+ */
+export async function loadAllSearchManifests() {
+    return new Promise((resolve, reject) => {
+        if (!hasSearchIndexStore()) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const transaction = db.transaction([STORES.SEARCH_INDEX], 'readonly');
+            const request = transaction.objectStore(STORES.SEARCH_INDEX).index('manifestOf').getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            console.error('[Storage] ❌ 加载搜索索引清单异常:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * 增量更新会话的搜索索引文档（单事务）
+ * @param {Object} manifest - 新的索引清单
+ * @param {Array} docs - 需要写入的消息文档
+ * @param {Array<string>} deleteIds - 需要删除的文档主键
+ * @returns {Promise<void>}
+ */
+export async function updateSearchDocuments(manifest, docs, deleteIds) {
+    return new Promise((resolve, reject) => {
+        if (!hasSearchIndexStore()) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const transaction = db.transaction([STORES.SEARCH_INDEX], 'readwrite');
+            const store = transaction.objectStore(STORES.SEARCH_INDEX);
+
+            deleteIds.forEach(id => store.delete(id));
+            docs.forEach(doc => store.put(doc));
+            store.put(manifest);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('[Storage] ❌ 更新搜索索引失败:', transaction.error);
+                reject(transaction.error);
+            };
+        } catch (error) {
+            console.error('[Storage] ❌ 更新搜索索引异常:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * 查询包含指定词项的文档主键
+ * @param {string} term - 词项
+ * @param {boolean} [prefix=false] - 是否前缀匹配
+ * @returns {Promise<Array<string>>} 文档主键数组
+ */
+export async function querySearchTerm(term, prefix = false) {
+    return new Promise((resolve, reject) => {
+        if (!hasSearchIndexStore()) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const range = prefix
+                ? window.IDBKeyRange.bound(term, term + '\uffff')
+                : window.IDBKeyRange.only(term);
+            const transaction = db.transaction([STORES.SEARCH_INDEX], 'readonly');
+            const request = transaction.objectStore(STORES.SEARCH_INDEX).index('terms').getAllKeys(range);
+
+            // 前缀匹配时同一文档可能命中多个词项，去重
+            request.onsuccess = () => resolve([...new Set(request.result || [])]);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            console.error('[Storage] ❌ 查询搜索索引异常:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * 批量加载搜索索引文档
+ * @param {Array<string>|null} ids - 文档主键数组（null 表示加载全部消息文档）
+ * @returns {Promise<Array>} 文档数组
+ */
+export async function loadSearchDocuments(ids = null) {
+    return new Promise((resolve, reject) => {
+        if (!hasSearchIndexStore()) {
+            reject(new Error('数据库未初始化'));
+            return;
+        }
+
+        try {
+            const transaction = db.transaction([STORES.SEARCH_INDEX], 'readonly');
+            const store = transaction.objectStore(STORES.SEARCH_INDEX);
+
+            if (ids === null) {
+                const request = store.getAll();
+                request.onsuccess = () => resolve((request.result || []).filter(doc => !doc.manifestOf));
+                request.onerror = () => reject(request.error);
+                return;
+            }
+
+            const docs = [];
+            ids.forEach(id => {
+                store.get(id).onsuccess = (event) => {
+                    if (event.target.result) docs.push(event.target.result);
+                };
+            });
+            transaction.oncomplete = () => resolve(docs);
+            transaction.onerror = () => reject(transaction.error);
+        } catch (error) {
+            console.error('[Storage] ❌ 加载搜索索引文档异常:', error);
+            reject(error);
+        }
+    });
+}
@@ -0,0 +1,747 @@
+/**
+ * 凭据库
+ * 将提供商 API 密钥、自定义请求头、MCP 服务器密钥、自定义工具 Webhook 请求头等敏感字段从持久化数据中剥离，加密后单独保存
+ *
+ * 两种保护方式：
+ * - password：主密码（WebCrypto PBKDF2 派生密钥 + AES-GCM 加密），适用于 Web / Android / 桌面
+ * - system：桌面版使用 Electron safeStorage（系统密钥链）加密，启动时自动解锁
+ *
+ * 持久化的配置中敏感字段被置空（保留结构），启动解锁后按字段路径回填；
+ * 未启用凭据库时所有函数直接透传，行为与之前一致
+ */
+
+import { savePreference, loadPreference } from './storage.js';
+
+// 凭据库记录的偏好设置键
+const VAULT_PREF_KEY = 'credentialVault';
+const VAULT_VERSION = 1;
+
+// PBKDF2 迭代次数（OWASP 推荐的 SHA-256 下限）
+const PBKDF2_ITERATIONS = 310000;
+
+// 延迟写入（合并短时间内的多次保存）
+const PERSIST_DELAY_MS = 300;
+
+// 凭据库运行时状态（密钥只保存在内存中）
+const vault = {
+    mode: null,          // null（未启用）| 'password' | 'system'
+    unlocked: false,
+    key: null,           // password 模式：AES-GCM CryptoKey（不可导出）
+    salt: null,          // password 模式：PBKDF2 盐（base64）
+    iterations: PBKDF2_ITERATIONS,
+    secrets: {}          // 字段路径 → 明文值
+};
+
+let persistTimer = null;
+let persistPromise = null;
+
+// ========== 编码与加密 ==========
+
+/**
+ * 字节数组转 base64
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+}
+
+/**
+ * base64 转字节数组
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+    const binary = window.atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * 生成随机字节
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function randomBytes(length) {
+    return window.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * 当前环境是否支持主密码加密（WebCrypto 仅在安全上下文中可用）
+ * @returns {boolean}
+ */
+export function isPasswordVaultSupported() {
+    return !!window.crypto?.subtle;
+}
+
+/**
+ * 从密码派生 AES-GCM 密钥
+ * @param {string} passphrase - 密码
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - 迭代次数
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const subtle = window.crypto.subtle;
+    const baseKey = await subtle.importKey(
+        'raw',
+        new window.TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * AES-GCM 加密
+ * @param {CryptoKey} key
+ * @param {string} plaintext
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function encryptWithKey(key, plaintext) {
+    const iv = randomBytes(12);
+    const data = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new window.TextEncoder().encode(plaintext)
+    );
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * AES-GCM 解密（密码错误或数据被篡改时抛出）
+ * @param {CryptoKey} key
+ * @param {{iv: string, data: string}} payload
+ * @returns {Promise<string>}
+ */
+async function decryptWithKey(key, { iv, data }) {
+    try {
+        const plain = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(iv) },
+            key,
+            fromBase64(data)
+        );
+        return new window.TextDecoder().decode(plain);
+    } catch {
+        throw new Error('密码错误或数据已损坏');
+    }
+}
+
+/**
+ * 用密码加密文本（用于导出文件，与凭据库主密码无关）
+ * @param {string} plaintext - 明文
+ * @param {string} passphrase - 密码
+ * @returns {Promise<Object>} 加密信封 { kdf, hash, iterations, salt, iv, data }
+ */
+export async function encryptWithPassphrase(plaintext, passphrase) {
+    const salt = randomBytes(16);
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const { iv, data } = await encryptWithKey(key, plaintext);
+    return {
+        kdf: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        cipher: 'AES-GCM',
+        iv,
+        data
+    };
+}
+
+/**
+ * 用密码解密 encryptWithPassphrase 生成的信封
+ * @param {Object} envelope - 加密信封
+ * @param {string} passphrase - 密码
+ * @returns {Promise<string>} 明文
+ */
+export async function decryptWithPassphrase(envelope, passphrase) {
+    if (!envelope?.salt || !envelope?.iv || !envelope?.data) {
+        throw new Error('加密数据格式错误');
+    }
+    const key = await deriveKey(passphrase, fromBase64(envelope.salt), envelope.iterations || PBKDF2_ITERATIONS);
+    return decryptWithKey(key, envelope);
+}
+
+// ========== 系统密钥链（Electron safeStorage） ==========
+
+/**
+ * 系统密钥链是否可用（仅桌面版，且系统提供了加密后端）
+ * @returns {Promise<boolean>}
+ */
+export async function isSystemVaultAvailable() {
+    if (!window.electronAPI?.vault_isAvailable) return false;
+    try {
+        return await window.electronAPI.vault_isAvailable();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 调用系统密钥链加密 / 解密
+ * @param {'encrypt'|'decrypt'} operation
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+async function systemCrypt(operation, value) {
+    const api = window.electronAPI;
+    const result = operation === 'encrypt'
+        ? await api.vault_encrypt(value)
+        : await api.vault_decrypt(value);
+    if (!result?.success) {
+        throw new Error(result?.error || '系统密钥链不可用');
+    }
+    return result.data;
+}
+
+// ========== 敏感字段定位 ==========
+
+/**
+ * 为对象的字段创建读写槽
+ * @param {Object} target - 对象
+ * @param {string} field - 字段名
+ * @param {string} id - 槽 ID
+ * @returns {{id: string, get: Function, set: Function}}
+ */
+function fieldSlot(target, field, id) {
+    return {
+        id,
+        get: () => target[field],
+        set: (value) => { target[field] = value; }
+    };
+}
+
+/**
+ * 为键值对象（请求头、环境变量）的每个值创建槽
+ * @param {Object} map - 键值对象
+ * @param {string} prefix - 槽 ID 前缀
+ * @returns {Array}
+ */
+function mapSlots(map, prefix) {
+    if (!map || typeof map !== 'object') return [];
+    return Object.keys(map).map(name => fieldSlot(map, name, `${prefix}.${name}`));
+}
+
+/**
+ * 配置对象中的敏感字段（当前配置和已保存的配置共用）
+ * @param {Object} config - 配置对象
+ * @returns {Array}
+ */
+function getConfigSlots(config) {
+    const slots = [fieldSlot(config, 'apiKey', 'apiKey')];
+
+    if (config.apiKeys && typeof config.apiKeys === 'object') {
+        slots.push(...mapSlots(config.apiKeys, 'apiKeys'));
+    }
+
+    (config.customHeaders || []).forEach((header, index) => {
+        if (header) slots.push(fieldSlot(header, 'value', `customHeaders.${index}`));
+    });
+
+    (config.providers || []).forEach(provider => {
+        if (!provider?.id) return;
+        slots.push(fieldSlot(provider, 'apiKey', `providers.${provider.id}.apiKey`));
+        (provider.apiKeys || []).forEach(entry => {
+            if (entry?.id) slots.push(fieldSlot(entry, 'key', `providers.${provider.id}.keys.${entry.id}`));
+        });
+    });
+
+    return slots;
+}
+
+/**
+ * MCP 服务器中的敏感字段（内部格式和标准格式共用）
+ * @param {Object} server - 服务器配置
+ * @returns {Array}
+ */
+function getMCPServerSlots(server) {
+    return [
+        fieldSlot(server, 'apiKey', 'apiKey'),
+        ...mapSlots(server.headers, 'headers'),
+        ...mapSlots(server.customHeaders, 'customHeaders'),
+        ...mapSlots(server.env, 'env')
+    ];
+}
+
+/**
+ * 自定义工具中的敏感字段（Webhook 请求头）
+ * @param {Object} tool - 工具配置
+ * @returns {Array}
+ */
+function getCustomToolSlots(tool) {
+    return mapSlots(tool.webhook?.headers, 'webhook.headers');
+}
+
+/**
+ * 剥离敏感字段：非空值写入 secrets 并在对象中置空
+ * @param {Array} slots - 字段槽
+ * @param {string} scope - 作用域
+ * @param {Object|null} secrets - 收集目标（为 null 时只置空）
+ */
+function stripSlots(slots, scope, secrets) {
+    for (const slot of slots) {
+        const value = slot.get();
+        if (typeof value !== 'string' || value === '') continue;
+        if (secrets) secrets[`${scope}:${slot.id}`] = value;
+        slot.set('');
+    }
+}
+
+/**
+ * 回填敏感字段（只填充空值，不覆盖已有值）
+ * @param {Array} slots - 字段槽
+ * @param {string} scope - 作用域
+ * @param {Object} secrets - 字段路径 → 明文
+ * @returns {number} 回填数量
+ */
+function fillSlots(slots, scope, secrets) {
+    let filled = 0;
+    for (const slot of slots) {
+        const value = secrets[`${scope}:${slot.id}`];
+        if (value === undefined || slot.get()) continue;
+        slot.set(value);
+        filled++;
+    }
+    return filled;
+}
+
+/**
+ * 删除作用域下的所有凭据
+ * @param {string} prefix - 作用域前缀
+ */
+function clearScope(prefix) {
+    for (const id of Object.keys(vault.secrets)) {
+        if (id.startsWith(prefix)) delete vault.secrets[id];
+    }
+}
+
+/**
+ * 已保存配置的作用域（按配置 ID，改名后凭据仍能对应；旧配置没有 ID 时按名称）
+ * @param {Object} config - 已保存的配置
+ * @returns {string}
+ */
+function savedConfigScope(config) {
+    return `savedConfig:${config.id || config.name}`;
+}
+
+/**
+ * 回填已保存配置的敏感字段，兼容旧版按名称保存的凭据
+ * @param {Object} config - 已保存的配置
+ * @param {Object} secrets - 字段路径 → 明文
+ * @returns {number} 回填数量
+ */
+function fillSavedConfig(config, secrets) {
+    const slots = getConfigSlots(config);
+    let filled = fillSlots(slots, savedConfigScope(config), secrets);
+    if (config.id && config.name) {
+        filled += fillSlots(slots, `savedConfig:${config.name}`, secrets);
+    }
+    return filled;
+}
+
+/**
+ * 自定义工具的作用域
+ * @param {Object} tool - 工具配置
+ * @returns {string}
+ */
+function customToolScope(tool) {
+    return `tool:${tool.id || tool.name}`;
+}
+
+// ========== 状态查询 ==========
+
+/**
+ * 凭据库是否已启用
+ * @returns {boolean}
+ */
+export function isVaultEnabled() {
+    return vault.mode !== null;
+}
+
+/**
+ * 凭据库是否已解锁
+ * @returns {boolean}
+ */
+export function isVaultUnlocked() {
+    return vault.unlocked;
+}
+
+/**
+ * 当前保护方式
+ * @returns {null|'password'|'system'}
+ */
+export function getVaultMode() {
+    return vault.mode;
+}
+
+// ========== 持久化 ==========
+
+/**
+ * 读取凭据库记录（兼容 localStorage 降级时的字符串值）
+ * @returns {Promise<Object|null>}
+ */
+async function readRecord() {
+    let record = await loadPreference(VAULT_PREF_KEY);
+    if (typeof record === 'string') {
+        try {
+            record = JSON.parse(record);
+        } catch {
+            record = null;
+        }
+    }
+    return record && typeof record === 'object' && record.mode ? record : null;
+}
+
+/**
+ * 加密并保存当前凭据
+ * @returns {Promise<void>}
+ */
+async function persistVault() {
+    if (!vault.mode || !vault.unlocked) return;
+
+    const plaintext = JSON.stringify(vault.secrets);
+    let record;
+
+    if (vault.mode === 'system') {
+        record = { version: VAULT_VERSION, mode: 'system', data: await systemCrypt('encrypt', plaintext) };
+    } else {
+        const { iv, data } = await encryptWithKey(vault.key, plaintext);
+        record = {
+            version: VAULT_VERSION,
+            mode: 'password',
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: vault.iterations, salt: vault.salt },
+            iv,
+            data
+        };
+    }
+
+    await savePreference(VAULT_PREF_KEY, record);
+}
+
+/**
+ * 延迟保存凭据（合并连续的配置保存）
+ */
+function schedulePersist() {
+    if (persistTimer) clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        persistPromise = persistVault()
+            .catch(error => console.error('[Vault] 保存凭据失败:', error))
+            .finally(() => { persistPromise = null; });
+    }, PERSIST_DELAY_MS);
+}
+
+/**
+ * 立即写入待保存的凭据（页面关闭、启用 / 关闭凭据库时调用）
+ * @returns {Promise<void>}
+ */
+export async function flushVault() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        await persistVault();
+    } else if (persistPromise) {
+        await persistPromise;
+    }
+}
+
+// ========== 加载与解锁 ==========
+
+/**
+ * 启动时读取凭据库状态；系统密钥链模式直接解锁
+ * @returns {Promise<{mode: null|'password'|'system', unlocked: boolean}>}
+ */
+export async function loadVault() {
+    const record = await readRecord();
+    if (!record) {
+        vault.mode = null;
+        vault.unlocked = false;
+        return { mode: null, unlocked: false };
+    }
+
+    vault.mode = record.mode;
+    vault.unlocked = false;
+
+    if (record.mode === 'system') {
+        try {
+            vault.secrets = JSON.parse(await systemCrypt('decrypt', record.data));
+            vault.unlocked = true;
+        } catch (error) {
+            console.error('[Vault] 系统密钥链解锁失败:', error);
+        }
+    }
+
+    return { mode: vault.mode, unlocked: vault.unlocked };
+}
+
+/**
+ * 用主密码解锁
+ * @param {string} passphrase - 主密码
+ * @returns {Promise<void>} 密码错误时抛出
+ */
+export async function unlockVault(passphrase) {
+    const record = await readRecord();
+    if (!record || record.mode !== 'password') {
+        throw new Error('凭据库未使用主密码保护');
+    }
+
+    const salt = fromBase64(record.kdf.salt);
+    const iterations = record.kdf.iterations || PBKDF2_ITERATIONS;
+    const key = await deriveKey(passphrase, salt, iterations);
+    const plaintext = await decryptWithKey(key, record);
+
+    vault.key = key;
+    vault.salt = record.kdf.salt;
+    vault.iterations = iterations;
+    vault.secrets = JSON.parse(plaintext);
+    vault.unlocked = true;
+    console.log(`[Vault] 已解锁（${Object.keys(vault.secrets).length} 项凭据）`);
+}
+
+/**
+ * 启用凭据库，或在已解锁时更换保护方式 / 主密码（保留已有凭据）
+ * 调用方随后需要重新保存配置和 MCP 服务器，把明文字段转入凭据库
+ * @param {'password'|'system'} mode - 保护方式
+ * @param {string} [passphrase] - 主密码（password 模式必填）
+ * @returns {Promise<void>}
+ */
+export async function enableVault(mode, passphrase) {
+    if (vault.mode && !vault.unlocked) {
+        throw new Error('请先解锁凭据库');
+    }
+
+    if (mode === 'password') {
+        if (!isPasswordVaultSupported()) {
+            throw new Error('当前环境不支持 WebCrypto（需要 HTTPS 或本地应用）');
+        }
+        if (!passphrase) {
+            throw new Error('请输入主密码');
+        }
+        const salt = randomBytes(16);
+        vault.key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        vault.salt = toBase64(salt);
+        vault.iterations = PBKDF2_ITERATIONS;
+    } else if (mode === 'system') {
+        if (!await isSystemVaultAvailable()) {
+            throw new Error('系统密钥链不可用');
+        }
+        vault.key = null;
+        vault.salt = null;
+    } else {
+        throw new Error(`未知的保护方式: ${mode}`);
+    }
+
+    vault.mode = mode;
+    vault.unlocked = true;
+    await persistVault();
+    console.log(`[Vault] 凭据库已启用（${mode}）`);
+}
+
+/**
+ * 关闭凭据库并删除加密记录
+ * 已解锁时调用方随后需要重新保存配置，把凭据写回明文字段；未解锁时凭据将丢失
+ * @returns {Promise<void>}
+ */
+export async function disableVault() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+
+    vault.mode = null;
+    vault.unlocked = false;
+    vault.key = null;
+    vault.salt = null;
+    vault.secrets = {};
+
+    await savePreference(VAULT_PREF_KEY, null);
+    console.log('[Vault] 凭据库已关闭');
+}
+
+// ========== 配置的封存与回填 ==========
+
+/**
+ * 封存配置：返回敏感字段已置空的副本，凭据转入凭据库
+ * 未解锁时只置空（不更新凭据库，已有凭据保留到下次解锁）
+ * @param {Object} config - 配置对象
+ * @returns {Object} 可持久化的配置
+ */
+export function sealConfig(config) {
+    if (!vault.mode || !config) return config;
+
+    const copy = JSON.parse(JSON.stringify(config));
+    if (vault.unlocked) clearScope('config:');
+    stripSlots(getConfigSlots(copy), 'config', vault.unlocked ? vault.secrets : null);
+    if (vault.unlocked) schedulePersist();
+    return copy;
+}
+
+/**
+ * 回填配置中的敏感字段（原地修改）
+ * @param {Object} config - 从存储读取的配置
+ * @returns {Object}
+ */
+export function unsealConfig(config) {
+    if (vault.unlocked && config) {
+        fillSlots(getConfigSlots(config), 'config', vault.secrets);
+    }
+    return config;
+}
+
+/**
+ * 封存已保存的配置列表
+ * @param {Array} configs - 配置列表
+ * @returns {Array} 可持久化的配置列表
+ */
+export function sealSavedConfigs(configs) {
+    if (!vault.mode || !Array.isArray(configs)) return configs;
+
+    const copies = JSON.parse(JSON.stringify(configs));
+    if (vault.unlocked) clearScope('savedConfig:');
+    copies.forEach(config => {
+        stripSlots(getConfigSlots(config), savedConfigScope(config), vault.unlocked ? vault.secrets : null);
+    });
+    if (vault.unlocked) schedulePersist();
+    return copies;
+}
+
+/**
+ * 回填已保存的配置列表（原地修改）
+ * @param {Array} configs - 配置列表
+ * @returns {Array}
+ */
+export function unsealSavedConfigs(configs) {
+    if (vault.unlocked && Array.isArray(configs)) {
+        configs.forEach(config => fillSavedConfig(config, vault.secrets));
+    }
+    return configs;
+}
+
+/**
+ * 封存 MCP 服务器
+ * @param {Object} server - 服务器配置
+ * @returns {Object} 可持久化的服务器配置
+ */
+export function sealMCPServer(server) {
+    if (!vault.mode || !server) return server;
+
+    const copy = JSON.parse(JSON.stringify(server));
+    const scope = `mcp:${server.id}`;
+    if (vault.unlocked) clearScope(`${scope}:`);
+    stripSlots(getMCPServerSlots(copy), scope, vault.unlocked ? vault.secrets : null);
+    if (vault.unlocked) schedulePersist();
+    return copy;
+}
+
+/**
+ * 回填 MCP 服务器的敏感字段（原地修改）
+ * @param {Object} server - 服务器配置
+ * @returns {Object}
+ */
+export function unsealMCPServer(server) {
+    if (vault.unlocked && server) {
+        fillSlots(getMCPServerSlots(server), `mcp:${server.id}`, vault.secrets);
+    }
+    return server;
+}
+
+/**
+ * 删除 MCP 服务器的凭据
+ * @param {string} serverId - 服务器 ID
+ */
+export function forgetMCPServer(serverId) {
+    if (!vault.unlocked) return;
+    clearScope(`mcp:${serverId}:`);
+    schedulePersist();
+}
+
+/**
+ * 封存自定义工具列表
+ * @param {Array} tools - 工具配置列表
+ * @returns {Array} 可持久化的工具配置列表
+ */
+export function sealCustomTools(tools) {
+    if (!vault.mode || !Array.isArray(tools)) return tools;
+
+    const copies = JSON.parse(JSON.stringify(tools));
+    if (vault.unlocked) clearScope('tool:');
+    copies.forEach(tool => {
+        stripSlots(getCustomToolSlots(tool), customToolScope(tool), vault.unlocked ? vault.secrets : null);
+    });
+    if (vault.unlocked) schedulePersist();
+    return copies;
+}
+
+/**
+ * 回填自定义工具列表（原地修改）
+ * @param {Array} tools - 工具配置列表
+ * @returns {Array}
+ */
+export function unsealCustomTools(tools) {
+    if (vault.unlocked && Array.isArray(tools)) {
+        tools.forEach(tool => fillSlots(getCustomToolSlots(tool), customToolScope(tool), vault.secrets));
+    }
+    return tools;
+}
+
+// ========== 导出文件中的凭据 ==========
+
+/**
+ * 从导出数据中剥离凭据（原地修改），与凭据库是否启用无关
+ * @param {Object} exportData - { currentConfig, savedConfigs, customTools, mcpServers }（mcpServers 为标准格式的 name → 配置）
+ * @returns {Object} 字段路径 → 明文
+ */
+export function extractExportSecrets({ currentConfig, savedConfigs, customTools, mcpServers }) {
+    const secrets = {};
+    if (currentConfig) {
+        stripSlots(getConfigSlots(currentConfig), 'config', secrets);
+    }
+    (savedConfigs || []).forEach(config => {
+        stripSlots(getConfigSlots(config), savedConfigScope(config), secrets);
+    });
+    (customTools || []).forEach(tool => {
+        stripSlots(getCustomToolSlots(tool), customToolScope(tool), secrets);
+    });
+    Object.entries(mcpServers || {}).forEach(([name, server]) => {
+        if (server) stripSlots(getMCPServerSlots(server), `mcp:${name}`, secrets);
+    });
+    return secrets;
+}
+
+/**
+ * 把解密后的凭据回填到导入数据（原地修改）
+ * @param {Object} importData - 同 extractExportSecrets
+ * @param {Object} secrets - 字段路径 → 明文
+ * @returns {number} 回填数量
+ */
+export function injectExportSecrets({ currentConfig, savedConfigs, customTools, mcpServers }, secrets) {
+    let filled = 0;
+    if (currentConfig) {
+        filled += fillSlots(getConfigSlots(currentConfig), 'config', secrets);
+    }
+    (savedConfigs || []).forEach(config => {
+        filled += fillSavedConfig(config, secrets);
+    });
+    (customTools || []).forEach(tool => {
+        filled += fillSlots(getCustomToolSlots(tool), customToolScope(tool), secrets);
+    });
+    Object.entries(mcpServers || {}).forEach(([name, server]) => {
+        if (server) filled += fillSlots(getMCPServerSlots(server), `mcp:${name}`, secrets);
+    });
+    return filled;
+}
@@ -0,0 +1,227 @@
+/**
+ * 竞技场（模型对比）模式
+ * 同一问题并行发送给 2~4 个提供商/模型，分栏显示各自的流式回复和统计，
+ * 由用户选出最佳回复作为历史中的正式回复
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { getSendFunction } from '../api/factory.js';
+import { getCurrentEndpoint, getCurrentApiKey, getCurrentModel } from '../api/handler.js';
+import { getCurrentProvider, getModelDisplayName, setFallbackOverride, clearFallbackOverride } from '../providers/manager.js';
+import { parseStreamToReply } from './multi-stream.js';
+import { buildStreamStatsData, estimateTokenCount } from './stats.js';
+import { saveAssistantMessage, saveErrorMessage } from '../messages/sync.js';
+import { setCurrentMessageIndex } from '../messages/dom-sync.js';
+import { renderArenaGrid, updateArenaColumn, enableArenaPicking } from '../messages/arena.js';
+import { renderHumanizedError } from '../utils/errors.js';
+
+// 竞技场支持的 API 格式（与多回复流式解析一致）
+export const ARENA_FORMATS = ['openai', 'claude', 'gemini'];
+
+// 参与对比的模型数量范围
+export const ARENA_MIN_MODELS = 2;
+export const ARENA_MAX_MODELS = 4;
+
+/**
+ * 获取可参与对比的提供商/模型（跳过已禁用、已删除和格式不支持的条目）
+ * @returns {Array<{providerId: string, model: string}>}
+ */
+export function getArenaTargets() {
+    return (state.arenaModels || []).filter(entry => {
+        if (!entry.providerId || !entry.model) return false;
+        const provider = state.providers.find(p => p.id === entry.providerId);
+        return provider?.enabled && ARENA_FORMATS.includes(provider.apiFormat);
+    }).slice(0, ARENA_MAX_MODELS);
+}
+
+/**
+ * 判断本次请求是否使用竞技场模式
+ * @returns {boolean}
+ */
+export function isArenaActive() {
+    return !!state.arenaEnabled && state.streamEnabled && getArenaTargets().length >= ARENA_MIN_MODELS;
+}
+
+/**
+ * 解析失败响应的错误信息
+ * @param {Response} response - 失败的响应
+ * @returns {Promise<{errorType: string, errorMessage: string}>}
+ */
+async function readResponseError(response) {
+    try {
+        const data = await response.clone().json();
+        const error = (Array.isArray(data) ? data[0] : data)?.error || data;
+        return {
+            errorType: error?.type || error?.status || `http_${response.status}`,
+            errorMessage: error?.message || `HTTP ${response.status}`
+        };
+    } catch {
+        return { errorType: `http_${response.status}`, errorMessage: `HTTP ${response.status}` };
+    }
+}
+
+/**
+ * 发送竞技场请求：各模型依次发出请求（请求体依赖当前提供商），流式响应并行接收
+ * @param {AbortController} abortController - 取消控制器
+ * @param {HTMLElement} assistantMessageEl - 助手消息元素
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<boolean>} 是否至少有一个模型成功回复
+ */
+export async function handleArenaResponses(abortController, assistantMessageEl, sessionId) {
+    const signal = abortController.signal;
+    const targets = getArenaTargets();
+
+    const replies = targets.map(target => {
+        const provider = state.providers.find(p => p.id === target.providerId);
+        return {
+            content: '',
+            thinkingContent: null,
+            providerId: target.providerId,
+            model: target.model,
+            modelName: getModelDisplayName(target.model, provider),
+            providerName: provider?.name || 'Unknown'
+        };
+    });
+
+    const contentDiv = assistantMessageEl.querySelector('.message-content');
+    const columns = renderArenaGrid(contentDiv, replies);
+    replies.forEach((reply, index) => updateArenaColumn(columns[index], reply, true));
+
+    // 各栏的重绘用 requestAnimationFrame 节流
+    const pendingFrames = new Map();
+    const scheduleRender = (index) => {
+        if (pendingFrames.has(index)) return;
+        pendingFrames.set(index, requestAnimationFrame(() => {
+            pendingFrames.delete(index);
+            if (!replies[index].finished) updateArenaColumn(columns[index], replies[index], true);
+        }));
+    };
+
+    const streams = [];
+    try {
+        for (let i = 0; i < targets.length; i++) {
+            if (signal.aborted) break;
+
+            setFallbackOverride(targets[i], null);
+            const format = getCurrentProvider()?.apiFormat || 'openai';
+            const timing = { requestStartTime: Date.now(), firstTokenTime: 0, endTime: 0, tokenCount: 0 };
+
+            let response;
+            try {
+                const sendFn = getSendFunction(format);
+                response = await sendFn(getCurrentEndpoint(), getCurrentApiKey(), getCurrentModel(), signal);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                Object.assign(replies[i], { isError: true, errorType: 'network', errorMessage: error.message });
+                continue;
+            }
+
+            if (!response.ok) {
+                Object.assign(replies[i], { isError: true, httpStatus: response.status }, await readResponseError(response));
+                continue;
+            }
+
+            streams[i] = parseStreamToReply(response, false, {
+                format,
+                onUpdate: (textContent, thinkingContent) => {
+                    if (!timing.firstTokenTime && (textContent || thinkingContent)) {
+                        timing.firstTokenTime = Date.now();
+                    }
+                    replies[i].content = textContent;
+                    replies[i].thinkingContent = thinkingContent || null;
+                    scheduleRender(i);
+                }
+            }).then(result => {
+                timing.endTime = Date.now();
+                timing.tokenCount = estimateTokenCount((result.thinkingContent || '') + result.content);
+                Object.assign(replies[i], result, { streamStats: buildStreamStatsData(timing) });
+            }, error => {
+                if (error.name === 'AbortError') throw error;
+                const errorMessage = error.message || String(error);
+                const [errorType, ...messageParts] = errorMessage.split(':');
+                Object.assign(replies[i], {
+                    isError: true,
+                    errorType: errorType || 'stream_error',
+                    errorMessage: messageParts.join(':').trim() || errorMessage
+                });
+            }).finally(() => {
+                replies[i].finished = true;
+                updateArenaColumn(columns[i], replies[i]);
+            });
+        }
+    } finally {
+        clearFallbackOverride();
+    }
+
+    // 失败的请求立即显示错误
+    replies.forEach((reply, index) => {
+        if (reply.isError) {
+            reply.finished = true;
+            updateArenaColumn(columns[index], reply);
+        }
+    });
+
+    await Promise.allSettled(streams.filter(Boolean));
+    pendingFrames.forEach(frameId => cancelAnimationFrame(frameId));
+
+    if (signal.aborted) {
+        const error = new Error('请求已取消');
+        error.name = 'AbortError';
+        throw error;
+    }
+
+    replies.forEach(reply => delete reply.finished);
+    const winnerIndex = replies.findIndex(reply => !reply.isError);
+
+    // 所有模型都失败
+    if (winnerIndex === -1) {
+        const errorObj = {
+            error: {
+                type: replies[0]?.errorType || 'arena_error',
+                message: replies[0]?.errorMessage || '所有对比模型均请求失败',
+                allErrors: replies.map((reply, index) => ({
+                    request: index + 1,
+                    status: reply.httpStatus || 'Network Error',
+                    message: `${reply.modelName} | ${reply.providerName}: ${reply.errorMessage}`,
+                    type: reply.errorType
+                }))
+            }
+        };
+        contentDiv.innerHTML = renderHumanizedError(errorObj, replies[0]?.httpStatus || 0);
+        saveErrorMessage(errorObj, replies[0]?.httpStatus || 0, renderHumanizedError);
+        return false;
+    }
+
+    // 暂以第一个成功的回复保存，用户选出胜者后替换
+    const first = replies[winnerIndex];
+    setFallbackOverride(first, null);
+    let messageIndex;
+    try {
+        messageIndex = saveAssistantMessage({
+            textContent: first.content || '',
+            thinkingContent: first.thinkingContent,
+            thoughtSignature: first.thoughtSignature,
+            groundingMetadata: first.groundingMetadata,
+            streamStats: first.streamStats,
+            allReplies: replies,
+            selectedReplyIndex: winnerIndex,
+            geminiParts: first.parts,
+            sessionId: sessionId, // 🔒 传递会话ID防止串消息
+        });
+    } finally {
+        clearFallbackOverride();
+    }
+
+    // 会话已切换时消息保存到了后台会话
+    if (messageIndex === undefined) return true;
+
+    [state.messages, state.geminiContents, state.claudeContents].forEach(list => {
+        if (list[messageIndex]) list[messageIndex].arena = { winner: null };
+    });
+    setCurrentMessageIndex(messageIndex);
+    enableArenaPicking(assistantMessageEl);
+
+    eventBus.emit('messages:changed', { action: 'assistant_updated', index: messageIndex });
+    return true;
+}
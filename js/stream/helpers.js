@@ -4,16 +4,24 @@
  */
 
 import { state, elements } from '../core/state.js';
+import { eventBus } from '../core/events.js';
 import { safeMarkedParse } from '../utils/markdown.js';
 import { escapeHtml } from '../utils/helpers.js';
 import { renderThinkingBlock, enhanceCodeBlocks, enhanceThinkingBlocks } from '../messages/renderer.js';
 import { getMediaExtension, isVideoUrl } from '../utils/media.js';
+import { joinResumedText } from '../api/resume.js';
 
 // 性能优化：防抖渲染（避免每个 token 都触发重绘）
 let renderDebounceTimer = null;
 let pendingRenderData = null;
 let rafId = null;
 
+// 本次请求已流式输出的内容（连接中断时保留为部分回复）
+let streamPartial = { textContent: '', thinkingContent: '' };
+
+// 续写中断的回复时，消息中已有的内容（新内容拼接在其后一起渲染）
+let resumePrefix = null;
+
 /**
  * 滚动到底部
  */
@@ -229,6 +237,52 @@ function doRender(textContent, thinkingContent) {
     scrollToBottom();
 }
 
+/**
+ * 重置本次请求的部分回复记录（每次请求开始时调用）
+ */
+export function resetStreamPartial() {
+    streamPartial = { textContent: '', thinkingContent: '' };
+}
+
+/**
+ * 获取本次请求已流式输出的内容
+ * @returns {{textContent: string, thinkingContent: string}}
+ */
+export function getStreamPartial() {
+    return { ...streamPartial };
+}
+
+/**
+ * 设置续写前缀：续写期间流式和最终渲染都会把新内容拼接在前缀之后
+ * @param {string} textContent - 已有的文本内容
+ * @param {string} thinkingContent - 已有的思维链内容
+ */
+export function setResumePrefix(textContent, thinkingContent) {
+    resumePrefix = { textContent: textContent || '', thinkingContent: thinkingContent || '' };
+}
+
+/**
+ * 清除续写前缀
+ */
+export function clearResumePrefix() {
+    resumePrefix = null;
+}
+
+/**
+ * 拼接续写前缀（未在续写时原样返回）
+ * @param {string} textContent - 新的文本内容
+ * @param {string} thinkingContent - 新的思维链内容
+ * @returns {{textContent: string, thinkingContent: string}}
+ */
+function withResumePrefix(textContent, thinkingContent) {
+    if (!resumePrefix) return { textContent, thinkingContent };
+
+    return {
+        textContent: joinResumedText(resumePrefix.textContent, textContent),
+        thinkingContent: [resumePrefix.thinkingContent, thinkingContent].filter(Boolean).join('\n\n---\n\n')
+    };
+}
+
 /**
  * 实时更新流式消息内容
  * 性能优化：使用 requestAnimationFrame + 防抖，避免过度渲染
@@ -236,8 +290,13 @@ function doRender(textContent, thinkingContent) {
  * @param {string} thinkingContent - 思维链内容
  */
 export function updateStreamingMessage(textContent, thinkingContent) {
+    streamPartial = { textContent: textContent || '', thinkingContent: thinkingContent || '' };
+
     // 保存最新的渲染数据
-    pendingRenderData = { textContent, thinkingContent };
+    pendingRenderData = withResumePrefix(textContent, thinkingContent);
+
+    // 通知自动朗读（仅正文，思维链不朗读）
+    eventBus.emit('stream:text-updated', { textContent });
 
     // 取消之前的防抖定时器
     if (renderDebounceTimer) {
@@ -268,6 +327,8 @@ export function updateStreamingMessage(textContent, thinkingContent) {
 export function renderFinalTextWithThinking(textContent, thinkingContent, groundingMetadata = null) {
     if (!state.currentAssistantMessage) return;
 
+    ({ textContent, thinkingContent } = withResumePrefix(textContent, thinkingContent));
+
     // 检测是否是 continuation 模式（有工具调用 UI 或持久标记）
     const hasToolCallUI = state.currentAssistantMessage.querySelector('.tool-calls-group');
     const hasContinuationLoading = state.currentAssistantMessage.querySelector('.continuation-loading');
@@ -443,6 +504,17 @@ function renderMediaCard(url, mediaType, mimeType = '') {
 export function renderFinalContentWithThinking(contentParts, thinkingContent, groundingMetadata = null) {
     if (!state.currentAssistantMessage) return;
 
+    // 续写时把已有文本拼接到新内容之前
+    if (resumePrefix) {
+        const [first, ...rest] = contentParts;
+        if (first?.type === 'text') {
+            contentParts = [{ ...first, text: joinResumedText(resumePrefix.textContent, first.text) }, ...rest];
+        } else if (resumePrefix.textContent) {
+            contentParts = [{ type: 'text', text: resumePrefix.textContent }, ...contentParts];
+        }
+        thinkingContent = withResumePrefix('', thinkingContent).thinkingContent;
+    }
+
     // 检测是否是 continuation 模式（有工具调用 UI 或持久标记）
     const hasToolCallUI = state.currentAssistantMessage.querySelector('.tool-calls-group');
     const hasContinuationLoading = state.currentAssistantMessage.querySelector('.continuation-loading');
@@ -211,9 +211,12 @@ export async function handleMultiStreamResponses(endpoint, apiKey, model, abortC
  * 解析单个流并返回回复对象
  * @param {Response} response - Fetch Response
  * @param {boolean} showRealtime - 是否实时显示
+ * @param {Object} [options]
+ * @param {string} [options.format] - 响应的 API 格式（默认当前格式）
+ * @param {Function} [options.onUpdate] - 内容更新回调 (textContent, thinkingContent)
  * @returns {Promise<Object>} 回复对象
  */
-async function parseStreamToReply(response, showRealtime = false) {
+export async function parseStreamToReply(response, showRealtime = false, { format = state.apiFormat, onUpdate = null } = {}) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
@@ -223,7 +226,13 @@ async function parseStreamToReply(response, showRealtime = false) {
     let groundingMetadata = null;
     const contentParts = [];
 
-    switch (state.apiFormat) {
+    // 内容更新：实时显示（第一个流）并通知调用方
+    const notifyUpdate = () => {
+        if (showRealtime) updateStreamingMessage(textContent, thinkingContent);
+        onUpdate?.(textContent, thinkingContent);
+    };
+
+    switch (format) {
         case 'gemini':
             while (true) {
                 const { done, value } = await reader.read();
@@ -289,9 +298,7 @@ async function parseStreamToReply(response, showRealtime = false) {
                         }
 
                         // 实时显示第一个流
-                        if (showRealtime) {
-                            updateStreamingMessage(textContent, thinkingContent);
-                        }
+                        notifyUpdate();
                     } catch (e) {
                         console.warn('Gemini stream parse error:', e);
                         // 如果是API错误，重新抛出
@@ -345,14 +352,14 @@ async function parseStreamToReply(response, showRealtime = false) {
                                     recordTokens(delta.text);
                                 }
                                 textContent += delta.text;
-                                if (showRealtime) updateStreamingMessage(textContent, thinkingContent);
+                                notifyUpdate();
                             } else if (delta?.type === 'thinking_delta') {
                                 if (showRealtime) {
                                     recordFirstToken();
                                     recordTokens(delta.thinking);
                                 }
                                 thinkingContent += delta.thinking;
-                                if (showRealtime) updateStreamingMessage(textContent, thinkingContent);
+                                notifyUpdate();
                             }
                         }
                     } catch (e) {
@@ -407,7 +414,7 @@ async function parseStreamToReply(response, showRealtime = false) {
                                     recordTokens(delta.content);
                                 }
                                 textContent += delta.content;
-                                if (showRealtime) updateStreamingMessage(textContent, thinkingContent);
+                                notifyUpdate();
                             }
                             if (delta.reasoning_content) {
                                 if (showRealtime) {
@@ -415,7 +422,7 @@ async function parseStreamToReply(response, showRealtime = false) {
                                     recordTokens(delta.reasoning_content);
                                 }
                                 thinkingContent += delta.reasoning_content;
-                                if (showRealtime) updateStreamingMessage(textContent, thinkingContent);
+                                notifyUpdate();
                             }
                         }
                     } catch (e) {
@@ -3,7 +3,7 @@
  * 解析 Claude SSE 流式响应
  */
 
-import { recordFirstToken, recordTokens, recalculateStreamTokenCount, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats } from './stats.js';
+import { recordFirstToken, recordTokens, recalculateStreamTokenCount, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats, recordUsage, getStreamUsage } from './stats.js';
 import { updateStreamingMessage, renderFinalTextWithThinking, renderFinalContentWithThinking, cleanupAllIncompleteImages } from './helpers.js';
 import { saveAssistantMessage } from '../messages/sync.js';
 import { setCurrentMessageIndex } from '../messages/dom-sync.js';  // Bug 2 导入索引设置函数
@@ -97,6 +97,11 @@ export async function parseClaudeStream(reader, sessionId = null) {
                         }
 
                         switch (event.type) {
+                            case 'message_start':
+                                // 输入用量（含缓存）在 message_start 中上报
+                                recordUsage(event.message?.usage, 'claude');
+                                break;
+
                             case 'content_block_start':
                                 currentBlockType = event.content_block?.type;
                                 blockIndex = event.index;
@@ -247,6 +252,8 @@ export async function parseClaudeStream(reader, sessionId = null) {
                                 if (event.delta?.stop_reason) {
                                     stopReason = event.delta.stop_reason;
                                 }
+                                // 最终输出用量（累计值）
+                                recordUsage(event.usage, 'claude');
                                 break;
 
                             case 'message_stop': {
@@ -318,6 +325,7 @@ export async function parseClaudeStream(reader, sessionId = null) {
                                         contentParts,
                                         toolCalls: completedCalls,
                                         streamStats: getPartialStreamStatsData(),  // 保存部分统计，供 continuation 聚合
+                                        usage: getStreamUsage(),
                                         sessionId
                                     });
 
@@ -431,6 +439,7 @@ function finalizeClaudeStream(textContent, thinkingContent, thinkingSignature, c
         thinkingSignature,
         contentParts,
         streamStats: getCurrentStreamStatsData(),
+        usage: getStreamUsage(),
         sessionId: sessionId, // 🔒 传递会话ID防止串消息
     });
 
@@ -496,6 +505,7 @@ function finalizeClaudeStreamWithError(textContent, thinkingContent, contentPart
         thinkingContent,
         contentParts,
         streamStats: getCurrentStreamStatsData(),
+        usage: getStreamUsage(),
         isError: true,
         errorData: {
             code: errorCode,
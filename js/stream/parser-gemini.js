@@ -3,7 +3,7 @@
  * 解析 Gemini SSE 流式响应
  */
 
-import { recordFirstToken, recordTokens, recalculateStreamTokenCount, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats } from './stats.js';
+import { recordFirstToken, recordTokens, recalculateStreamTokenCount, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats, recordUsage, getStreamUsage } from './stats.js';
 import { updateStreamingMessage, renderFinalTextWithThinking, renderFinalContentWithThinking, cleanupAllIncompleteImages } from './helpers.js';
 import { saveAssistantMessage } from '../messages/sync.js';
 import { setCurrentMessageIndex } from '../messages/dom-sync.js';  // Bug 2 导入索引设置函数
@@ -113,6 +113,11 @@ export async function parseGeminiStream(reader, sessionId = null) {
                         return; // 退出流处理
                     }
 
+                    // usageMetadata 每个分块都会上报（累计值），取最新
+                    if (parsed.usageMetadata) {
+                        recordUsage(parsed.usageMetadata, 'gemini');
+                    }
+
                     const parts = parsed.candidates?.[0]?.content?.parts || [];
 
                     for (const part of parts) {
@@ -385,6 +390,7 @@ export async function parseGeminiStream(reader, sessionId = null) {
                     contentParts,
                     toolCalls: finalToolCalls,
                     streamStats: getPartialStreamStatsData(),  // 保存部分统计，供 continuation 聚合
+                    usage: getStreamUsage(),
                     sessionId
                 });
 
@@ -484,6 +490,7 @@ function finalizeGeminiStream(textContent, thinkingContent, thoughtSignature, _g
         thoughtSignature,
         contentParts,
         streamStats: getCurrentStreamStatsData(),
+        usage: getStreamUsage(),
         sessionId: sessionId, // 🔒 传递会话ID防止串消息
     });
 
@@ -554,6 +561,7 @@ function finalizeGeminiStreamWithError(textContent, thinkingContent, thoughtSign
         thoughtSignature,
         contentParts,
         streamStats: getCurrentStreamStatsData(),
+        usage: getStreamUsage(),
         isError: true,
         errorData: {
             code: errorCode,
@@ -3,7 +3,7 @@
  * 解析 OpenAI SSE 流式响应
  */
 
-import { recordFirstToken, recordTokens, recalculateStreamTokenCount, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats } from './stats.js';
+import { recordFirstToken, recordTokens, recalculateStreamTokenCount, finalizeStreamStats, getCurrentStreamStatsData, getPartialStreamStatsData, appendStreamStats, recordUsage, getStreamUsage } from './stats.js';
 import { updateStreamingMessage, renderFinalTextWithThinking, renderFinalContentWithThinking, cleanupAllIncompleteImages, handleContentArray } from './helpers.js';
 import { saveAssistantMessage } from '../messages/sync.js';
 import { setCurrentMessageIndex } from '../messages/dom-sync.js';  // Bug 2 导入索引设置函数
@@ -61,7 +61,7 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
             const lines = buffer.split('\n');
             buffer = lines.pop() || '';
 
-            for (const line of lines) {
+            for (const [lineIndex, line] of lines.entries()) {
                 if (line.startsWith('data: ')) {
                     const data = line.slice(6).trim();
                     if (data === '[DONE]') {
@@ -95,6 +95,7 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
                                     contentParts,
                                     toolCalls: completedCalls,
                                     streamStats: getPartialStreamStatsData(),
+                                    usage: getStreamUsage(),
                                     sessionId
                                 });
 
@@ -238,6 +239,7 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
 
                                 case 'response.completed':
                                 case 'response.done': {
+                                    recordUsage(parsed.response?.usage, format);
                                     // 响应完成事件 - 提取最终内容（如果之前没有收到增量）
                                     if (parsed.response?.output_text && !textContent) {
                                         textContent = parsed.response.output_text;
@@ -307,6 +309,7 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
                                                 contentParts,
                                                 toolCalls: completedCalls,
                                                 streamStats: getPartialStreamStatsData(),
+                                                usage: getStreamUsage(),
                                                 sessionId
                                             });
 
@@ -470,6 +473,7 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
                                         contentParts,
                                         toolCalls: completedCalls,
                                         streamStats: getPartialStreamStatsData(),
+                                        usage: getStreamUsage(),
                                         sessionId
                                     });
 
@@ -494,6 +498,11 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
                             const delta = parsed.choices?.[0]?.delta;
                             const finishReason = parsed.choices?.[0]?.finish_reason;
 
+                            // usage 通常在最后一个分块（choices 为空）中上报，部分兼容接口随 finish_reason 一起返回
+                            if (parsed.usage) {
+                                recordUsage(parsed.usage, format);
+                            }
+
                             // 1. 检测原生 tool_calls（仅在非 XML 模式）
                             if (delta?.tool_calls && !state.xmlToolCallingEnabled) {
                                 hasToolCalls = true;
@@ -544,6 +553,12 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
                                         toolCallsCount: toolCalls.length,
                                         toolNames: toolCalls.map(tc => tc.name).join(', ')
                                     });
+
+                                        // usage 在 finish 分块之后单独上报，读取后再保存消息
+                                        if (!parsed.usage) {
+                                            const pending = [...lines.slice(lineIndex + 1), buffer].join('\n');
+                                            await drainTrailingUsage(reader, decoder, pending, format);
+                                        }
                                         // 注意：工具调用时不结束统计，让统计在 continuation 完成后才最终确定
                                         // finalizeStreamStats() 会在 continuation 完成时调用
 
@@ -564,6 +579,7 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
                                             contentParts,
                                             toolCalls, // 保存工具调用信息
                                             streamStats: getPartialStreamStatsData(),  // 保存部分统计，供 continuation 聚合
+                                            usage: getStreamUsage(),
                                             sessionId
                                         });
 
@@ -742,6 +758,45 @@ export async function parseOpenAIStream(reader, format = 'openai', sessionId = n
     }
 }
 
+/**
+ * 工具调用结束后继续读取流，直到收到 usage 分块或 [DONE]
+ * （stream_options.include_usage 的 usage 在 finish_reason 分块之后发送）
+ * @param {ReadableStreamDefaultReader} reader - 流读取器
+ * @param {TextDecoder} decoder - 解码器
+ * @param {string} pending - 已读取但尚未处理的文本
+ * @param {string} format - API 格式
+ */
+async function drainTrailingUsage(reader, decoder, pending, format) {
+    let buffer = pending;
+    try {
+        while (true) {
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+                const data = line.slice(6).trim();
+                if (data === '[DONE]') return;
+                try {
+                    const parsed = JSON.parse(data);
+                    if (parsed.usage) {
+                        recordUsage(parsed.usage, format);
+                        return;
+                    }
+                } catch {
+                    // 忽略无法解析的分块
+                }
+            }
+
+            const { done, value } = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, { stream: true });
+        }
+    } catch (error) {
+        console.warn('[Parser] 读取工具调用后的 usage 失败:', error);
+    }
+}
+
 /**
  * 完成 OpenAI 流处理
  * @param {string} textContent - 文本内容
@@ -783,6 +838,7 @@ function finalizeOpenAIStream(textContent, thinkingContent, contentParts, sessio
         thinkingContent,
         contentParts,
         streamStats: getCurrentStreamStatsData(),
+        usage: getStreamUsage(),
         sessionId: sessionId, // 🔒 传递会话ID防止串消息
         encryptedContent: encryptedContent,
     });
@@ -850,6 +906,7 @@ function finalizeOpenAIStreamWithError(textContent, thinkingContent, contentPart
         thinkingContent,
         contentParts,
         streamStats: getCurrentStreamStatsData(),
+        usage: getStreamUsage(),
         isError: true,
         errorData: {
             code: errorCode,
@@ -4,6 +4,8 @@
  */
 
 import { state } from '../core/state.js';
+import { calculateMessageCost, formatCost } from '../state/cost-tracker.js';
+import { getActiveModelId } from '../providers/manager.js';
 
 /**
  * 估算 token 数（与 recordTokens 使用相同的粗略规则）
@@ -27,7 +29,8 @@ export function resetStreamStats() {
         firstTokenTime: 0,
         endTime: 0,
         tokenCount: 0,
-        isFirstToken: true
+        isFirstToken: true,
+        usageRounds: []
     };
 }
 
@@ -83,6 +86,112 @@ export function recalculateStreamTokenCount({ textContent = '', thinkingContent
     return state.streamStats.tokenCount;
 }
 
+// ========== API 真实用量 ==========
+
+/**
+ * 将各 API 的 usage 字段归一化
+ * 只返回原始数据中实际出现的字段，便于同一请求内多次上报时按字段合并
+ * （Claude message_start 只有输入，message_delta 只有输出）
+ * @param {Object} raw - 原始 usage 对象（OpenAI usage / Claude usage / Gemini usageMetadata）
+ * @param {string} format - API 格式
+ * @returns {Object|null} { inputTokens, outputTokens, cachedTokens, reasoningTokens }
+ */
+export function normalizeUsage(raw, format) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const usage = {};
+    const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+    if (format === 'gemini') {
+        const thoughts = num(raw.thoughtsTokenCount);
+        const candidates = num(raw.candidatesTokenCount);
+        usage.inputTokens = num(raw.promptTokenCount);
+        // Gemini 的 candidatesTokenCount 不含思考 token，计费时二者都按输出计
+        usage.outputTokens = candidates !== undefined || thoughts !== undefined
+            ? (candidates || 0) + (thoughts || 0)
+            : undefined;
+        usage.cachedTokens = num(raw.cachedContentTokenCount);
+        usage.reasoningTokens = thoughts;
+    } else if (format === 'claude') {
+        // Claude 的 input_tokens 不含缓存部分，这里统一为总输入
+        const input = num(raw.input_tokens);
+        const cacheRead = num(raw.cache_read_input_tokens);
+        const cacheWrite = num(raw.cache_creation_input_tokens);
+        usage.inputTokens = input !== undefined
+            ? input + (cacheRead || 0) + (cacheWrite || 0)
+            : undefined;
+        usage.outputTokens = num(raw.output_tokens);
+        usage.cachedTokens = cacheRead;
+    } else if (raw.input_tokens !== undefined || raw.output_tokens !== undefined) {
+        // OpenAI Responses API
+        usage.inputTokens = num(raw.input_tokens);
+        usage.outputTokens = num(raw.output_tokens);
+        usage.cachedTokens = num(raw.input_tokens_details?.cached_tokens);
+        usage.reasoningTokens = num(raw.output_tokens_details?.reasoning_tokens);
+    } else {
+        // OpenAI Chat Completions 及兼容接口
+        usage.inputTokens = num(raw.prompt_tokens);
+        usage.outputTokens = num(raw.completion_tokens);
+        usage.cachedTokens = num(raw.prompt_tokens_details?.cached_tokens ?? raw.prompt_cache_hit_tokens);
+        usage.reasoningTokens = num(raw.completion_tokens_details?.reasoning_tokens);
+    }
+
+    for (const key of Object.keys(usage)) {
+        if (usage[key] === undefined) delete usage[key];
+    }
+    return Object.keys(usage).length > 0 ? usage : null;
+}
+
+/**
+ * 累加多份用量（多回复、多轮工具调用）
+ * @param {...Object} usages - 归一化后的用量
+ * @returns {Object|null}
+ */
+export function sumUsage(...usages) {
+    let total = null;
+    for (const usage of usages) {
+        if (!usage) continue;
+        total = total || {};
+        for (const [key, value] of Object.entries(usage)) {
+            total[key] = (total[key] || 0) + value;
+        }
+    }
+    return total;
+}
+
+/**
+ * 开始新一轮请求的用量记录（工具调用 continuation 会发起新请求，用量需要累加而非覆盖）
+ */
+export function startUsageRound() {
+    const rounds = state.streamStats.usageRounds;
+    const last = rounds[rounds.length - 1];
+    if (!last || Object.keys(last).length > 0) {
+        rounds.push({});
+    }
+}
+
+/**
+ * 记录 API 返回的 usage（同一请求内多次上报时按字段覆盖，取最新值）
+ * @param {Object} raw - 原始 usage 对象
+ * @param {string} format - API 格式
+ */
+export function recordUsage(raw, format) {
+    const usage = normalizeUsage(raw, format);
+    if (!usage) return;
+
+    const rounds = state.streamStats.usageRounds;
+    if (rounds.length === 0) rounds.push({});
+    Object.assign(rounds[rounds.length - 1], usage);
+}
+
+/**
+ * 获取本次生成（含所有 continuation 轮次）的累计用量
+ * @returns {Object|null} 未收到任何 usage 时返回 null
+ */
+export function getStreamUsage() {
+    return sumUsage(...state.streamStats.usageRounds.filter(round => Object.keys(round).length > 0));
+}
+
 /**
  * 结束流统计
  */
@@ -95,8 +204,16 @@ export function finalizeStreamStats() {
  * @returns {Object|null} 统计数据
  */
 export function getCurrentStreamStatsData() {
-    const stats = state.streamStats;
-    if (!stats.requestStartTime) return null;
+    return buildStreamStatsData(state.streamStats);
+}
+
+/**
+ * 由计时数据生成统计数据（竞技场等并行请求各自计时时使用）
+ * @param {Object} stats - { requestStartTime, firstTokenTime, endTime, tokenCount }
+ * @returns {Object|null} { ttft, totalTime, tokens, tps }
+ */
+export function buildStreamStatsData(stats) {
+    if (!stats?.requestStartTime) return null;
 
     const ttft = stats.firstTokenTime ? ((stats.firstTokenTime - stats.requestStartTime) / 1000).toFixed(2) : '-';
     const totalTime = stats.endTime ? ((stats.endTime - stats.requestStartTime) / 1000).toFixed(2) : '-';
@@ -130,15 +247,41 @@ export function getPartialStreamStatsData() {
     };
 }
 
+/**
+ * 生成用量明细提示文本
+ */
+function formatUsageTitle(usage) {
+    const lines = ['API 实际用量'];
+    if (usage.inputTokens !== undefined) lines.push(`输入: ${usage.inputTokens}`);
+    if (usage.cachedTokens) lines.push(`缓存命中: ${usage.cachedTokens}`);
+    if (usage.outputTokens !== undefined) lines.push(`输出: ${usage.outputTokens}`);
+    if (usage.reasoningTokens) lines.push(`推理: ${usage.reasoningTokens}`);
+    return lines.join('\n');
+}
+
 /**
  * 从保存的数据生成统计 HTML
  * @param {Object} statsData - 统计数据
+ * @param {Object} [usage] - API 返回的真实用量（有则替代估算值）
+ * @param {number} [cost] - 按模型价格计算的费用（美元）
  * @returns {string} 统计 HTML
  */
-export function renderStreamStatsFromData(statsData) {
+export function renderStreamStatsFromData(statsData, usage = null, cost = null) {
     if (!statsData) return '';
 
-    const { ttft, totalTime, tokens, tps } = statsData;
+    let { tokens, tps } = statsData;
+    const { ttft, totalTime } = statsData;
+    const hasRealOutput = typeof usage?.outputTokens === 'number';
+
+    if (hasRealOutput) {
+        tokens = usage.outputTokens;
+        const genTime = parseFloat(totalTime) - parseFloat(ttft);
+        if (Number.isFinite(genTime) && genTime > 0) {
+            tps = (tokens / genTime).toFixed(1);
+        }
+    }
+
+    const usageTitle = usage ? formatUsageTitle(usage) : '';
 
     return `<div class="stream-stats">
         <span title="首字时间 (TTFT)">
@@ -153,7 +296,13 @@ export function renderStreamStatsFromData(statsData) {
             </svg>
             ${totalTime}s
         </span>
-        <span title="输出 tokens">
+        ${typeof usage?.inputTokens === 'number' ? `<span title="${usageTitle}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="12" y1="19" x2="12" y2="5"/><polyline points="5 12 12 5 19 12"/>
+            </svg>
+            ${usage.inputTokens}${usage.cachedTokens ? ` (${usage.cachedTokens} 缓存)` : ''}
+        </span>` : ''}
+        <span title="${hasRealOutput ? usageTitle : '输出 tokens（估算）'}">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/>
             </svg>
@@ -165,6 +314,12 @@ export function renderStreamStatsFromData(statsData) {
             </svg>
             ${tps} t/s
         </span>
+        ${typeof cost === 'number' ? `<span title="费用（按模型价格计算）">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="12" y1="1" x2="12" y2="23"/><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/>
+            </svg>
+            ${formatCost(cost)}
+        </span>` : ''}
     </div>`;
 }
 
@@ -173,42 +328,8 @@ export function renderStreamStatsFromData(statsData) {
  * @returns {string} 统计 HTML
  */
 export function getStreamStatsHTML() {
-    const stats = state.streamStats;
-    if (!stats.requestStartTime) return '';
-
-    const ttft = stats.firstTokenTime ? ((stats.firstTokenTime - stats.requestStartTime) / 1000).toFixed(2) : '-';
-    const totalTime = stats.endTime ? ((stats.endTime - stats.requestStartTime) / 1000).toFixed(2) : '-';
-    const tokens = stats.tokenCount || 0;
-    const tps = (stats.endTime && stats.firstTokenTime && stats.endTime > stats.firstTokenTime)
-        ? (tokens / ((stats.endTime - stats.firstTokenTime) / 1000)).toFixed(1)
-        : '-';
-
-    return `<div class="stream-stats">
-        <span title="首字时间 (TTFT)">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>
-            </svg>
-            ${ttft}s
-        </span>
-        <span title="总耗时">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M5 22h14M5 2h14M17 22v-4.172a2 2 0 0 0-.586-1.414L12 12l-4.414 4.414A2 2 0 0 0 7 17.828V22M7 2v4.172a2 2 0 0 0 .586 1.414L12 12l4.414-4.414A2 2 0 0 0 17 6.172V2"/>
-            </svg>
-            ${totalTime}s
-        </span>
-        <span title="输出 tokens">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/>
-            </svg>
-            ${tokens}
-        </span>
-        <span title="生成速度 (tokens/s)">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>
-            </svg>
-            ${tps} t/s
-        </span>
-    </div>`;
+    const usage = getStreamUsage();
+    return renderStreamStatsFromData(getCurrentStreamStatsData(), usage, calculateMessageCost(usage, getActiveModelId()));
 }
 
 /**
@@ -390,7 +390,7 @@ export async function executeToolCalls(toolCalls) {
         try {
             // 执行工具
             // 使用工具名称查找执行，id 仅用于跟踪和结果回传
-            const result = await executeTool(name, args);
+            const result = await executeTool(name, args, { toolCallId: id });
 
             console.log(`[ToolCallHandler] 工具执行成功: ${name}`, result);
 
@@ -0,0 +1,95 @@
+/**
+ * Bash 会话（渲染进程侧）
+ * 每个聊天会话在主进程中对应一个常驻 shell：
+ * 命令的增量输出通过 tool:output 事件推送给工具 UI，
+ * 工具 UI 发出 tool:interrupt-requested 时向正在运行的命令发送 Ctrl-C，
+ * 主进程按命令策略请求审批时弹出审批对话框
+ *
+ * 发布事件:
+ * - tool:output { toolId, stream, data }
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { showBashApprovalDialog } from '../ui/bash-approval.js';
+
+let unsubscribeOutput = null;
+let unsubscribeApproval = null;
+
+/**
+ * 订阅主进程推送的 Bash 增量输出和审批请求（只订阅一次）
+ */
+function ensureSubscriptions() {
+    const api = window.electronAPI;
+
+    if (!unsubscribeOutput && api?.computerUse_onBashOutput) {
+        unsubscribeOutput = api.computerUse_onBashOutput(({ runId, stream, data }) => {
+            if (runId) {
+                eventBus.emit('tool:output', { toolId: runId, stream, data });
+            }
+        });
+    }
+
+    if (!unsubscribeApproval && api?.computerUse_onBashApprovalRequest) {
+        unsubscribeApproval = api.computerUse_onBashApprovalRequest(async (request) => {
+            const response = await showBashApprovalDialog(request);
+            const result = await api.computerUse_respondBashApproval(request.approvalId, response);
+            // 拒绝时主进程可能已超时，无需提示
+            if (response.approved && !result?.success) {
+                eventBus.emit('ui:notification', { message: result?.error || '审批响应失败', type: 'warning' });
+            }
+        });
+    }
+}
+
+/**
+ * 获取 Bash 会话 ID（当前聊天会话）
+ * @returns {string}
+ */
+function getBashSessionId() {
+    return state.currentSessionId || 'default';
+}
+
+/**
+ * 执行 Bash 工具调用（command 或 restart）
+ * @param {Object} args - 工具参数 { command, restart }
+ * @param {Object} [options]
+ * @param {string} [options.toolCallId] - 工具调用 ID（增量输出和中断按此归属）
+ * @returns {Promise<Object>} 主进程返回的结果
+ */
+export async function runBashTool(args, { toolCallId = null } = {}) {
+    // 支持多种参数字段名（向后兼容）
+    const command = args.command || args.text || args.bash_command;
+    const sessionId = getBashSessionId();
+
+    if (args.restart) {
+        const result = await window.electronAPI.computerUse_restartBash(sessionId);
+        if (!result.success) {
+            throw new Error(result.error || 'Bash restart failed');
+        }
+        return { success: true, output: 'tool has been restarted.' };
+    }
+
+    if (!command) {
+        throw new Error('Missing bash command parameter. Expected one of: command, text, or bash_command');
+    }
+
+    ensureSubscriptions();
+    const runId = toolCallId || `bash_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    return await window.electronAPI.computerUse_executeBash(command, { sessionId, runId });
+}
+
+// 工具 UI 请求中断（Ctrl-C）
+eventBus.on('tool:interrupt-requested', async ({ toolId }) => {
+    if (!window.electronAPI?.computerUse_interruptBash) return;
+
+    const result = await window.electronAPI.computerUse_interruptBash(toolId);
+    if (!result?.success) {
+        eventBus.emit('ui:notification', { message: '命令已结束，无需中断', type: 'info' });
+    }
+});
+
+// 删除聊天会话时关闭对应的 shell
+eventBus.on('session:deleted', ({ sessionId }) => {
+    window.electronAPI?.computerUse_closeBashSession?.(sessionId);
+});
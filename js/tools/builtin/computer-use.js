@@ -4,6 +4,9 @@
  * ⚠️ 仅在 Electron 环境中可用
  */
 
+import { state } from '../../core/state.js';
+import { runBashTool } from '../bash-session.js';
+
 /**
  * 工具定义（OpenAI 格式）
  */
@@ -25,16 +28,25 @@ export const computerUseTool = {
             },
             command: {
                 type: 'string',
-                description: '编辑器命令（用于 str_replace_editor 动作）或 bash 命令'
+                description: '编辑器命令（用于 str_replace_editor 动作：view、create、str_replace、insert、undo_edit）或 bash 命令'
             },
             bash_command: {
                 type: 'string',
                 description: 'Bash 命令（备用字段）'
             },
+            restart: {
+                type: 'boolean',
+                description: '重启 bash 会话（用于 bash 动作；会话在多次调用间保留工作目录和环境变量）'
+            },
             // 文本编辑器参数
             path: {
                 type: 'string',
-                description: '文件路径（用于文本编辑器操作）'
+                description: '文件或目录的绝对路径（用于文本编辑器操作，必须位于允许访问的目录内）'
+            },
+            view_range: {
+                type: 'array',
+                items: { type: 'integer' },
+                description: '查看的行范围 [起始行, 结束行]，结束行为 -1 表示到文件末尾（用于 view 命令）'
             },
             file_text: {
                 type: 'string',
@@ -46,15 +58,17 @@ export const computerUseTool = {
             },
             new_str: {
                 type: 'string',
-                description: '新字符串（用于 str_replace 命令）'
+                description: '新字符串（用于 str_replace 命令，或 insert 命令的插入内容）'
             },
             insert_line: {
-                type: 'number',
-                description: '插入位置行号（用于 insert 命令）'
+                type: 'integer',
+                description: '在该行之后插入，0 表示文件开头（用于 insert 命令）'
             }
         },
         required: ['action']
     },
+    // 命令可能需要等待用户审批，使用最长执行时间
+    timeout: 120000,
     // 标记为隐藏工具（不在工具管理面板显示）
     hidden: true
 };
@@ -62,9 +76,10 @@ export const computerUseTool = {
 /**
  * 工具处理器
  * @param {Object} args - 参数
+ * @param {Object} [context] - 执行上下文（toolCallId）
  * @returns {Promise<Object>} 执行结果
  */
-export async function computerUseHandler(args) {
+export async function computerUseHandler(args, context = {}) {
     const { action } = args;
 
     console.log(`[Computer Use] Action: ${action}`, args);
@@ -74,10 +89,13 @@ export async function computerUseHandler(args) {
         throw new Error('Computer Use 仅在 Electron 环境中可用');
     }
 
+    // 审计日志中的操作归属于当前聊天会话
+    await window.electronAPI.computerUse_setAuditSession?.(state.currentSessionId || null);
+
     try {
         switch (action) {
             case 'bash':
-                return await handleBash(args);
+                return await handleBash(args, context);
 
             case 'str_replace_editor':
                 return await handleTextEditor(args);
@@ -94,22 +112,26 @@ export async function computerUseHandler(args) {
 // ========== 操作处理函数 ==========
 
 /**
- * 执行 Bash 命令
+ * 执行 Bash 命令（在当前聊天会话的常驻 shell 中）
  */
-async function handleBash(args) {
+async function handleBash(args, context) {
     // 支持多种参数字段名（向后兼容）
     // - text: 原始定义
     // - command: 常用名称
     // - bash_command: 明确的bash命令字段
     const command = args.text || args.command || args.bash_command;
 
-    if (!command) {
+    if (!command && !args.restart) {
         throw new Error('Missing bash command parameter. Expected one of: text, command, or bash_command');
     }
 
-    const result = await window.electronAPI.computerUse_executeBash(command);
+    const result = await runBashTool({ command, restart: args.restart }, { toolCallId: context.toolCallId });
+    if (args.restart) {
+        return result;
+    }
 
-    if (!result.success) {
+    // 命令以非零退出码结束时 success 为 false，此时也有输出；仅进程级错误才抛出
+    if (!result.success && result.error) {
         throw new Error(result.error || 'Bash execution failed');
     }
 
@@ -121,131 +143,28 @@ async function handleBash(args) {
 }
 
 /**
- * 文本编辑器操作
+ * 文本编辑器操作（view / create / str_replace / insert / undo_edit）
  */
 async function handleTextEditor(args) {
-    const { command, path, file_text, old_str, new_str, insert_line } = args;
+    const { command, path, file_text, old_str, new_str, insert_line, view_range } = args;
 
     if (!command) {
         throw new Error('command is required for str_replace_editor action');
     }
 
-    switch (command) {
-        case 'view':
-            return await viewFile(path);
-
-        case 'create':
-            return await createFile(path, file_text);
-
-        case 'str_replace':
-            return await replaceString(path, old_str, new_str);
-
-        case 'insert':
-            return await insertLine(path, insert_line, file_text);
-
-        default:
-            throw new Error(`Unknown editor command: ${command}`);
-    }
-}
-
-/**
- * 查看文件
- */
-async function viewFile(path) {
-    if (!path) {
-        throw new Error('path is required for view command');
-    }
-
-    const result = await window.electronAPI.computerUse_readFile(path);
-
-    if (!result.success) {
-        throw new Error(result.error || 'Read file failed');
-    }
-
-    return {
-        content: result.content,
-        size: result.size
-    };
-}
-
-/**
- * 创建文件
- */
-async function createFile(path, content) {
-    if (!path || !content) {
-        throw new Error('path and file_text are required for create command');
-    }
-
-    const result = await window.electronAPI.computerUse_writeFile(path, content);
+    const result = await window.electronAPI.computerUse_textEditor({
+        command,
+        path,
+        file_text,
+        old_str,
+        new_str,
+        insert_line,
+        view_range
+    });
 
     if (!result.success) {
-        throw new Error(result.error || 'Create file failed');
+        throw new Error(result.error || 'Text editor command failed');
     }
 
-    return {
-        path: result.path,
-        size: result.size
-    };
-}
-
-/**
- * 替换字符串
- */
-async function replaceString(path, oldStr, newStr) {
-    if (!path || oldStr === undefined || newStr === undefined) {
-        throw new Error('path, old_str, and new_str are required for str_replace command');
-    }
-
-    // 读取文件
-    const readResult = await window.electronAPI.computerUse_readFile(path);
-    if (!readResult.success) {
-        throw new Error(readResult.error || 'Read file failed');
-    }
-
-    // 替换字符串
-    const newContent = readResult.content.replace(oldStr, newStr);
-
-    // 写回文件
-    const writeResult = await window.electronAPI.computerUse_writeFile(path, newContent);
-    if (!writeResult.success) {
-        throw new Error(writeResult.error || 'Write file failed');
-    }
-
-    return {
-        path: writeResult.path,
-        size: writeResult.size,
-        replaced: true
-    };
-}
-
-/**
- * 插入行
- */
-async function insertLine(path, lineNumber, text) {
-    if (!path || lineNumber === undefined || !text) {
-        throw new Error('path, insert_line, and file_text are required for insert command');
-    }
-
-    // 读取文件
-    const readResult = await window.electronAPI.computerUse_readFile(path);
-    if (!readResult.success) {
-        throw new Error(readResult.error || 'Read file failed');
-    }
-
-    // 插入行
-    const lines = readResult.content.split('\n');
-    lines.splice(lineNumber, 0, text);
-    const newContent = lines.join('\n');
-
-    // 写回文件
-    const writeResult = await window.electronAPI.computerUse_writeFile(path, newContent);
-    if (!writeResult.success) {
-        throw new Error(writeResult.error || 'Write file failed');
-    }
-
-    return {
-        path: writeResult.path,
-        size: writeResult.size,
-        inserted: true
-    };
+    return { output: result.output };
 }
@@ -0,0 +1,8 @@
+/**
+ * 沙箱 Worker（未授权网络访问）
+ * 与 sandbox-worker.js 相同，使用单独的路径以便下发严格的 CSP 响应头：
+ * 只允许加载同源脚本、禁止网络连接，动态 import() 无法把数据发往外部
+ * （响应头见 electron/main.js 和 _headers）
+ */
+
+globalThis.importScripts('./sandbox-worker.js');
@@ -0,0 +1,122 @@
+/**
+ * 沙箱 Worker
+ * 在独立线程中执行用户编写的工具函数体（无 DOM 访问），由主线程负责超时终止
+ *
+ * 输入: { code, args, allowNetwork }
+ * 输出: { type: 'result', result, logs } | { type: 'error', error, logs }
+ */
+
+// 未授权网络访问时屏蔽的全局对象（动态 import() 无法在脚本中屏蔽，由 sandbox-worker-offline.js 的 CSP 禁止）
+const NETWORK_GLOBALS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource', 'importScripts'];
+
+// 始终屏蔽的全局对象：Worker 与应用同源，可读取应用的 IndexedDB / 缓存（含提供商密钥），
+// 也可通过嵌套 Worker 或跨上下文通信绕过网络限制
+const ISOLATION_GLOBALS = [
+    'indexedDB',
+    'caches',
+    'Worker',
+    'SharedWorker',
+    'BroadcastChannel',
+    'webkitRequestFileSystem',
+    'webkitRequestFileSystemSync'
+];
+
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// 单条日志最大长度
+const MAX_LOG_LENGTH = 2000;
+
+const logs = [];
+
+/**
+ * 将任意值格式化为日志文本
+ */
+function formatLogValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    try {
+        return JSON.stringify(value);
+    } catch {
+        return String(value);
+    }
+}
+
+/**
+ * 捕获 console 输出
+ */
+for (const level of CONSOLE_LEVELS) {
+    console[level] = (...values) => {
+        const message = values.map(formatLogValue).join(' ');
+        logs.push({
+            level,
+            message: message.length > MAX_LOG_LENGTH ? `${message.slice(0, MAX_LOG_LENGTH)}...` : message
+        });
+    };
+}
+
+/**
+ * 屏蔽对象上的属性（包括原型链上的定义）
+ * @param {Object} root - 起始对象
+ * @param {string[]} names - 属性名
+ */
+function blockProperties(root, names) {
+    for (const name of names) {
+        let target = root;
+        while (target) {
+            if (Object.prototype.hasOwnProperty.call(target, name)) {
+                try {
+                    Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+                } catch {
+                    // 不可配置的属性忽略
+                }
+            }
+            target = Object.getPrototypeOf(target);
+        }
+    }
+}
+
+/**
+ * 屏蔽同源存储和嵌套执行上下文；未授权网络访问时同时屏蔽网络相关全局对象
+ * @param {boolean} allowNetwork - 是否允许网络访问
+ */
+function lockDownGlobals(allowNetwork) {
+    blockProperties(globalThis, ISOLATION_GLOBALS);
+    // navigator.storage 可访问同源的私有文件系统（OPFS）
+    if (globalThis.navigator) {
+        blockProperties(globalThis.navigator, ['storage']);
+    }
+    if (!allowNetwork) {
+        blockProperties(globalThis, NETWORK_GLOBALS);
+    }
+}
+
+/**
+ * 转为可结构化克隆的值（函数、循环引用等不可序列化内容会被丢弃）
+ */
+function toCloneable(value) {
+    if (value === undefined) return null;
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch {
+        return String(value);
+    }
+}
+
+globalThis.onmessage = async (event) => {
+    const { code, args, allowNetwork } = event.data;
+
+    lockDownGlobals(allowNetwork);
+
+    try {
+        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+        const handler = new AsyncFunction('args', code);
+        const result = await handler(args);
+        globalThis.postMessage({ type: 'result', result: toCloneable(result), logs });
+    } catch (error) {
+        globalThis.postMessage({
+            type: 'error',
+            error: error instanceof Error ? `${error.name}: ${error.message}` : formatLogValue(error),
+            logs
+        });
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * 沙箱 JavaScript 自定义工具
+ * 将用户编写的函数体包装为工具处理器，每次调用在独立的 Web Worker 中执行
+ *
+ * 配置结构（toolConfig.sandbox）:
+ * {
+ *   code: 'console.log(args); return args.text.split(",").map(s => s.trim());'
+ * }
+ *
+ * 函数体接收 args 参数，可使用 await，返回值需可 JSON 序列化；
+ * console 输出会被捕获并附加到工具结果中。
+ * 超时由执行器的 AbortSignal 驱动：收到中止信号即终止 Worker
+ */
+
+const WORKER_URL = new URL('./sandbox-worker.js', import.meta.url);
+
+// 未授权网络访问时使用的 Worker（带禁止外部加载和网络连接的 CSP 响应头）
+const OFFLINE_WORKER_URL = new URL('./sandbox-worker-offline.js', import.meta.url);
+
+/**
+ * 校验并规范化沙箱配置
+ * @param {Object} config - 原始配置
+ * @returns {Object} 规范化后的配置
+ * @throws {Error} 配置无效时
+ */
+export function normalizeSandboxConfig(config) {
+    const code = typeof config?.code === 'string' ? config.code : '';
+    if (!code.trim()) {
+        throw new Error('沙箱工具代码不能为空');
+    }
+    return { code };
+}
+
+/**
+ * 创建沙箱工具处理器
+ * @param {Object} config - 沙箱配置
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNetwork=false] - 是否允许代码发起网络请求
+ * @returns {Function} (args, { signal }) => Promise<Object>
+ */
+export function createSandboxHandler(config, { allowNetwork = false } = {}) {
+    const sandbox = normalizeSandboxConfig(config);
+
+    return function sandboxHandler(args = {}, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (!window.Worker) {
+                reject(new Error('当前环境不支持 Web Worker，无法执行沙箱工具'));
+                return;
+            }
+            if (signal?.aborted) {
+                reject(new Error('沙箱执行已取消'));
+                return;
+            }
+
+            const worker = new window.Worker(allowNetwork ? WORKER_URL : OFFLINE_WORKER_URL);
+
+            const cleanup = () => {
+                worker.terminate();
+                signal?.removeEventListener('abort', handleAbort);
+            };
+
+            const handleAbort = () => {
+                cleanup();
+                console.warn('[Sandbox] ⏹️ 执行被中止，Worker 已终止');
+                reject(new Error('沙箱执行已取消'));
+            };
+
+            signal?.addEventListener('abort', handleAbort, { once: true });
+
+            worker.onmessage = (event) => {
+                cleanup();
+                const { type, result, error, logs = [] } = event.data || {};
+
+                if (type === 'error') {
+                    const output = formatLogs(logs);
+                    reject(new Error(output ? `${error}\n控制台输出:\n${output}` : error));
+                    return;
+                }
+
+                resolve(logs.length > 0 ? { result, console: logs } : { result });
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                cleanup();
+                reject(new Error(`沙箱代码错误: ${event.message || '未知错误'}`));
+            };
+
+            worker.postMessage({ code: sandbox.code, args, allowNetwork });
+        });
+    };
+}
+
+/**
+ * 格式化捕获的日志
+ */
+function formatLogs(logs) {
+    return logs.map(log => `[${log.level}] ${log.message}`).join('\n');
+}
@@ -0,0 +1,240 @@
+/**
+ * Webhook 自定义工具
+ * 将用户配置的 HTTP 端点包装为可执行的工具处理器
+ *
+ * 配置结构（toolConfig.webhook）:
+ * {
+ *   url: 'https://api.example.com/items/{{id}}',   // 支持 {{参数名}} 模板
+ *   method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE',
+ *   headers: { Authorization: 'Bearer xxx', 'X-User': '{{user}}' },
+ *   argMapping: { id: 'none', q: 'query' },        // 参数位置: query / body / none
+ *   responsePath: '$.data.items[*].name'           // 可选，JSONPath 风格的结果提取
+ * }
+ *
+ * 未在 argMapping 中声明的参数：GET/DELETE 放入查询字符串，其余放入 JSON 请求体；
+ * 已在 URL 模板中使用的参数默认不再重复发送
+ */
+
+export const WEBHOOK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const ARG_LOCATIONS = ['query', 'body', 'none'];
+
+// 响应文本最大长度（防止超大响应塞满上下文）
+const MAX_RESPONSE_LENGTH = 20000;
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * 校验并规范化 webhook 配置
+ * @param {Object} config - 原始配置
+ * @returns {Object} 规范化后的配置
+ * @throws {Error} 配置无效时
+ */
+export function normalizeWebhookConfig(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Webhook 配置缺失');
+    }
+
+    const url = String(config.url || '').trim();
+    if (!/^https?:\/\//i.test(url)) {
+        throw new Error('Webhook URL 必须以 http:// 或 https:// 开头');
+    }
+
+    const method = String(config.method || 'POST').toUpperCase();
+    if (!WEBHOOK_METHODS.includes(method)) {
+        throw new Error(`不支持的请求方法: ${method}`);
+    }
+
+    const headers = {};
+    for (const [key, value] of Object.entries(config.headers || {})) {
+        if (key.trim()) {
+            headers[key.trim()] = String(value);
+        }
+    }
+
+    const argMapping = {};
+    for (const [arg, location] of Object.entries(config.argMapping || {})) {
+        if (!ARG_LOCATIONS.includes(location)) {
+            throw new Error(`参数 "${arg}" 的位置无效: ${location}（可选 query / body / none）`);
+        }
+        argMapping[arg] = location;
+    }
+
+    const responsePath = String(config.responsePath || '').trim();
+    if (responsePath) {
+        parseJsonPath(responsePath); // 提前校验语法
+    }
+
+    return { url, method, headers, argMapping, responsePath };
+}
+
+/**
+ * 创建 webhook 工具处理器
+ * @param {Object} config - webhook 配置
+ * @returns {Function} (args, { signal }) => Promise<Object>
+ */
+export function createWebhookHandler(config) {
+    const webhook = normalizeWebhookConfig(config);
+
+    return async function webhookHandler(args = {}, { signal } = {}) {
+        const templateArgs = new Set();
+        const url = new URL(renderTemplate(webhook.url, args, templateArgs, encodeURIComponent));
+
+        const headers = {};
+        for (const [key, value] of Object.entries(webhook.headers)) {
+            headers[key] = renderTemplate(value, args, templateArgs);
+        }
+
+        const defaultLocation = ['GET', 'DELETE'].includes(webhook.method) ? 'query' : 'body';
+        const body = {};
+        let hasBody = false;
+
+        for (const [key, value] of Object.entries(args)) {
+            const location = webhook.argMapping[key] || (templateArgs.has(key) ? 'none' : defaultLocation);
+
+            if (location === 'query') {
+                url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+            } else if (location === 'body') {
+                body[key] = value;
+                hasBody = true;
+            }
+        }
+
+        const init = { method: webhook.method, headers, signal };
+        if (hasBody) {
+            if (webhook.method === 'GET') {
+                throw new Error('GET 请求不能携带请求体，请将参数映射到 query');
+            }
+            init.body = JSON.stringify(body);
+            if (!Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        console.log(`[Webhook] ${webhook.method} ${url.origin}${url.pathname}`);
+
+        const response = await fetch(url.toString(), init);
+        const text = await response.text();
+        const contentType = response.headers.get('content-type') || '';
+
+        let data = text;
+        if (contentType.includes('json') || /^\s*[[{]/.test(text)) {
+            try {
+                data = JSON.parse(text);
+            } catch {
+                // 非 JSON，保留原文本
+            }
+        }
+
+        if (!response.ok) {
+            const detail = typeof data === 'string' ? data : JSON.stringify(data);
+            throw new Error(`Webhook 请求失败 (HTTP ${response.status}): ${truncate(detail, 500)}`);
+        }
+
+        let result = data;
+        if (webhook.responsePath) {
+            if (typeof data !== 'object' || data === null) {
+                throw new Error('响应不是 JSON，无法应用结果提取路径');
+            }
+            result = extractByPath(data, webhook.responsePath);
+        }
+
+        return {
+            status: response.status,
+            result: typeof result === 'string' ? truncate(result, MAX_RESPONSE_LENGTH) : result
+        };
+    };
+}
+
+/**
+ * 渲染 {{参数名}} 模板（支持 a.b 访问嵌套字段）
+ * @param {string} template - 模板字符串
+ * @param {Object} args - 工具参数
+ * @param {Set<string>} [usedArgs] - 收集被引用的顶层参数名
+ * @param {Function} [encode] - 值编码函数（URL 中使用 encodeURIComponent）
+ * @returns {string}
+ */
+export function renderTemplate(template, args, usedArgs, encode = v => v) {
+    return template.replace(TEMPLATE_PATTERN, (_, path) => {
+        const keys = path.split('.');
+        usedArgs?.add(keys[0]);
+
+        let value = args;
+        for (const key of keys) {
+            value = value?.[key];
+        }
+
+        if (value === undefined || value === null) return '';
+        return encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+}
+
+/**
+ * 解析 JSONPath 风格路径
+ * 支持: $ 根、.key、['key']、[0]、[*] / .*（通配）
+ * @param {string} path - 路径
+ * @returns {Array<string|number>} 路径片段（'*' 表示通配）
+ */
+function parseJsonPath(path) {
+    const tokens = [];
+    let rest = path.trim().replace(/^\$/, '');
+
+    const patterns = [
+        [/^\.([A-Za-z_$][\w$-]*)/, m => m[1]],
+        [/^\.\*/, () => '*'],
+        [/^\[\*\]/, () => '*'],
+        [/^\[(\d+)\]/, m => parseInt(m[1], 10)],
+        [/^\[(['"])(.*?)\1\]/, m => m[2]]
+    ];
+
+    // 允许省略开头的点: data.items
+    if (rest && !rest.startsWith('.') && !rest.startsWith('[')) {
+        rest = `.${rest}`;
+    }
+
+    while (rest) {
+        const matched = patterns.find(([regex]) => regex.test(rest));
+        if (!matched) {
+            throw new Error(`无效的结果提取路径: ${path}`);
+        }
+        const match = rest.match(matched[0]);
+        tokens.push(matched[1](match));
+        rest = rest.slice(match[0].length);
+    }
+
+    return tokens;
+}
+
+/**
+ * 按路径提取 JSON 中的值
+ * @param {Object} data - JSON 数据
+ * @param {string} path - JSONPath 风格路径
+ * @returns {any} 提取结果（经过通配时为数组）
+ */
+export function extractByPath(data, path) {
+    const tokens = parseJsonPath(path);
+    let current = [data];
+    let isList = false;
+
+    for (const token of tokens) {
+        const next = [];
+        for (const value of current) {
+            if (value === null || typeof value !== 'object') continue;
+
+            if (token === '*') {
+                next.push(...(Array.isArray(value) ? value : Object.values(value)));
+            } else if (value[token] !== undefined) {
+                next.push(value[token]);
+            }
+        }
+        if (token === '*') isList = true;
+        current = next;
+    }
+
+    if (isList) return current;
+    return current.length > 0 ? current[0] : null;
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}...（已截断）` : text;
+}
@@ -21,10 +21,12 @@
  * - 长时间运行的工具（使用 executeCancelable）
  */
 
+import { state } from '../core/state.js';
 import { eventBus } from '../core/events.js';
 import { getTool, getToolHandler } from './manager.js';
 import { safeValidate, formatValidationErrors } from './validator.js';
 import { checkRateLimit } from './rate-limiter.js';
+import { runBashTool } from './bash-session.js';
 
 // ========== 配置 ==========
 
@@ -37,20 +39,24 @@ const MAX_TIMEOUT = 120000; // 最大2分钟
  * 执行 Claude 原生工具（computer, bash, text_editor）
  * @param {string} toolName - 工具名称
  * @param {Object} args - 工具参数
+ * @param {Object} [options] - 执行选项（toolCallId）
  * @returns {Promise<Object>} 执行结果
  */
-async function executeNativeTool(toolName, args) {
+async function executeNativeTool(toolName, args, options = {}) {
     // 检查是否在 Electron 环境
     if (!window.electronAPI || !window.electronAPI.isElectron || !window.electronAPI.isElectron()) {
         throw new Error(`原生工具 "${toolName}" 仅在 Electron 环境中可用`);
     }
 
+    // 审计日志中的操作归属于当前聊天会话
+    await window.electronAPI.computerUse_setAuditSession?.(state.currentSessionId || null);
+
     switch (toolName) {
         case 'computer':
             return await executeComputerTool(args);
 
         case 'bash':
-            return await executeBashTool(args);
+            return await runBashTool(args, { toolCallId: options.toolCallId });
 
         case 'str_replace_based_edit_tool':
             return await executeTextEditorTool(args);
@@ -184,76 +190,16 @@ async function executeComputerTool(args) {
     }
 }
 
-/**
- * 执行 bash 工具
- */
-async function executeBashTool(args) {
-    // 支持多种参数字段名（向后兼容）
-    const command = args.command || args.text || args.bash_command;
-    const { restart } = args;
-
-    if (!command) {
-        throw new Error('Missing bash command parameter. Expected one of: command, text, or bash_command');
-    }
-
-    if (restart) {
-        console.warn('[Executor] Bash restart 参数被忽略');
-    }
-
-    const result = await window.electronAPI.computerUse_executeBash(command);
-    return result;
-}
-
 /**
  * 执行 text_editor 工具
  */
 async function executeTextEditorTool(args) {
-    const { command, path } = args;
-
-    switch (command) {
-        case 'view':
-            return await window.electronAPI.computerUse_readFile(path);
-
-        case 'create':
-            return await window.electronAPI.computerUse_writeFile(path, args.file_text || '');
-
-        case 'str_replace': {
-            // 先读取文件
-            const readResult = await window.electronAPI.computerUse_readFile(path);
-            if (!readResult.success) {
-                throw new Error(`读取文件失败: ${readResult.error}`);
-            }
-
-            // 执行替换
-            const newContent = readResult.content.replace(args.old_str, args.new_str);
-
-            // 写回文件
-            return await window.electronAPI.computerUse_writeFile(path, newContent);
-        }
-
-        case 'insert': {
-            // 先读取文件
-            const readResult2 = await window.electronAPI.computerUse_readFile(path);
-            if (!readResult2.success) {
-                throw new Error(`读取文件失败: ${readResult2.error}`);
-            }
-
-            // 在指定行插入
-            const lines = readResult2.content.split('\n');
-            lines.splice(args.insert_line, 0, args.new_str);
-            const newContent2 = lines.join('\n');
-
-            // 写回文件
-            return await window.electronAPI.computerUse_writeFile(path, newContent2);
-        }
-
-        case 'undo_edit':
-            // 简单实现：不支持撤销
-            throw new Error('Text editor undo_edit 操作暂不支持');
-
-        default:
-            throw new Error(`未知的 text_editor 操作: ${command}`);
+    // view / create / str_replace / insert / undo_edit 均在主进程执行（含路径范围检查和撤销历史）
+    const result = await window.electronAPI.computerUse_textEditor(args);
+    if (!result.success) {
+        throw new Error(result.error || 'Text editor command failed');
     }
+    return result;
 }
 
 // ========== 工具执行 API ==========
@@ -280,7 +226,7 @@ export async function executeTool(toolId, args, options = {}) {
         console.log(`[Executor] 🚀 执行 Claude 原生工具: ${toolId}`);
         console.log(`[Executor] 参数:`, args);
 
-        const result = await executeNativeTool(toolId, args);
+        const result = await executeNativeTool(toolId, args, options);
         const duration = Date.now() - startTime;
 
         console.log(`[Executor] 工具执行成功: ${toolId} (耗时 ${duration}ms)`);
@@ -371,8 +317,8 @@ export async function executeTool(toolId, args, options = {}) {
         }
 
         // 4. 执行工具（带超时）
-        const timeout = Math.min(options.timeout || DEFAULT_TIMEOUT, MAX_TIMEOUT);
-        const result = await executeWithTimeout(tool, args, timeout);
+        const timeout = Math.min(options.timeout || tool.timeout || DEFAULT_TIMEOUT, MAX_TIMEOUT);
+        const result = await executeWithTimeout(tool, args, timeout, { toolCallId: options.toolCallId });
 
         const duration = Date.now() - startTime;
 
@@ -451,9 +397,10 @@ export async function executeTool(toolId, args, options = {}) {
  * @param {Object} tool - 工具定义
  * @param {Object} args - 参数
  * @param {number} timeout - 超时时间（毫秒）
+ * @param {Object} [context] - 传给处理器的上下文（toolCallId）
  * @returns {Promise<Object>} 执行结果
  */
-async function executeWithTimeout(tool, args, timeout) {
+async function executeWithTimeout(tool, args, timeout, context = {}) {
     // 创建 AbortController 用于取消
     const abortController = new AbortController();
     const { signal } = abortController;
@@ -465,10 +412,13 @@ async function executeWithTimeout(tool, args, timeout) {
         // 内置工具或自定义工具：直接调用处理器
         const handler = getToolHandler(tool.id);
         if (!handler) {
+            if (tool.type === 'custom') {
+                throw new Error(`工具处理器不存在: ${tool.id}（自定义工具 "${tool.name}" 未配置执行方式）`);
+            }
             throw new Error(`工具处理器不存在: ${tool.id}`);
         }
         // 传递 signal（如果处理器支持）
-        executePromise = handler(args, { signal });
+        executePromise = handler(args, { ...context, signal });
 
     } else if (tool.type === 'mcp') {
         // MCP 工具：通过 MCP 客户端调用
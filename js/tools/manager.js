@@ -29,7 +29,10 @@ import { eventBus } from '../core/events.js';
 import { generateId } from '../utils/helpers.js';
 import { mcpClient } from './mcp/client.js';
 import { savePreference, loadPreference } from '../state/storage.js';
+import { sealCustomTools, unsealCustomTools } from '../state/vault.js';
 import { state } from '../core/state.js';  // 用于检查 computerUseEnabled
+import { createWebhookHandler } from './custom/webhook.js';
+import { createSandboxHandler } from './custom/sandbox.js';
 
 // ========== 模块私有状态 ==========
 
@@ -240,14 +243,47 @@ export async function registerMCPTool(serverId, toolName, toolDefinition) {
 }
 
 /**
- * 注册自定义工具（用户添加）
+ * 根据自定义工具的 kind 创建处理器
  * @param {Object} toolConfig - 工具配置
+ * @returns {Function|null} 处理函数
+ */
+function createCustomToolHandler(toolConfig) {
+    switch (toolConfig.kind) {
+        case 'webhook':
+            return createWebhookHandler(toolConfig.webhook);
+        case 'sandbox':
+            return createSandboxHandler(toolConfig.sandbox, {
+                allowNetwork: toolConfig.permissions?.allowNetwork === true
+            });
+        default:
+            return null;
+    }
+}
+
+/**
+ * 注册自定义工具（用户添加）
+ * @param {Object} toolConfig - 工具配置（kind 为 'webhook' / 'sandbox' 时需提供对应配置）
  * @param {boolean} skipSave - 是否跳过保存（加载时使用）
  * @returns {string} 工具 ID
  */
 export function registerCustomTool(toolConfig, skipSave = false) {
     const toolId = toolConfig.id || `custom_${generateId()}`;
 
+    // 根据工具类型创建可执行处理器（仅 schema 的工具没有处理器；配置无效时直接抛出）
+    const handler = createCustomToolHandler(toolConfig);
+
+    // 重新注册（编辑）时先移除旧名称索引，避免改名后残留
+    const previous = toolRegistry.get(toolId);
+    if (previous?.name && previous.name !== toolConfig.name) {
+        removeFromNameIndex(previous.name, toolId);
+    }
+
+    if (handler) {
+        toolHandlers.set(toolId, handler);
+    } else {
+        toolHandlers.delete(toolId);
+    }
+
     toolRegistry.set(toolId, {
         ...toolConfig,
         id: toolId,
@@ -929,6 +965,10 @@ export async function saveCustomTools() {
                     name: tool.name,
                     description: tool.description,
                     parameters: tool.parameters,
+                    kind: tool.kind,
+                    webhook: tool.webhook,
+                    sandbox: tool.sandbox,
+                    timeout: tool.timeout,
                     enabled: toolEnabled.get(toolId),
                     permissions: tool.permissions,
                     rateLimit: tool.rateLimit
@@ -936,7 +976,8 @@ export async function saveCustomTools() {
             }
         }
 
-        await savePreference('customTools', JSON.stringify(customTools));
+        // Webhook 请求头由凭据库保存（启用时）
+        await savePreference('customTools', JSON.stringify(sealCustomTools(customTools)));
         console.log(`[Tools] 已保存 ${customTools.length} 个自定义工具`);
     } catch (error) {
         console.error('[Tools] ❌ 保存自定义工具失败:', error);
@@ -954,12 +995,16 @@ export async function loadCustomTools() {
             return;
         }
 
-        const tools = JSON.parse(toolsJson);
+        const tools = unsealCustomTools(JSON.parse(toolsJson));
         let loadedCount = 0;
 
         for (const toolConfig of tools) {
-            registerCustomTool(toolConfig, true); // skipSave = true，加载时不触发保存
-            loadedCount++;
+            try {
+                registerCustomTool(toolConfig, true); // skipSave = true，加载时不触发保存
+                loadedCount++;
+            } catch (error) {
+                console.error(`[Tools] ❌ 自定义工具 "${toolConfig.name}" 加载失败:`, error.message);
+            }
         }
 
         console.log(`[Tools] 已加载 ${loadedCount} 个自定义工具`);
@@ -13,6 +13,15 @@ import { eventBus } from '../../core/events.js';
 
 let wsRequestCounter = 0;
 
+/**
+ * 客户端能力声明（initialize 时发送给服务器）
+ */
+export const CLIENT_CAPABILITIES = {
+    sampling: {},
+    roots: { listChanged: true },
+    elicitation: {}
+};
+
 /**
  * 检测当前运行平台
  * @returns {'electron'|'web'|'android'} 平台类型
@@ -40,6 +49,10 @@ export class MCPClient {
         this.platform = detectPlatform();
         this.connections = new Map(); // serverId -> connection
         this.tools = new Map(); // toolId -> tool definition
+        this.resources = new Map(); // resourceId (serverId::uri) -> resource definition
+        this.resourceTemplates = new Map(); // templateId (serverId::uriTemplate) -> template definition
+        this.resourceSubscriptions = new Set(); // serverId::uri
+        this.prompts = new Map(); // promptId (serverId::name) -> prompt definition
 
         // 重试配置
         this.retryConfig = {
@@ -52,6 +65,26 @@ export class MCPClient {
         };
 
         console.log(`[MCP] 🌐 平台检测: ${this.platform}`);
+
+        // Electron: 主进程转发的 stdio 通知（resources/updated 等）
+        if (this.platform === 'electron') {
+            window.electron.ipcRenderer.on('mcp:notification', (data) => {
+                if (data?.serverId && data.message) {
+                    this._handleNotification(data.serverId, data.message);
+                }
+            });
+
+            // 服务器发起的请求（sampling/createMessage 等）
+            window.electron.ipcRenderer.on('mcp:server-request', (data) => {
+                if (!data?.serverId || !data.message) return;
+                this._handleServerRequest(data.serverId, data.message, (response) => {
+                    window.electron.ipcRenderer.invoke('mcp:respond', {
+                        serverId: data.serverId,
+                        response
+                    });
+                });
+            });
+        }
     }
 
     /**
@@ -139,6 +172,8 @@ export class MCPClient {
             }
 
             this._clearToolsForServer(serverId);
+            this._clearResourcesForServer(serverId);
+            this._clearPromptsForServer(serverId);
 
             this.connections.delete(serverId);
 
@@ -202,6 +237,193 @@ export class MCPClient {
         return Array.from(this.tools.values()).filter(tool => tool.serverId === serverId);
     }
 
+    /**
+     * 清理指定服务器的资源缓存
+     * @private
+     */
+    _clearResourcesForServer(serverId) {
+        for (const [resourceId, resource] of this.resources.entries()) {
+            if (resource.serverId === serverId) {
+                this.resources.delete(resourceId);
+            }
+        }
+        for (const [templateId, template] of this.resourceTemplates.entries()) {
+            if (template.serverId === serverId) {
+                this.resourceTemplates.delete(templateId);
+            }
+        }
+        for (const key of this.resourceSubscriptions) {
+            if (key.startsWith(`${serverId}::`)) {
+                this.resourceSubscriptions.delete(key);
+            }
+        }
+    }
+
+    /**
+     * 获取所有已发现的资源
+     * @returns {Array<Object>} 资源列表
+     */
+    getAllResources() {
+        return Array.from(this.resources.values());
+    }
+
+    /**
+     * 获取指定服务器的资源
+     * @param {string} serverId - 服务器 ID
+     * @returns {Array<Object>} 资源列表
+     */
+    getResourcesByServer(serverId) {
+        return Array.from(this.resources.values()).filter(resource => resource.serverId === serverId);
+    }
+
+    /**
+     * 获取指定服务器的资源模板
+     * @param {string} serverId - 服务器 ID
+     * @returns {Array<Object>} 资源模板列表
+     */
+    getResourceTemplatesByServer(serverId) {
+        return Array.from(this.resourceTemplates.values()).filter(template => template.serverId === serverId);
+    }
+
+    /**
+     * 获取所有资源模板
+     * @returns {Array<Object>} 资源模板列表
+     */
+    getAllResourceTemplates() {
+        return Array.from(this.resourceTemplates.values());
+    }
+
+    /**
+     * 服务器是否支持资源订阅（capabilities.resources.subscribe）
+     * @param {string} serverId - 服务器 ID
+     * @returns {boolean}
+     */
+    supportsResourceSubscribe(serverId) {
+        const connection = this.connections.get(serverId);
+        return !!connection?.serverCapabilities?.resources?.subscribe;
+    }
+
+    /**
+     * 重新拉取指定服务器的资源列表
+     * @param {string} serverId - 服务器 ID
+     */
+    async refreshResources(serverId) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new Error(`MCP 服务器未连接: ${serverId}`);
+        }
+        await this._discoverResources(serverId, connection);
+    }
+
+    /**
+     * 清理指定服务器的 Prompt 缓存
+     * @private
+     */
+    _clearPromptsForServer(serverId) {
+        for (const [promptId, prompt] of this.prompts.entries()) {
+            if (prompt.serverId === serverId) {
+                this.prompts.delete(promptId);
+            }
+        }
+    }
+
+    /**
+     * 获取所有已发现的 Prompt
+     * @returns {Array<Object>} Prompt 列表
+     */
+    getAllPrompts() {
+        return Array.from(this.prompts.values());
+    }
+
+    /**
+     * 获取指定服务器的 Prompt
+     * @param {string} serverId - 服务器 ID
+     * @returns {Array<Object>} Prompt 列表
+     */
+    getPromptsByServer(serverId) {
+        return Array.from(this.prompts.values()).filter(prompt => prompt.serverId === serverId);
+    }
+
+    /**
+     * 获取 Prompt 内容（prompts/get）
+     * @param {string} serverId - 服务器 ID
+     * @param {string} name - Prompt 名称
+     * @param {Object<string, string>} [args] - Prompt 参数
+     * @returns {Promise<{description: string, messages: Array}>}
+     */
+    async getPrompt(serverId, name, args = {}) {
+        console.log(`[MCP] 💬 获取 Prompt: ${serverId} ${name}`);
+        const result = await this._request(serverId, 'prompts/get', { name, arguments: args });
+        const messages = Array.isArray(result?.messages) ? result.messages : [];
+        if (messages.length === 0) {
+            throw new Error(`Prompt 没有返回任何消息: ${name}`);
+        }
+        return { description: result.description || '', messages };
+    }
+
+    /**
+     * 读取 MCP 资源（resources/read）
+     * @param {string} serverId - 服务器 ID
+     * @param {string} uri - 资源 URI
+     * @param {Object} [options] - { signal }
+     * @returns {Promise<Array<Object>>} contents 数组（每项含 uri/mimeType 及 text 或 blob）
+     */
+    async readResource(serverId, uri, options = {}) {
+        console.log(`[MCP] 📖 读取资源: ${serverId} ${uri}`);
+        const result = await this._request(serverId, 'resources/read', { uri }, options);
+        const contents = Array.isArray(result?.contents) ? result.contents : [];
+        if (contents.length === 0) {
+            throw new Error(`资源内容为空: ${uri}`);
+        }
+        return contents;
+    }
+
+    /**
+     * 订阅资源更新（resources/subscribe）
+     * 服务器未声明 subscribe 能力时直接返回 false
+     * @param {string} serverId - 服务器 ID
+     * @param {string} uri - 资源 URI
+     * @returns {Promise<boolean>} 是否已订阅
+     */
+    async subscribeResource(serverId, uri) {
+        const key = `${serverId}::${uri}`;
+        if (this.resourceSubscriptions.has(key)) return true;
+        if (!this.supportsResourceSubscribe(serverId)) return false;
+
+        await this._request(serverId, 'resources/subscribe', { uri });
+        this.resourceSubscriptions.add(key);
+        console.log(`[MCP] 🔔 已订阅资源: ${key}`);
+        return true;
+    }
+
+    /**
+     * 取消资源订阅（resources/unsubscribe）
+     * @param {string} serverId - 服务器 ID
+     * @param {string} uri - 资源 URI
+     */
+    async unsubscribeResource(serverId, uri) {
+        const key = `${serverId}::${uri}`;
+        if (!this.resourceSubscriptions.has(key)) return;
+        this.resourceSubscriptions.delete(key);
+
+        try {
+            await this._request(serverId, 'resources/unsubscribe', { uri });
+            console.log(`[MCP] 🔕 已取消订阅资源: ${key}`);
+        } catch (error) {
+            console.warn(`[MCP] 取消订阅资源失败: ${key}`, error);
+        }
+    }
+
+    /**
+     * 是否已订阅指定资源
+     * @param {string} serverId - 服务器 ID
+     * @param {string} uri - 资源 URI
+     * @returns {boolean}
+     */
+    isResourceSubscribed(serverId, uri) {
+        return this.resourceSubscriptions.has(`${serverId}::${uri}`);
+    }
+
     /**
      * 调用 MCP 工具
      * @param {string} toolId - 工具 ID（格式: serverId__toolName 或 serverId/toolName）
@@ -307,7 +529,9 @@ export class MCPClient {
                 id: serverId,
                 type: connection.type,
                 protocol: connection.protocol || 'ipc',
-                toolCount: this.getToolsByServer(serverId).length
+                toolCount: this.getToolsByServer(serverId).length,
+                resourceCount: this.getResourcesByServer(serverId).length,
+                promptCount: this.getPromptsByServer(serverId).length
             });
         }
 
@@ -315,7 +539,9 @@ export class MCPClient {
             platform: this.platform,
             connected: this.connections.size,
             servers,
-            totalTools: this.tools.size
+            totalTools: this.tools.size,
+            totalResources: this.resources.size,
+            totalPrompts: this.prompts.size
         };
     }
 
@@ -364,6 +590,10 @@ export class MCPClient {
                 // 发现工具
                 await this._discoverTools(id, connection);
 
+                // 发现资源 / Prompt（可选能力，失败不影响连接）
+                await this._discoverResources(id, connection);
+                await this._discoverPrompts(id, connection);
+
                 console.log(`[MCP] 已连接到 MCP 服务器: ${name} (${type})`);
                 eventBus.emit('mcp:connected', { serverId: id, config });
 
@@ -580,7 +810,7 @@ export class MCPClient {
             const ws = new WebSocket(url);
 
             // 等待 WebSocket 连接并发送初始化请求
-            await new Promise((resolve, reject) => {
+            const initResult = await new Promise((resolve, reject) => {
                 let initHandler = null; // 保存处理器引用，便于清理
 
                 const timeout = setTimeout(() => {
@@ -606,7 +836,7 @@ export class MCPClient {
                         method: 'initialize',
                         params: {
                             protocolVersion: '2024-11-05',
-                            capabilities: {},
+                            capabilities: CLIENT_CAPABILITIES,
                             clientInfo: {
                                 name: 'webchat',
                                 version: '1.1.4'
@@ -628,7 +858,7 @@ export class MCPClient {
                                 method: 'initialized'
                             }));
 
-                            resolve();
+                            resolve(response.result || {});
                         }
                     };
 
@@ -653,6 +883,23 @@ export class MCPClient {
 
             const instanceId = `ws_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
 
+            // 服务器主动推送的通知（无 id）
+            ws.addEventListener('message', (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch {
+                    return;
+                }
+                if (!message?.method) return;
+
+                if (message.id === undefined) {
+                    this._handleNotification(id, message);
+                } else {
+                    this._handleServerRequest(id, message, (response) => ws.send(JSON.stringify(response)));
+                }
+            });
+
             // 设置自动重连（异常断开时）
             ws.onclose = (event) => {
                 // 非正常关闭 && 连接仍存在（用户未手动删除）
@@ -662,6 +909,8 @@ export class MCPClient {
 
                     current.connected = false;
                     this._clearToolsForServer(id);
+                    this._clearResourcesForServer(id);
+                    this._clearPromptsForServer(id);
                     eventBus.emit('mcp:disconnected', { serverId: id, reason: 'connection-lost' });
 
                     console.warn(`[MCP] ⚠️ WebSocket 异常断开: ${config.name} (code: ${event.code})`);
@@ -730,6 +979,7 @@ export class MCPClient {
                 apiKey,
                 headers: mergedHeaders,
                 instanceId,
+                serverCapabilities: initResult.capabilities || null,
                 shouldReconnect: true // 标志位：是否允许自动重连
             };
         } else if (protocol === 'sse') {
@@ -745,6 +995,8 @@ export class MCPClient {
             // 执行 MCP 初始化握手
             console.log(`[MCP] 🔗 建立 HTTP 连接并初始化: ${url}`);
 
+            let serverCapabilities = null;
+
             try {
                 // 1. 发送 initialize 请求
                 const abortController = new AbortController();
@@ -765,7 +1017,7 @@ export class MCPClient {
                             method: 'initialize',
                             params: {
                                 protocolVersion: '2024-11-05',
-                                capabilities: {},
+                                capabilities: CLIENT_CAPABILITIES,
                                 clientInfo: {
                                     name: 'webchat',
                                     version: '1.1.4'
@@ -797,6 +1049,7 @@ export class MCPClient {
                 }
 
                 console.log(`[MCP] 初始化成功:`, initData);
+                serverCapabilities = initData?.result?.capabilities || null;
 
                 // 提取 Mcp-Session-Id（Streamable HTTP 规范）
                 const sessionId = initResponse.headers.get('mcp-session-id');
@@ -832,7 +1085,8 @@ export class MCPClient {
                 protocol: protocol, // 使用实际检测到的协议（http/sse/streamable-http）
                 url,
                 apiKey,
-                headers: requestHeaders
+                headers: requestHeaders,
+                serverCapabilities
             };
         }
     }
@@ -925,6 +1179,14 @@ export class MCPClient {
         const handleJsonRpcMessage = (json) => {
             if (!json) return;
 
+            // 服务器发起的请求（同时带 method 和 id）
+            if (json.method && json.id !== undefined) {
+                this._handleServerRequest(id, json, (response) => {
+                    this._postRemoteMessage(this.connections.get(id), response);
+                });
+                return;
+            }
+
             if (json.id && pendingRequests.has(json.id)) {
                 const pending = pendingRequests.get(json.id);
                 clearTimeout(pending.timeoutId);
@@ -939,7 +1201,9 @@ export class MCPClient {
             }
 
             // Notification
-            eventBus.emit('mcp:notification', { serverId: id, message: json });
+            if (json.method) {
+                this._handleNotification(id, json);
+            }
         };
 
         const handleSseEvent = (eventName, data) => {
@@ -1024,6 +1288,8 @@ export class MCPClient {
                 if (!sseAbortController.signal.aborted && current && current.protocol === 'sse' && current.shouldReconnect && current.instanceId === instanceId) {
                     current.connected = false;
                     this._clearToolsForServer(id);
+                    this._clearResourcesForServer(id);
+                    this._clearPromptsForServer(id);
                     eventBus.emit('mcp:disconnected', { serverId: id, reason: 'connection-lost' });
 
                     const MAX_RECONNECT_ATTEMPTS = 5;
@@ -1112,15 +1378,16 @@ export class MCPClient {
 
         try {
             // Handshake: initialize -> initialized
-            await this._sendSSERequest(connection, 'initialize', {
+            const initResult = await this._sendSSERequest(connection, 'initialize', {
                 protocolVersion: '2024-11-05',
-                capabilities: {},
+                capabilities: CLIENT_CAPABILITIES,
                 clientInfo: {
                     name: 'webchat',
                     version: '1.1.4'
                 }
             });
 
+            connection.serverCapabilities = initResult?.capabilities || null;
             this._sendSSENotification(connection, 'initialized');
         } catch (error) {
             // Cleanup on handshake failure (connection isn't registered yet, so disconnect() won't run)
@@ -1361,6 +1628,479 @@ export class MCPClient {
         }
     }
 
+    /**
+     * 发现 MCP 资源与资源模板
+     * 资源是可选能力：服务器未声明或不支持时静默跳过，不影响连接
+     * @private
+     */
+    async _discoverResources(serverId, connection) {
+        const capabilities = connection.serverCapabilities;
+        if (capabilities && !capabilities.resources) {
+            console.log(`[MCP] 服务器未声明 resources 能力，跳过资源发现: ${serverId}`);
+            return;
+        }
+
+        this._clearResourcesForServer(serverId);
+
+        try {
+            const resources = await this._listAllPages(serverId, 'resources/list', 'resources');
+            for (const resource of resources) {
+                if (!resource?.uri) continue;
+                const resourceId = `${serverId}::${resource.uri}`;
+                this.resources.set(resourceId, {
+                    id: resourceId,
+                    serverId,
+                    uri: resource.uri,
+                    name: resource.name || resource.title || resource.uri,
+                    title: resource.title || '',
+                    description: resource.description || '',
+                    mimeType: resource.mimeType || '',
+                    size: resource.size
+                });
+            }
+        } catch (error) {
+            console.warn(`[MCP] ⚠️ 资源列表获取失败: ${serverId}`, error.message);
+        }
+
+        try {
+            const templates = await this._listAllPages(serverId, 'resources/templates/list', 'resourceTemplates');
+            for (const template of templates) {
+                if (!template?.uriTemplate) continue;
+                const templateId = `${serverId}::${template.uriTemplate}`;
+                this.resourceTemplates.set(templateId, {
+                    id: templateId,
+                    serverId,
+                    uriTemplate: template.uriTemplate,
+                    name: template.name || template.title || template.uriTemplate,
+                    title: template.title || '',
+                    description: template.description || '',
+                    mimeType: template.mimeType || ''
+                });
+            }
+        } catch (error) {
+            console.warn(`[MCP] ⚠️ 资源模板获取失败: ${serverId}`, error.message);
+        }
+
+        const resourceCount = this.getResourcesByServer(serverId).length;
+        const templateCount = this.getResourceTemplatesByServer(serverId).length;
+        console.log(`[MCP] 发现 ${resourceCount} 个资源, ${templateCount} 个资源模板: ${serverId}`);
+
+        eventBus.emit('mcp:resources-discovered', {
+            serverId,
+            resources: this.getResourcesByServer(serverId),
+            templates: this.getResourceTemplatesByServer(serverId)
+        });
+    }
+
+    /**
+     * 发现 MCP Prompt（prompts/list）
+     * 可选能力：服务器未声明或不支持时静默跳过
+     * @private
+     */
+    async _discoverPrompts(serverId, connection) {
+        const capabilities = connection.serverCapabilities;
+        if (capabilities && !capabilities.prompts) {
+            console.log(`[MCP] 服务器未声明 prompts 能力，跳过 Prompt 发现: ${serverId}`);
+            return;
+        }
+
+        this._clearPromptsForServer(serverId);
+
+        try {
+            const prompts = await this._listAllPages(serverId, 'prompts/list', 'prompts');
+            for (const prompt of prompts) {
+                if (!prompt?.name) continue;
+                const promptId = `${serverId}::${prompt.name}`;
+                this.prompts.set(promptId, {
+                    id: promptId,
+                    serverId,
+                    name: prompt.name,
+                    title: prompt.title || '',
+                    description: prompt.description || '',
+                    arguments: Array.isArray(prompt.arguments) ? prompt.arguments : []
+                });
+            }
+        } catch (error) {
+            console.warn(`[MCP] ⚠️ Prompt 列表获取失败: ${serverId}`, error.message);
+        }
+
+        console.log(`[MCP] 发现 ${this.getPromptsByServer(serverId).length} 个 Prompt: ${serverId}`);
+
+        eventBus.emit('mcp:prompts-discovered', {
+            serverId,
+            prompts: this.getPromptsByServer(serverId)
+        });
+    }
+
+    /**
+     * 拉取分页列表（自动跟随 nextCursor）
+     * @private
+     * @param {string} serverId - 服务器 ID
+     * @param {string} method - 列表方法（如 resources/list）
+     * @param {string} key - 结果字段名（如 resources）
+     * @returns {Promise<Array>}
+     */
+    async _listAllPages(serverId, method, key) {
+        const MAX_PAGES = 20;
+        const items = [];
+        let cursor;
+
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const params = cursor ? { cursor } : {};
+            const result = await this._request(serverId, method, params);
+            if (Array.isArray(result?.[key])) {
+                items.push(...result[key]);
+            }
+            cursor = result?.nextCursor;
+            if (!cursor) break;
+        }
+
+        return items;
+    }
+
+    /**
+     * 处理服务器推送的 JSON-RPC 通知
+     * @private
+     */
+    _handleNotification(serverId, message) {
+        const { method, params } = message;
+
+        if (method === 'notifications/resources/updated') {
+            console.log(`[MCP] 🔔 资源已更新: ${serverId} ${params?.uri}`);
+            eventBus.emit('mcp:resource-updated', { serverId, uri: params?.uri });
+        } else if (method === 'notifications/resources/list_changed') {
+            const connection = this.connections.get(serverId);
+            if (connection) {
+                this._discoverResources(serverId, connection).catch(error => {
+                    console.warn(`[MCP] 资源列表刷新失败: ${serverId}`, error);
+                });
+            }
+        } else if (method === 'notifications/prompts/list_changed') {
+            const connection = this.connections.get(serverId);
+            if (connection) {
+                this._discoverPrompts(serverId, connection).catch(error => {
+                    console.warn(`[MCP] Prompt 列表刷新失败: ${serverId}`, error);
+                });
+            }
+        }
+
+        eventBus.emit('mcp:notification', { serverId, message });
+    }
+
+    /**
+     * 处理服务器发起的 JSON-RPC 请求，并通过 reply 回传响应
+     * @private
+     * @param {string} serverId - 服务器 ID
+     * @param {Object} message - { id, method, params }
+     * @param {Function} reply - 发送响应的回调（各传输方式各自实现）
+     */
+    async _handleServerRequest(serverId, message, reply) {
+        console.log(`[MCP] 📨 服务器请求: ${serverId} ${message.method}`);
+
+        let response;
+        try {
+            const result = await this._dispatchServerRequest(serverId, message.method, message.params || {});
+            response = { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            console.warn(`[MCP] 服务器请求处理失败: ${message.method}`, error.message);
+            response = {
+                jsonrpc: '2.0',
+                id: message.id,
+                error: { code: error.code ?? -32603, message: error.message }
+            };
+        }
+
+        try {
+            await reply(response);
+        } catch (error) {
+            console.error(`[MCP] ❌ 回复服务器请求失败: ${message.method}`, error);
+        }
+    }
+
+    /**
+     * 按方法分发服务器请求
+     * @private
+     */
+    async _dispatchServerRequest(serverId, method, params) {
+        switch (method) {
+            case 'ping':
+                return {};
+            case 'sampling/createMessage':
+                return await this._handleSamplingRequest(serverId, params);
+            case 'roots/list':
+                return { roots: this.getRoots(serverId) };
+            case 'elicitation/create': {
+                const { showElicitationDialog } = await import('../../ui/mcp-elicitation-dialog.js');
+                const server = state.mcpServers?.find(s => s.id === serverId);
+                return await showElicitationDialog({
+                    serverName: server?.name || serverId,
+                    message: params.message || '',
+                    schema: params.requestedSchema || {}
+                });
+            }
+            default: {
+                const error = new Error(`Method not found: ${method}`);
+                error.code = -32601;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * sampling/createMessage：经用户批准后通过当前提供商/模型生成回复
+     * @private
+     */
+    async _handleSamplingRequest(serverId, params) {
+        const { createSamplingMessage } = await import('./sampling.js');
+        return await createSamplingMessage(serverId, params);
+    }
+
+    /**
+     * 获取服务器配置的根目录（roots/list 响应格式）
+     * @param {string} serverId - 服务器 ID
+     * @returns {Array<{uri: string, name?: string}>}
+     */
+    getRoots(serverId) {
+        const server = state.mcpServers?.find(s => s.id === serverId);
+        return (server?.roots || []).map(root => (
+            root.name ? { uri: root.uri, name: root.name } : { uri: root.uri }
+        ));
+    }
+
+    /**
+     * 通知服务器根目录已变更（notifications/roots/list_changed）
+     * @param {string} serverId - 服务器 ID
+     */
+    async notifyRootsChanged(serverId) {
+        if (!this.isConnected(serverId)) return;
+
+        try {
+            await this._notify(serverId, 'notifications/roots/list_changed');
+            console.log(`[MCP] 📂 已通知根目录变更: ${serverId}`);
+        } catch (error) {
+            console.warn(`[MCP] 根目录变更通知失败: ${serverId}`, error.message);
+        }
+    }
+
+    /**
+     * 发送 JSON-RPC 通知（自动选择 IPC / WebSocket / HTTP）
+     * @private
+     */
+    async _notify(serverId, method, params) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new Error(`MCP 服务器未连接: ${serverId}`);
+        }
+
+        if (connection.type === 'local' && this.platform === 'electron') {
+            const result = await window.electron.ipcRenderer.invoke('mcp:notify', { serverId, method, params });
+            if (!result?.success) {
+                throw new Error(result?.error || `MCP 通知发送失败: ${method}`);
+            }
+            return;
+        }
+
+        const body = { jsonrpc: '2.0', method };
+        if (params !== undefined) body.params = params;
+        await this._postRemoteMessage(connection, body);
+    }
+
+    /**
+     * 向远程服务器发送单向消息（响应 / 通知）
+     * @private
+     */
+    async _postRemoteMessage(connection, body) {
+        if (!connection) {
+            throw new Error('MCP 连接不存在');
+        }
+
+        if (connection.protocol === 'websocket') {
+            connection.ws.send(JSON.stringify(body));
+            return;
+        }
+
+        const response = await fetch(connection.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream',
+                ...connection.headers
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP 请求失败: ${response.status}`);
+        }
+    }
+
+    /**
+     * 发送通用 JSON-RPC 请求（自动选择 IPC / SSE / WebSocket / HTTP）
+     * @private
+     * @param {string} serverId - 服务器 ID
+     * @param {string} method - MCP 方法
+     * @param {Object} [params] - 参数
+     * @param {Object} [options] - { signal, timeout }
+     * @returns {Promise<Object>} JSON-RPC result
+     */
+    async _request(serverId, method, params = {}, options = {}) {
+        const connection = this.connections.get(serverId);
+        if (!connection) {
+            throw new Error(`MCP 服务器未连接: ${serverId}`);
+        }
+
+        if (connection.type === 'local' && this.platform === 'electron') {
+            const result = await window.electron.ipcRenderer.invoke('mcp:request', {
+                serverId,
+                method,
+                params
+            });
+            if (!result?.success) {
+                throw new Error(result?.error || `MCP ${method} 请求失败`);
+            }
+            return result.result;
+        }
+
+        return await this._sendRemoteRequest(connection, method, params, options);
+    }
+
+    /**
+     * 远程发送通用 JSON-RPC 请求
+     * @private
+     */
+    async _sendRemoteRequest(connection, method, params = {}, options = {}) {
+        const { protocol, url, ws, headers } = connection;
+        const timeoutMs = options.timeout || this.retryConfig.connectionTimeout;
+
+        if (options.signal?.aborted) {
+            throw new Error('请求已取消');
+        }
+
+        if (protocol === 'sse') {
+            return await this._sendSSERequest(connection, method, params, options);
+        }
+
+        if (protocol === 'websocket') {
+            return new Promise((resolve, reject) => {
+                const requestId = 'ws_' + (++wsRequestCounter);
+
+                const cleanup = () => {
+                    clearTimeout(timeout);
+                    ws.removeEventListener('message', handler);
+                };
+
+                const timeout = setTimeout(() => {
+                    ws.removeEventListener('message', handler);
+                    reject(new Error(`WebSocket 请求超时 (${timeoutMs}ms): ${method}`));
+                }, timeoutMs);
+
+                const handler = (event) => {
+                    let response;
+                    try {
+                        response = JSON.parse(event.data);
+                    } catch {
+                        return;
+                    }
+                    if (response.id !== requestId) return;
+
+                    cleanup();
+                    if (response.error) {
+                        reject(new Error(`MCP 错误 [${response.error.code}]: ${response.error.message || JSON.stringify(response.error)}`));
+                    } else {
+                        resolve(response.result);
+                    }
+                };
+
+                if (options.signal) {
+                    options.signal.addEventListener('abort', () => {
+                        cleanup();
+                        reject(new Error('请求已取消'));
+                    }, { once: true });
+                }
+
+                ws.addEventListener('message', handler);
+                ws.send(JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: requestId,
+                    method,
+                    params
+                }));
+            });
+        }
+
+        // HTTP / Streamable HTTP
+        const requestId = `http_${Date.now()}_${++wsRequestCounter}`;
+        const abortController = new AbortController();
+        const timeoutId = setTimeout(() => abortController.abort(), timeoutMs);
+
+        if (options.signal) {
+            options.signal.addEventListener('abort', () => {
+                clearTimeout(timeoutId);
+                abortController.abort();
+            }, { once: true });
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/event-stream',
+                    ...headers
+                },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: requestId,
+                    method,
+                    params
+                }),
+                signal: abortController.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP 请求失败: ${response.status} ${response.statusText}`);
+            }
+
+            const newSessionId = response.headers.get('mcp-session-id');
+            if (newSessionId && connection.headers) {
+                connection.headers['Mcp-Session-Id'] = newSessionId;
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            let data;
+
+            if (contentType.includes('text/event-stream')) {
+                data = await this._readSSEResponse(connection, response, requestId);
+            } else {
+                data = await response.json();
+            }
+
+            if (data.error) {
+                throw new Error(`MCP 错误 [${data.error.code}]: ${data.error.message || JSON.stringify(data.error)}`);
+            }
+
+            return data.result;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(options.signal?.aborted ? '请求已取消' : `HTTP 请求超时 (${timeoutMs}ms): ${method}`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * 根据连接对象反查服务器 ID
+     * @private
+     */
+    _findServerId(connection) {
+        for (const [serverId, conn] of this.connections.entries()) {
+            if (conn === connection) return serverId;
+        }
+        return null;
+    }
+
     /**
      * 远程获取工具列表
      * @private
@@ -1553,6 +2293,8 @@ export class MCPClient {
                 }, { once: true });
             }
 
+            const requestId = `http_${Date.now()}_${++wsRequestCounter}`;
+
             try {
                 const response = await fetch(url, {
                     method: 'POST',
@@ -1563,7 +2305,7 @@ export class MCPClient {
                     },
                     body: JSON.stringify({
                         jsonrpc: '2.0',
-                        id: Date.now(),
+                        id: requestId,
                         method: 'tools/call',
                         params: {
                             name: toolName,
@@ -1590,9 +2332,9 @@ export class MCPClient {
                 let data;
 
                 if (contentType && contentType.includes('text/event-stream')) {
+                    // 逐条读取：工具执行期间服务器可能发起 sampling 等请求并等待回复
                     console.log('[MCP] 解析 SSE 格式响应 (tools/call)');
-                    const text = await response.text();
-                    data = this._parseSSE(text);
+                    data = await this._readSSEResponse(connection, response, requestId);
                 } else {
                     data = await response.json();
                 }
@@ -1614,6 +2356,82 @@ export class MCPClient {
         }
     }
 
+    /**
+     * 逐条读取 Streamable HTTP 的 SSE 响应
+     * 通知与服务器请求在到达时立即处理，返回与 requestId 匹配的响应
+     * @private
+     * @param {Object} connection - 连接对象
+     * @param {Response} response - fetch 响应
+     * @param {string} requestId - 本次请求 ID
+     * @returns {Promise<Object>} JSON-RPC 响应
+     */
+    async _readSSEResponse(connection, response, requestId) {
+        const serverId = this._findServerId(connection);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let lastMessage = null;
+
+        const handleEvent = (rawEvent) => {
+            const jsonData = rawEvent
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n')
+                .trim();
+            if (!jsonData) return null;
+
+            let message;
+            try {
+                message = JSON.parse(jsonData);
+            } catch {
+                return null;
+            }
+
+            if (message.method && message.id === undefined) {
+                this._handleNotification(serverId, message);
+                return null;
+            }
+            if (message.method) {
+                this._handleServerRequest(serverId, message, (reply) => this._postRemoteMessage(connection, reply));
+                return null;
+            }
+
+            lastMessage = message;
+            return message.id === requestId ? message : null;
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+
+                let separatorMatch;
+                while ((separatorMatch = buffer.match(/\r?\n\r?\n/))) {
+                    const rawEvent = buffer.slice(0, separatorMatch.index);
+                    buffer = buffer.slice(separatorMatch.index + separatorMatch[0].length);
+
+                    const matched = handleEvent(rawEvent);
+                    if (matched) return matched;
+                }
+            }
+
+            if (buffer.trim()) {
+                const matched = handleEvent(buffer);
+                if (matched) return matched;
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+
+        if (!lastMessage) {
+            throw new Error('SSE 响应中没有找到有效的 JSON data');
+        }
+        return lastMessage;
+    }
+
     /**
      * 解析 Server-Sent Events (SSE) 格式的响应
      * @private
@@ -1686,5 +2504,53 @@ export async function callMCPTool(serverId, toolName, args, options = {}) {
     return await mcpClient.callTool(toolId, args, options);
 }
 
+// ========== 资源模板（RFC 6570 子集） ==========
+
+const URI_TEMPLATE_EXPR = /\{([+#./;?&]?)([^}]+)\}/g;
+
+/**
+ * 提取资源模板中的变量名
+ * @param {string} uriTemplate - 如 file:///{path} 或 db://{table}{?limit}
+ * @returns {string[]} 去重后的变量名
+ */
+export function getTemplateVariables(uriTemplate) {
+    const names = [];
+    for (const match of uriTemplate.matchAll(URI_TEMPLATE_EXPR)) {
+        for (const raw of match[2].split(',')) {
+            const name = raw.replace(/\*$|:\d+$/, '').trim();
+            if (name && !names.includes(name)) {
+                names.push(name);
+            }
+        }
+    }
+    return names;
+}
+
+/**
+ * 用变量值展开资源模板
+ * 支持 {var}（编码）、{+var}（保留 / 等字符）、{?a,b} 查询参数
+ * @param {string} uriTemplate - 资源模板
+ * @param {Object<string, string>} values - 变量值
+ * @returns {string} 展开后的 URI
+ */
+export function expandResourceTemplate(uriTemplate, values = {}) {
+    return uriTemplate.replace(URI_TEMPLATE_EXPR, (_, operator, body) => {
+        const names = body.split(',').map(raw => raw.replace(/\*$|:\d+$/, '').trim());
+        const defined = names.filter(name => values[name] !== undefined && values[name] !== '');
+        if (defined.length === 0) return '';
+
+        const reserved = operator === '+' || operator === '#';
+        const encode = (value) => reserved ? encodeURI(String(value)) : encodeURIComponent(String(value));
+
+        if (operator === '?' || operator === '&') {
+            return operator + defined.map(name => `${name}=${encode(values[name])}`).join('&');
+        }
+
+        const prefix = ['#', '.', '/'].includes(operator) ? operator : '';
+        const separator = operator === '.' || operator === '/' ? operator : ',';
+        return prefix + defined.map(name => encode(values[name])).join(separator);
+    });
+}
+
 console.log('[MCP] 📡 MCP 客户端已加载');
 console.log(`[MCP] 🌐 当前平台: ${mcpClient.platform}`);
@@ -0,0 +1,155 @@
+/**
+ * MCP Sampling（sampling/createMessage）
+ * 服务器请求客户端代为调用 LLM：经用户批准后使用当前提供商/模型生成回复
+ */
+
+import { state } from '../../core/state.js';
+import { getSendFunction } from '../../api/factory.js';
+import { getCurrentEndpoint, getCurrentApiKey, getCurrentModel } from '../../api/handler.js';
+import { parseApiResponse } from '../../api/response-parser.js';
+import { getCurrentProvider } from '../../providers/manager.js';
+import { toOpenAIMessage } from '../../messages/converters.js';
+import { saveMCPServer } from '../../state/storage.js';
+import { showSamplingApprovalDialog } from '../../ui/mcp-sampling-approval.js';
+
+// 用户拒绝时返回的 JSON-RPC 错误码（MCP 规范约定）
+const USER_REJECTED_CODE = -1;
+
+/**
+ * 处理 sampling/createMessage 请求
+ * @param {string} serverId - 服务器 ID
+ * @param {Object} params - { messages, systemPrompt, modelPreferences, maxTokens, temperature, stopSequences }
+ * @returns {Promise<Object>} CreateMessageResult
+ */
+export async function createSamplingMessage(serverId, params) {
+    const server = state.mcpServers?.find(s => s.id === serverId);
+    const provider = getCurrentProvider();
+    const format = provider?.apiFormat || 'openai';
+    const model = getCurrentModel();
+
+    if (!['openai', 'openai-responses', 'claude', 'gemini'].includes(format)) {
+        throw new Error(`当前 API 格式不支持 sampling: ${format}`);
+    }
+
+    if (!server?.samplingAutoApprove) {
+        const decision = await showSamplingApprovalDialog({
+            serverName: server?.name || serverId,
+            params,
+            model
+        });
+
+        if (!decision.approved) {
+            const error = new Error('用户拒绝了采样请求');
+            error.code = USER_REJECTED_CODE;
+            throw error;
+        }
+
+        if (decision.remember && server) {
+            await setSamplingAutoApprove(server, true);
+        }
+    }
+
+    console.log(`[MCP Sampling] 🤖 ${serverId} 使用 ${model} 生成回复`);
+
+    const sendFn = getSendFunction(format);
+    const response = await sendFn(getCurrentEndpoint(), getCurrentApiKey(), model, null, {
+        messages: toOpenAIMessages(params.messages || []),
+        systemPrompt: params.systemPrompt || '',
+        maxTokens: params.maxTokens,
+        temperature: params.temperature,
+        stopSequences: params.stopSequences
+    });
+
+    if (!response.ok) {
+        let detail = `HTTP ${response.status}`;
+        try {
+            const errorData = await response.json();
+            detail = errorData.error?.message || detail;
+        } catch {
+            // ignore
+        }
+        throw new Error(`模型请求失败: ${detail}`);
+    }
+
+    const data = await response.json();
+    const reply = parseApiResponse(data, format);
+    if (!reply) {
+        throw new Error('模型没有返回内容');
+    }
+
+    return {
+        role: 'assistant',
+        content: { type: 'text', text: reply.content || '' },
+        model,
+        stopReason: extractStopReason(data, format)
+    };
+}
+
+/**
+ * 更新服务器的采样自动批准设置并持久化
+ * @param {Object} server - 服务器配置（state.mcpServers 中的对象）
+ * @param {boolean} enabled - 是否自动批准
+ */
+export async function setSamplingAutoApprove(server, enabled) {
+    server.samplingAutoApprove = enabled;
+    try {
+        await saveMCPServer(server);
+    } catch (error) {
+        console.error('[MCP Sampling] 保存自动批准设置失败:', error);
+    }
+}
+
+/**
+ * SamplingMessage → OpenAI 格式（主存储格式，各发送函数自行转换）
+ * @param {Array} messages - SamplingMessage 列表
+ * @returns {Array}
+ */
+function toOpenAIMessages(messages) {
+    return messages.map(message => {
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const blocks = Array.isArray(message.content) ? message.content : [message.content];
+        const texts = [];
+        const images = [];
+
+        for (const block of blocks) {
+            if (block?.type === 'text') {
+                texts.push(block.text || '');
+            } else if (block?.type === 'image') {
+                images.push(`data:${block.mimeType};base64,${block.data}`);
+            } else if (block?.type) {
+                texts.push(`[不支持的内容类型: ${block.type}]`);
+            }
+        }
+
+        return toOpenAIMessage(role, texts.join('\n\n'), images.length > 0 ? images : null);
+    });
+}
+
+/**
+ * 提取停止原因并映射到 MCP 约定值
+ */
+function extractStopReason(data, format) {
+    let reason;
+    if (format === 'claude') {
+        reason = data.stop_reason;
+    } else if (format === 'gemini') {
+        reason = data.candidates?.[0]?.finishReason;
+    } else if (format === 'openai-responses') {
+        reason = data.incomplete_details?.reason || data.status;
+    } else {
+        reason = data.choices?.[0]?.finish_reason;
+    }
+
+    const mapping = {
+        stop: 'endTurn',
+        end_turn: 'endTurn',
+        STOP: 'endTurn',
+        completed: 'endTurn',
+        length: 'maxTokens',
+        max_tokens: 'maxTokens',
+        MAX_TOKENS: 'maxTokens',
+        max_output_tokens: 'maxTokens',
+        stop_sequence: 'stopSequence'
+    };
+    return mapping[reason] || reason || 'endTurn';
+}
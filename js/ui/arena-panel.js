@@ -0,0 +1,253 @@
+/**
+ * 竞技场设置弹窗
+ * 开关对比模式、配置参与对比的提供商/模型，查看各模型的胜负统计
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { saveCurrentConfig } from '../state/config.js';
+import { getModelDisplayName } from '../providers/manager.js';
+import { showNotification } from './notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { showConfirmDialog } from '../utils/dialogs.js';
+import { getIcon } from '../utils/icons.js';
+import { ARENA_FORMATS, ARENA_MIN_MODELS, ARENA_MAX_MODELS } from '../stream/arena.js';
+
+/**
+ * 获取可参与对比的提供商
+ * @returns {Array<Object>}
+ */
+function getArenaProviders() {
+    return state.providers.filter(p => ARENA_FORMATS.includes(p.apiFormat) && p.models?.length > 0);
+}
+
+/**
+ * 获取模型 ID（兼容字符串和对象格式）
+ * @param {string|Object} model - 模型
+ * @returns {string}
+ */
+function getModelId(model) {
+    return typeof model === 'string' ? model : model.id;
+}
+
+/**
+ * 渲染单个对比模型条目
+ * @param {{providerId: string, model: string}} entry - 条目
+ * @param {number} index - 序号
+ * @returns {string} HTML
+ */
+function renderEntry(entry, index) {
+    const providers = getArenaProviders();
+    const provider = providers.find(p => p.id === entry.providerId) || providers[0];
+
+    const providerOptions = providers.map(p => `
+        <option value="${escapeHtml(p.id)}" ${p.id === provider?.id ? 'selected' : ''}>
+            ${escapeHtml(p.name)}${p.enabled ? '' : '（已禁用）'}
+        </option>
+    `).join('');
+
+    const modelOptions = (provider?.models || []).map(m => {
+        const id = getModelId(m);
+        return `<option value="${escapeHtml(id)}" ${id === entry.model ? 'selected' : ''}>${escapeHtml(getModelDisplayName(id, provider))}</option>`;
+    }).join('');
+
+    return `
+        <div class="arena-model-entry" data-index="${index}">
+            <span class="arena-model-order">${index + 1}</span>
+            <select class="settings-select" data-field="providerId" aria-label="对比提供商">${providerOptions}</select>
+            <select class="settings-select" data-field="model" aria-label="对比模型">${modelOptions}</select>
+            <button type="button" class="icon-button" data-action="remove" title="移除" aria-label="移除">${getIcon('trash', { size: 16 })}</button>
+        </div>
+    `;
+}
+
+/**
+ * 渲染胜负统计表（按胜率排序）
+ * @returns {string} HTML
+ */
+function renderTally() {
+    const rows = Object.entries(state.arenaTally || {})
+        .map(([key, entry]) => ({ key, ...entry, total: entry.wins + entry.losses }))
+        .filter(entry => entry.total > 0)
+        .sort((a, b) => (b.wins / b.total) - (a.wins / a.total) || b.total - a.total);
+
+    if (rows.length === 0) {
+        return '<p class="settings-hint">尚无对比记录</p>';
+    }
+
+    return `
+        <table class="arena-tally-table">
+            <thead>
+                <tr><th>模型</th><th>胜</th><th>负</th><th>胜率</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td title="${escapeHtml(row.key)}">${escapeHtml(row.label || row.key)}</td>
+                        <td>${row.wins}</td>
+                        <td>${row.losses}</td>
+                        <td>${Math.round(row.wins / row.total * 100)}%</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * 同步快捷按钮状态
+ */
+function syncArenaToggle() {
+    document.getElementById('toggle-arena')?.classList.toggle('active', !!state.arenaEnabled);
+}
+
+/**
+ * 打开竞技场设置弹窗
+ */
+export function openArenaPanel() {
+    // 编辑副本，点击保存后才写回配置
+    let models = (state.arenaModels || []).map(entry => ({ ...entry }));
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal active';
+    dialog.style.zIndex = '10002';
+    dialog.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content arena-dialog" style="max-width: 640px;">
+            <div class="modal-header">
+                <h3>模型对比</h3>
+                <button class="close-btn" data-action="close" aria-label="关闭">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="toggle-row">
+                    <label class="switch">
+                        <input type="checkbox" data-field="enabled" ${state.arenaEnabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <span>启用对比模式</span>
+                </div>
+                <p class="settings-hint">开启后每条消息会同时发送给下列 ${ARENA_MIN_MODELS}~${ARENA_MAX_MODELS} 个模型，回复分栏显示。选出最佳回复后，它将作为正式回复保留在对话历史中。对比模式需要流式输出，不执行工具调用。</p>
+                <div class="arena-model-list"></div>
+                <button type="button" class="add-provider-btn" data-action="add">${getIcon('plus', { size: 16 })} 添加对比模型</button>
+                <div class="arena-tally-header">
+                    <label class="settings-label">胜负统计</label>
+                    <button type="button" class="btn btn-secondary" data-action="reset-tally">重置</button>
+                </div>
+                <div class="arena-tally"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="close">取消</button>
+                <button class="btn btn-primary" data-action="save">保存</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const list = dialog.querySelector('.arena-model-list');
+    const addBtn = dialog.querySelector('[data-action="add"]');
+    const tally = dialog.querySelector('.arena-tally');
+
+    const render = () => {
+        list.innerHTML = models.length > 0
+            ? models.map((entry, index) => renderEntry(entry, index)).join('')
+            : '<p class="settings-hint">尚未配置对比模型</p>';
+        addBtn.disabled = models.length >= ARENA_MAX_MODELS;
+    };
+
+    const renderTallySection = () => {
+        tally.innerHTML = renderTally();
+    };
+
+    const close = () => {
+        eventBus.off('arena:tally-updated', renderTallySection);
+        dialog.remove();
+    };
+
+    list.addEventListener('change', (e) => {
+        const row = e.target.closest('.arena-model-entry');
+        if (!row) return;
+
+        const entry = models[Number(row.dataset.index)];
+        if (e.target.dataset.field === 'providerId') {
+            const provider = state.providers.find(p => p.id === e.target.value);
+            entry.providerId = e.target.value;
+            entry.model = provider?.models?.length ? getModelId(provider.models[0]) : '';
+            render();
+        } else if (e.target.dataset.field === 'model') {
+            entry.model = e.target.value;
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action="remove"]');
+        const row = btn?.closest('.arena-model-entry');
+        if (!row) return;
+
+        models.splice(Number(row.dataset.index), 1);
+        render();
+    });
+
+    addBtn.addEventListener('click', () => {
+        const provider = getArenaProviders()[0];
+        if (!provider) {
+            showNotification('没有可用的提供商：请先添加 OpenAI、Claude 或 Gemini 格式的提供商并配置模型', 'warning');
+            return;
+        }
+        models.push({ providerId: provider.id, model: getModelId(provider.models[0]) });
+        render();
+    });
+
+    dialog.querySelector('[data-action="reset-tally"]').addEventListener('click', async () => {
+        const confirmed = await showConfirmDialog('确定要清空所有模型的胜负统计吗？', '重置统计');
+        if (!confirmed) return;
+        state.arenaTally = {};
+        saveCurrentConfig();
+        renderTallySection();
+    });
+
+    dialog.querySelector('[data-action="save"]').addEventListener('click', () => {
+        // 去掉无效和重复的条目
+        const seen = new Set();
+        models = models.filter(entry => {
+            const key = `${entry.providerId}:${entry.model}`;
+            if (!entry.providerId || !entry.model || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        const enabled = dialog.querySelector('[data-field="enabled"]').checked;
+        if (enabled && models.length < ARENA_MIN_MODELS) {
+            showNotification(`对比模式至少需要 ${ARENA_MIN_MODELS} 个不同的模型`, 'warning');
+            return;
+        }
+        if (enabled && !state.streamEnabled) {
+            showNotification('对比模式需要开启流式输出', 'warning');
+        }
+
+        state.arenaModels = models;
+        state.arenaEnabled = enabled;
+        saveCurrentConfig();
+        syncArenaToggle();
+        showNotification(enabled ? `对比模式已开启（${models.length} 个模型）` : '对比模式已关闭', 'success');
+        close();
+    });
+
+    dialog.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+    dialog.querySelector('.modal-overlay').addEventListener('click', close);
+    eventBus.on('arena:tally-updated', renderTallySection);
+
+    render();
+    renderTallySection();
+}
+
+/**
+ * 初始化竞技场快捷按钮
+ */
+export function initArenaPanel() {
+    const toggleArena = document.getElementById('toggle-arena');
+    if (!toggleArena) return;
+
+    syncArenaToggle();
+    toggleArena.addEventListener('click', openArenaPanel);
+    eventBus.on('config:loaded', syncArenaToggle);
+}
@@ -0,0 +1,285 @@
+/**
+ * Computer Use 审计日志查看器
+ * 按动作类型、聊天会话和日期筛选审计日志，查看参数和结果，导出 JSON / CSV
+ */
+
+import { state } from '../core/state.js';
+import { showNotification } from './notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { showConfirmDialog } from '../utils/dialogs.js';
+import { formatFileSize } from '../utils/file-helpers.js';
+
+// 列表最多显示的条数（导出不受限制）
+const VIEW_LIMIT = 500;
+
+// 动作名称映射
+const ACTION_LABELS = {
+    screenshot: '截图',
+    zoom: '区域放大',
+    mouse_move: '鼠标移动',
+    mouse_click: '鼠标单击',
+    mouse_double_click: '鼠标双击',
+    mouse_triple_click: '鼠标三击',
+    mouse_drag: '鼠标拖拽',
+    mouse_scroll: '鼠标滚动',
+    mouse_down: '按下鼠标',
+    mouse_up: '释放鼠标',
+    keyboard_type: '键盘输入',
+    keyboard_press: '按键',
+    keyboard_hold: '按住按键',
+    keyboard_release: '释放按键',
+    bash: 'Bash 命令',
+    bash_policy: '命令策略',
+    bash_approval: '命令审批',
+    bash_restart: '重启 Shell',
+    text_editor: '文本编辑',
+    file_read: '读取文件',
+    file_write: '写入文件'
+};
+
+/**
+ * 获取动作显示名称
+ * @param {string} action - 动作
+ * @returns {string}
+ */
+function getActionLabel(action) {
+    return ACTION_LABELS[action] || action;
+}
+
+/**
+ * 获取会话显示名称
+ * @param {string|null} sessionId - 会话 ID
+ * @returns {string}
+ */
+function getSessionLabel(sessionId) {
+    if (!sessionId) return '—';
+    if (sessionId === 'default') return '默认';
+    const session = state.sessions.find(s => s.id === sessionId);
+    return session ? session.name : `${sessionId.slice(0, 8)}（已删除）`;
+}
+
+/**
+ * 参数摘要（命令、路径、按键等）
+ * @param {Object} params - 参数
+ * @returns {string}
+ */
+function summarizeParams(params = {}) {
+    if (params.command && params.path) return `${params.command} ${params.path}`;
+    if (params.command) return params.command;
+    if (params.path) return params.path;
+    if (params.key) return [...(params.modifiers || []), params.key].join('+');
+    if (params.decision) return params.decision;
+
+    const text = JSON.stringify(params);
+    return text === '{}' ? '' : text;
+}
+
+/**
+ * 日期输入框的值转换为 ISO 时间（起始日 00:00，截止日 23:59:59.999）
+ * @param {string} value - yyyy-mm-dd
+ * @param {boolean} endOfDay - 是否取当天结束
+ * @returns {string|null}
+ */
+function dateInputToISO(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 下载文本文件
+ * @param {string} content - 内容
+ * @param {string} filename - 文件名
+ * @param {string} type - MIME 类型
+ */
+function downloadText(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 渲染日志行
+ * @param {Object} entry - 日志条目
+ * @param {number} index - 序号
+ * @returns {string} HTML
+ */
+function renderRow(entry, index) {
+    const summary = summarizeParams(entry.params);
+    const result = entry.success
+        ? '<span class="audit-log-result success">成功</span>'
+        : `<span class="audit-log-result failed" title="${escapeHtml(entry.error || '')}">失败</span>`;
+
+    return `
+        <tr class="audit-log-row" data-index="${index}">
+            <td class="audit-log-time">${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+            <td>${escapeHtml(getActionLabel(entry.action))}</td>
+            <td class="audit-log-session" title="${escapeHtml(entry.sessionId || '')}">${escapeHtml(getSessionLabel(entry.sessionId))}</td>
+            <td class="audit-log-params" title="${escapeHtml(summary)}">${escapeHtml(summary)}</td>
+            <td>${result}${entry.error ? `<div class="audit-log-error">${escapeHtml(entry.error)}</div>` : ''}</td>
+            <td class="audit-log-duration">${entry.duration != null ? `${entry.duration}ms` : ''}</td>
+        </tr>
+    `;
+}
+
+/**
+ * 打开审计日志查看器
+ */
+export function openAuditLogViewer() {
+    const api = window.electronAPI;
+    if (!api?.computerUse_queryAuditLog) {
+        showNotification('审计日志仅在桌面版中可用', 'warning');
+        return;
+    }
+
+    let entries = [];
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal active';
+    dialog.style.zIndex = '10002';
+    dialog.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content audit-log-dialog" style="max-width: 960px;">
+            <div class="modal-header">
+                <h3>Computer Use 审计日志</h3>
+                <button class="close-btn" data-action="close" aria-label="关闭">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="audit-log-filters">
+                    <select class="settings-select" data-filter="action" aria-label="动作类型">
+                        <option value="">全部动作</option>
+                    </select>
+                    <select class="settings-select" data-filter="session" aria-label="聊天会话">
+                        <option value="">全部会话</option>
+                    </select>
+                    <input type="date" data-filter="from" aria-label="起始日期" title="起始日期">
+                    <input type="date" data-filter="to" aria-label="截止日期" title="截止日期">
+                    <label class="audit-log-failed-only">
+                        <input type="checkbox" data-filter="failedOnly">
+                        <span>仅失败</span>
+                    </label>
+                </div>
+                <div class="audit-log-table-wrap">
+                    <table class="audit-log-table">
+                        <thead>
+                            <tr><th>时间</th><th>动作</th><th>会话</th><th>参数</th><th>结果</th><th>耗时</th></tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <p class="settings-hint audit-log-info"></p>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="clear">清空日志</button>
+                <button class="btn btn-secondary" data-action="export-csv">导出 CSV</button>
+                <button class="btn btn-secondary" data-action="export-json">导出 JSON</button>
+                <button class="btn btn-primary" data-action="close">关闭</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const tbody = dialog.querySelector('tbody');
+    const info = dialog.querySelector('.audit-log-info');
+    const actionSelect = dialog.querySelector('[data-filter="action"]');
+    const sessionSelect = dialog.querySelector('[data-filter="session"]');
+
+    const getFilters = () => ({
+        actions: actionSelect.value ? [actionSelect.value] : [],
+        sessionId: sessionSelect.value || null,
+        from: dateInputToISO(dialog.querySelector('[data-filter="from"]').value, false),
+        to: dateInputToISO(dialog.querySelector('[data-filter="to"]').value, true),
+        failedOnly: dialog.querySelector('[data-filter="failedOnly"]').checked
+    });
+
+    // 保留当前选中项，重建下拉选项
+    const fillSelect = (select, values, getLabel) => {
+        const current = select.value;
+        const first = select.options[0].outerHTML;
+        select.innerHTML = first + values
+            .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(getLabel(value))}</option>`)
+            .join('');
+        select.value = values.includes(current) ? current : '';
+    };
+
+    const load = async () => {
+        const result = await api.computerUse_queryAuditLog(getFilters(), VIEW_LIMIT);
+        if (!result.success) {
+            tbody.innerHTML = `<tr><td colspan="6" class="audit-log-empty">读取失败：${escapeHtml(result.error || '')}</td></tr>`;
+            return;
+        }
+
+        entries = result.entries;
+        fillSelect(actionSelect, result.actions, getActionLabel);
+        fillSelect(sessionSelect, result.sessionIds, getSessionLabel);
+
+        tbody.innerHTML = entries.length > 0
+            ? entries.map(renderRow).join('')
+            : '<tr><td colspan="6" class="audit-log-empty">没有符合条件的记录</td></tr>';
+
+        const { files = [], maxSize, maxFiles, directory } = result.info || {};
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+        const shown = result.total > entries.length ? `显示最近 ${entries.length} 条（共 ${result.total} 条，导出包含全部）` : `共 ${result.total} 条`;
+        info.textContent = `${shown} · 日志 ${formatFileSize(totalSize)}，单个文件超过 ${formatFileSize(maxSize)} 自动轮转，保留 ${maxFiles} 个历史文件 · ${directory || ''}`;
+    };
+
+    const exportLog = async (format) => {
+        const result = await api.computerUse_exportAuditLog(format, getFilters());
+        if (!result.success) {
+            showNotification(`导出失败: ${result.error}`, 'error');
+            return;
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        downloadText(
+            result.content,
+            `computer-use-audit-${date}.${format}`,
+            format === 'csv' ? 'text/csv' : 'application/json'
+        );
+        showNotification(`已导出 ${result.count} 条审计记录`, 'success');
+    };
+
+    const close = () => dialog.remove();
+
+    // 点击行展开 / 收起完整记录
+    tbody.addEventListener('click', (e) => {
+        const row = e.target.closest('.audit-log-row');
+        if (!row) return;
+
+        const next = row.nextElementSibling;
+        if (next?.classList.contains('audit-log-detail')) {
+            next.remove();
+            return;
+        }
+
+        const detail = document.createElement('tr');
+        detail.className = 'audit-log-detail';
+        detail.innerHTML = '<td colspan="6"><pre></pre></td>';
+        detail.querySelector('pre').textContent = JSON.stringify(entries[Number(row.dataset.index)], null, 2);
+        row.after(detail);
+    });
+
+    dialog.querySelector('.audit-log-filters').addEventListener('change', load);
+    dialog.querySelector('[data-action="export-json"]').addEventListener('click', () => exportLog('json'));
+    dialog.querySelector('[data-action="export-csv"]').addEventListener('click', () => exportLog('csv'));
+    dialog.querySelector('[data-action="clear"]').addEventListener('click', async () => {
+        const confirmed = await showConfirmDialog('确定要清空所有审计日志（含历史文件）吗？此操作不可撤销。', '清空审计日志');
+        if (!confirmed) return;
+        const result = await api.computerUse_clearAuditLog();
+        if (!result.success) {
+            showNotification(`清空失败: ${result.error}`, 'error');
+            return;
+        }
+        showNotification('审计日志已清空', 'success');
+        load();
+    });
+    dialog.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+    dialog.querySelector('.modal-overlay').addEventListener('click', close);
+
+    load();
+}
@@ -0,0 +1,90 @@
+/**
+ * Computer Use Bash 命令审批对话框
+ * 命令命中“总是询问”规则（或开启了执行前确认）时，由用户决定拒绝、允许一次或本会话允许该模式
+ */
+
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+// 审批原因说明
+const REASON_LABELS = {
+    ask_rule: '命中“总是询问”规则',
+    unparsed: '无法确定实际执行的命令（引号未闭合或命令名来自变量）',
+    require_confirmation: '未匹配允许规则，已开启执行前确认'
+};
+
+/**
+ * 显示 Bash 命令审批对话框
+ * @param {Object} request
+ * @param {string} request.command - 要执行的命令
+ * @param {string} request.cwd - 工作目录
+ * @param {string|null} request.rule - 命中的规则
+ * @param {string} request.reason - 审批原因
+ * @param {string|null} request.suggestedPattern - 建议的本会话放行模式（为 null 时不提供本会话放行，如命中总是询问规则）
+ * @param {number} [request.timeoutSeconds] - 超时秒数（到时自动拒绝）
+ * @returns {Promise<{approved: boolean, pattern: string|null}>}
+ */
+export function showBashApprovalDialog({ command, cwd, rule, reason, suggestedPattern, timeoutSeconds = 60 }) {
+    return new Promise((resolve) => {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+
+        const reasonText = REASON_LABELS[reason] || '需要确认';
+        const allowPattern = suggestedPattern !== null && suggestedPattern !== undefined;
+
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content bash-approval-dialog" style="max-width: 560px;">
+                <div class="modal-header">
+                    <h3>${getIcon('alertCircle', { size: 18 })} 执行命令前确认</h3>
+                </div>
+                <div class="modal-body">
+                    <div class="bash-approval-meta">
+                        <div><strong>原因:</strong> ${escapeHtml(reasonText)}${rule ? ` <code>${escapeHtml(rule)}</code>` : ''}</div>
+                        <div><strong>工作目录:</strong> <code>${escapeHtml(cwd || '')}</code></div>
+                    </div>
+                    <pre class="bash-approval-command">${escapeHtml(command)}</pre>
+                    ${allowPattern ? `
+                    <label class="settings-label" for="bash-approval-pattern">本会话允许的模式</label>
+                    <input type="text" id="bash-approval-pattern" class="bash-approval-pattern" value="${escapeHtml(suggestedPattern)}" spellcheck="false">
+                    ` : ''}
+                    <p class="settings-hint">${allowPattern
+                        ? '支持通配符（<code>*</code>、<code>?</code>）或 <code>/正则/</code>；本会话内匹配的命令将不再询问。'
+                        : '命中“总是询问”规则的命令每次都需要确认。'}<span class="bash-approval-countdown">${timeoutSeconds}</span> 秒后自动拒绝。</p>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="reject">拒绝</button>
+                    <button class="btn btn-secondary" data-action="allow-once">允许一次</button>
+                    ${allowPattern ? '<button class="btn btn-primary" data-action="allow-pattern">本会话允许此模式</button>' : ''}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        let timer = null;
+        const close = (approved, pattern = null) => {
+            clearInterval(timer);
+            dialog.remove();
+            resolve({ approved, pattern });
+        };
+
+        // 倒计时结束自动拒绝（主进程同时超时）
+        const countdownEl = dialog.querySelector('.bash-approval-countdown');
+        let remaining = timeoutSeconds;
+        timer = setInterval(() => {
+            remaining--;
+            countdownEl.textContent = remaining;
+            if (remaining <= 0) close(false);
+        }, 1000);
+
+        dialog.querySelector('[data-action="reject"]').addEventListener('click', () => close(false));
+        dialog.querySelector('[data-action="allow-once"]').addEventListener('click', () => close(true));
+        dialog.querySelector('[data-action="allow-pattern"]')?.addEventListener('click', () => {
+            const pattern = dialog.querySelector('#bash-approval-pattern').value.trim();
+            close(true, pattern || null);
+        });
+        dialog.querySelector('.modal-overlay').addEventListener('click', () => close(false));
+    });
+}
@@ -23,6 +23,8 @@ export async function handleClear() {
     state.messages = [];
     state.geminiContents = [];
     state.claudeContents = [];
+    state.messageBranches = {};
+    state.contextSummary = null;
 
     // 清理工具调用 ID 映射表（防止内存泄漏）
     clearIdMappings();
@@ -11,6 +11,7 @@ import { syncQuickToggles } from './quick-toggles.js';
 import { showNotification } from './notifications.js';
 import { showInputDialog, showConfirmDialog } from '../utils/dialogs.js';
 import { getIcon } from '../utils/icons.js';
+import { generateId } from '../utils/helpers.js';
 
 /**
  * 初始化三格式端点输入监听
@@ -389,7 +390,12 @@ async function handleSaveConfig() {
     );
     if (!name) return;
 
+    // 同名覆盖时沿用原配置 ID（凭据库按 ID 保存密钥）
+    const existingIndex = state.savedConfigs.findIndex(c => c.name === name);
+    const existing = existingIndex >= 0 ? state.savedConfigs[existingIndex] : null;
+
     const config = {
+        id: existing?.id || generateId('config'),
         name: name,
         apiEndpoint: elements.apiEndpoint.value,
         apiKey: elements.apiKey.value,
@@ -420,7 +426,6 @@ async function handleSaveConfig() {
         userName: state.userName
     };
 
-    const existingIndex = state.savedConfigs.findIndex(c => c.name === name);
     if (existingIndex >= 0) {
         state.savedConfigs[existingIndex] = config;
     } else {
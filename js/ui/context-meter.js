@@ -0,0 +1,179 @@
+/**
+ * 上下文用量指示器
+ * 在输入框左下角显示当前对话的估算 token 用量（相对当前模型的上下文窗口），
+ * 并在消息列表中标记已被压缩为摘要的消息
+ */
+
+import { state, elements } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { getContextUsage, initContextWindow } from '../api/context-window.js';
+import { estimateTokenCount } from '../stream/stats.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { CONTEXT_BUDGET_RATIO } from '../utils/constants.js';
+
+// 输入时刷新的防抖间隔（毫秒）
+const UPDATE_DEBOUNCE_MS = 300;
+
+let updateTimer = null;
+let summarizing = false;
+
+/**
+ * 格式化 token 数（12345 → 12.3K）
+ * @param {number} tokens - token 数
+ * @returns {string}
+ */
+function formatTokens(tokens) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}K`;
+    return String(tokens);
+}
+
+/**
+ * 刷新用量指示器
+ */
+function updateMeter() {
+    const meter = document.getElementById('context-meter');
+    if (!meter) return;
+
+    const usage = getContextUsage();
+    if (!usage.limit || usage.totalCount === 0) {
+        meter.hidden = true;
+        return;
+    }
+
+    // 计入输入框中尚未发送的内容
+    const tokens = usage.tokens + estimateTokenCount(elements.userInput?.value || '');
+    const ratio = tokens / usage.limit;
+
+    meter.hidden = false;
+    meter.classList.toggle('warning', ratio >= CONTEXT_BUDGET_RATIO * 0.75 && ratio < CONTEXT_BUDGET_RATIO);
+    meter.classList.toggle('danger', ratio >= CONTEXT_BUDGET_RATIO);
+    meter.classList.toggle('summarizing', summarizing);
+    meter.querySelector('.context-meter-fill').style.width = `${Math.min(100, ratio * 100)}%`;
+    meter.querySelector('.context-meter-text').textContent = `≈${formatTokens(tokens)} / ${formatTokens(usage.limit)}`;
+
+    const lines = [`上下文用量（估算）: ${tokens} / ${usage.limit} tokens`];
+    if (usage.fullTokens > usage.tokens) {
+        lines.push(`完整对话约 ${usage.fullTokens} tokens`);
+    }
+    if (usage.summarizedCount > 0) {
+        lines.push(`${usage.summarizedCount} 条较早的消息已压缩为摘要`);
+    }
+    const droppedCount = usage.totalCount - usage.summarizedCount - usage.sentCount;
+    if (droppedCount > 0) {
+        lines.push(`${droppedCount} 条较早的消息不会发送`);
+    }
+    if (summarizing) {
+        lines.push('正在后台生成摘要...');
+    }
+    meter.title = lines.join('\n');
+}
+
+/**
+ * 防抖刷新（输入时使用）
+ */
+function scheduleUpdate() {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(updateMeter, UPDATE_DEBOUNCE_MS);
+}
+
+/**
+ * 显示摘要内容
+ */
+function showSummaryDialog() {
+    const summary = state.contextSummary;
+    if (!summary) return;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal active';
+    dialog.style.zIndex = '10002';
+    dialog.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content" style="max-width: 600px;">
+            <div class="modal-header">
+                <h3>对话摘要</h3>
+                <button class="close-btn" aria-label="关闭">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="settings-hint">更新于 ${new Date(summary.updatedAt).toLocaleString()}，随请求代替以上消息发送</p>
+                <div class="context-summary-text">${escapeHtml(summary.text)}</div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary">关闭</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const close = () => dialog.remove();
+    dialog.querySelector('.modal-overlay').addEventListener('click', close);
+    dialog.querySelector('.close-btn').addEventListener('click', close);
+    dialog.querySelector('.btn-primary').addEventListener('click', close);
+}
+
+/**
+ * 在消息列表中标记已被摘要覆盖的消息，并在保留起点前插入分隔条
+ */
+function updateSummaryMarkers() {
+    const messagesArea = elements.messagesArea;
+    if (!messagesArea) return;
+
+    messagesArea.querySelectorAll('.context-summary-divider').forEach(el => el.remove());
+    messagesArea.querySelectorAll('.message.context-summarized').forEach(el => el.classList.remove('context-summarized'));
+
+    const summary = state.contextSummary;
+    if (state.contextStrategy !== 'summarize' || !summary?.keepFromId) return;
+
+    const keepIndex = state.messages.findIndex(m => m.id === summary.keepFromId);
+    if (keepIndex <= 0) return;
+
+    const summarizedIds = new Set(state.messages.slice(0, keepIndex).map(m => m.id).filter(Boolean));
+    messagesArea.querySelectorAll('.message[data-message-id]').forEach(el => {
+        if (summarizedIds.has(el.dataset.messageId)) {
+            el.classList.add('context-summarized');
+        }
+    });
+
+    const keepEl = messagesArea.querySelector(`.message[data-message-id="${CSS.escape(summary.keepFromId)}"]`);
+    if (!keepEl) return;
+
+    const divider = document.createElement('div');
+    divider.className = 'context-summary-divider';
+    divider.innerHTML = `
+        <span>以上 ${keepIndex} 条消息已压缩为摘要</span>
+        <button type="button" class="context-summary-view">查看摘要</button>
+    `;
+    divider.querySelector('.context-summary-view').addEventListener('click', showSummaryDialog);
+    keepEl.before(divider);
+}
+
+/**
+ * 刷新指示器和摘要标记
+ */
+function refresh() {
+    updateMeter();
+    updateSummaryMarkers();
+}
+
+/**
+ * 初始化上下文用量指示器
+ */
+export function initContextMeter() {
+    initContextWindow();
+
+    eventBus.on('messages:changed', () => setTimeout(refresh, 0));
+    eventBus.on('session:switched', refresh);
+    eventBus.on('config:loaded', refresh);
+    eventBus.on('providers:updated', updateMeter);
+    eventBus.on('context:settings-changed', refresh);
+    eventBus.on('context:summary-updated', refresh);
+    eventBus.on('context:summarizing', ({ active }) => {
+        summarizing = active;
+        updateMeter();
+    });
+
+    elements.modelSelect?.addEventListener('change', updateMeter);
+    elements.userInput?.addEventListener('input', scheduleUpdate);
+
+    refresh();
+}
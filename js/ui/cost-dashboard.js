@@ -0,0 +1,261 @@
+/**
+ * 费用统计面板
+ * 展示按日期 / 提供商 / 模型 / 会话聚合的费用，并配置月度预算
+ */
+
+import { state } from '../core/state.js';
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { showConfirmDialog } from '../utils/dialogs.js';
+import { showNotification } from './notifications.js';
+import { clearUsageRecords } from '../state/storage.js';
+import {
+    getCostSummary,
+    getMonthlyBudget,
+    setMonthlyBudget,
+    formatCost,
+    getLocalDay,
+    getMonthRange
+} from '../state/cost-tracker.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 会话明细最多显示条数
+const MAX_SESSION_ROWS = 20;
+
+const PERIODS = {
+    month: { label: '本月', getRange: () => getMonthRange() },
+    lastMonth: {
+        label: '上月',
+        getRange: () => {
+            const date = new Date();
+            date.setDate(1);
+            date.setMonth(date.getMonth() - 1);
+            return getMonthRange(getLocalDay(date.getTime()).slice(0, 7));
+        }
+    },
+    week: { label: '近 7 天', getRange: () => ({ fromDay: getLocalDay(Date.now() - 6 * DAY_MS), toDay: getLocalDay() }) },
+    days30: { label: '近 30 天', getRange: () => ({ fromDay: getLocalDay(Date.now() - 29 * DAY_MS), toDay: getLocalDay() }) },
+    all: { label: '全部', getRange: () => ({}) }
+};
+
+/**
+ * 初始化费用统计入口
+ */
+export function initCostDashboard() {
+    document.getElementById('open-cost-dashboard')?.addEventListener('click', () => {
+        showCostDashboard();
+    });
+}
+
+/**
+ * 格式化 token 数
+ */
+function formatTokens(count) {
+    if (count >= 1000000) return `${(count / 1000000).toFixed(2)}M`;
+    if (count >= 1000) return `${(count / 1000).toFixed(1)}K`;
+    return String(count);
+}
+
+/**
+ * 渲染分组明细表
+ */
+function renderGroupTable(title, groups, { limit = Infinity, showBar = false } = {}) {
+    if (groups.length === 0) return '';
+
+    const maxCost = Math.max(...groups.map(g => g.cost), 0);
+    const rows = groups.slice(0, limit).map(group => {
+        const width = showBar && maxCost > 0 ? Math.round(group.cost / maxCost * 100) : 0;
+        return `
+            <tr>
+                <td class="cost-label" title="${escapeHtml(group.label)}">
+                    ${escapeHtml(group.label)}
+                    ${showBar ? `<div class="cost-bar" style="width: ${width}%"></div>` : ''}
+                </td>
+                <td>${group.messages}${group.unpriced > 0 ? `<span class="cost-unpriced" title="${group.unpriced} 条未配置价格">*</span>` : ''}</td>
+                <td>${formatTokens(group.inputTokens)} / ${formatTokens(group.outputTokens)}</td>
+                <td class="cost-value">${formatCost(group.cost)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const more = groups.length > limit ? `<p class="cost-more">仅显示费用最高的 ${limit} 项（共 ${groups.length} 项）</p>` : '';
+
+    return `
+        <section class="cost-section">
+            <h4>${title}</h4>
+            <table class="cost-table">
+                <thead>
+                    <tr><th>名称</th><th>消息</th><th>输入 / 输出</th><th>费用</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${more}
+        </section>
+    `;
+}
+
+/**
+ * 渲染汇总与预算
+ */
+function renderSummary(summary, budget, isCurrentMonth) {
+    const { total } = summary;
+
+    let budgetHTML = '';
+    if (budget && isCurrentMonth) {
+        const ratio = total.cost / budget;
+        const level = ratio >= 1 ? 'over' : ratio >= 0.8 ? 'warning' : 'normal';
+        budgetHTML = `
+            <div class="cost-budget-progress ${level}">
+                <div class="cost-budget-bar" style="width: ${Math.min(ratio, 1) * 100}%"></div>
+            </div>
+            <p class="cost-budget-text">本月预算 ${formatCost(budget)}，已使用 ${Math.round(ratio * 100)}%</p>
+        `;
+    }
+
+    const unpricedHint = total.unpriced > 0
+        ? `<p class="cost-hint">${total.unpriced} 条消息的模型未配置价格，未计入费用（可在提供商管理中编辑模型价格）</p>`
+        : '';
+
+    return `
+        <div class="cost-cards">
+            <div class="cost-card"><span>总费用</span><strong>${formatCost(total.cost)}</strong></div>
+            <div class="cost-card"><span>消息数</span><strong>${total.messages}</strong></div>
+            <div class="cost-card"><span>输入 tokens</span><strong>${formatTokens(total.inputTokens)}</strong></div>
+            <div class="cost-card"><span>输出 tokens</span><strong>${formatTokens(total.outputTokens)}</strong></div>
+        </div>
+        ${budgetHTML}
+        ${unpricedHint}
+    `;
+}
+
+/**
+ * 加载并渲染统计内容
+ */
+async function renderDashboardBody(container, period) {
+    container.innerHTML = `<p class="cost-empty">加载中...</p>`;
+
+    try {
+        const [summary, budget] = await Promise.all([
+            getCostSummary(PERIODS[period].getRange()),
+            getMonthlyBudget()
+        ]);
+
+        if (summary.total.messages === 0) {
+            container.innerHTML = `<p class="cost-empty">该时间段内没有用量记录</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            ${renderSummary(summary, budget, period === 'month')}
+            ${renderGroupTable('按日期', [...summary.byDay].reverse(), { showBar: true })}
+            ${renderGroupTable('按提供商', summary.byProvider)}
+            ${renderGroupTable('按模型', summary.byModel)}
+            ${renderGroupTable('按会话', summary.bySession, { limit: MAX_SESSION_ROWS })}
+        `;
+    } catch (error) {
+        console.error('[CostDashboard] 加载费用统计失败:', error);
+        container.innerHTML = `<p class="cost-empty">加载失败: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * 显示费用统计面板
+ */
+export async function showCostDashboard() {
+    if (state.storageMode === 'localStorage') {
+        showNotification('当前为 localStorage 降级模式，费用统计不可用', 'warning');
+        return;
+    }
+
+    const budget = await getMonthlyBudget();
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal active';
+    dialog.style.zIndex = '10002';
+
+    dialog.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content cost-dashboard" style="max-width: 720px;">
+            <div class="modal-header">
+                <h3>${getIcon('barChart', { size: 18 })} 费用统计</h3>
+                <button class="close-btn" data-action="close" aria-label="关闭">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="cost-toolbar">
+                    <select class="form-control cost-period-select" aria-label="统计时间段">
+                        ${Object.entries(PERIODS).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                    <div class="cost-budget-input">
+                        <label for="cost-monthly-budget">月度预算 ($)</label>
+                        <input type="number" id="cost-monthly-budget" class="form-control" min="0" step="any"
+                               placeholder="不限制" value="${budget ?? ''}">
+                        <button class="btn btn-secondary" data-action="save-budget">保存</button>
+                    </div>
+                </div>
+                <div class="cost-dashboard-body"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="clear">清空记录</button>
+                <button class="btn btn-primary" data-action="close">关闭</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const body = dialog.querySelector('.cost-dashboard-body');
+    const periodSelect = dialog.querySelector('.cost-period-select');
+    const budgetInput = dialog.querySelector('#cost-monthly-budget');
+
+    const refresh = () => renderDashboardBody(body, periodSelect.value);
+
+    const close = () => {
+        document.removeEventListener('keydown', handleKeydown);
+        dialog.remove();
+    };
+
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    periodSelect.addEventListener('change', refresh);
+
+    dialog.querySelector('[data-action="save-budget"]').addEventListener('click', async () => {
+        const raw = budgetInput.value.trim();
+        const amount = raw ? parseFloat(raw) : 0;
+        if (!Number.isFinite(amount) || amount < 0) {
+            showNotification('预算必须是非负数字', 'error');
+            return;
+        }
+
+        try {
+            await setMonthlyBudget(amount);
+            showNotification(amount > 0 ? `月度预算已设置为 ${formatCost(amount)}` : '已关闭月度预算提醒', 'success');
+            refresh();
+        } catch (error) {
+            console.error('[CostDashboard] 保存预算失败:', error);
+            showNotification('保存预算失败', 'error');
+        }
+    });
+
+    dialog.querySelector('[data-action="clear"]').addEventListener('click', async () => {
+        const confirmed = await showConfirmDialog('确定要清空所有用量费用记录吗？消息上显示的费用不受影响。', '清空记录');
+        if (!confirmed) return;
+
+        try {
+            await clearUsageRecords();
+            showNotification('用量记录已清空', 'success');
+            refresh();
+        } catch (error) {
+            console.error('[CostDashboard] 清空用量记录失败:', error);
+            showNotification('清空用量记录失败', 'error');
+        }
+    });
+
+    dialog.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+    dialog.querySelector('.modal-overlay').addEventListener('click', close);
+    document.addEventListener('keydown', handleKeydown);
+
+    refresh();
+}
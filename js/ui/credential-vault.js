@@ -0,0 +1,455 @@
+/**
+ * 凭据库界面
+ * 启动解锁、设置面板中的启用 / 更换 / 关闭，以及导出导入时的密码对话框
+ */
+
+import { state } from '../core/state.js';
+import { showNotification } from './notifications.js';
+import { showConfirmDialog } from '../utils/dialogs.js';
+import { escapeHtml } from '../utils/helpers.js';
+import {
+    loadVault,
+    unlockVault,
+    enableVault,
+    disableVault,
+    flushVault,
+    getVaultMode,
+    isVaultUnlocked,
+    isPasswordVaultSupported,
+    isSystemVaultAvailable,
+    decryptWithPassphrase
+} from '../state/vault.js';
+import { loadConfig, saveCurrentConfigImmediate, loadSavedConfigs, saveSavedConfigs } from '../state/config.js';
+import { loadAllMCPServers, saveAllMCPServers } from '../state/storage.js';
+import { loadCustomTools, saveCustomTools } from '../tools/manager.js';
+
+// 主密码 / 导出密码的最短长度
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * 显示密码输入对话框
+ * @param {Object} options
+ * @param {string} options.title - 标题
+ * @param {string} options.message - 说明
+ * @param {boolean} [options.confirm] - 是否需要再次输入确认（设置新密码时）
+ * @param {string} [options.submitLabel] - 确认按钮文字
+ * @param {string} [options.cancelLabel] - 取消按钮文字
+ * @param {Function} [options.validate] - 异步校验，返回错误信息（字符串）则保持对话框打开
+ * @returns {Promise<string|null>} 密码，取消时为 null
+ */
+export function showPassphraseDialog({ title, message, confirm = false, submitLabel = '确定', cancelLabel = '取消', validate }) {
+    return new Promise((resolve) => {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content credential-vault-dialog" style="max-width: 440px;">
+                <div class="modal-header">
+                    <h3>${escapeHtml(title)}</h3>
+                    <button class="close-btn" data-action="cancel" aria-label="关闭">×</button>
+                </div>
+                <div class="modal-body">
+                    <p class="settings-hint">${escapeHtml(message)}</p>
+                    <input type="password" class="settings-input" data-field="passphrase" autocomplete="off" placeholder="密码" aria-label="密码">
+                    ${confirm ? '<input type="password" class="settings-input" data-field="confirm" autocomplete="off" placeholder="再次输入密码" aria-label="再次输入密码">' : ''}
+                    <p class="credential-vault-error" role="alert"></p>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="cancel">${escapeHtml(cancelLabel)}</button>
+                    <button class="btn btn-primary" data-action="submit">${escapeHtml(submitLabel)}</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(dialog);
+
+        const input = dialog.querySelector('[data-field="passphrase"]');
+        const confirmInput = dialog.querySelector('[data-field="confirm"]');
+        const errorEl = dialog.querySelector('.credential-vault-error');
+        const submitBtn = dialog.querySelector('[data-action="submit"]');
+
+        const close = (value) => {
+            dialog.remove();
+            resolve(value);
+        };
+
+        const submit = async () => {
+            const passphrase = input.value;
+            if (confirm) {
+                if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                    errorEl.textContent = `密码至少 ${MIN_PASSPHRASE_LENGTH} 个字符`;
+                    return;
+                }
+                if (passphrase !== confirmInput.value) {
+                    errorEl.textContent = '两次输入的密码不一致';
+                    return;
+                }
+            } else if (!passphrase) {
+                errorEl.textContent = '请输入密码';
+                return;
+            }
+
+            if (validate) {
+                submitBtn.disabled = true;
+                errorEl.textContent = '';
+                const error = await validate(passphrase);
+                submitBtn.disabled = false;
+                if (error) {
+                    errorEl.textContent = error;
+                    input.select();
+                    return;
+                }
+            }
+            close(passphrase);
+        };
+
+        submitBtn.addEventListener('click', submit);
+        dialog.querySelectorAll('input').forEach(el => el.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                close(null);
+            }
+        }));
+        dialog.querySelectorAll('[data-action="cancel"]').forEach(btn => btn.addEventListener('click', () => close(null)));
+
+        setTimeout(() => input.focus(), 50);
+    });
+}
+
+/**
+ * 启动时解锁凭据库（在加载配置之前调用）
+ * 系统密钥链模式自动解锁；主密码模式弹出解锁对话框，可跳过（本次不加载密钥）
+ */
+export async function unlockVaultOnStartup() {
+    const { mode, unlocked } = await loadVault();
+    if (!mode || unlocked) return;
+
+    if (mode === 'system') {
+        showNotification('无法通过系统密钥链解锁凭据库，本次启动未加载 API 密钥', 'warning');
+        return;
+    }
+
+    const passphrase = await showPassphraseDialog({
+        title: '解锁凭据库',
+        message: 'API 密钥和请求头已使用主密码加密保存。跳过后本次不会加载这些密钥，期间新输入的密钥也不会被保存。',
+        submitLabel: '解锁',
+        cancelLabel: '跳过',
+        validate: async (value) => {
+            try {
+                await unlockVault(value);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+
+    if (!passphrase) {
+        showNotification('凭据库未解锁，可稍后在设置中解锁', 'warning');
+    }
+}
+
+/**
+ * 导出时选择如何处理密钥
+ * @param {number} count - 待导出的密钥数量
+ * @returns {Promise<{mode: 'exclude'}|{mode: 'encrypt', passphrase: string}|null>} 取消时为 null
+ */
+export function showExportSecretsDialog(count) {
+    return new Promise((resolve) => {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content credential-vault-dialog" style="max-width: 480px;">
+                <div class="modal-header">
+                    <h3>导出密钥</h3>
+                    <button class="close-btn" data-action="cancel" aria-label="关闭">×</button>
+                </div>
+                <div class="modal-body">
+                    <p class="settings-hint">导出内容包含 ${count} 项 API 密钥或请求头。导出文件不会包含明文密钥。</p>
+                    <label class="credential-vault-option">
+                        <input type="radio" name="export-secrets-mode" value="exclude" checked>
+                        <span>不导出密钥（导入后需重新填写）</span>
+                    </label>
+                    <label class="credential-vault-option">
+                        <input type="radio" name="export-secrets-mode" value="encrypt">
+                        <span>用导出密码加密密钥（导入时输入该密码恢复）</span>
+                    </label>
+                    <div class="credential-vault-export-passphrase" hidden>
+                        <input type="password" class="settings-input" data-field="passphrase" autocomplete="off" placeholder="导出密码" aria-label="导出密码">
+                        <input type="password" class="settings-input" data-field="confirm" autocomplete="off" placeholder="再次输入导出密码" aria-label="再次输入导出密码">
+                        <p class="settings-hint">导出密码与主密码相互独立，请妥善保管</p>
+                    </div>
+                    <p class="credential-vault-error" role="alert"></p>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="submit">导出</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(dialog);
+
+        const passphraseBox = dialog.querySelector('.credential-vault-export-passphrase');
+        const errorEl = dialog.querySelector('.credential-vault-error');
+        const getMode = () => dialog.querySelector('input[name="export-secrets-mode"]:checked').value;
+
+        const close = (value) => {
+            dialog.remove();
+            resolve(value);
+        };
+
+        dialog.querySelectorAll('input[name="export-secrets-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                passphraseBox.hidden = getMode() !== 'encrypt';
+                errorEl.textContent = '';
+                if (!passphraseBox.hidden) passphraseBox.querySelector('input').focus();
+            });
+        });
+
+        dialog.querySelector('[data-action="submit"]').addEventListener('click', () => {
+            if (getMode() === 'exclude') {
+                close({ mode: 'exclude' });
+                return;
+            }
+            const passphrase = dialog.querySelector('[data-field="passphrase"]').value;
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                errorEl.textContent = `导出密码至少 ${MIN_PASSPHRASE_LENGTH} 个字符`;
+                return;
+            }
+            if (passphrase !== dialog.querySelector('[data-field="confirm"]').value) {
+                errorEl.textContent = '两次输入的密码不一致';
+                return;
+            }
+            close({ mode: 'encrypt', passphrase });
+        });
+        dialog.querySelectorAll('[data-action="cancel"]').forEach(btn => btn.addEventListener('click', () => close(null)));
+    });
+}
+
+/**
+ * 导入时解密导出文件中的密钥
+ * @param {Object} envelope - 导出文件中的加密信封
+ * @returns {Promise<Object|null>} 字段路径 → 明文，跳过时为 null
+ */
+export async function decryptImportedSecrets(envelope) {
+    let secrets = null;
+    await showPassphraseDialog({
+        title: '导入密钥',
+        message: '导入文件包含加密的 API 密钥。输入导出时设置的密码以恢复；跳过则只导入其他配置。',
+        submitLabel: '解密',
+        cancelLabel: '跳过',
+        validate: async (passphrase) => {
+            try {
+                secrets = JSON.parse(await decryptWithPassphrase(envelope, passphrase));
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+    return secrets;
+}
+
+/**
+ * 导入前确保凭据库已解锁：未解锁时导入的密钥既无法写入凭据库，也不会以明文保存
+ * @returns {Promise<boolean>} 可以导入时为 true；无法解锁或用户取消时为 false
+ */
+export async function ensureVaultUnlockedForImport() {
+    const mode = getVaultMode();
+    if (!mode || isVaultUnlocked()) return true;
+
+    if (mode === 'system') {
+        showNotification('系统密钥链未解锁，无法导入配置', 'error');
+        return false;
+    }
+
+    const passphrase = await showPassphraseDialog({
+        title: '解锁凭据库',
+        message: '导入的 API 密钥需要保存到凭据库，请先输入主密码解锁。',
+        submitLabel: '解锁并导入',
+        validate: async (value) => {
+            try {
+                await unlockVault(value);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+    if (!passphrase) {
+        showNotification('凭据库未解锁，已取消导入', 'warning');
+        return false;
+    }
+
+    await reloadProtectedData();
+    return true;
+}
+
+// ========== 设置面板 ==========
+
+/**
+ * 重新保存配置、已保存配置、自定义工具和 MCP 服务器（启用 / 关闭凭据库后转存敏感字段）
+ */
+async function resaveProtectedData() {
+    await saveCurrentConfigImmediate();
+    await saveSavedConfigs();
+    await saveCustomTools();
+    if (state.storageMode !== 'localStorage') {
+        await saveAllMCPServers(state.mcpServers || []);
+    }
+    await flushVault();
+}
+
+/**
+ * 解锁后重新加载配置、自定义工具和 MCP 服务器，回填密钥
+ */
+async function reloadProtectedData() {
+    await loadConfig();
+    await loadSavedConfigs();
+    await loadCustomTools();  // 重新注册，Webhook 处理器使用回填后的请求头
+    if (state.storageMode !== 'localStorage') {
+        state.mcpServers = await loadAllMCPServers();
+    }
+}
+
+/**
+ * 获取状态描述
+ * @returns {string}
+ */
+function getStatusText() {
+    const mode = getVaultMode();
+    if (!mode) return '未启用：密钥以明文保存在本地';
+    const label = mode === 'system' ? '系统密钥链' : '主密码';
+    return isVaultUnlocked() ? `已启用（${label}）· 已解锁` : `已启用（${label}）· 未解锁，密钥未加载`;
+}
+
+/**
+ * 启用主密码保护（或更换主密码）
+ */
+async function setupPassword() {
+    const passphrase = await showPassphraseDialog({
+        title: getVaultMode() === 'password' ? '修改主密码' : '设置主密码',
+        message: '每次启动时需要输入主密码解锁。忘记主密码将无法恢复已保存的密钥。',
+        confirm: true
+    });
+    if (!passphrase) return;
+
+    await enableVault('password', passphrase);
+    await resaveProtectedData();
+    showNotification('凭据库已使用主密码保护', 'success');
+}
+
+/**
+ * 启用系统密钥链保护
+ */
+async function setupSystem() {
+    await enableVault('system');
+    await resaveProtectedData();
+    showNotification('凭据库已使用系统密钥链保护', 'success');
+}
+
+/**
+ * 解锁（启动时跳过后）
+ */
+async function unlockLater() {
+    const passphrase = await showPassphraseDialog({
+        title: '解锁凭据库',
+        message: '输入主密码以加载已保存的 API 密钥和请求头。',
+        submitLabel: '解锁',
+        validate: async (value) => {
+            try {
+                await unlockVault(value);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+    if (!passphrase) return;
+
+    await reloadProtectedData();
+    showNotification('凭据库已解锁', 'success');
+}
+
+/**
+ * 关闭凭据库（已解锁时密钥写回明文；未解锁时密钥丢失）
+ */
+async function turnOff() {
+    const unlocked = isVaultUnlocked();
+    const confirmed = await showConfirmDialog(
+        unlocked
+            ? '关闭后 API 密钥和请求头将以明文保存在本地，确定要关闭凭据库吗？'
+            : '凭据库未解锁，重置将永久删除其中保存的所有密钥，确定要继续吗？',
+        unlocked ? '关闭凭据库' : '重置凭据库'
+    );
+    if (!confirmed) return;
+
+    await disableVault();
+    if (unlocked) await resaveProtectedData();
+    showNotification(unlocked ? '凭据库已关闭' : '凭据库已重置，请重新填写密钥', 'success');
+}
+
+/**
+ * 渲染设置面板中的凭据库区域
+ * @param {HTMLElement} container
+ */
+async function renderVaultSettings(container) {
+    const mode = getVaultMode();
+    const unlocked = isVaultUnlocked();
+    const systemAvailable = await isSystemVaultAvailable();
+
+    const buttons = [];
+    if (!mode || unlocked) {
+        if (isPasswordVaultSupported()) {
+            buttons.push(['password', mode === 'password' ? '修改主密码' : '使用主密码保护']);
+        }
+        if (systemAvailable && mode !== 'system') {
+            buttons.push(['system', '使用系统密钥链']);
+        }
+    }
+    if (mode && !unlocked && mode === 'password') {
+        buttons.push(['unlock', '解锁']);
+    }
+    if (mode) {
+        buttons.push(['off', unlocked ? '关闭凭据库' : '重置凭据库']);
+    }
+
+    container.innerHTML = `
+        <p class="credential-vault-status${mode ? ' enabled' : ''}">${escapeHtml(getStatusText())}</p>
+        <div class="export-import-controls">
+            ${buttons.map(([action, label]) => `<button type="button" class="export-import-btn" data-vault-action="${action}">${escapeHtml(label)}</button>`).join('')}
+        </div>
+        ${!isPasswordVaultSupported() && !systemAvailable ? '<p class="settings-hint">当前环境不支持加密（需要 HTTPS 或本地应用）</p>' : ''}
+    `;
+}
+
+/**
+ * 初始化设置面板中的凭据库区域
+ */
+export function initCredentialVaultSettings() {
+    const container = document.getElementById('credential-vault-settings');
+    if (!container) return;
+
+    const actions = { password: setupPassword, system: setupSystem, unlock: unlockLater, off: turnOff };
+
+    container.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-vault-action]');
+        if (!button) return;
+
+        button.disabled = true;
+        try {
+            await actions[button.dataset.vaultAction]();
+        } catch (error) {
+            console.error('[Vault] 操作失败:', error);
+            showNotification(`凭据库操作失败: ${error.message}`, 'error');
+        }
+        await renderVaultSettings(container);
+    });
+
+    renderVaultSettings(container);
+}
@@ -9,6 +9,7 @@ import { requestStateMachine } from '../core/request-state-machine.js';
 import { toOpenAIMessage, toGeminiMessage, toClaudeMessage } from '../messages/converters.js';
 import { createMessageElement } from '../messages/renderer.js';
 import { removeMessagesAfterAll, updateMessageContentWithImages } from '../messages/editor.js';
+import { forkBranchAt } from '../messages/branches.js';
 import { showNotification } from './notifications.js';
 import { generateMessageId } from '../utils/helpers.js';
 import { pushMessage } from '../core/state-mutations.js';
@@ -16,19 +17,28 @@ import { truncateFileName } from '../utils/file-helpers.js';
 import { MAX_ATTACHMENTS, MAX_FILE_SIZE, MAX_MESSAGE_LENGTH, IMAGE_COMPRESSION_TIMEOUT, AUTO_DOCUMENT_TOKEN_THRESHOLD } from '../utils/constants.js';
 import { estimateTokenCount } from '../stream/stats.js';
 import { renderPdfToImages } from '../utils/pdf.js';
+import { formatDuration } from '../utils/audio.js';
+import { getDocumentKind, extractDocument, getDocumentAcceptList, DOCUMENT_MIME_TYPES, DOCUMENT_KIND_LABELS } from '../utils/document-extract.js';
+import { wrapDocument } from '../messages/converters.js';
+import { isZipFile, createZipAttachment, createFolderAttachment } from './project-attachment.js';
+import { mcpClient } from '../tools/mcp/client.js';
+import { escapeHtml } from '../utils/helpers.js';
 
 // 支持的文件类型
 const SUPPORTED_TYPES = {
     image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
     pdf: ['application/pdf'],
-    text: ['text/plain', 'text/markdown']
+    text: ['text/plain', 'text/markdown'],
+    // DOCX / XLSX / CSV / JSON / 源代码：客户端提取文本后作为文档块发送
+    document: Object.values(DOCUMENT_MIME_TYPES).flat()
 };
 
 // 所有支持的 MIME 类型
 const ALL_SUPPORTED_MIMES = [
     ...SUPPORTED_TYPES.image,
     ...SUPPORTED_TYPES.pdf,
-    ...SUPPORTED_TYPES.text
+    ...SUPPORTED_TYPES.text,
+    ...SUPPORTED_TYPES.document
 ];
 
 /**
@@ -77,6 +87,8 @@ function validateMessageLength(text) {
  * @param {KeyboardEvent} e - 键盘事件
  */
 function handleKeyDown(e) {
+    if (handleSlashMenuKeyDown(e)) return;
+
     if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         handleSend();
@@ -101,7 +113,7 @@ export function autoResizeTextarea() {
 
 /**
  * 处理文件附件
- * 支持图片、PDF、TXT 文件
+ * 支持图片、PDF、TXT 文件，DOCX / XLSX / CSV / JSON / 源代码文档，以及 ZIP 项目
  */
 export function handleAttachFile() {
     // 检查是否已达到附件数量限制
@@ -112,131 +124,243 @@ export function handleAttachFile() {
 
     const input = document.createElement('input');
     input.type = 'file';
-    // 支持图片、PDF、TXT、MD
-    input.accept = 'image/*,.pdf,.txt,.md,text/plain,text/markdown,application/pdf';
+    // 支持图片、PDF、TXT、MD、ZIP 以及可提取文本的文档
+    input.accept = `image/*,.pdf,.txt,.md,text/plain,text/markdown,application/pdf,.zip,application/zip,${getDocumentAcceptList()}`;
     input.multiple = true;
 
-    input.onchange = async (e) => {
-        const files = Array.from(e.target.files);
-        const remaining = MAX_ATTACHMENTS - state.uploadedImages.length;
+    input.onchange = (e) => processAttachedFiles(Array.from(e.target.files));
+
+    input.click();
+}
 
-        if (files.length > remaining) {
-            showNotification(`只能再添加 ${remaining} 个附件`, 'warning');
+/**
+ * 处理选择或拖入的文件，添加到附件列表
+ * @param {Array<File>} files - 文件列表
+ */
+async function processAttachedFiles(files) {
+    if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
+        showNotification(`最多只能添加 ${MAX_ATTACHMENTS} 个附件`, 'error');
+        return;
+    }
+
+    const remaining = MAX_ATTACHMENTS - state.uploadedImages.length;
+
+    if (files.length > remaining) {
+        showNotification(`只能再添加 ${remaining} 个附件`, 'warning');
+    }
+
+    // 只处理剩余可添加数量的文件
+    const filesToProcess = files.slice(0, remaining);
+
+    for (const file of filesToProcess) {
+        // P1 修复：每次处理文件前重新检查附件上限
+        if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
+            showNotification(`已达到附件上限 ${MAX_ATTACHMENTS}，跳过剩余文件`, 'warning');
+            break;
         }
 
-        // 只处理剩余可添加数量的文件
-        const filesToProcess = files.slice(0, remaining);
+        // 检查文件大小
+        if (file.size > MAX_FILE_SIZE) {
+            showNotification(`文件 "${file.name}" 超过 20MB 限制`, 'error');
+            continue;
+        }
 
-        for (const file of filesToProcess) {
-            // P1 修复：每次处理文件前重新检查附件上限
-            if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
-                showNotification(`已达到附件上限 ${MAX_ATTACHMENTS}，跳过剩余文件`, 'warning');
-                break;
+        // ZIP：展开为文件树，选择后合并为一个项目文档
+        if (isZipFile(file)) {
+            const attachment = await createZipAttachment(file);
+            if (attachment) {
+                state.uploadedImages.push(attachment);
             }
+            continue;
+        }
 
-            // 检查文件大小
-            if (file.size > MAX_FILE_SIZE) {
-                showNotification(`文件 "${file.name}" 超过 20MB 限制`, 'error');
-                continue;
+        // 文档类文件：客户端提取为 Markdown 文本（按扩展名优先判断）
+        const documentKind = getDocumentKind(file);
+        if (documentKind) {
+            try {
+                const { text } = await extractDocument(file);
+                state.uploadedImages.push({
+                    name: file.name,
+                    type: 'text/plain',
+                    category: 'text',
+                    documentKind,
+                    data: wrapDocument(text, { name: file.name, kind: documentKind }),
+                    size: file.size,
+                });
+                console.log(`已添加文档: ${file.name} (${documentKind}, ${text.length} 字符)`);
+            } catch (err) {
+                console.error('[文档提取失败]', err);
+                showNotification(`无法读取 "${file.name}": ${err.message}`, 'error');
             }
+            continue;
+        }
 
-            // 检查文件类型
-            let fileType = file.type;
-            const category = getFileCategory(fileType);
-            if (category === 'unknown') {
-                // 尝试通过扩展名判断
-                const ext = file.name.split('.').pop()?.toLowerCase();
-                if (ext === 'txt') {
-                    fileType = 'text/plain';
-                } else if (ext === 'md') {
-                    fileType = 'text/markdown';
-                } else if (ext === 'pdf') {
-                    fileType = 'application/pdf';
-                } else {
-                    showNotification(`不支持的文件类型: ${file.name}`, 'error');
-                    continue;
-                }
+        // 检查文件类型
+        let fileType = file.type;
+        const category = getFileCategory(fileType);
+        if (category === 'unknown') {
+            // 尝试通过扩展名判断
+            const ext = file.name.split('.').pop()?.toLowerCase();
+            if (ext === 'txt') {
+                fileType = 'text/plain';
+            } else if (ext === 'md') {
+                fileType = 'text/markdown';
+            } else if (ext === 'pdf') {
+                fileType = 'application/pdf';
+            } else {
+                showNotification(`不支持的文件类型: ${file.name}`, 'error');
+                continue;
             }
+        }
 
-            const fileCategory = getFileCategory(fileType);
+        const fileCategory = getFileCategory(fileType);
+
+        if (fileCategory === 'text') {
+            // TXT/MD：读取为文本（支持 UTF-8）
+            const textContent = await fileToText(file);
+            state.uploadedImages.push({
+                name: file.name,
+                type: fileType,
+                category: 'text',
+                data: textContent, // 直接存储文本内容，不是 base64
+                size: file.size,
+            });
+            console.log(`已添加文本文件: ${file.name} (${(file.size / 1024).toFixed(2)} KB)`);
+        } else {
+            // 图片和 PDF 使用 base64
+            const base64 = await fileToBase64(file);
 
-            if (fileCategory === 'text') {
-                // TXT/MD：读取为文本（支持 UTF-8）
-                const textContent = await fileToText(file);
+            if (fileCategory === 'image') {
+                // 图片：保存原图（按需压缩策略：API 报错时自动压缩重试）
                 state.uploadedImages.push({
                     name: file.name,
                     type: fileType,
-                    category: 'text',
-                    data: textContent, // 直接存储文本内容，不是 base64
+                    category: 'image',
+                    data: base64,
                     size: file.size,
                 });
-                console.log(`已添加文本文件: ${file.name} (${(file.size / 1024).toFixed(2)} KB)`);
-            } else {
-                // 图片和 PDF 使用 base64
-                const base64 = await fileToBase64(file);
+                console.log(`已添加图片: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
+            } else if (fileCategory === 'pdf') {
+                // PDF：根据处理模式决定
+                if (state.pdfMode === 'render') {
+                    // 渲染模式：将 PDF 逐页渲染为图片
+                    try {
+                        // 先检查附件上限，避免白渲染
+                        const canAdd = MAX_ATTACHMENTS - state.uploadedImages.length;
+                        if (canAdd <= 0) {
+                            showNotification(`已达到附件上限，无法添加 PDF 渲染的图片`, 'warning');
+                            break;
+                        }
 
-                if (fileCategory === 'image') {
-                    // 图片：保存原图（按需压缩策略：API 报错时自动压缩重试）
+                        showNotification(`正在渲染 PDF: ${file.name}...`, 'info');
+                        const renderedImages = await renderPdfToImages(base64, {
+                            scale: 1.5,
+                            format: 'image/jpeg',
+                            quality: 0.85,
+                            maxPages: Math.min(20, canAdd),
+                        });
+
+                        for (const img of renderedImages) {
+                            state.uploadedImages.push(img);
+                        }
+
+                        if (renderedImages.length === 0) {
+                            showNotification(`PDF 渲染未产生有效图片`, 'warning');
+                        } else {
+                            showNotification(`PDF 已渲染为 ${renderedImages.length} 张图片`, 'success');
+                        }
+                        console.log(`已渲染 PDF: ${file.name} → ${renderedImages.length} 张图片`);
+                    } catch (err) {
+                        console.error('[PDF 渲染失败]', err);
+                        showNotification(`PDF 渲染失败: ${err.message}`, 'error');
+                    }
+                } else {
+                    // 标准模式：直接保存 PDF 原文件
                     state.uploadedImages.push({
                         name: file.name,
                         type: fileType,
-                        category: 'image',
+                        category: 'pdf',
                         data: base64,
                         size: file.size,
                     });
-                    console.log(`已添加图片: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
-                } else if (fileCategory === 'pdf') {
-                    // PDF：根据处理模式决定
-                    if (state.pdfMode === 'render') {
-                        // 渲染模式：将 PDF 逐页渲染为图片
-                        try {
-                            // 先检查附件上限，避免白渲染
-                            const canAdd = MAX_ATTACHMENTS - state.uploadedImages.length;
-                            if (canAdd <= 0) {
-                                showNotification(`已达到附件上限，无法添加 PDF 渲染的图片`, 'warning');
-                                break;
-                            }
-
-                            showNotification(`正在渲染 PDF: ${file.name}...`, 'info');
-                            const renderedImages = await renderPdfToImages(base64, {
-                                scale: 1.5,
-                                format: 'image/jpeg',
-                                quality: 0.85,
-                                maxPages: Math.min(20, canAdd),
-                            });
-
-                            for (const img of renderedImages) {
-                                state.uploadedImages.push(img);
-                            }
-
-                            if (renderedImages.length === 0) {
-                                showNotification(`PDF 渲染未产生有效图片`, 'warning');
-                            } else {
-                                showNotification(`PDF 已渲染为 ${renderedImages.length} 张图片`, 'success');
-                            }
-                            console.log(`已渲染 PDF: ${file.name} → ${renderedImages.length} 张图片`);
-                        } catch (err) {
-                            console.error('[PDF 渲染失败]', err);
-                            showNotification(`PDF 渲染失败: ${err.message}`, 'error');
-                        }
-                    } else {
-                        // 标准模式：直接保存 PDF 原文件
-                        state.uploadedImages.push({
-                            name: file.name,
-                            type: fileType,
-                            category: 'pdf',
-                            data: base64,
-                            size: file.size,
-                        });
-                        console.log(`已添加 PDF: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
-                    }
+                    console.log(`已添加 PDF: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
                 }
             }
         }
-        updateImagePreview();
-    };
+    }
+    updateImagePreview();
+}
 
-    input.click();
+/**
+ * 绑定输入栏的拖放上传
+ * 支持普通文件、ZIP 以及文件夹（通过 webkitGetAsEntry 遍历，Electron 与 Chromium 内核浏览器可用）
+ */
+function bindInputDropZone() {
+    const dropZone = document.querySelector('.input-bar');
+    if (!dropZone) return;
+
+    let dragDepth = 0;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    dropZone.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        dropZone.classList.add('drag-over');
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropZone.classList.remove('drag-over');
+    });
+
+    dropZone.addEventListener('drop', async (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        dropZone.classList.remove('drag-over');
+
+        // webkitGetAsEntry 只能在 drop 事件的同步阶段调用
+        const files = [];
+        const folders = [];
+        const items = Array.from(e.dataTransfer.items || []);
+        if (items.length > 0) {
+            for (const item of items) {
+                if (item.kind !== 'file') continue;
+                const entry = item.webkitGetAsEntry?.();
+                if (entry?.isDirectory) {
+                    folders.push(entry);
+                } else {
+                    const file = item.getAsFile();
+                    if (file) files.push(file);
+                }
+            }
+        } else {
+            files.push(...Array.from(e.dataTransfer.files || []));
+        }
+
+        for (const folder of folders) {
+            if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
+                showNotification(`已达到附件上限 ${MAX_ATTACHMENTS}，跳过剩余文件夹`, 'warning');
+                break;
+            }
+            const attachment = await createFolderAttachment(folder);
+            if (attachment) {
+                state.uploadedImages.push(attachment);
+                updateImagePreview();
+            }
+        }
+
+        if (files.length > 0) {
+            await processAttachedFiles(files);
+        }
+    });
 }
 
 /**
@@ -269,7 +393,7 @@ function fileToText(file) {
 
 /**
  * 更新附件预览栏
- * 支持图片、PDF、TXT 文件的预览
+ * 支持图片、录音、PDF、TXT 文件的预览
  */
 export function updateImagePreview() {
     const previewContainer = document.getElementById('image-preview-container');
@@ -301,6 +425,27 @@ export function updateImagePreview() {
             `;
             // 点击图片查看原图
             previewItem.querySelector('img').onclick = () => eventBus.emit('ui:open-image-viewer', { url: file.data });
+        } else if (category === 'audio') {
+            // 录音预览（点击图标试听）
+            const sizeStr = file.size ? `${(file.size / 1024).toFixed(0)} KB` : '';
+            previewItem.className = 'image-preview-item file-preview-item';
+            previewItem.innerHTML = `
+                <div class="file-preview-icon audio-icon" title="点击试听">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="9" y="2" width="6" height="12" rx="3"/>
+                        <path d="M5 10v1a7 7 0 0014 0v-1"/>
+                        <line x1="12" y1="18" x2="12" y2="22"/>
+                    </svg>
+                </div>
+                <div class="file-preview-info">
+                    <span class="file-name" title="${file.name}">语音 ${formatDuration(file.duration)}</span>
+                    <span class="file-size">${sizeStr}</span>
+                </div>
+                <button class="remove-image" data-index="${index}" title="移除">×</button>
+            `;
+            previewItem.querySelector('.audio-icon').onclick = () => {
+                new window.Audio(file.data).play().catch(error => console.warn('[input.js] 录音试听失败:', error));
+            };
         } else if (category === 'pdf') {
             // PDF 预览（显示图标和文件名）
             const sizeStr = file.size ? `${(file.size / 1024 / 1024).toFixed(2)} MB` : '';
@@ -337,6 +482,8 @@ export function updateImagePreview() {
                         <polyline points="10 9 9 9 8 9"/>
                     </svg>
                     ${isAutoConverted ? '<span class="auto-convert-badge" title="超长文本已自动转换为文档">自动</span>' : ''}
+                    ${file.mcpResource ? `<span class="auto-convert-badge" title="MCP 资源: ${file.mcpResource.uri}">MCP</span>` : ''}
+                    ${file.documentKind ? `<span class="auto-convert-badge" title="已在本地提取文本">${DOCUMENT_KIND_LABELS[file.documentKind] || file.documentKind}</span>` : ''}
                 </div>
                 <div class="file-preview-info">
                     <span class="file-name" title="${file.name}">${truncateFileName(file.name, 15)}</span>
@@ -644,6 +791,13 @@ export async function handleSend() {
         return;
     }
 
+    // 直接输入完整的 /server:prompt 命令
+    const slashPrompt = !isEditing && findPromptByCommand(textContent);
+    if (slashPrompt) {
+        runPromptCommand(slashPrompt);
+        return;
+    }
+
     // 使用状态机检查是否正忙
     if (requestStateMachine.isBusy()) {
         console.log('[input.js] handleSend 被阻止: 请求正在进行中, 当前状态:', requestStateMachine.getState());
@@ -756,6 +910,9 @@ export async function handleSend() {
     if (isEditing) {
         const targetIndex = state.editingIndex;
 
+        // 保留编辑前的后续对话为旧分支
+        forkBranchAt(targetIndex);
+
         // 更新所有三种格式
         if (state.messages[targetIndex]) {
             state.messages[targetIndex] = openaiMessage;
@@ -895,6 +1052,347 @@ async function handlePaste(e) {
     showNotification(`已粘贴 ${itemsToProcess.length} 张图片`, 'success');
 }
 
+// ========== MCP Prompt 斜杠命令 ==========
+
+let slashMenu = null;
+let slashMatches = [];
+let slashActiveIndex = 0;
+
+/**
+ * 生成 Prompt 的斜杠命令（/server:prompt）
+ * @param {Object} prompt - mcpClient 中的 Prompt 定义
+ * @returns {string}
+ */
+function getPromptCommand(prompt) {
+    const serverName = state.mcpServers?.find(s => s.id === prompt.serverId)?.name || prompt.serverId;
+    const serverSlug = serverName.trim().toLowerCase().replace(/[\s:]+/g, '-');
+    return `/${serverSlug}:${prompt.name}`;
+}
+
+/**
+ * 根据完整命令查找 Prompt
+ * @param {string} text - 输入内容
+ * @returns {Object|null}
+ */
+function findPromptByCommand(text) {
+    if (!text.startsWith('/')) return null;
+    return mcpClient.getAllPrompts().find(p => getPromptCommand(p) === text) || null;
+}
+
+/**
+ * 根据输入内容更新斜杠命令菜单
+ */
+function updateSlashMenu() {
+    const text = elements.userInput?.value || '';
+    const match = text.match(/^\/(\S*)$/);
+
+    if (!match || state.editingIndex !== null) {
+        hideSlashMenu();
+        return;
+    }
+
+    const keyword = match[1].toLowerCase();
+    slashMatches = mcpClient.getAllPrompts().filter(prompt => {
+        const command = getPromptCommand(prompt).slice(1).toLowerCase();
+        return command.includes(keyword);
+    });
+
+    if (slashMatches.length === 0) {
+        hideSlashMenu();
+        return;
+    }
+
+    slashActiveIndex = Math.min(slashActiveIndex, slashMatches.length - 1);
+    renderSlashMenu();
+}
+
+function renderSlashMenu() {
+    if (!slashMenu) {
+        slashMenu = document.createElement('div');
+        slashMenu.className = 'slash-command-menu';
+        slashMenu.setAttribute('role', 'listbox');
+        slashMenu.setAttribute('aria-label', 'MCP Prompt 命令');
+        slashMenu.addEventListener('mousedown', (e) => {
+            // 阻止输入框失焦
+            e.preventDefault();
+            const item = e.target.closest('.slash-command-item');
+            if (item) {
+                selectSlashCommand(Number(item.dataset.index));
+            }
+        });
+        elements.inputBarInner?.appendChild(slashMenu);
+    }
+
+    slashMenu.innerHTML = slashMatches.map((prompt, index) => `
+        <div class="slash-command-item ${index === slashActiveIndex ? 'active' : ''}"
+             role="option" data-index="${index}" aria-selected="${index === slashActiveIndex}">
+            <span class="slash-command-name">${escapeHtml(getPromptCommand(prompt))}</span>
+            <span class="slash-command-desc">${escapeHtml(prompt.title || prompt.description || '')}</span>
+        </div>
+    `).join('');
+    slashMenu.classList.add('active');
+
+    slashMenu.querySelector('.slash-command-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function hideSlashMenu() {
+    slashMatches = [];
+    slashActiveIndex = 0;
+    slashMenu?.classList.remove('active');
+}
+
+/**
+ * 斜杠菜单键盘导航
+ * @returns {boolean} 是否已处理该按键
+ */
+function handleSlashMenuKeyDown(e) {
+    if (!slashMenu?.classList.contains('active') || slashMatches.length === 0) {
+        return false;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        slashActiveIndex = (slashActiveIndex + step + slashMatches.length) % slashMatches.length;
+        renderSlashMenu();
+        return true;
+    }
+
+    if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+        e.preventDefault();
+        selectSlashCommand(slashActiveIndex);
+        return true;
+    }
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        hideSlashMenu();
+        return true;
+    }
+
+    return false;
+}
+
+function selectSlashCommand(index) {
+    const prompt = slashMatches[index];
+    hideSlashMenu();
+    if (prompt) {
+        runPromptCommand(prompt);
+    }
+}
+
+/**
+ * 弹出 Prompt 参数表单
+ * @param {Object} prompt - Prompt 定义
+ * @returns {Promise<Object|null>} 参数值，取消返回 null
+ */
+function showPromptArgumentsDialog(prompt) {
+    return new Promise((resolve) => {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+
+        const fields = prompt.arguments.map((arg, index) => `
+            <div class="form-group">
+                <label for="prompt-arg-${index}">
+                    ${escapeHtml(arg.title || arg.name)}
+                    ${arg.required ? '<span class="required-indicator">*</span>' : ''}
+                </label>
+                <input type="text" id="prompt-arg-${index}" class="form-control"
+                       data-arg-name="${escapeHtml(arg.name)}"
+                       ${arg.required ? 'required aria-required="true"' : ''}>
+                ${arg.description ? `<small class="form-text text-muted">${escapeHtml(arg.description)}</small>` : ''}
+            </div>
+        `).join('');
+
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content" style="max-width: 500px;">
+                <div class="modal-header">
+                    <h3>${escapeHtml(getPromptCommand(prompt))}</h3>
+                </div>
+                <form class="modal-body">
+                    ${prompt.description ? `<p>${escapeHtml(prompt.description)}</p>` : ''}
+                    ${fields}
+                </form>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="cancel">取消</button>
+                    <button class="btn btn-primary" data-action="confirm">插入</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const form = dialog.querySelector('form');
+        const close = (result) => {
+            document.body.removeChild(dialog);
+            resolve(result);
+        };
+
+        const confirm = () => {
+            if (!form.reportValidity()) return;
+
+            const values = {};
+            form.querySelectorAll('input[data-arg-name]').forEach(input => {
+                if (input.value.trim()) {
+                    values[input.dataset.argName] = input.value.trim();
+                }
+            });
+            close(values);
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            confirm();
+        });
+        dialog.querySelector('[data-action="confirm"]').addEventListener('click', confirm);
+        dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+        dialog.querySelector('.modal-overlay').addEventListener('click', () => close(null));
+
+        setTimeout(() => form.querySelector('input')?.focus(), 100);
+    });
+}
+
+/**
+ * 执行 Prompt 命令：收集参数 → prompts/get → 插入对话
+ * @param {Object} prompt - Prompt 定义
+ */
+async function runPromptCommand(prompt) {
+    if (requestStateMachine.isBusy()) {
+        showNotification('请等待当前请求完成', 'warning');
+        return;
+    }
+
+    let args = {};
+    if (prompt.arguments.length > 0) {
+        args = await showPromptArgumentsDialog(prompt);
+        if (args === null) return;
+    }
+
+    let result;
+    try {
+        result = await mcpClient.getPrompt(prompt.serverId, prompt.name, args);
+    } catch (error) {
+        console.error('[Input] 获取 MCP Prompt 失败:', error);
+        showNotification(`获取 Prompt 失败: ${error.message}`, 'error');
+        return;
+    }
+
+    elements.userInput.value = '';
+    autoResizeTextarea();
+    insertPromptMessages(result.messages);
+
+    showNotification(`已插入 ${getPromptCommand(prompt)}`, 'success', 2000);
+}
+
+/**
+ * 将 PromptMessage 内容转换为文本 / 附件
+ * @returns {{text?: string, attachment?: Object}}
+ */
+function convertPromptContent(content) {
+    if (!content) return {};
+
+    switch (content.type) {
+        case 'text':
+            return { text: content.text || '' };
+        case 'image':
+            return {
+                attachment: {
+                    name: 'prompt-image',
+                    type: content.mimeType,
+                    category: 'image',
+                    data: `data:${content.mimeType};base64,${content.data}`
+                }
+            };
+        case 'resource': {
+            const resource = content.resource || {};
+            if (typeof resource.text === 'string') {
+                return {
+                    attachment: {
+                        name: resource.uri?.split('/').filter(Boolean).pop() || 'resource',
+                        type: resource.mimeType || 'text/plain',
+                        category: 'text',
+                        data: resource.text
+                    }
+                };
+            }
+            if (resource.blob && resource.mimeType?.startsWith('image/')) {
+                return {
+                    attachment: {
+                        name: resource.uri || 'resource',
+                        type: resource.mimeType,
+                        category: 'image',
+                        data: `data:${resource.mimeType};base64,${resource.blob}`
+                    }
+                };
+            }
+            return { text: `[资源: ${resource.uri || '未知'}]` };
+        }
+        case 'resource_link':
+            return { text: `[资源: ${content.name || content.uri}](${content.uri})` };
+        default:
+            console.warn('[Input] 不支持的 Prompt 内容类型:', content.type);
+            return {};
+    }
+}
+
+/**
+ * 将 prompts/get 返回的消息插入对话（连续同角色消息合并为一条）
+ * @param {Array} promptMessages - PromptMessage 列表
+ */
+function insertPromptMessages(promptMessages) {
+    const merged = [];
+    for (const message of promptMessages) {
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const { text, attachment } = convertPromptContent(message.content);
+
+        let last = merged[merged.length - 1];
+        if (!last || last.role !== role) {
+            last = { role, texts: [], attachments: [] };
+            merged.push(last);
+        }
+        if (text) last.texts.push(text);
+        if (attachment) last.attachments.push(attachment);
+    }
+
+    for (const { role, texts, attachments } of merged) {
+        let textContent = texts.join('\n\n');
+        let files = attachments;
+
+        // 助手消息不支持附件：文本附件内联，其余忽略
+        if (role === 'assistant' && files.length > 0) {
+            const inlineTexts = files.filter(f => f.category === 'text').map(f => f.data);
+            textContent = [textContent, ...inlineTexts].filter(Boolean).join('\n\n');
+            files = [];
+        }
+
+        if (!textContent && files.length === 0) continue;
+
+        const dataUrls = files.length > 0 ? files.map(file => file.data) : null;
+        const messageId = generateMessageId();
+
+        const openaiMessage = toOpenAIMessage(role, textContent, dataUrls);
+        const geminiMessage = toGeminiMessage(role, textContent, dataUrls);
+        const claudeMessage = toClaudeMessage(role, textContent, dataUrls);
+        openaiMessage.id = messageId;
+        geminiMessage.id = messageId;
+        claudeMessage.id = messageId;
+
+        pushMessage(openaiMessage, geminiMessage, claudeMessage);
+
+        const messageEl = createMessageElement(role, textContent, files.length > 0 ? files : null, messageId);
+        messageEl.dataset.messageIndex = state.messages.length - 1;
+        elements.messagesArea.appendChild(messageEl);
+    }
+
+    eventBus.emit('ui:scroll-to-bottom');
+    eventBus.emit('messages:changed', {
+        action: 'mcp_prompt_inserted',
+        index: state.messages.length - 1
+    });
+}
+
 /**
  * 初始化输入处理器
  */
@@ -903,11 +1401,16 @@ export function initInputHandlers() {
     elements.sendButton?.addEventListener('click', handleSend);
     elements.userInput?.addEventListener('keydown', handleKeyDown);
     elements.userInput?.addEventListener('input', autoResizeTextarea);
+    elements.userInput?.addEventListener('input', updateSlashMenu);
+    elements.userInput?.addEventListener('blur', hideSlashMenu);
     elements.attachFile?.addEventListener('click', handleAttachFile);
 
     // 支持粘贴图片
     elements.userInput?.addEventListener('paste', handlePaste);
 
+    // 支持拖入文件、ZIP 和文件夹
+    bindInputDropZone();
+
     // 绑定取消请求按钮
     elements.cancelRequestButton?.addEventListener('click', () => {
         eventBus.emit('api:cancel-requested');
@@ -0,0 +1,202 @@
+/**
+ * MCP Elicitation 对话框
+ * 将服务器请求的 JSON Schema（扁平对象，仅原始类型字段）渲染为表单
+ */
+
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+const STRING_FORMAT_INPUT_TYPES = {
+    email: 'email',
+    uri: 'url',
+    date: 'date',
+    'date-time': 'datetime-local'
+};
+
+/**
+ * 获取枚举选项（兼容 enum + enumNames 与 oneOf[{const, title}]）
+ * @returns {Array<{value: string, label: string}>|null}
+ */
+function getEnumOptions(prop) {
+    if (Array.isArray(prop.enum)) {
+        return prop.enum.map((value, i) => ({
+            value: String(value),
+            label: prop.enumNames?.[i] || String(value)
+        }));
+    }
+    if (Array.isArray(prop.oneOf) && prop.oneOf.every(option => 'const' in option)) {
+        return prop.oneOf.map(option => ({
+            value: String(option.const),
+            label: option.title || String(option.const)
+        }));
+    }
+    return null;
+}
+
+/**
+ * 渲染单个字段
+ */
+function renderField(name, prop, required, index) {
+    const id = `mcp-elicit-${index}`;
+    const label = escapeHtml(prop.title || name);
+    const description = prop.description
+        ? `<small class="form-text text-muted">${escapeHtml(prop.description)}</small>`
+        : '';
+    const requiredMark = required ? '<span class="required-indicator">*</span>' : '';
+    const requiredAttr = required ? 'required aria-required="true"' : '';
+    const dataAttrs = `data-field="${escapeHtml(name)}" data-type="${escapeHtml(prop.type || 'string')}"`;
+
+    if (prop.type === 'boolean') {
+        return `
+            <div class="form-group">
+                <label class="mcp-elicit-checkbox">
+                    <input type="checkbox" id="${id}" ${dataAttrs} ${prop.default ? 'checked' : ''}>
+                    <span>${label}</span>
+                </label>
+                ${description}
+            </div>
+        `;
+    }
+
+    const options = getEnumOptions(prop);
+    let control;
+
+    if (options) {
+        control = `
+            <select id="${id}" class="form-control" ${dataAttrs} ${requiredAttr}>
+                ${required ? '' : '<option value="">（不选择）</option>'}
+                ${options.map(option => `
+                    <option value="${escapeHtml(option.value)}" ${String(prop.default) === option.value ? 'selected' : ''}>
+                        ${escapeHtml(option.label)}
+                    </option>
+                `).join('')}
+            </select>
+        `;
+    } else if (prop.type === 'number' || prop.type === 'integer') {
+        control = `
+            <input type="number" id="${id}" class="form-control" ${dataAttrs} ${requiredAttr}
+                   step="${prop.type === 'integer' ? '1' : 'any'}"
+                   ${prop.minimum !== undefined ? `min="${Number(prop.minimum)}"` : ''}
+                   ${prop.maximum !== undefined ? `max="${Number(prop.maximum)}"` : ''}
+                   value="${prop.default !== undefined ? escapeHtml(String(prop.default)) : ''}">
+        `;
+    } else {
+        const inputType = STRING_FORMAT_INPUT_TYPES[prop.format] || 'text';
+        control = `
+            <input type="${inputType}" id="${id}" class="form-control" ${dataAttrs} ${requiredAttr}
+                   ${prop.minLength !== undefined ? `minlength="${Number(prop.minLength)}"` : ''}
+                   ${prop.maxLength !== undefined ? `maxlength="${Number(prop.maxLength)}"` : ''}
+                   value="${prop.default !== undefined ? escapeHtml(String(prop.default)) : ''}">
+        `;
+    }
+
+    return `
+        <div class="form-group">
+            <label for="${id}">${label} ${requiredMark}</label>
+            ${control}
+            ${description}
+        </div>
+    `;
+}
+
+/**
+ * 从表单收集符合 schema 类型的值
+ */
+function collectValues(form) {
+    const content = {};
+
+    form.querySelectorAll('[data-field]').forEach(input => {
+        const name = input.dataset.field;
+        const type = input.dataset.type;
+
+        if (type === 'boolean') {
+            content[name] = input.checked;
+            return;
+        }
+
+        const raw = input.value.trim();
+        if (raw === '') return;
+
+        if (type === 'integer') {
+            content[name] = parseInt(raw, 10);
+        } else if (type === 'number') {
+            content[name] = Number(raw);
+        } else {
+            content[name] = raw;
+        }
+    });
+
+    return content;
+}
+
+/**
+ * 显示 elicitation 对话框
+ * @param {Object} options
+ * @param {string} options.serverName - 服务器名称
+ * @param {string} options.message - 服务器给用户的说明
+ * @param {Object} options.schema - requestedSchema
+ * @returns {Promise<{action: 'accept'|'decline'|'cancel', content?: Object}>}
+ */
+export function showElicitationDialog({ serverName, message, schema }) {
+    return new Promise((resolve) => {
+        const properties = schema.properties || {};
+        const required = new Set(schema.required || []);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content" style="max-width: 500px;">
+                <div class="modal-header">
+                    <h3>${getIcon('plug', { size: 18 })} ${escapeHtml(serverName)} 请求信息</h3>
+                    <button class="close-btn" data-action="cancel" aria-label="取消">×</button>
+                </div>
+                <form class="modal-body" novalidate>
+                    ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+                    ${Object.entries(properties)
+                        .map(([name, prop], index) => renderField(name, prop, required.has(name), index))
+                        .join('')}
+                </form>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="decline">拒绝</button>
+                    <button class="btn btn-primary" data-action="accept">提交</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const form = dialog.querySelector('form');
+
+        const close = (result) => {
+            document.removeEventListener('keydown', handleKeydown);
+            document.body.removeChild(dialog);
+            resolve(result);
+        };
+
+        const accept = () => {
+            if (!form.reportValidity()) return;
+            close({ action: 'accept', content: collectValues(form) });
+        };
+
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') close({ action: 'cancel' });
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            accept();
+        });
+        dialog.querySelector('[data-action="accept"]').addEventListener('click', accept);
+        dialog.querySelector('[data-action="decline"]').addEventListener('click', () => close({ action: 'decline' }));
+        dialog.querySelectorAll('[data-action="cancel"]').forEach(btn => {
+            btn.addEventListener('click', () => close({ action: 'cancel' }));
+        });
+        dialog.querySelector('.modal-overlay').addEventListener('click', () => close({ action: 'cancel' }));
+        document.addEventListener('keydown', handleKeydown);
+
+        setTimeout(() => form.querySelector('input, select')?.focus(), 100);
+    });
+}
@@ -0,0 +1,388 @@
+/**
+ * MCP 资源选择器
+ * 浏览已连接服务器暴露的资源 / 资源模板，读取后作为附件附加到下一条消息
+ */
+
+import { eventBus } from '../core/events.js';
+import { state } from '../core/state.js';
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { showInputDialog } from '../utils/dialogs.js';
+import { categorizeFile } from '../utils/file-helpers.js';
+import { MAX_ATTACHMENTS } from '../utils/constants.js';
+import { showNotification } from './notifications.js';
+import { updateImagePreview } from './input.js';
+import { mcpClient, getTemplateVariables, expandResourceTemplate } from '../tools/mcp/client.js';
+
+let pickerPanel = null;
+let isOpen = false;
+
+// ========== 初始化 ==========
+
+/**
+ * 初始化 MCP 资源选择器
+ */
+export function initMCPResourcePicker() {
+    const toggleBtn = document.getElementById('toggle-mcp-resources');
+    if (!toggleBtn) {
+        console.warn('[MCPResourcePicker] 未找到资源按钮 #toggle-mcp-resources');
+        return;
+    }
+
+    createPickerPanel(toggleBtn);
+
+    toggleBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (isOpen) {
+            closePicker();
+        } else {
+            openPicker();
+        }
+    });
+
+    // 点击外部区域关闭
+    document.addEventListener('click', (e) => {
+        if (isOpen && !pickerPanel.contains(e.target) && !toggleBtn.contains(e.target)) {
+            closePicker();
+        }
+    });
+
+    // ESC 键关闭
+    document.addEventListener('keydown', (e) => {
+        if (isOpen && e.key === 'Escape') {
+            closePicker();
+        }
+    });
+
+    eventBus.on('mcp:resources-discovered', onResourcesChanged);
+    eventBus.on('mcp:disconnected', onResourcesChanged);
+    eventBus.on('mcp:resource-updated', handleResourceUpdated);
+
+    updateButtonVisibility();
+
+    console.log('[MCPResourcePicker] MCP 资源选择器已初始化');
+}
+
+/**
+ * 创建选择器面板 DOM（复用快捷工具选择器的 Popover 样式）
+ */
+function createPickerPanel(toggleBtn) {
+    pickerPanel = document.createElement('div');
+    pickerPanel.className = 'tools-quick-selector mcp-resource-picker';
+    pickerPanel.setAttribute('role', 'dialog');
+    pickerPanel.setAttribute('aria-label', 'MCP 资源');
+
+    pickerPanel.innerHTML = `
+        <div class="selector-header">
+            <span class="selector-title">MCP 资源</span>
+            <button class="close-selector" aria-label="关闭">×</button>
+        </div>
+        <input type="search"
+               class="selector-search"
+               placeholder="搜索资源..."
+               aria-label="搜索资源">
+        <div class="tools-list-container" role="list" aria-label="资源列表"></div>
+    `;
+
+    const parentContainer = toggleBtn.parentElement;
+    parentContainer.style.position = 'relative';
+    parentContainer.appendChild(pickerPanel);
+
+    pickerPanel.querySelector('.close-selector').addEventListener('click', closePicker);
+
+    pickerPanel.querySelector('.selector-search').addEventListener('input', (e) => {
+        filterResources(e.target.value);
+    });
+
+    // 资源点击（事件委托）
+    pickerPanel.querySelector('.tools-list-container').addEventListener('click', (e) => {
+        const item = e.target.closest('.mcp-resource-item');
+        if (!item) return;
+
+        const { serverId, uri, template } = item.dataset;
+        if (template) {
+            attachFromTemplate(serverId, template);
+        } else {
+            attachResource(serverId, uri);
+        }
+    });
+}
+
+function openPicker() {
+    renderResourceList();
+    pickerPanel.classList.add('active');
+    isOpen = true;
+
+    setTimeout(() => {
+        pickerPanel.querySelector('.selector-search')?.focus();
+    }, 100);
+}
+
+function closePicker() {
+    pickerPanel.classList.remove('active');
+    isOpen = false;
+
+    const searchInput = pickerPanel.querySelector('.selector-search');
+    if (searchInput) {
+        searchInput.value = '';
+        filterResources('');
+    }
+}
+
+function onResourcesChanged() {
+    updateButtonVisibility();
+    if (isOpen) {
+        renderResourceList();
+    }
+}
+
+/**
+ * 没有任何资源时隐藏按钮
+ */
+function updateButtonVisibility() {
+    const toggleBtn = document.getElementById('toggle-mcp-resources');
+    if (!toggleBtn) return;
+
+    const total = mcpClient.getAllResources().length + mcpClient.getAllResourceTemplates().length;
+    toggleBtn.style.display = total > 0 ? '' : 'none';
+
+    if (total === 0 && isOpen) {
+        closePicker();
+    }
+}
+
+// ========== 渲染 ==========
+
+/**
+ * 按服务器分组渲染资源列表
+ */
+function renderResourceList() {
+    const container = pickerPanel.querySelector('.tools-list-container');
+    const servers = new Map();
+
+    const ensureGroup = (serverId) => {
+        if (!servers.has(serverId)) {
+            servers.set(serverId, { resources: [], templates: [] });
+        }
+        return servers.get(serverId);
+    };
+
+    mcpClient.getAllResources().forEach(r => ensureGroup(r.serverId).resources.push(r));
+    mcpClient.getAllResourceTemplates().forEach(t => ensureGroup(t.serverId).templates.push(t));
+
+    if (servers.size === 0) {
+        container.innerHTML = '<p class="empty-state">已连接的 MCP 服务器没有提供资源</p>';
+        return;
+    }
+
+    let html = '';
+    for (const [serverId, group] of servers) {
+        const serverName = state.mcpServers?.find(s => s.id === serverId)?.name || serverId;
+
+        html += `
+            <div class="tools-group">
+                <div class="tools-group-title">
+                    <span class="group-icon">${getIcon('plug', { size: 14 })}</span>
+                    <span class="group-name">${escapeHtml(serverName)}</span>
+                    <span class="group-count">(${group.resources.length + group.templates.length})</span>
+                </div>
+        `;
+
+        group.resources.forEach(resource => {
+            html += renderResourceItem({
+                serverId,
+                attr: `data-uri="${escapeHtml(resource.uri)}"`,
+                name: resource.title || resource.name,
+                detail: resource.uri,
+                description: resource.description,
+                badge: resource.mimeType
+            });
+        });
+
+        group.templates.forEach(template => {
+            html += renderResourceItem({
+                serverId,
+                attr: `data-template="${escapeHtml(template.uriTemplate)}"`,
+                name: template.title || template.name,
+                detail: template.uriTemplate,
+                description: template.description,
+                badge: '模板'
+            });
+        });
+
+        html += '</div>';
+    }
+
+    container.innerHTML = html;
+}
+
+function renderResourceItem({ serverId, attr, name, detail, description, badge }) {
+    const subscribed = attr.startsWith('data-uri') &&
+        mcpClient.isResourceSubscribed(serverId, detail);
+
+    return `
+        <button class="mcp-resource-item" role="listitem"
+                data-server-id="${escapeHtml(serverId)}" ${attr}
+                title="${escapeHtml(description || detail)}">
+            <span class="mcp-resource-name">${escapeHtml(name)}</span>
+            ${badge ? `<span class="tool-badge mcp">${escapeHtml(badge)}</span>` : ''}
+            ${subscribed ? '<span class="mcp-resource-live" title="已订阅更新">●</span>' : ''}
+            <span class="mcp-resource-uri">${escapeHtml(detail)}</span>
+        </button>
+    `;
+}
+
+function filterResources(query) {
+    const keyword = query.trim().toLowerCase();
+    pickerPanel.querySelectorAll('.mcp-resource-item').forEach(item => {
+        const text = item.textContent.toLowerCase();
+        item.style.display = !keyword || text.includes(keyword) ? '' : 'none';
+    });
+}
+
+// ========== 附加资源 ==========
+
+/**
+ * 依次询问模板变量，展开后读取
+ */
+async function attachFromTemplate(serverId, uriTemplate) {
+    closePicker();
+
+    const values = {};
+    for (const name of getTemplateVariables(uriTemplate)) {
+        const value = await showInputDialog(`${uriTemplate}\n请输入 ${name}:`, '', '资源参数');
+        if (value === null) return;
+        values[name] = value;
+    }
+
+    await attachResource(serverId, expandResourceTemplate(uriTemplate, values));
+}
+
+/**
+ * 读取资源并加入待发送附件
+ * @param {string} serverId - 服务器 ID
+ * @param {string} uri - 资源 URI
+ */
+async function attachResource(serverId, uri) {
+    closePicker();
+
+    if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
+        showNotification(`最多只能添加 ${MAX_ATTACHMENTS} 个附件`, 'error');
+        return;
+    }
+
+    let contents;
+    try {
+        contents = await mcpClient.readResource(serverId, uri);
+    } catch (error) {
+        console.error('[MCPResourcePicker] 读取资源失败:', error);
+        showNotification(`读取资源失败: ${error.message}`, 'error');
+        return;
+    }
+
+    const resource = mcpClient.getResourcesByServer(serverId).find(r => r.uri === uri);
+    let added = 0;
+
+    for (const content of contents) {
+        if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
+            showNotification(`已达到附件上限 ${MAX_ATTACHMENTS}，跳过剩余内容`, 'warning');
+            break;
+        }
+
+        const attachment = contentToAttachment(content, serverId, resource);
+        if (!attachment) {
+            showNotification(`不支持的资源类型: ${content.mimeType || '未知'}`, 'warning');
+            continue;
+        }
+
+        state.uploadedImages.push(attachment);
+        added++;
+    }
+
+    if (added === 0) return;
+
+    updateImagePreview();
+    showNotification(`已附加资源: ${resource?.name || uri}`, 'success', 2000);
+
+    // 附件待发送期间订阅更新，保证发送的是最新内容
+    if (mcpClient.supportsResourceSubscribe(serverId) && !mcpClient.isResourceSubscribed(serverId, uri)) {
+        mcpClient.subscribeResource(serverId, uri).catch(error => {
+            console.warn('[MCPResourcePicker] 订阅资源失败:', error.message);
+        });
+    }
+}
+
+/**
+ * 将 resources/read 的单个 content 转换为附件对象
+ * @returns {Object|null} 附件；不支持的类型返回 null
+ */
+function contentToAttachment(content, serverId, resource) {
+    const uri = content.uri;
+    const name = resource?.name || uri.split('/').filter(Boolean).pop() || uri;
+    const mcpResource = { serverId, uri };
+
+    if (typeof content.text === 'string') {
+        return {
+            name,
+            type: content.mimeType || 'text/plain',
+            category: 'text',
+            data: content.text,
+            size: new Blob([content.text]).size,
+            mcpResource
+        };
+    }
+
+    if (typeof content.blob === 'string') {
+        const mimeType = content.mimeType || resource?.mimeType || 'application/octet-stream';
+        const category = categorizeFile(mimeType);
+
+        if (category === 'text') {
+            const bytes = Uint8Array.from(atob(content.blob), c => c.charCodeAt(0));
+            const text = new TextDecoder().decode(bytes);
+            return { name, type: mimeType, category, data: text, size: bytes.length, mcpResource };
+        }
+
+        if (category === 'image' || category === 'pdf') {
+            return {
+                name,
+                type: mimeType,
+                category,
+                data: `data:${mimeType};base64,${content.blob}`,
+                size: Math.floor(content.blob.length * 3 / 4),
+                mcpResource
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 资源更新通知：刷新仍在待发送列表中的附件，否则取消订阅
+ */
+async function handleResourceUpdated({ serverId, uri }) {
+    const pending = state.uploadedImages.filter(
+        file => file.mcpResource?.serverId === serverId && file.mcpResource.uri === uri
+    );
+
+    if (pending.length === 0) {
+        if (mcpClient.isResourceSubscribed(serverId, uri)) {
+            mcpClient.unsubscribeResource(serverId, uri).catch(() => {});
+        }
+        return;
+    }
+
+    try {
+        const contents = await mcpClient.readResource(serverId, uri);
+        const resource = mcpClient.getResourcesByServer(serverId).find(r => r.uri === uri);
+        const content = contents.find(c => c.uri === uri) || contents[0];
+        const fresh = contentToAttachment(content, serverId, resource);
+        if (!fresh) return;
+
+        pending.forEach(file => Object.assign(file, fresh));
+        updateImagePreview();
+        showNotification(`资源已更新: ${fresh.name}`, 'info', 2000);
+    } catch (error) {
+        console.warn('[MCPResourcePicker] 刷新资源失败:', error.message);
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * MCP Sampling 审批对话框
+ * 展示服务器请求生成的消息与模型偏好，由用户决定是否调用当前模型
+ */
+
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * 渲染单条 SamplingMessage 的可读文本
+ */
+function renderSamplingContent(content) {
+    const blocks = Array.isArray(content) ? content : [content];
+    return blocks.map(block => {
+        if (block?.type === 'text') return escapeHtml(block.text || '');
+        if (block?.type === 'image') return `<em>[图片 ${escapeHtml(block.mimeType || '')}]</em>`;
+        if (block?.type === 'audio') return `<em>[音频 ${escapeHtml(block.mimeType || '')}]</em>`;
+        return `<em>[${escapeHtml(block?.type || '未知内容')}]</em>`;
+    }).join('<br>');
+}
+
+/**
+ * 渲染模型偏好（hints / 优先级）
+ */
+function renderModelPreferences(preferences) {
+    if (!preferences) return '';
+
+    const rows = [];
+    const hints = (preferences.hints || []).map(h => h.name).filter(Boolean);
+    if (hints.length > 0) {
+        rows.push(`<div><strong>建议模型:</strong> ${escapeHtml(hints.join(', '))}</div>`);
+    }
+
+    const priorities = [
+        ['costPriority', '成本'],
+        ['speedPriority', '速度'],
+        ['intelligencePriority', '智能']
+    ]
+        .filter(([key]) => typeof preferences[key] === 'number')
+        .map(([key, label]) => `${label} ${preferences[key]}`);
+    if (priorities.length > 0) {
+        rows.push(`<div><strong>优先级:</strong> ${priorities.join(' / ')}</div>`);
+    }
+
+    return rows.join('');
+}
+
+/**
+ * 显示采样审批对话框
+ * @param {Object} options
+ * @param {string} options.serverName - 服务器名称
+ * @param {Object} options.params - sampling/createMessage 参数
+ * @param {string} options.model - 将使用的当前模型
+ * @returns {Promise<{approved: boolean, remember: boolean}>}
+ */
+export function showSamplingApprovalDialog({ serverName, params, model }) {
+    return new Promise((resolve) => {
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+
+        const messages = (params.messages || []).map(message => `
+            <div class="mcp-sampling-message ${message.role === 'assistant' ? 'assistant' : 'user'}">
+                <span class="mcp-sampling-role">${message.role === 'assistant' ? 'AI' : '用户'}</span>
+                <div class="mcp-sampling-text">${renderSamplingContent(message.content)}</div>
+            </div>
+        `).join('');
+
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content mcp-sampling-dialog" style="max-width: 560px;">
+                <div class="modal-header">
+                    <h3>${getIcon('plug', { size: 18 })} MCP 采样请求</h3>
+                </div>
+                <div class="modal-body">
+                    <p><strong>${escapeHtml(serverName)}</strong> 请求使用当前模型生成回复。</p>
+                    <div class="mcp-sampling-meta">
+                        <div><strong>使用模型:</strong> ${escapeHtml(model || '未选择')}</div>
+                        ${params.maxTokens ? `<div><strong>最大 Tokens:</strong> ${Number(params.maxTokens)}</div>` : ''}
+                        ${renderModelPreferences(params.modelPreferences)}
+                    </div>
+                    ${params.systemPrompt ? `
+                        <div class="mcp-sampling-message system">
+                            <span class="mcp-sampling-role">系统</span>
+                            <div class="mcp-sampling-text">${escapeHtml(params.systemPrompt)}</div>
+                        </div>
+                    ` : ''}
+                    <div class="mcp-sampling-messages">${messages}</div>
+                    <label class="mcp-sampling-remember">
+                        <input type="checkbox" id="mcp-sampling-remember">
+                        <span>以后自动批准此服务器的采样请求</span>
+                    </label>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="reject">拒绝</button>
+                    <button class="btn btn-primary" data-action="approve">批准</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const close = (approved) => {
+            const remember = dialog.querySelector('#mcp-sampling-remember').checked;
+            document.body.removeChild(dialog);
+            resolve({ approved, remember: approved && remember });
+        };
+
+        dialog.querySelector('[data-action="approve"]').addEventListener('click', () => close(true));
+        dialog.querySelector('[data-action="reject"]').addEventListener('click', () => close(false));
+        dialog.querySelector('.modal-overlay').addEventListener('click', () => close(false));
+    });
+}
@@ -8,8 +8,11 @@ import { eventBus } from '../core/events.js';
 import { mcpClient, detectPlatform } from '../tools/mcp/client.js';
 import { saveMCPServer, deleteMCPServer } from '../state/storage.js';
 import { showNotification } from './notifications.js';
-import { showConfirmDialog } from '../utils/dialogs.js';
+import { showConfirmDialog, showInputDialog } from '../utils/dialogs.js';
 import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { extractExportSecrets, injectExportSecrets, encryptWithPassphrase } from '../state/vault.js';
+import { showExportSecretsDialog, decryptImportedSecrets, ensureVaultUnlockedForImport } from './credential-vault.js';
 import {
     standardToInternal,
     internalToStandard,
@@ -603,6 +606,11 @@ function createServerCard(server) {
                 ${status ? `<span class="mcp-tool-count">(${toolCount} 个工具)</span>` : ''}
             </div>
 
+            <label class="mcp-server-option" title="服务器通过 sampling 请求调用当前模型时无需逐次确认">
+                <input type="checkbox" class="mcp-sampling-auto-approve" data-server-id="${server.id}" ${server.samplingAutoApprove ? 'checked' : ''}>
+                <span>自动批准采样请求</span>
+            </label>
+
             ${server.type === 'remote' ? `
                 <div class="mcp-server-details">
                     <div><strong>URL:</strong> ${server.url}</div>
@@ -615,6 +623,24 @@ function createServerCard(server) {
                 </div>
             `}
 
+            <div class="mcp-roots">
+                <div class="mcp-roots-header">
+                    <strong>根目录:</strong>
+                    <button class="btn btn-sm btn-secondary mcp-add-root-btn" data-server-id="${server.id}">添加</button>
+                </div>
+                ${(server.roots || []).length > 0 ? `
+                    <ul class="mcp-roots-list">
+                        ${server.roots.map((root, index) => `
+                            <li>
+                                <span class="mcp-root-name">${escapeHtml(root.name || root.uri)}</span>
+                                <code class="mcp-root-uri">${escapeHtml(root.uri)}</code>
+                                <button class="mcp-remove-root-btn" data-server-id="${server.id}" data-index="${index}" title="移除" aria-label="移除根目录">×</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<div class="mcp-roots-empty">未配置（服务器无法获知可访问的目录）</div>'}
+            </div>
+
             ${status && toolCount > 0 ? `
                 <div class="mcp-tools-list">
                     <strong>可用工具:</strong>
@@ -647,6 +673,33 @@ function bindServerCardEvents() {
         });
     });
 
+    // 采样自动批准开关
+    modal.querySelectorAll('.mcp-sampling-auto-approve').forEach(checkbox => {
+        checkbox.addEventListener('change', async (e) => {
+            const server = state.mcpServers.find(s => s.id === e.target.dataset.serverId);
+            if (!server) return;
+
+            const { setSamplingAutoApprove } = await import('../tools/mcp/sampling.js');
+            await setSamplingAutoApprove(server, e.target.checked);
+            showNotification(e.target.checked ? '已开启采样自动批准' : '已关闭采样自动批准', 'info');
+        });
+    });
+
+    // 添加根目录
+    modal.querySelectorAll('.mcp-add-root-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            await addServerRoot(e.target.dataset.serverId);
+        });
+    });
+
+    // 移除根目录
+    modal.querySelectorAll('.mcp-remove-root-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const { serverId, index } = e.currentTarget.dataset;
+            await removeServerRoot(serverId, parseInt(index, 10));
+        });
+    });
+
     // 删除按钮
     modal.querySelectorAll('.mcp-delete-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -656,6 +709,85 @@ function bindServerCardEvents() {
     });
 }
 
+/**
+ * 将本地路径转换为 file:// URI（已是 URI 则原样返回）
+ */
+function toFileUri(input) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+        return input;
+    }
+
+    const normalized = input.replace(/\\/g, '/');
+    // Windows 盘符路径: C:/foo → file:///C:/foo
+    const path = /^[a-zA-Z]:\//.test(normalized) ? `/${normalized}` : normalized;
+    return `file://${encodeURI(path)}`;
+}
+
+/**
+ * 从 URI 推导根目录显示名称（最后一段路径）
+ */
+function getRootName(uri) {
+    const segments = uri.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split('/').filter(Boolean);
+    const last = segments[segments.length - 1];
+    if (!last) return uri;
+
+    try {
+        return decodeURIComponent(last);
+    } catch {
+        return last;
+    }
+}
+
+/**
+ * 持久化根目录变更并通知服务器
+ */
+async function saveServerRoots(server) {
+    try {
+        await saveMCPServer(server);
+    } catch (error) {
+        console.error('[MCP Settings] 保存根目录失败:', error);
+        showNotification('保存根目录失败', 'error');
+        return;
+    }
+
+    await mcpClient.notifyRootsChanged(server.id);
+    renderServerList();
+}
+
+/**
+ * 添加根目录
+ */
+async function addServerRoot(serverId) {
+    const server = state.mcpServers.find(s => s.id === serverId);
+    if (!server) return;
+
+    const input = await showInputDialog('输入目录路径或 file:// URI:', '', '添加根目录');
+    if (!input?.trim()) return;
+
+    const uri = toFileUri(input.trim());
+    server.roots = server.roots || [];
+
+    if (server.roots.some(root => root.uri === uri)) {
+        showNotification('该根目录已存在', 'warning');
+        return;
+    }
+
+    server.roots.push({ uri, name: getRootName(uri) });
+    await saveServerRoots(server);
+    showNotification(`已添加根目录: ${getRootName(uri)}`, 'success');
+}
+
+/**
+ * 移除根目录
+ */
+async function removeServerRoot(serverId, index) {
+    const server = state.mcpServers.find(s => s.id === serverId);
+    if (!server?.roots?.[index]) return;
+
+    server.roots.splice(index, 1);
+    await saveServerRoots(server);
+}
+
 /**
  * 连接到服务器
  */
@@ -930,8 +1062,19 @@ function getErrorMessage(errorType, rawError) {
  */
 export async function exportMCPConfig() {
     try {
-        // 转换为标准格式
-        const standardConfig = internalToStandard(state.mcpServers || []);
+        // 转换为标准格式（深拷贝，剥离密钥时不影响内存中的服务器）
+        const standardConfig = JSON.parse(JSON.stringify(internalToStandard(state.mcpServers || [])));
+
+        // 密钥和请求头不以明文导出：置空，或用导出密码加密后附带
+        const secrets = extractExportSecrets({ mcpServers: standardConfig.mcpServers });
+        const secretCount = Object.keys(secrets).length;
+        if (secretCount > 0) {
+            const choice = await showExportSecretsDialog(secretCount);
+            if (!choice) return;
+            if (choice.mode === 'encrypt') {
+                standardConfig.encryptedSecrets = await encryptWithPassphrase(JSON.stringify(secrets), choice.passphrase);
+            }
+        }
 
         // 生成 JSON 字符串（格式化，2 空格缩进）
         const jsonString = JSON.stringify(standardConfig, null, 2);
@@ -1293,6 +1436,18 @@ async function processImportedJson(jsonText) {
             throw new Error(`配置验证失败:\n• ${errorList}`);
         }
 
+        if (!await ensureVaultUnlockedForImport()) return;
+
+        // 恢复导出时加密的密钥
+        if (configData.encryptedSecrets) {
+            const secrets = await decryptImportedSecrets(configData.encryptedSecrets);
+            if (secrets) {
+                injectExportSecrets({ mcpServers: configData.mcpServers }, secrets);
+            } else {
+                showNotification('已跳过密钥导入，请在服务器设置中重新填写', 'warning');
+            }
+        }
+
         // 转换为内部格式
         const servers = standardToInternal(configData);
 
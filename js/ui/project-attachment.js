@@ -0,0 +1,512 @@
+/**
+ * 项目附件模块（ZIP / 文件夹）
+ * 读取压缩包或拖入的文件夹，遵循 .gitignore 过滤后以勾选文件树展示，
+ * 选中的文件合并为一个结构化文档附件（文件结构 + 各文件内容）
+ */
+
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { readZipEntries, extractZipEntry } from '../utils/zip.js';
+import { parseGitignore, isIgnored } from '../utils/gitignore.js';
+import { estimateTokenCount } from '../stream/stats.js';
+import { wrapDocument } from '../messages/converters.js';
+import { showNotification } from './notifications.js';
+import { MAX_PROJECT_FILES, MAX_PROJECT_FILE_SIZE } from '../utils/constants.js';
+
+// 始终跳过的目录/文件（不受 .gitignore 影响）
+const ALWAYS_SKIPPED = new Set(['.git', '.svn', '.hg', '__MACOSX', '.DS_Store', 'Thumbs.db']);
+
+// 常见二进制文件扩展名（无需读取即可跳过）
+const BINARY_EXTENSIONS = new Set([
+    'png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'ico', 'icns', 'tif', 'tiff', 'psd', 'ai',
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+    'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'tar', 'jar', 'war',
+    'exe', 'dll', 'so', 'dylib', 'o', 'a', 'lib', 'class', 'pyc', 'wasm', 'bin', 'dat',
+    'db', 'sqlite', 'sqlite3', 'woff', 'woff2', 'ttf', 'otf', 'eot',
+    'mp3', 'mp4', 'm4a', 'wav', 'ogg', 'flac', 'mov', 'avi', 'mkv', 'webm'
+]);
+
+/**
+ * 判断路径中是否包含始终跳过的片段
+ */
+function isAlwaysSkipped(path) {
+    return path.split('/').some(segment => ALWAYS_SKIPPED.has(segment));
+}
+
+/**
+ * 获取路径所在目录（根目录为 ''）
+ */
+function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+// ========== 收集文件 ==========
+
+/**
+ * 从 ZIP 收集文件列表
+ * 压缩包只有一个顶层目录时自动去掉该目录前缀
+ * @param {File} file - ZIP 文件
+ * @returns {Promise<{name: string, items: Array, ignoredCount: number}>}
+ */
+async function collectZipFiles(file) {
+    const buffer = await file.arrayBuffer();
+    const entries = readZipEntries(buffer).filter(entry => !entry.isDirectory && !entry.encrypted);
+
+    let name = file.name.replace(/\.zip$/i, '');
+    let root = '';
+    const topLevel = new Set(entries.map(entry => entry.name.split('/')[0]));
+    if (topLevel.size === 1 && entries.every(entry => entry.name.includes('/'))) {
+        name = [...topLevel][0];
+        root = `${name}/`;
+    }
+
+    const items = entries
+        .map(entry => ({
+            path: entry.name.slice(root.length).replace(/^\.\//, ''),
+            size: entry.size,
+            read: () => extractZipEntry(buffer, entry)
+        }))
+        .filter(item => item.path && !isAlwaysSkipped(item.path));
+
+    // 先读取所有 .gitignore（浅层优先，保证规则顺序与 git 一致）
+    const rules = [];
+    const gitignores = items
+        .filter(item => item.path.split('/').pop() === '.gitignore')
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+    for (const item of gitignores) {
+        const content = new TextDecoder('utf-8').decode(await item.read());
+        rules.push(...parseGitignore(content, dirname(item.path)));
+    }
+
+    const kept = items.filter(item => !isIgnored(item.path, false, rules));
+    return { name, items: kept, ignoredCount: items.length - kept.length };
+}
+
+/**
+ * 读取目录中的全部条目（readEntries 每次只返回一批）
+ */
+async function readAllEntries(dirEntry) {
+    const reader = dirEntry.createReader();
+    const all = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        all.push(...batch);
+    }
+    return all.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * FileSystemFileEntry → File
+ */
+function entryToFile(fileEntry) {
+    return new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+}
+
+/**
+ * 从拖入的文件夹收集文件列表
+ * 遍历时即应用 .gitignore，避免进入 node_modules 等被忽略的大目录
+ * @param {FileSystemDirectoryEntry} dirEntry - 文件夹条目
+ * @returns {Promise<{name: string, items: Array, ignoredCount: number}>}
+ */
+async function collectFolderFiles(dirEntry) {
+    const rules = [];
+    const items = [];
+    let ignoredCount = 0;
+
+    const walk = async (dir, prefix) => {
+        const children = await readAllEntries(dir);
+
+        const gitignore = children.find(child => child.isFile && child.name === '.gitignore');
+        if (gitignore) {
+            const content = await (await entryToFile(gitignore)).text();
+            rules.push(...parseGitignore(content, prefix));
+        }
+
+        for (const child of children) {
+            // 超出上限后不再继续遍历（多收集一个用于提示截断）
+            if (items.length > MAX_PROJECT_FILES) return;
+
+            const path = prefix ? `${prefix}/${child.name}` : child.name;
+            if (ALWAYS_SKIPPED.has(child.name)) continue;
+            if (isIgnored(path, child.isDirectory, rules)) {
+                ignoredCount++;
+                continue;
+            }
+
+            if (child.isDirectory) {
+                await walk(child, path);
+            } else {
+                const file = await entryToFile(child);
+                items.push({
+                    path,
+                    size: file.size,
+                    read: async () => new Uint8Array(await file.arrayBuffer())
+                });
+            }
+        }
+    };
+
+    await walk(dirEntry, '');
+    return { name: dirEntry.name, items, ignoredCount };
+}
+
+/**
+ * 读取文件内容并估算 token
+ * 二进制文件跳过，过大的文件保留在列表中但不可选
+ * @returns {Promise<{files: Array, binaryCount: number, truncated: boolean}>}
+ */
+async function loadProjectFiles(items) {
+    const decoder = new TextDecoder('utf-8');
+    const files = [];
+    let binaryCount = 0;
+
+    for (const item of items.slice(0, MAX_PROJECT_FILES)) {
+        const fileName = item.path.split('/').pop();
+        const ext = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        if (BINARY_EXTENSIONS.has(ext)) {
+            binaryCount++;
+            continue;
+        }
+
+        if (item.size > MAX_PROJECT_FILE_SIZE) {
+            files.push({ path: item.path, size: item.size, content: '', tokens: 0, tooLarge: true });
+            continue;
+        }
+
+        const bytes = await item.read();
+        // 前 8000 字节中出现 NUL 视为二进制（与 git 判断方式一致）
+        if (bytes.subarray(0, 8000).includes(0)) {
+            binaryCount++;
+            continue;
+        }
+
+        const content = decoder.decode(bytes).replace(/^\uFEFF/, '');
+        files.push({ path: item.path, size: item.size, content, tokens: estimateTokenCount(content), tooLarge: false });
+    }
+
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    return { files, binaryCount, truncated: items.length > MAX_PROJECT_FILES };
+}
+
+// ========== 文件树 ==========
+
+/**
+ * 根据文件路径构建目录树
+ * @param {Array} files - loadProjectFiles 返回的文件
+ * @returns {Object} 根节点 { name, path, dirs: Map, files: Array<index> }
+ */
+function buildTree(files) {
+    const root = { name: '', path: '', dirs: new Map(), files: [] };
+
+    files.forEach((file, index) => {
+        const segments = file.path.split('/');
+        let node = root;
+        for (const segment of segments.slice(0, -1)) {
+            if (!node.dirs.has(segment)) {
+                const path = node.path ? `${node.path}/${segment}` : segment;
+                node.dirs.set(segment, { name: segment, path, dirs: new Map(), files: [] });
+            }
+            node = node.dirs.get(segment);
+        }
+        node.files.push(index);
+    });
+
+    return root;
+}
+
+/**
+ * 收集目录节点下所有文件索引
+ */
+function collectFileIndexes(node) {
+    const indexes = [...node.files];
+    for (const child of node.dirs.values()) {
+        indexes.push(...collectFileIndexes(child));
+    }
+    return indexes;
+}
+
+/**
+ * 生成文本形式的目录结构（├── / └──）
+ */
+function renderTreeText(node, files, selected, prefix = '') {
+    const children = [
+        ...[...node.dirs.values()]
+            .filter(dir => collectFileIndexes(dir).some(index => selected.has(index)))
+            .map(dir => ({ dir })),
+        ...node.files.filter(index => selected.has(index)).map(index => ({ index }))
+    ];
+
+    return children.map((child, i) => {
+        const isLast = i === children.length - 1;
+        const branch = isLast ? '└── ' : '├── ';
+        if (child.dir) {
+            const nested = renderTreeText(child.dir, files, selected, prefix + (isLast ? '    ' : '│   '));
+            return `${prefix}${branch}${child.dir.name}/\n${nested}`;
+        }
+        return `${prefix}${branch}${files[child.index].path.split('/').pop()}\n`;
+    }).join('');
+}
+
+/**
+ * 将选中的文件合并为结构化文档文本
+ * @param {string} name - 项目名称
+ * @param {Array} files - 全部文件
+ * @param {Set<number>} selected - 选中的文件索引
+ * @returns {string}
+ */
+function buildProjectDocument(name, files, selected) {
+    const tree = renderTreeText(buildTree(files), files, selected);
+    const contents = files
+        .filter((_, index) => selected.has(index))
+        .map(file => `<file path="${file.path.replace(/"/g, '&quot;')}">\n${file.content.replace(/\n$/, '')}\n</file>`);
+
+    return [
+        `# 项目: ${name}`,
+        '',
+        '## 文件结构',
+        '',
+        '```',
+        `${name}/`,
+        tree.trimEnd(),
+        '```',
+        '',
+        `## 文件内容（${contents.length} 个文件）`,
+        '',
+        contents.join('\n\n')
+    ].join('\n');
+}
+
+/**
+ * 格式化 token 数
+ */
+function formatTokens(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+/**
+ * 渲染目录节点的 HTML
+ * @param {Object} node - 目录节点
+ * @param {Array} files - 全部文件
+ * @param {Array} dirs - 收集目录节点（用 data-dir 索引引用，避免路径出现在属性中）
+ */
+function renderTreeHTML(node, files, dirs) {
+    const dirHTML = [...node.dirs.values()].map(dir => {
+        const dirIndex = dirs.push(dir) - 1;
+        return `
+            <details class="project-tree-dir" open>
+                <summary>
+                    <input type="checkbox" data-dir="${dirIndex}" aria-label="选择文件夹 ${escapeHtml(dir.name)}">
+                    ${getIcon('folder', { size: 14 })}
+                    <span class="project-tree-name">${escapeHtml(dir.name)}</span>
+                    <span class="project-tree-tokens" data-dir-tokens="${dirIndex}"></span>
+                </summary>
+                <div class="project-tree-children">${renderTreeHTML(dir, files, dirs)}</div>
+            </details>
+        `;
+    }).join('');
+
+    const fileHTML = node.files.map(index => {
+        const file = files[index];
+        const fileName = file.path.split('/').pop();
+        const meta = file.tooLarge
+            ? `过大 (${(file.size / 1024).toFixed(0)} KB)`
+            : `~${formatTokens(file.tokens)} tokens`;
+        return `
+            <label class="project-tree-file ${file.tooLarge ? 'disabled' : ''}">
+                <input type="checkbox" data-file="${index}" ${file.tooLarge ? 'disabled' : ''}>
+                ${getIcon('fileText', { size: 14 })}
+                <span class="project-tree-name">${escapeHtml(fileName)}</span>
+                <span class="project-tree-tokens">${meta}</span>
+            </label>
+        `;
+    }).join('');
+
+    return dirHTML + fileHTML;
+}
+
+/**
+ * 显示文件选择对话框
+ * @returns {Promise<Set<number>|null>} 选中的文件索引，取消时返回 null
+ */
+function showProjectTreeDialog(name, files, summary) {
+    return new Promise(resolve => {
+        const selected = new Set(files.flatMap((file, index) => file.tooLarge ? [] : [index]));
+        const dirs = [];
+        const root = buildTree(files);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'modal active';
+        dialog.style.zIndex = '10002';
+        dialog.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content project-attachment-dialog" style="max-width: 640px;">
+                <div class="modal-header">
+                    <h3>${getIcon('package', { size: 18 })} ${escapeHtml(name)}</h3>
+                    <button class="close-btn" data-action="close" aria-label="关闭">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="project-tree-toolbar">
+                        <span class="project-tree-summary">${escapeHtml(summary)}</span>
+                        <div>
+                            <button class="btn btn-secondary" data-action="select-all">全选</button>
+                            <button class="btn btn-secondary" data-action="select-none">全不选</button>
+                        </div>
+                    </div>
+                    <div class="project-tree">${renderTreeHTML(root, files, dirs)}</div>
+                </div>
+                <div class="modal-footer">
+                    <span class="project-tree-total"></span>
+                    <button class="btn btn-secondary" data-action="close">取消</button>
+                    <button class="btn btn-primary" data-action="confirm">添加附件</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(dialog);
+
+        const dirFileIndexes = dirs.map(dir => collectFileIndexes(dir).filter(index => !files[index].tooLarge));
+        const confirmBtn = dialog.querySelector('[data-action="confirm"]');
+
+        const refresh = () => {
+            dialog.querySelectorAll('input[data-file]').forEach(input => {
+                input.checked = selected.has(Number(input.dataset.file));
+            });
+
+            dialog.querySelectorAll('input[data-dir]').forEach(input => {
+                const indexes = dirFileIndexes[Number(input.dataset.dir)];
+                const count = indexes.filter(index => selected.has(index)).length;
+                input.checked = indexes.length > 0 && count === indexes.length;
+                input.indeterminate = count > 0 && count < indexes.length;
+                input.disabled = indexes.length === 0;
+            });
+
+            dialog.querySelectorAll('[data-dir-tokens]').forEach(span => {
+                const tokens = dirFileIndexes[Number(span.dataset.dirTokens)]
+                    .filter(index => selected.has(index))
+                    .reduce((sum, index) => sum + files[index].tokens, 0);
+                span.textContent = `~${formatTokens(tokens)} tokens`;
+            });
+
+            const totalTokens = [...selected].reduce((sum, index) => sum + files[index].tokens, 0);
+            dialog.querySelector('.project-tree-total').textContent =
+                `已选 ${selected.size} 个文件 · 约 ${formatTokens(totalTokens)} tokens`;
+            confirmBtn.disabled = selected.size === 0;
+        };
+
+        const close = (result) => {
+            document.removeEventListener('keydown', handleKeydown);
+            dialog.remove();
+            resolve(result);
+        };
+
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') close(null);
+        };
+
+        dialog.querySelector('.project-tree').addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.dataset.file !== undefined) {
+                const index = Number(input.dataset.file);
+                if (input.checked) selected.add(index);
+                else selected.delete(index);
+            } else if (input.dataset.dir !== undefined) {
+                for (const index of dirFileIndexes[Number(input.dataset.dir)]) {
+                    if (input.checked) selected.add(index);
+                    else selected.delete(index);
+                }
+            }
+            refresh();
+        });
+
+        dialog.querySelector('[data-action="select-all"]').addEventListener('click', () => {
+            files.forEach((file, index) => {
+                if (!file.tooLarge) selected.add(index);
+            });
+            refresh();
+        });
+
+        dialog.querySelector('[data-action="select-none"]').addEventListener('click', () => {
+            selected.clear();
+            refresh();
+        });
+
+        confirmBtn.addEventListener('click', () => close(selected));
+        dialog.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => close(null)));
+        dialog.querySelector('.modal-overlay').addEventListener('click', () => close(null));
+        document.addEventListener('keydown', handleKeydown);
+
+        refresh();
+    });
+}
+
+/**
+ * 读取、选择并生成项目附件
+ * @param {Function} collect - 收集文件的函数
+ * @param {string} sourceName - 来源名称（用于提示）
+ * @returns {Promise<Object|null>} 附件对象（与 state.uploadedImages 格式兼容），取消或失败时返回 null
+ */
+async function createProjectAttachment(collect, sourceName) {
+    try {
+        showNotification(`正在读取 ${sourceName}...`, 'info');
+        const { name, items, ignoredCount } = await collect();
+        const { files, binaryCount, truncated } = await loadProjectFiles(items);
+
+        if (files.length === 0) {
+            showNotification(`${sourceName} 中没有可读取的文本文件`, 'warning');
+            return null;
+        }
+
+        const summaryParts = [`${files.length} 个文本文件`];
+        if (ignoredCount > 0) summaryParts.push(`.gitignore 忽略 ${ignoredCount} 项`);
+        if (binaryCount > 0) summaryParts.push(`跳过 ${binaryCount} 个二进制文件`);
+        if (truncated) summaryParts.push(`仅列出前 ${MAX_PROJECT_FILES} 个文件`);
+
+        const selected = await showProjectTreeDialog(name, files, summaryParts.join(' · '));
+        if (!selected) return null;
+
+        const text = buildProjectDocument(name, files, selected);
+        const size = [...selected].reduce((sum, index) => sum + files[index].size, 0);
+        console.log(`[Project] 已生成项目附件: ${name} (${selected.size} 个文件, ${text.length} 字符)`);
+
+        return {
+            name,
+            type: 'text/plain',
+            category: 'text',
+            documentKind: 'project',
+            data: wrapDocument(text, { name, kind: 'project' }),
+            size,
+        };
+    } catch (error) {
+        console.error('[Project] 读取失败:', error);
+        showNotification(`无法读取 ${sourceName}: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+/**
+ * 判断文件是否为 ZIP 压缩包
+ * @param {File} file - 文件对象
+ * @returns {boolean}
+ */
+export function isZipFile(file) {
+    return /\.zip$/i.test(file.name) || ['application/zip', 'application/x-zip-compressed'].includes(file.type);
+}
+
+/**
+ * 从 ZIP 文件创建项目附件
+ * @param {File} file - ZIP 文件
+ * @returns {Promise<Object|null>} 附件对象，取消或失败时返回 null
+ */
+export function createZipAttachment(file) {
+    return createProjectAttachment(() => collectZipFiles(file), file.name);
+}
+
+/**
+ * 从拖入的文件夹创建项目附件
+ * @param {FileSystemDirectoryEntry} dirEntry - 通过 DataTransferItem.webkitGetAsEntry() 获取的目录
+ * @returns {Promise<Object|null>} 附件对象，取消或失败时返回 null
+ */
+export function createFolderAttachment(dirEntry) {
+    return createProjectAttachment(() => collectFolderFiles(dirEntry), dirEntry.name);
+}
@@ -17,6 +17,7 @@ export function syncQuickToggles() {
     document.getElementById('toggle-websearch')?.classList.toggle('active', state.webSearchEnabled);
     document.getElementById('toggle-code-exec')?.classList.toggle('active', state.codeExecutionEnabled);
     document.getElementById('toggle-computer-use')?.classList.toggle('active', state.computerUseEnabled);
+    document.getElementById('toggle-arena')?.classList.toggle('active', !!state.arenaEnabled);
 }
 
 /**
@@ -0,0 +1,363 @@
+/**
+ * 朗读模块
+ * 通过浏览器 SpeechSynthesis 或提供商的 /audio/speech 接口逐句朗读助手回复
+ * 支持点击消息按钮朗读，以及流式输出时边接收边朗读（自动朗读）
+ */
+
+import { state } from '../core/state.js';
+import { eventBus } from '../core/events.js';
+import { RequestState } from '../core/request-state-machine.js';
+import { showNotification } from './notifications.js';
+import { getSpeechProvider } from '../providers/manager.js';
+import { synthesizeSpeech } from '../api/speech.js';
+import { markdownToSpeech, splitSentences, findSpeakableBoundary } from '../utils/speech-text.js';
+
+// 提供商接口模式下预先合成的句子数（当前句 + 下一句）
+const SPEECH_PREFETCH_COUNT = 2;
+
+// 朗读时跳过的消息内容（思维链、代码块、工具调用、媒体等）
+const SKIPPED_CONTENT_SELECTOR = [
+    '.thinking-block',
+    'pre',
+    '.tool-calls-group',
+    '.search-grounding',
+    '.stream-stats',
+    '.image-wrapper',
+    '.audio-wrapper',
+    '.table-toolbar',
+    '.katex-mathml',
+    'script',
+    'style'
+].join(', ');
+
+/**
+ * 当前朗读会话
+ * @type {{
+ *   messageEl: HTMLElement|null,
+ *   queue: Array<{text: string, audio: Promise<Blob>|null}>,
+ *   playing: boolean,
+ *   finished: boolean,
+ *   streaming: boolean,
+ *   streamText: string,
+ *   consumed: number,
+ *   abortController: AbortController,
+ *   audio: HTMLAudioElement|null
+ * }|null}
+ */
+let session = null;
+
+/**
+ * 提取消息 DOM 中需要朗读的纯文本
+ * @param {HTMLElement} messageEl - 消息元素
+ * @returns {string}
+ */
+function getMessageSpeechText(messageEl) {
+    const contentDiv = messageEl?.querySelector('.message-content');
+    if (!contentDiv) return '';
+
+    const clone = contentDiv.cloneNode(true);
+    clone.querySelectorAll(SKIPPED_CONTENT_SELECTOR).forEach(el => el.remove());
+    // 块级元素之间补换行，保证句子切分正确
+    clone.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, tr, blockquote, br').forEach(el => el.append('\n'));
+    return clone.textContent;
+}
+
+/**
+ * 更新朗读按钮状态
+ * @param {HTMLElement|null} messageEl - 消息元素
+ * @param {boolean} active - 是否正在朗读
+ */
+function setButtonActive(messageEl, active) {
+    const btn = messageEl?.querySelector('.read-aloud-msg');
+    if (!btn) return;
+
+    btn.classList.toggle('active', active);
+    btn.title = active ? '停止朗读' : '朗读';
+    btn.setAttribute('aria-label', active ? '停止朗读' : '朗读消息');
+}
+
+/**
+ * 开始新的朗读会话（会先停止当前朗读）
+ * @param {HTMLElement|null} messageEl - 朗读的消息元素
+ * @param {boolean} streaming - 是否跟随流式输出
+ * @returns {boolean} 是否成功开始（朗读引擎不可用时返回 false）
+ */
+function startSession(messageEl, streaming) {
+    stopReadAloud();
+
+    if (state.ttsEngine === 'provider' && !getSpeechProvider()) {
+        showNotification('未配置语音合成：请在提供商设置中启用「语音合成」，或将朗读引擎切换为浏览器语音', 'warning');
+        return false;
+    }
+    if (state.ttsEngine !== 'provider' && !window.speechSynthesis) {
+        showNotification('当前环境不支持浏览器语音朗读', 'warning');
+        return false;
+    }
+
+    session = {
+        messageEl,
+        queue: [],
+        playing: false,
+        finished: false,
+        streaming,
+        streamText: '',
+        consumed: 0,
+        abortController: new AbortController(),
+        audio: null
+    };
+    setButtonActive(messageEl, true);
+    return true;
+}
+
+/**
+ * 停止朗读并清空队列
+ */
+export function stopReadAloud() {
+    if (!session) return;
+
+    const current = session;
+    session = null;
+
+    current.abortController.abort();
+    if (current.audio) {
+        current.audio.pause();
+        URL.revokeObjectURL(current.audio.src);
+    }
+    window.speechSynthesis?.cancel();
+    setButtonActive(current.messageEl, false);
+}
+
+/**
+ * 将句子加入朗读队列
+ * @param {Array<string>} sentences - 句子列表
+ */
+function enqueueSentences(sentences) {
+    if (!session || sentences.length === 0) return;
+
+    session.queue.push(...sentences.map(text => ({ text, audio: null })));
+    playNext();
+}
+
+/**
+ * 提供商模式：为队列前几句发起合成请求
+ * @param {Object} current - 朗读会话
+ */
+function prefetchSpeech(current) {
+    const provider = getSpeechProvider();
+    current.queue.slice(0, SPEECH_PREFETCH_COUNT).forEach(item => {
+        if (!item.audio) {
+            item.audio = synthesizeSpeech(provider, item.text, current.abortController.signal);
+            // 避免未播放前失败导致未处理的 rejection
+            item.audio.catch(() => {});
+        }
+    });
+}
+
+/**
+ * 朗读一句（浏览器 SpeechSynthesis）
+ * @param {string} text - 句子
+ * @returns {Promise<void>}
+ */
+function speakWithBrowser(text) {
+    return new Promise((resolve, reject) => {
+        const utterance = new window.SpeechSynthesisUtterance(text);
+        const voice = state.ttsVoice && window.speechSynthesis.getVoices().find(v => v.voiceURI === state.ttsVoice);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        utterance.onend = () => resolve();
+        utterance.onerror = (e) => (e.error === 'interrupted' || e.error === 'canceled' ? resolve() : reject(new Error(`朗读失败: ${e.error}`)));
+        window.speechSynthesis.speak(utterance);
+    });
+}
+
+/**
+ * 播放一句（提供商 /audio/speech）
+ * @param {Object} current - 朗读会话
+ * @param {Promise<Blob>} audioPromise - 合成结果
+ * @returns {Promise<void>}
+ */
+async function playProviderAudio(current, audioPromise) {
+    const blob = await audioPromise;
+    if (session !== current) return;
+
+    const audio = new window.Audio(URL.createObjectURL(blob));
+    current.audio = audio;
+    await new Promise((resolve, reject) => {
+        audio.onended = resolve;
+        audio.onpause = resolve; // 停止朗读时暂停
+        audio.onerror = () => reject(new Error('音频播放失败'));
+        audio.play().catch(reject);
+    });
+    URL.revokeObjectURL(audio.src);
+    current.audio = null;
+}
+
+/**
+ * 依次朗读队列中的句子，队列读完且不再有新内容时结束会话
+ */
+async function playNext() {
+    const current = session;
+    if (!current || current.playing) return;
+
+    if (current.queue.length === 0) {
+        if (current.finished) {
+            session = null;
+            setButtonActive(current.messageEl, false);
+        }
+        return;
+    }
+
+    current.playing = true;
+    const useProvider = state.ttsEngine === 'provider';
+    if (useProvider) prefetchSpeech(current);
+    const item = current.queue.shift();
+
+    try {
+        if (useProvider) {
+            await playProviderAudio(current, item.audio);
+        } else {
+            await speakWithBrowser(item.text);
+        }
+    } catch (error) {
+        if (session === current && error.name !== 'AbortError') {
+            console.error('[ReadAloud] 朗读失败:', error);
+            showNotification(error.message || '朗读失败', 'error');
+            stopReadAloud();
+        }
+        return;
+    }
+
+    current.playing = false;
+    if (session === current) playNext();
+}
+
+/**
+ * 朗读整条消息（再次点击同一消息则停止）
+ * @param {HTMLElement} messageEl - 消息元素
+ */
+function toggleReadMessage(messageEl) {
+    if (session?.messageEl === messageEl) {
+        stopReadAloud();
+        return;
+    }
+
+    const sentences = splitSentences(getMessageSpeechText(messageEl));
+    if (sentences.length === 0) {
+        showNotification('没有可朗读的内容', 'warning');
+        return;
+    }
+
+    if (startSession(messageEl, false)) {
+        session.finished = true;
+        enqueueSentences(sentences);
+    }
+}
+
+/**
+ * 流式输出：朗读新出现的完整句子
+ * @param {string} textContent - 当前累积的正文 Markdown
+ */
+function handleStreamText(textContent) {
+    if (!session?.streaming) return;
+
+    // 工具调用后的续写会从空文本重新累积，此时从头开始计算
+    if (!textContent.startsWith(session.streamText.slice(0, session.consumed))) {
+        session.consumed = 0;
+    }
+    session.streamText = textContent;
+
+    const boundary = findSpeakableBoundary(textContent);
+    if (boundary <= session.consumed) return;
+
+    const chunk = textContent.slice(session.consumed, boundary);
+    session.consumed = boundary;
+    enqueueSentences(splitSentences(markdownToSpeech(chunk)));
+}
+
+/**
+ * 流式输出结束：朗读剩余内容（非流式请求直接朗读整条消息）
+ * @param {HTMLElement|null} assistantMessageEl - 助手消息元素
+ */
+function finishStream(assistantMessageEl) {
+    if (!session?.streaming) return;
+
+    const current = session;
+    current.streaming = false;
+    current.finished = true;
+
+    let sentences;
+    if (current.streamText) {
+        sentences = splitSentences(markdownToSpeech(current.streamText.slice(current.consumed)));
+    } else {
+        sentences = splitSentences(getMessageSpeechText(assistantMessageEl));
+    }
+
+    if (sentences.length > 0) {
+        enqueueSentences(sentences);
+    } else {
+        playNext();
+    }
+}
+
+/**
+ * 填充浏览器语音下拉框
+ */
+function populateVoiceOptions() {
+    const select = document.getElementById('tts-voice-select');
+    if (!select || !window.speechSynthesis) return;
+
+    const voices = window.speechSynthesis.getVoices();
+    select.innerHTML = '<option value="">系统默认</option>';
+    voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceURI;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        select.appendChild(option);
+    });
+    select.value = voices.some(v => v.voiceURI === state.ttsVoice) ? state.ttsVoice : '';
+}
+
+/**
+ * 初始化朗读功能
+ */
+export function initReadAloud() {
+    if (window.speechSynthesis) {
+        populateVoiceOptions();
+        window.speechSynthesis.addEventListener?.('voiceschanged', populateVoiceOptions);
+    } else {
+        const voiceSelect = document.getElementById('tts-voice-select');
+        if (voiceSelect) voiceSelect.disabled = true;
+    }
+
+    eventBus.on('message:read-aloud-requested', ({ messageEl }) => {
+        toggleReadMessage(messageEl);
+    });
+
+    // 自动朗读：跟随请求状态开始/结束
+    let assistantMessageEl = null;
+    eventBus.on('request:state-changed', ({ to, metadata }) => {
+        if (to === RequestState.SENDING) {
+            assistantMessageEl = null;
+            if (state.ttsAutoRead) startSession(null, true);
+        } else if (to === RequestState.STREAMING && metadata?.assistantMessageEl) {
+            assistantMessageEl = metadata.assistantMessageEl;
+            if (session?.streaming && !session.messageEl) {
+                session.messageEl = assistantMessageEl;
+                setButtonActive(assistantMessageEl, true);
+            }
+        } else if (to === RequestState.COMPLETED || to === RequestState.ERROR) {
+            finishStream(assistantMessageEl);
+        } else if (to === RequestState.CANCELLED && session?.streaming) {
+            stopReadAloud();
+        }
+    });
+
+    eventBus.on('stream:text-updated', ({ textContent }) => {
+        handleStreamText(textContent);
+    });
+
+    // 切换会话时停止朗读
+    eventBus.on('session:before-switch', () => stopReadAloud());
+}
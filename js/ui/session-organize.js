@@ -0,0 +1,300 @@
+/**
+ * 会话整理对话框
+ * 设置单个会话的置顶 / 文件夹 / 标签，以及管理标签颜色
+ */
+
+import { state } from '../core/state.js';
+import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { showInputDialog, showConfirmDialog } from '../utils/dialogs.js';
+import {
+    createFolder,
+    renameFolder,
+    deleteFolder,
+    getFolder,
+    getChildFolders,
+    getFolderPath,
+    getTagColor,
+    normalizeTagName,
+    setSessionPinned,
+    moveSessionToFolder,
+    setSessionTags,
+    setTagColor,
+    deleteTag
+} from '../state/session-organization.js';
+
+/**
+ * 创建模态框骨架并绑定关闭逻辑
+ * @returns {{dialog: HTMLElement, close: Function}}
+ */
+function createModal(title, bodyHTML, footerHTML, className) {
+    const dialog = document.createElement('div');
+    dialog.className = 'modal active';
+    dialog.style.zIndex = '10002';
+
+    dialog.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content ${className}" style="max-width: 440px;">
+            <div class="modal-header">
+                <h3>${title}</h3>
+                <button class="close-btn" data-action="close" aria-label="关闭">×</button>
+            </div>
+            <div class="modal-body">${bodyHTML}</div>
+            <div class="modal-footer">${footerHTML}</div>
+        </div>
+    `;
+
+    document.body.appendChild(dialog);
+
+    const close = () => {
+        document.removeEventListener('keydown', handleKeydown);
+        dialog.remove();
+    };
+
+    const handleKeydown = (e) => {
+        // 输入/确认对话框（层级更高）打开时不响应
+        const subDialogOpen = ['input-dialog-modal', 'confirm-dialog-modal']
+            .some(id => document.getElementById(id)?.style.display === 'flex');
+        if (e.key === 'Escape' && !subDialogOpen) {
+            close();
+        }
+    };
+
+    dialog.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+    dialog.querySelector('.modal-overlay').addEventListener('click', close);
+    document.addEventListener('keydown', handleKeydown);
+
+    return { dialog, close };
+}
+
+/**
+ * 生成文件夹下拉选项（按层级缩进）
+ */
+function renderFolderOptions(selectedId, parentId = null, depth = 0) {
+    return getChildFolders(parentId).map(folder => `
+        <option value="${escapeHtml(folder.id)}" ${folder.id === selectedId ? 'selected' : ''}>
+            ${'　'.repeat(depth)}${escapeHtml(folder.name)}
+        </option>
+        ${renderFolderOptions(selectedId, folder.id, depth + 1)}
+    `).join('');
+}
+
+/**
+ * 渲染标签胶囊
+ * @param {string} name - 标签名称
+ * @param {boolean} removable - 是否显示移除按钮
+ * @returns {string} HTML
+ */
+export function renderTagChip(name, removable = false) {
+    return `
+        <span class="session-tag" style="--tag-color: ${escapeHtml(getTagColor(name))}" data-tag="${escapeHtml(name)}">
+            ${escapeHtml(name)}
+            ${removable ? `<button class="session-tag-remove" data-tag="${escapeHtml(name)}" aria-label="移除标签 ${escapeHtml(name)}">×</button>` : ''}
+        </span>
+    `;
+}
+
+/**
+ * 显示会话整理对话框（置顶、文件夹、标签）
+ * @param {string} sessionId - 会话 ID
+ */
+export function showOrganizeSessionDialog(sessionId) {
+    const session = state.sessions.find(s => s.id === sessionId);
+    if (!session) return;
+
+    let tags = [...(session.tags || [])];
+    const folderId = session.folderId && getFolder(session.folderId) ? session.folderId : '';
+
+    const body = `
+        <p class="session-organize-name" title="${escapeHtml(session.name)}">${escapeHtml(session.name)}</p>
+        <label class="session-organize-pin">
+            <input type="checkbox" id="organize-pinned" ${session.pinned ? 'checked' : ''}>
+            置顶此会话
+        </label>
+        <div class="form-group">
+            <label for="organize-folder">文件夹</label>
+            <div class="session-organize-row">
+                <select id="organize-folder" class="form-control">
+                    <option value="">未归档</option>
+                    ${renderFolderOptions(folderId)}
+                </select>
+                <button class="btn btn-secondary" data-action="new-folder" title="新建文件夹">${getIcon('plus', { size: 14 })}</button>
+            </div>
+        </div>
+        <div class="form-group">
+            <label for="organize-tag-input">标签</label>
+            <div class="session-organize-tags"></div>
+            <div class="session-organize-row">
+                <input type="text" id="organize-tag-input" class="form-control" list="organize-tag-options"
+                       placeholder="输入标签后按回车" maxlength="20" autocomplete="off">
+                <datalist id="organize-tag-options">
+                    ${state.sessionTags.map(tag => `<option value="${escapeHtml(tag.name)}"></option>`).join('')}
+                </datalist>
+                <button class="btn btn-secondary" data-action="add-tag">添加</button>
+            </div>
+        </div>
+    `;
+
+    const footer = `
+        <button class="btn btn-secondary" data-action="close">取消</button>
+        <button class="btn btn-primary" data-action="save">保存</button>
+    `;
+
+    const { dialog, close } = createModal(`${getIcon('folder', { size: 18 })} 整理会话`, body, footer, 'session-organize-dialog');
+
+    const folderSelect = dialog.querySelector('#organize-folder');
+    const tagInput = dialog.querySelector('#organize-tag-input');
+    const tagsContainer = dialog.querySelector('.session-organize-tags');
+
+    const renderTags = () => {
+        tagsContainer.innerHTML = tags.length > 0
+            ? tags.map(name => renderTagChip(name, true)).join('')
+            : '<span class="session-organize-empty">暂无标签</span>';
+    };
+
+    const addTag = () => {
+        const name = normalizeTagName(tagInput.value);
+        if (name && !tags.includes(name)) {
+            tags.push(name);
+            renderTags();
+        }
+        tagInput.value = '';
+        tagInput.focus();
+    };
+
+    tagsContainer.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.session-tag-remove');
+        if (!removeBtn) return;
+        tags = tags.filter(name => name !== removeBtn.dataset.tag);
+        renderTags();
+    });
+
+    tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addTag();
+        }
+    });
+
+    dialog.querySelector('[data-action="add-tag"]').addEventListener('click', addTag);
+
+    dialog.querySelector('[data-action="new-folder"]').addEventListener('click', async () => {
+        const name = await showInputDialog('请输入文件夹名称:', '', '新建文件夹');
+        if (!name || !name.trim()) return;
+
+        const folder = await createFolder(name, folderSelect.value || null);
+        folderSelect.innerHTML = `<option value="">未归档</option>${renderFolderOptions(folder.id)}`;
+    });
+
+    dialog.querySelector('[data-action="save"]').addEventListener('click', async () => {
+        // 输入框中尚未确认的标签也一并保存
+        const pendingTag = normalizeTagName(tagInput.value);
+        if (pendingTag && !tags.includes(pendingTag)) tags.push(pendingTag);
+
+        const pinned = dialog.querySelector('#organize-pinned').checked;
+        if (pinned !== !!session.pinned) {
+            await setSessionPinned(sessionId, pinned);
+        }
+        await moveSessionToFolder(sessionId, folderSelect.value || null);
+        await setSessionTags(sessionId, tags);
+        close();
+    });
+
+    renderTags();
+    tagInput.focus();
+}
+
+/**
+ * 显示标签管理对话框（修改颜色、删除标签）
+ */
+export function showTagManagerDialog() {
+    const footer = `<button class="btn btn-primary" data-action="close">完成</button>`;
+    const { dialog } = createModal(`${getIcon('star', { size: 18 })} 管理标签`, '<div class="tag-manager-list"></div>', footer, 'tag-manager-dialog');
+
+    const list = dialog.querySelector('.tag-manager-list');
+
+    const render = () => {
+        if (state.sessionTags.length === 0) {
+            list.innerHTML = '<p class="session-organize-empty">还没有标签，可在会话的整理菜单中添加</p>';
+            return;
+        }
+
+        list.innerHTML = state.sessionTags.map(tag => {
+            const count = state.sessions.filter(s => s.tags?.includes(tag.name)).length;
+            return `
+                <div class="tag-manager-item" data-tag="${escapeHtml(tag.name)}">
+                    <input type="color" class="tag-color-input" value="${escapeHtml(tag.color)}" aria-label="标签颜色">
+                    ${renderTagChip(tag.name)}
+                    <span class="tag-manager-count">${count} 个会话</span>
+                    <button class="session-action-btn delete" data-action="delete-tag" title="删除标签" aria-label="删除标签 ${escapeHtml(tag.name)}">
+                        ${getIcon('trash', { size: 14 })}
+                    </button>
+                </div>
+            `;
+        }).join('');
+    };
+
+    list.addEventListener('change', async (e) => {
+        if (!e.target.classList.contains('tag-color-input')) return;
+        const name = e.target.closest('.tag-manager-item').dataset.tag;
+        await setTagColor(name, e.target.value);
+        render();
+    });
+
+    list.addEventListener('click', async (e) => {
+        const deleteBtn = e.target.closest('[data-action="delete-tag"]');
+        if (!deleteBtn) return;
+
+        const name = deleteBtn.closest('.tag-manager-item').dataset.tag;
+        const confirmed = await showConfirmDialog(`确定要删除标签 "${name}" 吗？所有会话上的该标签都会被移除。`, '删除标签');
+        if (!confirmed) return;
+
+        await deleteTag(name);
+        render();
+    });
+
+    render();
+}
+
+/**
+ * 提示输入名称并新建文件夹
+ * @param {string|null} parentId - 父文件夹 ID
+ */
+export async function promptCreateFolder(parentId = null) {
+    const title = parentId ? `在 "${getFolderPath(parentId)}" 中新建文件夹` : '新建文件夹';
+    const name = await showInputDialog('请输入文件夹名称:', '', title);
+    if (name && name.trim()) {
+        await createFolder(name, parentId);
+    }
+}
+
+/**
+ * 提示输入名称并重命名文件夹
+ * @param {string} folderId - 文件夹 ID
+ */
+export async function promptRenameFolder(folderId) {
+    const folder = getFolder(folderId);
+    if (!folder) return;
+
+    const name = await showInputDialog('请输入新的文件夹名称:', folder.name, '重命名文件夹');
+    if (name && name.trim()) {
+        await renameFolder(folderId, name);
+    }
+}
+
+/**
+ * 确认后删除文件夹
+ * @param {string} folderId - 文件夹 ID
+ */
+export async function confirmDeleteFolder(folderId) {
+    const folder = getFolder(folderId);
+    if (!folder) return;
+
+    const confirmed = await showConfirmDialog(
+        `确定要删除文件夹 "${folder.name}" 吗？其中的会话和子文件夹会移动到上一级，不会被删除。`,
+        '删除文件夹'
+    );
+    if (confirmed) {
+        await deleteFolder(folderId);
+    }
+}
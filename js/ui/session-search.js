@@ -1,25 +1,51 @@
 /**
  * 会话搜索模块
- * 支持全局搜索所有会话的消息内容（OpenAI/Gemini/Claude 三种格式）
+ * 基于 IndexedDB 全文索引搜索所有会话的消息内容（OpenAI/Gemini/Claude 三种格式）
+ * 支持 "短语"、role:user|assistant、model:名称、from:/to:YYYY-MM-DD 过滤
  */
 
 import { state } from '../core/state.js';
 import { elements } from '../core/elements.js';
 import { eventBus } from '../core/events.js';
 import { escapeHtml } from '../utils/helpers.js';
+import {
+    initSearchIndex,
+    parseQuery,
+    hasSearchCriteria,
+    normalizeText,
+    buildSessionDocuments,
+    matchDocument,
+    searchDocuments,
+    createSnippet
+} from '../state/search-index.js';
 
 // 搜索状态
 let searchDebounceTimer = null;
 let currentQuery = '';
+let searchSequence = 0; // 丢弃过期的异步搜索结果
+
+// 每个会话最多展示的匹配消息数
+const MAX_MATCHED_MESSAGES = 3;
 
 /**
  * 初始化会话搜索
  */
 export function initSessionSearch() {
+    initSearchIndex();
     bindSearchEvents();
     console.log('Session Search initialized');
 }
 
+/**
+ * 延迟重新执行当前搜索（会话或索引变化时）
+ */
+function scheduleSearch(delay = 300) {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => {
+        performSearch(currentQuery);
+    }, delay);
+}
+
 /**
  * 绑定搜索事件
  */
@@ -35,10 +61,7 @@ function bindSearchEvents() {
         }
 
         // 防抖搜索
-        clearTimeout(searchDebounceTimer);
-        searchDebounceTimer = setTimeout(() => {
-            performSearch(query);
-        }, 300);
+        scheduleSearch();
     });
 
     // 清除按钮
@@ -51,22 +74,12 @@ function bindSearchEvents() {
         }
     });
 
-    // 监听会话列表更新，刷新当前会话的搜索缓存
+    // 会话列表或索引更新后刷新搜索结果
     eventBus.on('sessions:updated', () => {
-        buildSearchCacheForCurrentSession(); // 覆盖旧缓存
-        if (currentQuery) {
-            performSearch(currentQuery);
-        }
+        if (currentQuery) scheduleSearch();
     });
-
-    // 切换离开前：为当前会话快照搜索缓存（之后消息从内存释放）
-    eventBus.on('session:before-switch', () => {
-        buildSearchCacheForCurrentSession();
-    });
-
-    // 切换完成后：为新会话构建搜索缓存
-    eventBus.on('session:switched', () => {
-        buildSearchCacheForCurrentSession();
+    eventBus.on('search-index:updated', () => {
+        if (currentQuery) scheduleSearch();
     });
 }
 
@@ -80,6 +93,7 @@ function clearSearch() {
     if (elements.sessionSearchClear) {
         elements.sessionSearchClear.style.display = 'none';
     }
+    clearTimeout(searchDebounceTimer);
     currentQuery = '';
     performSearch('');
 }
@@ -88,11 +102,17 @@ function clearSearch() {
  * 执行搜索
  * @param {string} query - 搜索关键词
  */
-function performSearch(query) {
-    const searchResults = searchSessions(query);
+async function performSearch(query) {
+    const sequence = ++searchSequence;
+    const searchResults = await searchSessions(query);
+
+    // 期间有新的搜索，丢弃本次结果
+    if (sequence !== searchSequence) return;
+
+    const hasQuery = !!query.trim();
 
     // 显示/隐藏搜索提示
-    if (query && searchResults.length < state.sessions.length) {
+    if (hasQuery && searchResults.length < state.sessions.length) {
         showSearchHint(searchResults.length, state.sessions.length);
     } else {
         hideSearchHint();
@@ -100,129 +120,73 @@ function performSearch(query) {
 
     // 触发会话列表更新事件，携带搜索结果
     eventBus.emit('sessions:search-filter', {
-        searchResults,
+        searchResults: hasQuery ? searchResults : null,
         query
     });
 }
 
 /**
- * 搜索所有会话
- * @param {string} query - 搜索关键词
- * @returns {Array} 匹配的会话数组（增强版，包含匹配消息信息）
+ * 查询匹配的消息文档（索引不可用时退化为只搜索当前会话）
+ * @param {Object} parsed - 解析后的查询
+ * @returns {Promise<Array>}
  */
-// 搜索文本缓存：sessionId -> { text, messages } （避免每次搜索都遍历消息数组）
-const searchTextCache = new Map();
-
-/**
- * 获取会话的搜索文本（优先缓存，否则从当前 state 或 IndexedDB 加载）
- */
-function getSearchableMessages(session) {
-    // 当前会话：直接从 state 取
-    if (session.id === state.currentSessionId) {
-        const messages = state.apiFormat === 'gemini' ? state.geminiContents : state.messages;
-        return { messages, format: state.apiFormat };
+async function findMatchingDocuments(parsed) {
+    try {
+        return await searchDocuments(parsed);
+    } catch (error) {
+        console.warn('[SessionSearch] 全文索引不可用，仅搜索当前会话:', error);
+        const docs = buildSessionDocuments(state.currentSessionId, {
+            messages: state.messages,
+            geminiContents: state.geminiContents,
+            claudeContents: state.claudeContents
+        });
+        return docs.filter(doc => matchDocument(doc, parsed));
     }
-    // 非当前会话：使用缓存的搜索文本
-    const cached = searchTextCache.get(session.id);
-    if (cached) return cached;
-    // 没有缓存——无法同步搜索非当前会话的消息内容
-    // 返回空（只搜名称）
-    return { messages: [], format: session.apiFormat || 'openai' };
 }
 
 /**
- * 为当前会话构建搜索缓存
+ * 搜索所有会话
+ * @param {string} query - 搜索关键词
+ * @returns {Promise<Array>} 匹配的会话数组（包含匹配消息信息）
  */
-export function buildSearchCacheForCurrentSession() {
-    if (!state.currentSessionId) return;
-    const format = state.apiFormat;
-    let messages;
-    switch (format) {
-        case 'gemini': messages = state.geminiContents; break;
-        case 'claude': messages = state.claudeContents; break;
-        default: messages = state.messages;
+export async function searchSessions(query) {
+    const parsed = parseQuery(query);
+    if (!hasSearchCriteria(parsed)) {
+        return state.sessions.map(s => ({ session: s, matchedMessages: [] }));
     }
-    // 提取所有消息文本用于搜索
-    const extracted = messages.map((msg, index) => ({
-        text: extractMessageText(msg, format),
-        role: msg.role || 'unknown',
-        id: msg.id || `msg_${index}`,
-        index
-    }));
-    searchTextCache.set(state.currentSessionId, { messages: extracted, format });
-}
 
-/**
- * 清除指定会话的搜索缓存
- */
-export function clearSearchCache(sessionId) {
-    if (sessionId) {
-        searchTextCache.delete(sessionId);
-    } else {
-        searchTextCache.clear();
-    }
-}
+    const docs = await findMatchingDocuments(parsed);
 
-export function searchSessions(query) {
-    if (!query || query.trim() === '') {
-        return state.sessions.map(s => ({ session: s, matchedMessages: [] }));
+    // 按会话分组
+    const docsBySession = new Map();
+    for (const doc of docs) {
+        if (!docsBySession.has(doc.sessionId)) docsBySession.set(doc.sessionId, []);
+        docsBySession.get(doc.sessionId).push(doc);
     }
 
-    const lowerQuery = query.toLowerCase().trim();
-    const results = [];
+    // 会话名称匹配（只有文本条件、没有过滤条件时才按名称匹配）
+    const hasFilters = Object.values(parsed.filters).some(v => v !== null);
+    const nameWords = parsed.highlights.map(normalizeText);
 
+    const results = [];
     for (const session of state.sessions) {
-        let matchCount = 0;
-        let matchedInName = false;
-        const matchedMessages = [];
-
-        // 1. 搜索会话名称
-        if (session.name && session.name.toLowerCase().includes(lowerQuery)) {
-            matchCount += 10;
-            matchedInName = true;
-        }
-
-        // 2. 搜索消息内容
-        const searchData = getSearchableMessages(session);
-        const messagesArray = searchData.messages || [];
-        const format = searchData.format || session.apiFormat || 'openai';
-
-        // 如果是预提取的缓存格式
-        messagesArray.forEach((item, idx) => {
-            const text = item.text !== undefined ? item.text : extractMessageText(item, format);
-            const lowerText = text.toLowerCase();
-
-            if (lowerText.includes(lowerQuery)) {
-                matchCount++;
-
-                const matchIndex = lowerText.indexOf(lowerQuery);
-                const contextStart = Math.max(0, matchIndex - 50);
-                const contextEnd = Math.min(text.length, matchIndex + lowerQuery.length + 50);
-                let preview = text.slice(contextStart, contextEnd);
-                if (contextStart > 0) preview = '...' + preview;
-                if (contextEnd < text.length) preview = preview + '...';
-
-                const role = item.role || item.role || 'unknown';
-                const index = item.index !== undefined ? item.index : idx;
-
-                matchedMessages.push({
-                    index,
-                    messageId: item.id || `msg_${index}`,
-                    role,
-                    preview,
-                    fullText: text
-                });
-            }
+        const sessionDocs = (docsBySession.get(session.id) || []).sort((a, b) => a.index - b.index);
+        const name = normalizeText(session.name);
+        const matchedInName = !hasFilters && nameWords.length > 0 && nameWords.every(word => name.includes(word));
+
+        if (sessionDocs.length === 0 && !matchedInName) continue;
+
+        results.push({
+            session,
+            matchCount: sessionDocs.length + (matchedInName ? 10 : 0),
+            matchedInName,
+            matchedMessages: sessionDocs.slice(0, MAX_MATCHED_MESSAGES).map(doc => ({
+                index: doc.index,
+                messageId: doc.messageId,
+                role: doc.role,
+                preview: createSnippet(doc.text, parsed.highlights)
+            }))
         });
-
-        if (matchCount > 0) {
-            results.push({
-                session,
-                matchCount,
-                matchedInName,
-                matchedMessages: matchedMessages.slice(0, 3)
-            });
-        }
     }
 
     results.sort((a, b) => {
@@ -234,59 +198,6 @@ export function searchSessions(query) {
     return results;
 }
 
-/**
- * 提取消息文本（支持三种格式）
- * @param {Object} message - 消息对象
- * @param {string} format - 'openai' | 'gemini' | 'claude'
- * @returns {string} 提取的文本
- */
-function extractMessageText(message, format) {
-    if (!message) return '';
-
-    switch (format) {
-        case 'openai':
-        case 'openai-responses':  // Responses API 消息格式与 OpenAI 相同
-        case 'openclaw':          // OpenClaw 使用 OpenAI 格式存储
-            // OpenAI 格式：content 可以是字符串或数组
-            if (typeof message.content === 'string') {
-                return message.content;
-            }
-            if (Array.isArray(message.content)) {
-                return message.content
-                    .filter(part => part.type === 'text')
-                    .map(part => part.text)
-                    .join(' ');
-            }
-            return '';
-
-        case 'gemini':
-            // Gemini 格式：parts 数组中的 text 字段
-            if (Array.isArray(message.parts)) {
-                return message.parts
-                    .filter(part => part.text)
-                    .map(part => part.text)
-                    .join(' ');
-            }
-            return '';
-
-        case 'claude':
-            // Claude 格式：content 数组中 type=text 的项
-            if (typeof message.content === 'string') {
-                return message.content;
-            }
-            if (Array.isArray(message.content)) {
-                return message.content
-                    .filter(part => part.type === 'text')
-                    .map(part => part.text)
-                    .join(' ');
-            }
-            return '';
-
-        default:
-            return '';
-    }
-}
-
 /**
  * 高亮匹配文本（安全的HTML高亮）
  * @param {string} text - 原始文本
@@ -296,12 +207,15 @@ function extractMessageText(message, format) {
 export function highlightMatch(text, query) {
     if (!query || !text) return escapeHtml(text);
 
-    const escapedText = escapeHtml(text);
-    const escapedQuery = escapeHtml(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // 转义正则特殊字符
+    // 只高亮查询中的词和短语（不含 role: 等过滤条件）
+    const words = parseQuery(query).highlights
+        .map(word => escapeHtml(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) // 转义正则特殊字符
+        .sort((a, b) => b.length - a.length);
+    if (words.length === 0) return escapeHtml(text);
 
     // 使用正则替换（不区分大小写）
-    const regex = new RegExp(`(${escapedQuery})`, 'gi');
-    return escapedText.replace(regex, '<mark>$1</mark>');
+    const regex = new RegExp(`(${words.join('|')})`, 'gi');
+    return escapeHtml(text).replace(regex, '<mark>$1</mark>');
 }
 
 /**
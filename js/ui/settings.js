@@ -8,6 +8,7 @@ import { elements } from '../core/elements.js';
 import { eventBus } from '../core/events.js';
 import { saveCurrentConfig } from '../state/config.js';
 import { savePreference, loadPreference } from '../state/storage.js';
+import { openAuditLogViewer } from './audit-log-viewer.js';
 
 /**
  * 焦点陷阱 - 限制焦点在指定元素内
@@ -162,6 +163,94 @@ export function initSettings() {
         });
     }
 
+    // 语音输入模式选择器
+    const voiceInputModeSelect = document.getElementById('voice-input-mode-select');
+    if (voiceInputModeSelect) {
+        voiceInputModeSelect.value = state.voiceInputMode || 'auto';
+        voiceInputModeSelect.addEventListener('change', (e) => {
+            state.voiceInputMode = e.target.value;
+            saveCurrentConfig();
+            console.log(`[Settings] 语音输入模式: ${e.target.value}`);
+        });
+    }
+
+    // 朗读设置
+    const ttsAutoRead = document.getElementById('tts-auto-read');
+    if (ttsAutoRead) {
+        ttsAutoRead.checked = state.ttsAutoRead;
+        ttsAutoRead.addEventListener('change', (e) => {
+            state.ttsAutoRead = e.target.checked;
+            saveCurrentConfig();
+            console.log('[Settings] 自动朗读已', e.target.checked ? '启用' : '禁用');
+        });
+    }
+
+    const ttsEngineSelect = document.getElementById('tts-engine-select');
+    if (ttsEngineSelect) {
+        ttsEngineSelect.value = state.ttsEngine || 'browser';
+        ttsEngineSelect.addEventListener('change', (e) => {
+            state.ttsEngine = e.target.value;
+            saveCurrentConfig();
+            console.log(`[Settings] 朗读引擎: ${e.target.value}`);
+        });
+    }
+
+    document.getElementById('tts-voice-select')?.addEventListener('change', (e) => {
+        state.ttsVoice = e.target.value;
+        saveCurrentConfig();
+        console.log(`[Settings] 朗读语音: ${e.target.value || '系统默认'}`);
+    });
+
+    // 上下文管理
+    const contextStrategySelect = document.getElementById('context-strategy-select');
+    if (contextStrategySelect) {
+        contextStrategySelect.value = state.contextStrategy || 'off';
+        contextStrategySelect.addEventListener('change', (e) => {
+            state.contextStrategy = e.target.value;
+            saveCurrentConfig();
+            eventBus.emit('context:settings-changed');
+            console.log(`[Settings] 上下文管理策略: ${e.target.value}`);
+        });
+    }
+
+    const contextWindowTurns = document.getElementById('context-window-turns');
+    if (contextWindowTurns) {
+        contextWindowTurns.value = state.contextWindowTurns;
+        contextWindowTurns.addEventListener('change', (e) => {
+            const turns = parseInt(e.target.value, 10);
+            state.contextWindowTurns = Number.isFinite(turns) && turns > 0 ? turns : 10;
+            e.target.value = state.contextWindowTurns;
+            saveCurrentConfig();
+            eventBus.emit('context:settings-changed');
+            console.log(`[Settings] 滑动窗口轮数: ${state.contextWindowTurns}`);
+        });
+    }
+
+    // 自动重试
+    const retryMaxAttempts = document.getElementById('retry-max-attempts');
+    if (retryMaxAttempts) {
+        retryMaxAttempts.value = state.retryMaxAttempts;
+        retryMaxAttempts.addEventListener('change', (e) => {
+            const attempts = parseInt(e.target.value, 10);
+            state.retryMaxAttempts = Number.isFinite(attempts) ? Math.min(10, Math.max(0, attempts)) : 3;
+            e.target.value = state.retryMaxAttempts;
+            saveCurrentConfig();
+            console.log(`[Settings] 自动重试次数: ${state.retryMaxAttempts}`);
+        });
+    }
+
+    const retryBaseDelay = document.getElementById('retry-base-delay');
+    if (retryBaseDelay) {
+        retryBaseDelay.value = state.retryBaseDelayMs / 1000;
+        retryBaseDelay.addEventListener('change', (e) => {
+            const seconds = parseFloat(e.target.value);
+            state.retryBaseDelayMs = Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : 1000;
+            e.target.value = state.retryBaseDelayMs / 1000;
+            saveCurrentConfig();
+            console.log(`[Settings] 重试初始等待: ${state.retryBaseDelayMs}ms`);
+        });
+    }
+
 
     // 初始化更新设置（仅 Electron/APK）
     initUpdateSettings();
@@ -211,6 +300,7 @@ export function initSettings() {
                 checkbox.addEventListener('change', (e) => {
                     state.computerUsePermissions[key] = e.target.checked;
                     saveCurrentConfig();
+                    syncComputerUseConfig();
                     console.log(`[Settings] 💻 ${key} 权限已`, e.target.checked ? '启用' : '禁用');
                 });
             }
@@ -223,6 +313,7 @@ export function initSettings() {
             bashWorkingDir.addEventListener('input', (e) => {
                 state.bashConfig.workingDirectory = e.target.value;
                 saveCurrentConfig();
+                syncComputerUseConfig();
             });
         }
 
@@ -233,6 +324,7 @@ export function initSettings() {
             bashTimeout.addEventListener('input', (e) => {
                 state.bashConfig.timeout = parseInt(e.target.value) || 30;
                 saveCurrentConfig();
+                syncComputerUseConfig();
             });
         }
 
@@ -243,8 +335,50 @@ export function initSettings() {
             bashConfirm.addEventListener('change', (e) => {
                 state.bashConfig.requireConfirmation = e.target.checked;
                 saveCurrentConfig();
+                syncComputerUseConfig();
+            });
+        }
+
+        // Bash 命令规则（每行一个）
+        const patternFields = [
+            ['bash-allow-patterns', 'allowPatterns'],
+            ['bash-deny-patterns', 'denyPatterns'],
+            ['bash-ask-patterns', 'askPatterns']
+        ];
+        patternFields.forEach(([id, key]) => {
+            const textarea = document.getElementById(id);
+            if (!textarea) return;
+            textarea.value = (state.bashConfig[key] || []).join('\n');
+            textarea.addEventListener('change', (e) => {
+                state.bashConfig[key] = e.target.value
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(Boolean);
+                saveCurrentConfig();
+                syncComputerUseConfig();
+            });
+        });
+
+        // 文本编辑器允许访问的根目录（每行一个）
+        const allowedRoots = document.getElementById('text-editor-allowed-roots');
+        if (allowedRoots) {
+            allowedRoots.value = (state.textEditorConfig.allowedRoots || []).join('\n');
+            allowedRoots.addEventListener('change', (e) => {
+                state.textEditorConfig.allowedRoots = e.target.value
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(Boolean);
+                saveCurrentConfig();
+                syncComputerUseConfig();
             });
         }
+
+        // 审计日志查看器
+        document.getElementById('open-audit-log')?.addEventListener('click', openAuditLogViewer);
+
+        // 同步到主进程（启动时和导入配置后）
+        syncComputerUseConfig();
+        eventBus.on('config:loaded', syncComputerUseConfig);
     }
 
     // 移动端手风琴折叠
@@ -253,6 +387,16 @@ export function initSettings() {
     console.log('Settings panel initialized');
 }
 
+/**
+ * 将 Computer Use 权限和配置同步到主进程（主进程按此检查权限和文件访问范围）
+ */
+function syncComputerUseConfig() {
+    const api = window.electronAPI;
+    api?.computerUse_updatePermissions?.(state.computerUsePermissions);
+    api?.computerUse_updateBashConfig?.(state.bashConfig);
+    api?.computerUse_updateTextEditorConfig?.(state.textEditorConfig);
+}
+
 /**
  * 检测是否在 Electron 或 APK 环境
  */
@@ -15,11 +15,29 @@ import { showNotification } from './notifications.js';
 import { savePreference, loadPreference, loadSessionMessages } from '../state/storage.js';
 // 新增：自定义对话框（替代 Electron 中不支持的 prompt/confirm）
 import { showInputDialog, showConfirmDialog } from '../utils/dialogs.js';
+import {
+    getFolder,
+    getChildFolders,
+    moveFolder,
+    moveSessionToFolder,
+    toggleFolderCollapsed,
+    toggleTagFilter,
+    matchesTagFilter
+} from '../state/session-organization.js';
+import {
+    renderTagChip,
+    showOrganizeSessionDialog,
+    showTagManagerDialog,
+    promptCreateFolder,
+    promptRenameFolder,
+    confirmDeleteFolder
+} from './session-organize.js';
 
 // 模块状态
 let _initialized = false;
 let _subscriptions = [];
 let _searchResults = null; // 搜索结果（包含匹配消息信息）
+let _dragItem = null; // 正在拖拽的会话或文件夹 { type: 'session' | 'folder', id }
 
 /**
  * 获取用于导出的完整会话数据
@@ -41,7 +59,9 @@ async function getSessionDataForExport(sessionMeta) {
             ...sessionMeta,
             messages: state.messages || [],
             geminiContents: state.geminiContents || [],
-            claudeContents: state.claudeContents || []
+            claudeContents: state.claudeContents || [],
+            branches: state.messageBranches || {},
+            contextSummary: state.contextSummary || null
         };
     }
 
@@ -178,8 +198,11 @@ export function updateBackgroundTasksIndicator() {
 export function updateSessionList() {
     if (!elements.sessionList) return;
 
+    renderTagFilterBar();
+
     // 使用搜索结果或默认显示所有会话
     const currentQuery = getCurrentQuery();
+    const isSearching = !!_searchResults;
     let sessionsData = _searchResults;
 
     if (!sessionsData) {
@@ -187,6 +210,10 @@ export function updateSessionList() {
         sessionsData = state.sessions.map(s => ({ session: s, matchedMessages: [] }));
     }
 
+    // 标签筛选
+    const isFiltering = state.sessionTagFilter.length > 0;
+    sessionsData = sessionsData.filter(({ session }) => matchesTagFilter(session));
+
     // 如果没有会话，显示空状态
     if (sessionsData.length === 0 && state.sessions.length === 0) {
         elements.sessionList.innerHTML = `
@@ -204,8 +231,8 @@ export function updateSessionList() {
         return;
     }
 
-    // 如果搜索后没有结果，显示空搜索结果
-    if (sessionsData.length === 0 && currentQuery) {
+    // 如果搜索或筛选后没有结果，显示空搜索结果
+    if (sessionsData.length === 0 && (currentQuery || isFiltering)) {
         elements.sessionList.innerHTML = `
             <div class="session-list-empty">
                 <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -214,7 +241,7 @@ export function updateSessionList() {
                 </svg>
                 <div style="margin-top: 12px;">未找到匹配的会话</div>
                 <div style="margin-top: 8px; font-size: 11px; opacity: 0.7;">
-                    尝试其他搜索关键词
+                    ${currentQuery ? '尝试其他搜索关键词' : '尝试取消部分标签筛选'}
                 </div>
             </div>
         `;
@@ -227,91 +254,100 @@ export function updateSessionList() {
         existingElements.set(el.dataset.sessionId, el);
     });
 
-    // 清除空状态（如果有）
-    const emptyState = elements.sessionList.querySelector('.session-list-empty');
-    if (emptyState) emptyState.remove();
-
-    // 构建新的会话 ID 集合
-    const sessionIds = new Set(sessionsData.map(d => d.session.id));
-
-    // 删除不再存在的会话元素
-    existingElements.forEach((el, id) => {
-        if (!sessionIds.has(id)) {
-            el.remove();
+    // 绑定会话元素事件的辅助函数
+    const bindSessionEvents = (element, sessionData) => {
+        // 检查是否已经绑定过事件（防止重复绑定）
+        if (element._eventsBound) {
+            return;
         }
-    });
 
-    sessionsData.forEach(({ session, matchedMessages }, idx) => {
-        let sessionEl = existingElements.get(session.id);
-        const hasBackgroundTask = state.backgroundTasks.has(session.id);
-        const isActive = session.id === state.currentSessionId;
+        // 整理按钮（置顶 / 文件夹 / 标签）
+        const organizeBtn = element.querySelector('.organize-session-btn');
+        if (organizeBtn) {
+            organizeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showOrganizeSessionDialog(sessionData.id);
+            });
+        }
 
-        // 绑定会话元素事件的辅助函数
-        const bindSessionEvents = (element, sessionData) => {
-            // 检查是否已经绑定过事件（防止重复绑定）
-            if (element._eventsBound) {
-                return;
-            }
+        // 重命名按钮
+        const renameBtn = element.querySelector('.rename-session-btn');
+        if (renameBtn) {
+            renameBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const newName = await showInputDialog(
+                    '请输入新的会话名称:',
+                    sessionData.name,
+                    '重命名会话'
+                );
+                if (newName && newName.trim()) {
+                    renameSession(sessionData.id, newName);
+                }
+            });
+        }
 
-            // 重命名按钮
-            const renameBtn = element.querySelector('.rename-session-btn');
-            if (renameBtn) {
-                renameBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    const newName = await showInputDialog(
-                        '请输入新的会话名称:',
-                        sessionData.name,
-                        '重命名会话'
-                    );
-                    if (newName && newName.trim()) {
-                        renameSession(sessionData.id, newName);
+        // 删除按钮
+        const deleteBtn = element.querySelector('.delete-session-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const confirmed = await showConfirmDialog(
+                    `确定要删除会话 "${sessionData.name}" 吗？`,
+                    '确认删除'
+                );
+                if (confirmed) {
+                    try {
+                        await deleteSession(sessionData.id);
+                    } catch (err) {
+                        console.error('删除会话失败:', err);
+                        eventBus.emit('ui:notification', { message: '删除会话失败', type: 'error' });
                     }
-                });
-            }
+                }
+            });
+        }
 
-            // 删除按钮
-            const deleteBtn = element.querySelector('.delete-session-btn');
-            if (deleteBtn) {
-                deleteBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    const confirmed = await showConfirmDialog(
-                        `确定要删除会话 "${sessionData.name}" 吗？`,
-                        '确认删除'
-                    );
-                    if (confirmed) {
-                        try {
-                            await deleteSession(sessionData.id);
-                        } catch (err) {
-                            console.error('删除会话失败:', err);
-                            eventBus.emit('ui:notification', { message: '删除会话失败', type: 'error' });
-                        }
+        // 导出按钮
+        const exportBtn = element.querySelector('.export-session-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                try {
+                    const exportSession = await getSessionDataForExport(sessionData);
+                    const markdown = sessionToMarkdown(exportSession);
+                    if (!markdown.trim()) {
+                        throw new Error('会话内容为空，无法复制');
                     }
-                });
-            }
+                    await navigator.clipboard.writeText(markdown);
+                    showNotification('会话已作为 Markdown 复制到剪切板', 'success');
+                } catch (err) {
+                    console.error('导出失败:', err);
+                    showNotification('导出失败: ' + err.message, 'error');
+                }
+            });
+        }
 
-            // 导出按钮
-            const exportBtn = element.querySelector('.export-session-btn');
-            if (exportBtn) {
-                exportBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    try {
-                        const exportSession = await getSessionDataForExport(sessionData);
-                        const markdown = sessionToMarkdown(exportSession);
-                        if (!markdown.trim()) {
-                            throw new Error('会话内容为空，无法复制');
-                        }
-                        await navigator.clipboard.writeText(markdown);
-                        showNotification('会话已作为 Markdown 复制到剪切板', 'success');
-                    } catch (err) {
-                        console.error('导出失败:', err);
-                        showNotification('导出失败: ' + err.message, 'error');
-                    }
-                });
-            }
+        // 拖拽到文件夹
+        element.addEventListener('dragstart', (e) => {
+            _dragItem = { type: 'session', id: sessionData.id };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', sessionData.id);
+            element.classList.add('dragging');
+        });
+        element.addEventListener('dragend', () => {
+            _dragItem = null;
+            element.classList.remove('dragging');
+            clearDropTargets();
+        });
 
-            // 标记为已绑定，避免重复绑定
-            element._eventsBound = true;
-        };
+        // 标记为已绑定，避免重复绑定
+        element._eventsBound = true;
+    };
+
+    // 创建或更新会话元素
+    const getSessionElement = (session, matchedMessages) => {
+        let sessionEl = existingElements.get(session.id);
+        const hasBackgroundTask = state.backgroundTasks.has(session.id);
+        const isActive = session.id === state.currentSessionId;
 
         if (sessionEl) {
             // 更新现有元素
@@ -337,15 +373,13 @@ export function updateSessionList() {
                 generatingEl.remove();
             }
 
-            // 更新匹配消息预览
-            updateMatchedMessagesPreview(sessionEl, matchedMessages, currentQuery);
-
             // 注意：不需要重新绑定事件，已存在元素已经绑定过了
         } else {
             // 创建新元素
             sessionEl = document.createElement('div');
             sessionEl.className = `session-item${isActive ? ' active' : ''}`;
             sessionEl.dataset.sessionId = session.id;
+            sessionEl.draggable = true;
             sessionEl.setAttribute('tabindex', '0');
             sessionEl.setAttribute('role', 'button');
             sessionEl.setAttribute('aria-label', `会话: ${session.name}`);
@@ -358,9 +392,13 @@ export function updateSessionList() {
             sessionEl.innerHTML = `
                 <div class="session-info">
                     <span class="session-name" title="${escapeHtml(session.name)}">${sessionNameHTML}</span>
+                    <div class="session-tags"></div>
                     ${hasBackgroundTask ? '<span class="session-generating">生成中...</span>' : ''}
                 </div>
                 <div class="session-actions">
+                    <button class="session-action-btn organize-session-btn" title="置顶 / 文件夹 / 标签" aria-label="整理会话">
+                        ${getIcon('folder', { size: 14 })}
+                    </button>
                     <button class="session-action-btn export-session-btn export" title="复制为 Markdown" aria-label="复制此会话为 Markdown">
                         ${getIcon('copy', { size: 14 })}
                     </button>
@@ -379,7 +417,7 @@ export function updateSessionList() {
                 const messagePreviewItem = e.target.closest('.matched-message-item');
                 if (messagePreviewItem) {
                     const messageIndex = parseInt(messagePreviewItem.dataset.messageIndex);
-                    switchToSessionAndScrollToMessage(session.id, messageIndex);
+                    switchToSessionAndScrollToMessage(session.id, messageIndex, messagePreviewItem.dataset.messageId);
                 } else {
                     // 否则正常切换会话
                     switchToSession(session.id);
@@ -391,28 +429,297 @@ export function updateSessionList() {
 
             // 键盘事件
             sessionEl.addEventListener('keydown', (e) => {
+                if (e.target !== sessionEl) return;
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
                     switchToSession(session.id);
                 }
             });
-
-            // 插入到正确位置
-            if (idx === 0) {
-                elements.sessionList.insertBefore(sessionEl, elements.sessionList.firstChild);
-            } else {
-                const prevSession = state.sessions[idx - 1];
-                const prevEl = elements.sessionList.querySelector(`[data-session-id="${prevSession.id}"]`);
-                if (prevEl) {
-                    prevEl.after(sessionEl);
-                } else {
-                    elements.sessionList.appendChild(sessionEl);
-                }
-            }
         }
 
-        // 添加匹配消息预览（新元素）
+        // 置顶标记与标签
+        sessionEl.classList.toggle('pinned', !!session.pinned);
+        updateSessionTags(sessionEl, session);
+
+        // 更新匹配消息预览
         updateMatchedMessagesPreview(sessionEl, matchedMessages, currentQuery);
+
+        return sessionEl;
+    };
+
+    const fragment = document.createDocumentFragment();
+
+    if (isSearching) {
+        // 搜索时按相关度平铺显示
+        sessionsData.forEach(({ session, matchedMessages }) => {
+            fragment.appendChild(getSessionElement(session, matchedMessages));
+        });
+    } else {
+        // 置顶分组 → 文件夹树 → 未归档
+        const pinned = sessionsData.filter(({ session }) => session.pinned);
+        const unpinned = sessionsData.filter(({ session }) => !session.pinned);
+
+        const byFolder = new Map();
+        unpinned.forEach(item => {
+            const folderId = item.session.folderId && getFolder(item.session.folderId) ? item.session.folderId : null;
+            if (!byFolder.has(folderId)) byFolder.set(folderId, []);
+            byFolder.get(folderId).push(item);
+        });
+
+        const hasGroups = pinned.length > 0 || state.sessionFolders.length > 0;
+
+        if (pinned.length > 0) {
+            fragment.appendChild(createGroupLabel('置顶', 'pin'));
+            pinned.forEach(({ session, matchedMessages }) => {
+                fragment.appendChild(getSessionElement(session, matchedMessages));
+            });
+        }
+
+        getChildFolders(null).forEach(folder => {
+            const folderEl = createFolderElement(folder, byFolder, getSessionElement, isFiltering);
+            if (folderEl) fragment.appendChild(folderEl);
+        });
+
+        const unfiled = byFolder.get(null) || [];
+        if (hasGroups && unfiled.length > 0) {
+            fragment.appendChild(createGroupLabel('未归档', 'message', true));
+        }
+        unfiled.forEach(({ session, matchedMessages }) => {
+            fragment.appendChild(getSessionElement(session, matchedMessages));
+        });
+    }
+
+    // 保留焦点（重新排列节点会导致失焦）
+    const focusedId = document.activeElement?.closest?.('.session-item')?.dataset.sessionId;
+    elements.sessionList.replaceChildren(fragment);
+    if (focusedId) {
+        elements.sessionList.querySelector(`.session-item[data-session-id="${CSS.escape(focusedId)}"]`)?.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * 更新会话元素上的标签
+ * @param {HTMLElement} sessionEl - 会话元素
+ * @param {Object} session - 会话元数据
+ */
+function updateSessionTags(sessionEl, session) {
+    const tagsEl = sessionEl.querySelector('.session-tags');
+    if (!tagsEl) return;
+
+    const tags = session.tags || [];
+    tagsEl.innerHTML = tags.map(name => renderTagChip(name)).join('');
+    tagsEl.style.display = tags.length > 0 ? '' : 'none';
+}
+
+/**
+ * 创建分组标题（置顶 / 未归档）
+ * @param {string} label - 标题文本
+ * @param {string} icon - 图标名称
+ * @param {boolean} isRootDropZone - 是否可作为移出文件夹的拖放目标
+ * @returns {HTMLElement}
+ */
+function createGroupLabel(label, icon, isRootDropZone = false) {
+    const labelEl = document.createElement('div');
+    labelEl.className = `session-group-label${isRootDropZone ? ' session-root-drop' : ''}`;
+    labelEl.innerHTML = `${getIcon(icon, { size: 12 })}<span>${label}</span>`;
+    return labelEl;
+}
+
+/**
+ * 统计文件夹（含子文件夹）中可见的会话数
+ */
+function countFolderSessions(folderId, byFolder) {
+    let count = (byFolder.get(folderId) || []).length;
+    getChildFolders(folderId).forEach(child => {
+        count += countFolderSessions(child.id, byFolder);
+    });
+    return count;
+}
+
+/**
+ * 递归创建文件夹元素
+ * @param {Object} folder - 文件夹
+ * @param {Map} byFolder - 文件夹 ID → 会话列表
+ * @param {Function} getSessionElement - 会话元素工厂
+ * @param {boolean} hideEmpty - 是否隐藏没有会话的文件夹（标签筛选时）
+ * @returns {HTMLElement|null}
+ */
+function createFolderElement(folder, byFolder, getSessionElement, hideEmpty) {
+    const count = countFolderSessions(folder.id, byFolder);
+    if (hideEmpty && count === 0) return null;
+
+    // 筛选时强制展开，便于查看结果
+    const collapsed = folder.collapsed && !hideEmpty;
+
+    const folderEl = document.createElement('div');
+    folderEl.className = `session-folder${collapsed ? ' collapsed' : ''}`;
+    folderEl.dataset.folderId = folder.id;
+
+    folderEl.innerHTML = `
+        <div class="session-folder-header" draggable="true" tabindex="0" role="button"
+             aria-expanded="${!collapsed}" aria-label="文件夹: ${escapeHtml(folder.name)}">
+            <span class="session-folder-toggle" aria-hidden="true">›</span>
+            ${getIcon('folder', { size: 14 })}
+            <span class="session-folder-name" title="${escapeHtml(folder.name)}">${escapeHtml(folder.name)}</span>
+            <span class="session-folder-count">${count}</span>
+            <div class="session-folder-actions">
+                <button class="session-folder-btn" data-action="new-subfolder" title="新建子文件夹" aria-label="新建子文件夹">
+                    ${getIcon('plus', { size: 12 })}
+                </button>
+                <button class="session-folder-btn" data-action="rename-folder" title="重命名" aria-label="重命名文件夹">
+                    ${getIcon('edit', { size: 12 })}
+                </button>
+                <button class="session-folder-btn delete" data-action="delete-folder" title="删除文件夹" aria-label="删除文件夹">
+                    ${getIcon('trash', { size: 12 })}
+                </button>
+            </div>
+        </div>
+        <div class="session-folder-children"></div>
+    `;
+
+    if (!collapsed) {
+        const children = folderEl.querySelector('.session-folder-children');
+        getChildFolders(folder.id).forEach(child => {
+            const childEl = createFolderElement(child, byFolder, getSessionElement, hideEmpty);
+            if (childEl) children.appendChild(childEl);
+        });
+        (byFolder.get(folder.id) || []).forEach(({ session, matchedMessages }) => {
+            children.appendChild(getSessionElement(session, matchedMessages));
+        });
+    }
+
+    return folderEl;
+}
+
+/**
+ * 渲染标签筛选栏
+ */
+function renderTagFilterBar() {
+    const filterEl = document.getElementById('session-tag-filter');
+    if (!filterEl) return;
+
+    filterEl.innerHTML = state.sessionTags.map(tag => {
+        const selected = state.sessionTagFilter.includes(tag.name);
+        return `
+            <button class="session-tag session-tag-filter-btn${selected ? ' selected' : ''}"
+                    style="--tag-color: ${escapeHtml(tag.color)}" data-tag="${escapeHtml(tag.name)}"
+                    aria-pressed="${selected}" title="${selected ? '取消筛选' : '按此标签筛选'}">
+                ${escapeHtml(tag.name)}
+            </button>
+        `;
+    }).join('');
+
+    const manageBtn = document.getElementById('manage-tags-btn');
+    if (manageBtn) {
+        manageBtn.style.display = state.sessionTags.length > 0 ? '' : 'none';
+    }
+}
+
+/**
+ * 清除拖放目标高亮
+ */
+function clearDropTargets() {
+    elements.sessionList?.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+}
+
+/**
+ * 获取拖放目标（文件夹或根级）
+ * @returns {{el: HTMLElement, folderId: string|null}|null}
+ */
+function getDropTarget(target) {
+    const header = target.closest('.session-folder-header');
+    if (header) {
+        return { el: header, folderId: header.closest('.session-folder').dataset.folderId };
+    }
+    // 文件夹外的空白区域或“未归档”标题：移出文件夹
+    if (!target.closest('.session-folder') || target.closest('.session-root-drop')) {
+        return { el: elements.sessionList, folderId: null };
+    }
+    return null;
+}
+
+/**
+ * 绑定会话列表上的文件夹操作与拖放（事件委托，文件夹元素每次渲染都会重建）
+ */
+function bindSessionListDelegation() {
+    const list = elements.sessionList;
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const header = e.target.closest('.session-folder-header');
+        if (!header) return;
+
+        const folderId = header.closest('.session-folder').dataset.folderId;
+        const actionBtn = e.target.closest('[data-action]');
+        const action = actionBtn?.dataset.action;
+
+        if (action === 'new-subfolder') {
+            promptCreateFolder(folderId);
+        } else if (action === 'rename-folder') {
+            promptRenameFolder(folderId);
+        } else if (action === 'delete-folder') {
+            confirmDeleteFolder(folderId);
+        } else {
+            toggleFolderCollapsed(folderId);
+        }
+    });
+
+    list.addEventListener('keydown', (e) => {
+        if (!e.target.classList.contains('session-folder-header')) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            toggleFolderCollapsed(e.target.closest('.session-folder').dataset.folderId);
+        }
+    });
+
+    list.addEventListener('dragstart', (e) => {
+        const header = e.target.closest?.('.session-folder-header');
+        if (!header) return;
+
+        const folderId = header.closest('.session-folder').dataset.folderId;
+        _dragItem = { type: 'folder', id: folderId };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', folderId);
+    });
+
+    list.addEventListener('dragover', (e) => {
+        if (!_dragItem) return;
+        const dropTarget = getDropTarget(e.target);
+        if (!dropTarget) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (!dropTarget.el.classList.contains('drop-target')) {
+            clearDropTargets();
+            dropTarget.el.classList.add('drop-target');
+        }
+    });
+
+    list.addEventListener('dragleave', (e) => {
+        if (!list.contains(e.relatedTarget)) {
+            clearDropTargets();
+        }
+    });
+
+    list.addEventListener('drop', async (e) => {
+        if (!_dragItem) return;
+        const dropTarget = getDropTarget(e.target);
+        const dragItem = _dragItem;
+        _dragItem = null;
+        clearDropTargets();
+        if (!dropTarget) return;
+
+        e.preventDefault();
+        if (dragItem.type === 'session') {
+            await moveSessionToFolder(dragItem.id, dropTarget.folderId);
+        } else if (dragItem.id !== dropTarget.folderId) {
+            await moveFolder(dragItem.id, dropTarget.folderId);
+        }
+    });
+
+    list.addEventListener('dragend', () => {
+        _dragItem = null;
+        clearDropTargets();
     });
 }
 
@@ -442,6 +749,7 @@ function updateMatchedMessagesPreview(sessionEl, matchedMessages, query) {
         const previewItem = document.createElement('div');
         previewItem.className = 'matched-message-item';
         previewItem.dataset.messageIndex = msg.index;
+        if (msg.messageId) previewItem.dataset.messageId = msg.messageId;
 
         // 角色标签
         const roleLabel = msg.role === 'user' ? '用户' : (msg.role === 'assistant' ? 'AI' : msg.role);
@@ -461,11 +769,17 @@ function updateMatchedMessagesPreview(sessionEl, matchedMessages, query) {
 /**
  * 切换会话并滚动到指定消息
  * @param {string} sessionId - 会话ID
- * @param {number} messageIndex - 消息索引
+ * @param {number} messageIndex - 消息索引（索引建立后消息可能有增删，优先按 ID 定位）
+ * @param {string} [messageId] - 消息ID
  */
-async function switchToSessionAndScrollToMessage(sessionId, messageIndex) {
+async function switchToSessionAndScrollToMessage(sessionId, messageIndex, messageId) {
     await switchToSession(sessionId);
 
+    if (messageId) {
+        const indexById = state.messages.findIndex(m => m.id === messageId);
+        if (indexById !== -1) messageIndex = indexById;
+    }
+
     // 双重 rAF 确保 DOM 渲染完成后滚动
     requestAnimationFrame(() => {
         requestAnimationFrame(() => {
@@ -482,9 +796,9 @@ function scrollToMessage(messageIndex) {
     const messagesArea = elements.messagesArea;
     if (!messagesArea) return;
 
-    // 查找对应的消息元素
-    const messageElements = messagesArea.querySelectorAll('.message');
-    const targetMessage = messageElements[messageIndex];
+    // 查找对应的消息元素（优先按索引属性，兼容未标注索引的旧元素）
+    const targetMessage = messagesArea.querySelector(`.message[data-message-index="${messageIndex}"]`)
+        || messagesArea.querySelectorAll('.message')[messageIndex];
 
     if (targetMessage) {
         // 滚动到该消息
@@ -559,6 +873,15 @@ export function initSidebar() {
         elements.closeSidebar.addEventListener('click', () => toggleSidebar());
     }
 
+    // 文件夹、标签筛选与拖放
+    document.getElementById('new-folder-btn')?.addEventListener('click', () => promptCreateFolder());
+    document.getElementById('manage-tags-btn')?.addEventListener('click', () => showTagManagerDialog());
+    document.getElementById('session-tag-filter')?.addEventListener('click', (e) => {
+        const tagBtn = e.target.closest('.session-tag-filter-btn');
+        if (tagBtn) toggleTagFilter(tagBtn.dataset.tag);
+    });
+    bindSessionListDelegation();
+
     // 侧边栏状态恢复已移至 main.js（使用 IndexedDB 优先）
     // 删除此处的 localStorage 读取，避免重复恢复
 
@@ -4,6 +4,7 @@
  * DOM 结构（插入到 assistant .message-content 顶部）:
  *   div.tool-calls-group
  *     ├── button.tool-calls-summary-btn   （紧凑按钮）
+ *     ├── div.tool-live-output            （执行中工具的实时输出，完成后移除）
  *     └── div.tool-media-area             （提取的图片/视频）
  */
 
@@ -27,6 +28,9 @@ const toolCallsDataMap = new WeakMap();
 // 计时器管理
 const groupTimers = new Map();
 
+// 实时输出最多保留的字符数（只保留末尾）
+const LIVE_OUTPUT_MAX_CHARS = 20000;
+
 /**
  * 获取或创建 .tool-calls-group
  * 一个 assistant 消息中只有一个 group
@@ -128,20 +132,7 @@ export async function createToolCallUI(toolCall, targetContainer = null) {
  * 更新工具执行状态
  */
 export function updateToolCallStatus(toolId, status, data = {}) {
-    // 找到包含该工具的 group
-    let group = null;
-    let toolInfo = null;
-
-    for (const g of document.querySelectorAll('.tool-calls-group')) {
-        const gData = toolCallsDataMap.get(g);
-        if (!gData) continue;
-        const found = gData.tools.find(t => t.id === toolId);
-        if (found) {
-            group = g;
-            toolInfo = found;
-            break;
-        }
-    }
+    const { group, toolInfo } = findToolEntry(toolId);
 
     if (!group || !toolInfo) {
         console.warn(`[ToolDisplay] 未找到工具: ${toolId}`);
@@ -155,6 +146,7 @@ export function updateToolCallStatus(toolId, status, data = {}) {
         toolInfo.result = data.result;
         toolInfo.duration = ((Date.now() - toolInfo.startTime) / 1000).toFixed(1);
         gData.completedCount++;
+        removeLiveOutput(group, toolId);
 
         // 提取媒体到 media area
         extractMediaToGroup(group, data.result, toolInfo.name);
@@ -167,6 +159,7 @@ export function updateToolCallStatus(toolId, status, data = {}) {
         toolInfo.error = data.error || '执行失败';
         toolInfo.duration = ((Date.now() - toolInfo.startTime) / 1000).toFixed(1);
         gData.failedCount++;
+        removeLiveOutput(group, toolId);
 
         eventBus.emit('tool:status:changed', { toolId, status: 'failed', error: data.error });
     }
@@ -186,6 +179,91 @@ export function updateToolCallStatus(toolId, status, data = {}) {
     }
 }
 
+/**
+ * 查找包含指定工具的 group 及其工具信息
+ * @param {string} toolId - 工具调用 ID
+ * @returns {{group: HTMLElement|null, toolInfo: Object|null}}
+ */
+function findToolEntry(toolId) {
+    for (const group of document.querySelectorAll('.tool-calls-group')) {
+        const toolInfo = toolCallsDataMap.get(group)?.tools.find(t => t.id === toolId);
+        if (toolInfo) return { group, toolInfo };
+    }
+    return { group: null, toolInfo: null };
+}
+
+// ==================== 实时输出 ====================
+
+/**
+ * 追加工具的增量输出（如 bash 命令的 stdout/stderr）
+ * @param {string} toolId - 工具调用 ID
+ * @param {string} data - 输出片段
+ */
+function appendToolOutput(toolId, data) {
+    const { group, toolInfo } = findToolEntry(toolId);
+    if (!group || !toolInfo || toolInfo.status !== 'executing') return;
+
+    toolInfo.liveOutput = ((toolInfo.liveOutput || '') + data).slice(-LIVE_OUTPUT_MAX_CHARS);
+
+    const pre = getOrCreateLiveOutput(group, toolInfo).querySelector('.tool-live-output-content');
+    // 仅在用户停留在底部时自动滚动
+    const atBottom = pre.scrollHeight - pre.scrollTop - pre.clientHeight < 20;
+    pre.textContent = toolInfo.liveOutput;
+    if (atBottom) pre.scrollTop = pre.scrollHeight;
+}
+
+/**
+ * 获取或创建工具的实时输出面板（插在按钮和媒体区之间）
+ */
+function getOrCreateLiveOutput(group, toolInfo) {
+    const existing = Array.from(group.querySelectorAll('.tool-live-output'))
+        .find(el => el.dataset.toolId === toolInfo.id);
+    if (existing) return existing;
+
+    const panel = document.createElement('div');
+    panel.className = 'tool-live-output';
+    panel.dataset.toolId = toolInfo.id;
+
+    const header = document.createElement('div');
+    header.className = 'tool-live-output-header';
+
+    const nameEl = document.createElement('span');
+    nameEl.className = 'tool-live-output-name';
+    nameEl.textContent = TOOL_DISPLAY_NAMES[toolInfo.name] || toolInfo.name;
+
+    const interruptBtn = document.createElement('button');
+    interruptBtn.type = 'button';
+    interruptBtn.className = 'tool-live-output-interrupt';
+    interruptBtn.textContent = '中断 (Ctrl-C)';
+    interruptBtn.title = '向正在运行的命令发送 Ctrl-C';
+    interruptBtn.onclick = () => {
+        interruptBtn.disabled = true;
+        eventBus.emit('tool:interrupt-requested', { toolId: toolInfo.id });
+    };
+
+    header.append(nameEl, interruptBtn);
+
+    const pre = document.createElement('pre');
+    pre.className = 'tool-live-output-content';
+
+    panel.append(header, pre);
+    group.insertBefore(panel, group.querySelector('.tool-media-area'));
+    return panel;
+}
+
+/**
+ * 移除工具的实时输出面板（完整输出在详情弹窗的结果中查看）
+ */
+function removeLiveOutput(group, toolId) {
+    group.querySelectorAll('.tool-live-output').forEach(el => {
+        if (el.dataset.toolId === toolId) el.remove();
+    });
+}
+
+eventBus.on('tool:output', ({ toolId, data }) => {
+    if (toolId && data) appendToolOutput(toolId, data);
+});
+
 // ==================== 按钮更新 ====================
 
 function updateSummaryButton(group, data) {
@@ -536,6 +614,17 @@ function createToolDetailItem(tool) {
         details.appendChild(resultSection);
     }
 
+    if (tool.status === 'executing' && tool.liveOutput) {
+        const outputSection = document.createElement('div');
+        outputSection.className = 'tool-detail-section';
+        outputSection.innerHTML = `<div class="tool-detail-section-label">实时输出</div>`;
+        const outputPre = document.createElement('pre');
+        outputPre.className = 'tool-detail-json';
+        outputPre.textContent = tool.liveOutput;
+        outputSection.appendChild(outputPre);
+        details.appendChild(outputSection);
+    }
+
     if (tool.status === 'failed' && tool.error) {
         const errorSection = document.createElement('div');
         errorSection.className = 'tool-detail-section tool-detail-error';
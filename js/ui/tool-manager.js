@@ -25,6 +25,8 @@ import { debouncedSaveSession } from '../state/sessions.js';
 import { showNotification } from './notifications.js';
 import { showConfirmDialog } from '../utils/dialogs.js';
 import { getIcon } from '../utils/icons.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { WEBHOOK_METHODS } from '../tools/custom/webhook.js';
 
 // ========== 模块状态 ==========
 
@@ -491,7 +493,8 @@ function showToolForm(toolOrId) {
                 <div id="schema-validation-result" class="validation-result"></div>
             </div>
 
-            ${isEditable ? renderPermissionsForm() : ''}
+            ${isEditable ? renderExecutionForm(tool) : ''}
+            ${isEditable ? renderPermissionsForm(tool) : ''}
             ${isEditable ? renderRateLimitForm() : ''}
 
             <div class="form-actions">
@@ -506,9 +509,23 @@ function showToolForm(toolOrId) {
     // 重新绑定按钮事件
     bindFormButtons();
 
+    // 执行方式切换
+    const kindSelect = detailContainer.querySelector('#tool-kind-select');
+    if (kindSelect) {
+        kindSelect.addEventListener('change', () => {
+            detailContainer.querySelector('#webhook-config-section').style.display =
+                kindSelect.value === 'webhook' ? '' : 'none';
+            detailContainer.querySelector('#sandbox-config-section').style.display =
+                kindSelect.value === 'sandbox' ? '' : 'none';
+            detailContainer.querySelector('#tool-timeout-group').style.display =
+                kindSelect.value ? '' : 'none';
+            isEditing = true;
+        });
+    }
+
     // 监听输入变化
     if (isEditable) {
-        const inputs = detailContainer.querySelectorAll('input, textarea');
+        const inputs = detailContainer.querySelectorAll('input, textarea, select');
         inputs.forEach(input => {
             input.addEventListener('input', () => {
                 isEditing = true;
@@ -517,24 +534,174 @@ function showToolForm(toolOrId) {
     }
 }
 
+/**
+ * 将 { key: value } 格式化为逐行 "key: value" 文本
+ */
+function formatKeyValueLines(obj) {
+    return Object.entries(obj || {}).map(([key, value]) => `${key}: ${value}`).join('\n');
+}
+
+/**
+ * 解析逐行 "key: value" 文本（空行和 # 开头的行忽略）
+ */
+function parseKeyValueLines(text, label) {
+    const result = {};
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        const index = trimmed.indexOf(':');
+        if (index <= 0) {
+            throw new Error(`${label}格式错误（应为 "名称: 值"）: ${trimmed}`);
+        }
+        result[trimmed.slice(0, index).trim()] = trimmed.slice(index + 1).trim();
+    }
+    return result;
+}
+
+/**
+ * 渲染执行方式表单（Webhook / JavaScript 沙箱配置）
+ */
+function renderExecutionForm(tool) {
+    const webhook = tool.webhook || {};
+    const isWebhook = tool.kind === 'webhook';
+    const isSandbox = tool.kind === 'sandbox';
+    const method = webhook.method || 'POST';
+
+    return `
+        <h3 class="form-section-title">执行方式</h3>
+
+        <div class="form-group">
+            <select id="tool-kind-select" class="form-control">
+                <option value="" ${!tool.kind ? 'selected' : ''}>仅定义（无处理器）</option>
+                <option value="webhook" ${isWebhook ? 'selected' : ''}>HTTP Webhook</option>
+                <option value="sandbox" ${isSandbox ? 'selected' : ''}>JavaScript 沙箱</option>
+            </select>
+        </div>
+
+        <div class="form-group" id="tool-timeout-group" style="${tool.kind ? '' : 'display: none;'}">
+            <label>执行超时（秒）</label>
+            <input type="number"
+                   id="tool-timeout-input"
+                   class="form-control form-control-sm"
+                   min="1"
+                   max="120"
+                   value="${tool.timeout ? Math.round(tool.timeout / 1000) : 30}">
+        </div>
+
+        <div id="sandbox-config-section" style="${isSandbox ? '' : 'display: none;'}">
+            <div class="form-group">
+                <label>函数体 <span class="required">*</span></label>
+                <textarea id="sandbox-code-input"
+                          class="form-control code-editor"
+                          rows="10"
+                          spellcheck="false"
+                          placeholder="// 参数通过 args 访问，支持 await\nconst matches = args.text.match(/\\d+/g) || [];\nreturn matches;">${escapeHtml(tool.sandbox?.code || '')}</textarea>
+                <small class="form-hint">在独立 Web Worker 中运行，无法访问页面、DOM 和应用存储（IndexedDB、缓存），也不能再创建 Worker；console 输出会附加到结果中。未勾选"允许网络请求"时屏蔽 fetch、WebSocket 等网络接口，并通过 CSP 禁止网络连接和动态 import()（桌面版及按 _headers 部署的网页版；其他部署方式下 CSP 不生效，不能完全阻止网络访问）</small>
+            </div>
+        </div>
+
+        <div id="webhook-config-section" style="${isWebhook ? '' : 'display: none;'}">
+            <div class="form-group">
+                <label>请求地址 <span class="required">*</span></label>
+                <div class="webhook-url-row">
+                    <select id="webhook-method-select" class="form-control form-control-sm">
+                        ${WEBHOOK_METHODS.map(m => `<option value="${m}" ${m === method ? 'selected' : ''}>${m}</option>`).join('')}
+                    </select>
+                    <input type="text"
+                           id="webhook-url-input"
+                           class="form-control"
+                           value="${escapeHtml(webhook.url || '')}"
+                           placeholder="https://api.example.com/items/{{id}}">
+                </div>
+                <small class="form-hint">可使用 {{参数名}} 引用工具参数</small>
+            </div>
+
+            <div class="form-group">
+                <label>请求头</label>
+                <textarea id="webhook-headers-input"
+                          class="form-control code-editor"
+                          rows="3"
+                          placeholder="Authorization: Bearer xxx">${escapeHtml(formatKeyValueLines(webhook.headers))}</textarea>
+                <small class="form-hint">每行一个 "名称: 值"，值中同样支持 {{参数名}}</small>
+            </div>
+
+            <div class="form-group">
+                <label>参数映射</label>
+                <textarea id="webhook-mapping-input"
+                          class="form-control code-editor"
+                          rows="3"
+                          placeholder="q: query">${escapeHtml(formatKeyValueLines(webhook.argMapping))}</textarea>
+                <small class="form-hint">每行 "参数名: query | body | none"。未声明的参数：GET/DELETE 放入查询字符串，其他方法放入 JSON 请求体</small>
+            </div>
+
+            <div class="form-group">
+                <label>结果提取路径</label>
+                <input type="text"
+                       id="webhook-response-path-input"
+                       class="form-control"
+                       value="${escapeHtml(webhook.responsePath || '')}"
+                       placeholder="$.data.items[*].title">
+                <small class="form-hint">可选，留空则返回完整响应</small>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 从表单收集执行方式配置
+ * @returns {Object} { kind, webhook, sandbox, timeout }（仅定义时各字段为 undefined）
+ */
+function collectExecutionConfig() {
+    const kind = modal.querySelector('#tool-kind-select')?.value;
+    if (!kind) {
+        return {};
+    }
+
+    const timeoutSeconds = parseInt(modal.querySelector('#tool-timeout-input').value, 10);
+    const timeout = timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined;
+
+    if (kind === 'sandbox') {
+        return {
+            kind,
+            timeout,
+            sandbox: { code: modal.querySelector('#sandbox-code-input').value }
+        };
+    }
+
+    return {
+        kind,
+        timeout,
+        webhook: {
+            url: modal.querySelector('#webhook-url-input').value.trim(),
+            method: modal.querySelector('#webhook-method-select').value,
+            headers: parseKeyValueLines(modal.querySelector('#webhook-headers-input').value, '请求头'),
+            argMapping: parseKeyValueLines(modal.querySelector('#webhook-mapping-input').value, '参数映射'),
+            responsePath: modal.querySelector('#webhook-response-path-input').value.trim()
+        }
+    };
+}
+
 /**
  * 渲染权限配置表单
  */
-function renderPermissionsForm() {
+function renderPermissionsForm(tool) {
+    const permissions = tool.permissions || {};
+
     return `
         <h3 class="form-section-title">权限设置</h3>
 
         <div class="form-group">
             <label class="checkbox-label">
-                <input type="checkbox" id="require-approval-checkbox" class="form-checkbox">
+                <input type="checkbox" id="require-approval-checkbox" class="form-checkbox" ${permissions.requireApproval ? 'checked' : ''}>
                 <span>需要用户确认</span>
             </label>
             <label class="checkbox-label">
-                <input type="checkbox" id="allow-filesystem-checkbox" class="form-checkbox">
+                <input type="checkbox" id="allow-filesystem-checkbox" class="form-checkbox" ${permissions.allowFilesystem ? 'checked' : ''}>
                 <span>允许文件系统访问</span>
             </label>
             <label class="checkbox-label">
-                <input type="checkbox" id="allow-network-checkbox" class="form-checkbox">
+                <input type="checkbox" id="allow-network-checkbox" class="form-checkbox" ${permissions.allowNetwork ? 'checked' : ''}>
                 <span>允许网络请求</span>
             </label>
         </div>
@@ -781,11 +948,21 @@ async function handleSaveTool() {
         unit: modal.querySelector('#rate-limit-unit-select')?.value || 'minute'
     };
 
+    // 获取执行方式
+    let execution;
+    try {
+        execution = collectExecutionConfig();
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+
     // 构建工具配置
     const toolConfig = {
         name,
         description,
         parameters: schema,
+        ...execution,
         permissions,
         rateLimit
     };
@@ -6,8 +6,10 @@
 
 import { state } from '../core/state.js';
 import { elements } from '../core/elements.js';
-import { createMessageElement, renderThinkingBlock, renderReplyWithSelector } from '../messages/renderer.js';
+import { createMessageElement, renderThinkingBlock, renderReplyWithSelector, renderInterruptedNotice } from '../messages/renderer.js';
 import { renderStreamStatsFromData } from '../stream/stats.js';
+import { renderBranchSwitcher } from '../messages/branches.js';
+import { isPendingArenaMessage, restoreArenaMessage } from '../messages/arena.js';
 import { lazyImageManager, preloadImagesInRange } from '../utils/lazy-image.js';
 
 // 虚拟滚动配置
@@ -415,6 +417,7 @@ function createVirtualMessageElement(msg, index) {
     );
 
     messageEl.dataset.messageIndex = index;
+    renderBranchSwitcher(messageEl, index);
 
     // 恢复思维链（如果有）
     const openaiMsg = state.messages[index];
@@ -443,18 +446,27 @@ function createVirtualMessageElement(msg, index) {
         requestIdleCallback(() => {
             const wrapper = messageEl.querySelector('.message-content-wrapper');
             if (wrapper) {
-                wrapper.insertAdjacentHTML('beforeend', renderStreamStatsFromData(openaiMsg.streamStats));
+                wrapper.insertAdjacentHTML('beforeend', renderStreamStatsFromData(openaiMsg.streamStats, openaiMsg.usage, openaiMsg.cost));
             }
         });
     }
 
-    // 恢复多回复（如果有）
-    if (openaiMsg?.allReplies && openaiMsg.allReplies.length > 1) {
+    // 恢复多回复（如果有；尚未选出胜者的竞技场消息恢复为分栏）
+    if (isPendingArenaMessage(openaiMsg)) {
+        requestIdleCallback(() => {
+            restoreArenaMessage(messageEl, openaiMsg);
+        });
+    } else if (openaiMsg?.allReplies && openaiMsg.allReplies.length > 1) {
         requestIdleCallback(() => {
             renderReplyWithSelector(openaiMsg.allReplies, openaiMsg.selectedReplyIndex || 0, messageEl);
         });
     }
 
+    // 流式输出中断的部分回复：显示继续生成按钮
+    if (openaiMsg?.interrupted) {
+        renderInterruptedNotice(messageEl);
+    }
+
     return messageEl;
 }
 
@@ -0,0 +1,242 @@
+/**
+ * 语音输入模块
+ * 录制麦克风音频后，按设置转写为文字（/audio/transcriptions）或作为音频附件直接发送
+ */
+
+import { state, elements } from '../core/state.js';
+import { showNotification } from './notifications.js';
+import { updateImagePreview } from './input.js';
+import { getCurrentModelCapabilities, getTranscriptionProvider } from '../providers/manager.js';
+import { transcribeAudio } from '../api/transcription.js';
+import { convertToWav, formatDuration } from '../utils/audio.js';
+import { MAX_ATTACHMENTS, MAX_VOICE_RECORDING_SECONDS } from '../utils/constants.js';
+
+let mediaRecorder = null;
+let mediaStream = null;
+let recordedChunks = [];
+let recordingStartedAt = 0;
+let timerInterval = null;
+let isProcessing = false;
+
+/**
+ * 更新麦克风按钮状态
+ * @param {'idle'|'recording'|'processing'} status - 录音状态
+ */
+function setButtonState(status) {
+    const btn = document.getElementById('voice-input-btn');
+    if (!btn) return;
+
+    btn.classList.toggle('recording', status === 'recording');
+    btn.classList.toggle('processing', status === 'processing');
+    btn.setAttribute('aria-pressed', status === 'recording' ? 'true' : 'false');
+
+    const labels = {
+        idle: ['语音输入', '开始语音输入'],
+        recording: ['点击停止录音', '停止录音'],
+        processing: ['正在处理录音...', '正在处理录音']
+    };
+    const [title, ariaLabel] = labels[status];
+    btn.title = title;
+    btn.setAttribute('aria-label', ariaLabel);
+
+    const timer = btn.querySelector('.voice-input-timer');
+    if (timer) {
+        timer.textContent = status === 'recording' ? formatDuration(0) : '';
+    }
+}
+
+/**
+ * 刷新录音计时，达到上限时自动停止
+ */
+function updateTimer() {
+    const elapsed = (Date.now() - recordingStartedAt) / 1000;
+    const timer = document.querySelector('#voice-input-btn .voice-input-timer');
+    if (timer) {
+        timer.textContent = formatDuration(Math.floor(elapsed));
+    }
+
+    if (elapsed >= MAX_VOICE_RECORDING_SECONDS) {
+        showNotification(`录音已达到 ${formatDuration(MAX_VOICE_RECORDING_SECONDS)} 上限，自动停止`, 'info');
+        stopRecording();
+    }
+}
+
+/**
+ * 释放麦克风并停止计时
+ */
+function releaseMicrophone() {
+    if (timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+    mediaStream?.getTracks().forEach(track => track.stop());
+    mediaStream = null;
+}
+
+/**
+ * 开始录音
+ */
+async function startRecording() {
+    try {
+        mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        console.error('[VoiceInput] 无法访问麦克风:', error);
+        showNotification(`无法访问麦克风: ${error.message || error.name}`, 'error');
+        return;
+    }
+
+    recordedChunks = [];
+    mediaRecorder = new window.MediaRecorder(mediaStream);
+    mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size > 0) recordedChunks.push(e.data);
+    };
+    mediaRecorder.onstop = () => {
+        const mimeType = mediaRecorder?.mimeType || 'audio/webm';
+        mediaRecorder = null;
+        handleRecordingStop(mimeType);
+    };
+
+    mediaRecorder.start();
+    recordingStartedAt = Date.now();
+    timerInterval = setInterval(updateTimer, 500);
+    setButtonState('recording');
+    console.log(`[VoiceInput] 开始录音 (${mediaRecorder.mimeType || '默认格式'})`);
+}
+
+/**
+ * 停止录音（结果在 onstop 中处理）
+ */
+function stopRecording() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+    }
+    releaseMicrophone();
+}
+
+/**
+ * 判断录音是否直接作为音频发送
+ * 自动模式下根据当前模型的「音频理解」能力决定
+ * @returns {boolean}
+ */
+function shouldSendAsAudio() {
+    if (state.voiceInputMode === 'audio') return true;
+    if (state.voiceInputMode === 'transcribe') return false;
+    return !!getCurrentModelCapabilities()?.audioInput;
+}
+
+/**
+ * 处理录音结果
+ * @param {string} mimeType - MediaRecorder 输出格式
+ */
+async function handleRecordingStop(mimeType) {
+    const recording = new Blob(recordedChunks, { type: mimeType });
+    recordedChunks = [];
+    if (recording.size === 0) {
+        setButtonState('idle');
+        return;
+    }
+
+    isProcessing = true;
+    setButtonState('processing');
+    try {
+        const { blob, duration } = await convertToWav(recording);
+        console.log(`[VoiceInput] 录音完成: ${formatDuration(duration)}, ${(blob.size / 1024).toFixed(1)} KB`);
+
+        if (shouldSendAsAudio()) {
+            await attachRecording(blob, duration);
+        } else {
+            await transcribeRecording(blob);
+        }
+    } catch (error) {
+        console.error('[VoiceInput] 处理录音失败:', error);
+        showNotification(error.message || '处理录音失败', 'error');
+    } finally {
+        isProcessing = false;
+        setButtonState('idle');
+    }
+}
+
+/**
+ * 读取 Blob 为 data URL
+ * @param {Blob} blob - 数据
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * 将录音作为音频附件添加到输入区
+ * @param {Blob} blob - WAV 音频
+ * @param {number} duration - 时长（秒）
+ */
+async function attachRecording(blob, duration) {
+    if (state.uploadedImages.length >= MAX_ATTACHMENTS) {
+        showNotification(`最多只能上传 ${MAX_ATTACHMENTS} 个文件`, 'error');
+        return;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    state.uploadedImages.push({
+        name: `voice-${timestamp}.wav`,
+        type: 'audio/wav',
+        category: 'audio',
+        data: await blobToDataUrl(blob),
+        size: blob.size,
+        duration
+    });
+    updateImagePreview();
+}
+
+/**
+ * 转写录音并插入到输入框光标处
+ * @param {Blob} blob - WAV 音频
+ */
+async function transcribeRecording(blob) {
+    const provider = getTranscriptionProvider();
+    if (!provider) {
+        showNotification('未配置语音转写：请在提供商设置中启用「语音转写」，或为当前模型开启「音频理解」', 'warning');
+        return;
+    }
+
+    const text = await transcribeAudio(provider, blob);
+    if (!text) {
+        showNotification('未识别到语音内容', 'warning');
+        return;
+    }
+
+    const input = elements.userInput;
+    input.focus();
+    input.setRangeText(text, input.selectionStart, input.selectionEnd, 'end');
+    // 触发 input 事件以更新高度和字数统计
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+/**
+ * 初始化语音输入按钮
+ */
+export function initVoiceInput() {
+    const btn = document.getElementById('voice-input-btn');
+    if (!btn) return;
+
+    // 不支持录音的环境（旧 WebView、非安全上下文）隐藏按钮
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+        btn.style.display = 'none';
+        console.log('[VoiceInput] 当前环境不支持录音，已隐藏语音输入按钮');
+        return;
+    }
+
+    btn.addEventListener('click', () => {
+        if (isProcessing) return;
+        if (mediaRecorder) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+}
@@ -0,0 +1,105 @@
+/**
+ * 音频处理工具
+ * 将浏览器录制的音频（webm/ogg/mp4）统一转换为 16kHz 单声道 WAV，
+ * 兼容 OpenAI input_audio（仅支持 wav/mp3）、Gemini inlineData 和 Whisper 转写接口
+ */
+
+/**
+ * 转写与发送使用的采样率（语音识别模型的常用采样率）
+ */
+const TARGET_SAMPLE_RATE = 16000;
+
+/**
+ * 将 PCM 采样编码为 16 位 WAV
+ * @param {Float32Array} samples - 单声道采样（-1 ~ 1）
+ * @param {number} sampleRate - 采样率
+ * @returns {Blob} audio/wav
+ */
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);            // fmt 块长度
+    view.setUint16(20, 1, true);             // PCM
+    view.setUint16(22, 1, true);             // 单声道
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // 字节率
+    view.setUint16(32, 2, true);             // 块对齐
+    view.setUint16(34, 16, true);            // 位深
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++, offset += 2) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * 将录音转换为 16kHz 单声道 WAV
+ * @param {Blob} blob - MediaRecorder 录制的音频
+ * @returns {Promise<{blob: Blob, duration: number}>} WAV 数据与时长（秒）
+ */
+export async function convertToWav(blob) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || !window.OfflineAudioContext) {
+        throw new Error('当前环境不支持音频解码');
+    }
+
+    const context = new AudioContextClass();
+    let decoded;
+    try {
+        decoded = await context.decodeAudioData(await blob.arrayBuffer());
+    } finally {
+        context.close();
+    }
+
+    // 使用离线上下文重采样并混合为单声道
+    const length = Math.max(1, Math.ceil(decoded.duration * TARGET_SAMPLE_RATE));
+    const offline = new window.OfflineAudioContext(1, length, TARGET_SAMPLE_RATE);
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return {
+        blob: encodeWav(rendered.getChannelData(0), TARGET_SAMPLE_RATE),
+        duration: decoded.duration
+    };
+}
+
+/**
+ * 格式化音频时长
+ * @param {number} seconds - 秒数
+ * @returns {string} m:ss
+ */
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 根据 MIME 类型获取 OpenAI input_audio 的 format 字段
+ * @param {string} mimeType - 音频 MIME 类型
+ * @returns {string} wav / mp3 / 其他子类型
+ */
+export function getAudioFormat(mimeType) {
+    const subtype = (mimeType || '').split('/')[1]?.split(';')[0] || 'wav';
+    if (subtype === 'mpeg' || subtype === 'mp3') return 'mp3';
+    if (subtype === 'x-wav' || subtype === 'wave') return 'wav';
+    return subtype;
+}
@@ -5,7 +5,7 @@
 
 /**
  * 生成能力标签 HTML（用于模型卡片）
- * @param {Object} capabilities - {imageInput: boolean, imageOutput: boolean}
+ * @param {Object} capabilities - {imageInput: boolean, imageOutput: boolean, audioInput?: boolean}
  * @returns {string} HTML 字符串
  */
 export function renderCapabilityBadges(capabilities) {
@@ -18,13 +18,16 @@ export function renderCapabilityBadges(capabilities) {
     if (capabilities.imageOutput) {
         badges.push('<span class="capability-badge image" title="支持图片生成">I</span>');
     }
+    if (capabilities.audioInput) {
+        badges.push('<span class="capability-badge audio" title="支持音频理解">A</span>');
+    }
 
     return badges.length > 0 ? ' ' + badges.join(' ') : '';
 }
 
 /**
  * 生成能力标签纯文本（用于下拉列表和消息）
- * @param {Object} capabilities - {imageInput: boolean, imageOutput: boolean}
+ * @param {Object} capabilities - {imageInput: boolean, imageOutput: boolean, audioInput?: boolean}
  * @returns {string} 纯文本
  */
 export function renderCapabilityBadgesText(capabilities) {
@@ -33,6 +36,7 @@ export function renderCapabilityBadgesText(capabilities) {
     const badges = [];
     if (capabilities.imageInput) badges.push('[V]');
     if (capabilities.imageOutput) badges.push('[I]');
+    if (capabilities.audioInput) badges.push('[A]');
 
     return badges.length > 0 ? ' ' + badges.join(' ') : '';
 }
@@ -90,6 +90,71 @@ export const MAX_ATTACHMENTS = 10;
  */
 export const AUTO_DOCUMENT_TOKEN_THRESHOLD = 5000;
 
+/**
+ * 上下文管理：请求内容占上下文窗口的比例上限（其余留给模型输出）
+ */
+export const CONTEXT_BUDGET_RATIO = 0.8;
+
+/**
+ * 上下文管理：附件（图片/音频/PDF 等）的估算 token 数
+ */
+export const CONTEXT_ATTACHMENT_TOKENS = 1000;
+
+/**
+ * 摘要策略：始终保留原文的最近轮数
+ */
+export const CONTEXT_SUMMARY_KEEP_TURNS = 4;
+
+/**
+ * 摘要策略：摘要请求的最大输出 token 数
+ */
+export const CONTEXT_SUMMARY_MAX_TOKENS = 1024;
+
+/**
+ * 后备链：触发切换到下一个提供商/模型的 HTTP 状态码（超时、限流、服务端错误、过载）
+ */
+export const FALLBACK_STATUS_CODES = [408, 429, 500, 502, 503, 504, 529];
+
+/**
+ * 自动重试：可重试的 HTTP 状态码（限流、服务端错误、过载）
+ */
+export const RETRY_STATUS_CODES = [429, 500, 502, 503, 529];
+
+/**
+ * 自动重试：指数退避的单次等待上限（毫秒）
+ */
+export const RETRY_MAX_DELAY_MS = 60000;
+
+/**
+ * 自动重试：服务端要求的等待时间超过此值（毫秒）时不再重试
+ */
+export const RETRY_MAX_WAIT_MS = 120000;
+
+/**
+ * 表格附件（XLSX/CSV）转换为 Markdown 时每个工作表保留的最大行数
+ */
+export const MAX_TABLE_ROWS = 200;
+
+/**
+ * 表格附件转换为 Markdown 时保留的最大列数
+ */
+export const MAX_TABLE_COLUMNS = 30;
+
+/**
+ * ZIP / 文件夹附件最多列出的文件数量
+ */
+export const MAX_PROJECT_FILES = 1000;
+
+/**
+ * ZIP / 文件夹附件中单个文件的最大读取大小（超过则不可选）
+ */
+export const MAX_PROJECT_FILE_SIZE = 256 * 1024;
+
+/**
+ * 单次语音输入的最长录音时间（秒），超过后自动停止
+ */
+export const MAX_VOICE_RECORDING_SECONDS = 300;
+
 /**
  * 单条消息最大图片数量
  */
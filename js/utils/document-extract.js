@@ -0,0 +1,586 @@
+/**
+ * 文档文本提取工具
+ * 在客户端将 DOCX / XLSX / CSV / JSON / 源代码文件转换为模型可读的 Markdown 文本
+ */
+
+import { readZipEntries, readZipText } from './zip.js';
+import { MAX_TABLE_ROWS, MAX_TABLE_COLUMNS } from './constants.js';
+
+// WordprocessingML / SpreadsheetML 命名空间
+const NS_WORD = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const NS_SHEET = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * 源代码扩展名 → 代码块语言标识
+ */
+const CODE_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx',
+    ts: 'typescript', mts: 'typescript', cts: 'typescript', tsx: 'tsx',
+    py: 'python', pyw: 'python', rb: 'ruby', php: 'php', pl: 'perl', lua: 'lua', r: 'r',
+    java: 'java', kt: 'kotlin', kts: 'kotlin', scala: 'scala', groovy: 'groovy', gradle: 'groovy',
+    go: 'go', rs: 'rust', swift: 'swift', dart: 'dart',
+    c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp', hh: 'cpp', m: 'objectivec', mm: 'objectivec',
+    cs: 'csharp', fs: 'fsharp', vb: 'vbnet',
+    sh: 'bash', bash: 'bash', zsh: 'bash', fish: 'fish', ps1: 'powershell', bat: 'batch', cmd: 'batch',
+    sql: 'sql', graphql: 'graphql', gql: 'graphql', proto: 'protobuf',
+    html: 'html', htm: 'html', xml: 'xml', svg: 'xml', vue: 'vue', svelte: 'svelte',
+    css: 'css', scss: 'scss', sass: 'sass', less: 'less',
+    yaml: 'yaml', yml: 'yaml', toml: 'toml', ini: 'ini', cfg: 'ini', conf: 'ini', env: 'dotenv',
+    tex: 'latex', diff: 'diff', patch: 'diff', log: 'text'
+};
+
+/**
+ * 无扩展名但可识别的源代码文件名
+ */
+const CODE_FILENAMES = {
+    dockerfile: 'dockerfile',
+    makefile: 'makefile',
+    gemfile: 'ruby',
+    rakefile: 'ruby',
+    '.gitignore': 'gitignore',
+    '.editorconfig': 'ini'
+};
+
+/**
+ * 文档类型对应的 MIME 类型（用于文件选择器 accept 与类型识别）
+ */
+export const DOCUMENT_MIME_TYPES = {
+    docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    csv: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+    json: ['application/json', 'text/json'],
+    code: [
+        'text/javascript', 'application/javascript', 'application/x-javascript', 'text/x-python',
+        'text/x-java-source', 'text/x-c', 'text/x-c++src', 'text/x-sh', 'application/x-sh',
+        'text/html', 'text/css', 'text/xml', 'application/xml', 'application/x-yaml', 'text/yaml', 'application/sql'
+    ]
+};
+
+/**
+ * 文档类型的显示名称
+ */
+export const DOCUMENT_KIND_LABELS = {
+    docx: 'DOCX',
+    xlsx: 'XLSX',
+    csv: 'CSV',
+    json: 'JSON',
+    code: '代码',
+    project: '项目'
+};
+
+/**
+ * 文件选择器 accept 中需要追加的扩展名
+ * @returns {string} 逗号分隔的扩展名列表
+ */
+export function getDocumentAcceptList() {
+    const extensions = ['.docx', '.xlsx', '.csv', '.tsv', '.json', ...Object.keys(CODE_LANGUAGES).map(ext => `.${ext}`)];
+    return [...extensions, ...Object.values(DOCUMENT_MIME_TYPES).flat()].join(',');
+}
+
+/**
+ * 获取文件扩展名（小写，不含点）
+ */
+function getExtension(name) {
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+}
+
+/**
+ * 判断文件对应的文档类型
+ * 优先按扩展名判断（例如 .ts 常被系统识别为 video/mp2t）
+ * @param {{name: string, type?: string}} file - 文件对象
+ * @returns {'docx'|'xlsx'|'csv'|'json'|'code'|null}
+ */
+export function getDocumentKind(file) {
+    const name = file.name || '';
+    const ext = getExtension(name);
+
+    if (ext === 'docx') return 'docx';
+    if (ext === 'xlsx') return 'xlsx';
+    if (ext === 'csv' || ext === 'tsv') return 'csv';
+    if (ext === 'json') return 'json';
+    if (CODE_LANGUAGES[ext] || CODE_FILENAMES[name.toLowerCase()]) return 'code';
+
+    // 无法通过扩展名判断时再看 MIME 类型（txt/md 仍走原有文本流程）
+    if (!ext || !['txt', 'md', 'markdown'].includes(ext)) {
+        for (const [kind, mimes] of Object.entries(DOCUMENT_MIME_TYPES)) {
+            if (mimes.includes(file.type)) return kind;
+        }
+    }
+    return null;
+}
+
+/**
+ * 提取文档文本
+ * @param {File} file - 文件对象
+ * @returns {Promise<{text: string, kind: string}>} Markdown 文本与文档类型
+ */
+export async function extractDocument(file) {
+    const kind = getDocumentKind(file);
+    if (!kind) {
+        throw new Error(`不支持的文档类型: ${file.name}`);
+    }
+
+    let text;
+    switch (kind) {
+        case 'docx':
+            text = await extractDocx(await file.arrayBuffer());
+            break;
+        case 'xlsx':
+            text = await extractXlsx(await file.arrayBuffer());
+            break;
+        case 'csv':
+            text = extractCsv(await file.text(), getExtension(file.name) === 'tsv' ? '\t' : null);
+            break;
+        case 'json':
+            text = extractJson(await file.text());
+            break;
+        default:
+            text = extractCode(await file.text(), file.name);
+    }
+
+    console.log(`[Document] 已提取 ${file.name} (${kind}): ${text.length} 字符`);
+    return { text, kind };
+}
+
+// ========== Markdown 表格 ==========
+
+/**
+ * 转义 Markdown 表格单元格
+ */
+function escapeCell(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>')
+        .trim();
+}
+
+/**
+ * 将二维数组转换为 Markdown 表格（超出上限的行列会被截断并注明）
+ * @param {Array<Array<string>>} rows - 第一行作为表头
+ * @returns {string} Markdown 表格
+ */
+function rowsToMarkdownTable(rows) {
+    if (rows.length === 0) return '（空表）';
+
+    const totalColumns = Math.max(...rows.map(row => row.length));
+    const columns = Math.min(totalColumns, MAX_TABLE_COLUMNS);
+    const dataRows = rows.slice(1, MAX_TABLE_ROWS + 1);
+
+    const formatRow = (row) => {
+        const cells = [];
+        for (let i = 0; i < columns; i++) {
+            cells.push(escapeCell(row[i]));
+        }
+        return `| ${cells.join(' | ')} |`;
+    };
+
+    const lines = [
+        formatRow(rows[0]),
+        `| ${new Array(columns).fill('---').join(' | ')} |`,
+        ...dataRows.map(formatRow)
+    ];
+
+    const notes = [];
+    if (rows.length - 1 > MAX_TABLE_ROWS) {
+        notes.push(`仅显示前 ${MAX_TABLE_ROWS} 行，共 ${rows.length - 1} 行数据`);
+    }
+    if (totalColumns > MAX_TABLE_COLUMNS) {
+        notes.push(`仅显示前 ${MAX_TABLE_COLUMNS} 列，共 ${totalColumns} 列`);
+    }
+    if (notes.length > 0) {
+        lines.push('', `（已截断：${notes.join('；')}）`);
+    }
+
+    return lines.join('\n');
+}
+
+// ========== DOCX ==========
+
+/**
+ * 解析 XML 文本
+ */
+function parseXml(xml) {
+    const doc = new window.DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('文档 XML 解析失败');
+    }
+    return doc;
+}
+
+/**
+ * 获取元素的 Word 命名空间属性
+ */
+function getWordAttr(el, name) {
+    return el?.getAttributeNS(NS_WORD, name) ?? el?.getAttribute(`w:${name}`) ?? null;
+}
+
+/**
+ * 获取直接子元素（Word 命名空间）
+ */
+function getWordChild(el, localName) {
+    if (!el) return null;
+    for (const child of el.children) {
+        if (child.namespaceURI === NS_WORD && child.localName === localName) return child;
+    }
+    return null;
+}
+
+/**
+ * 读取 styles.xml，得到样式 ID → 标题级别的映射
+ */
+function parseHeadingStyles(stylesXml) {
+    const levels = new Map();
+    if (!stylesXml) return levels;
+
+    const doc = parseXml(stylesXml);
+    for (const style of doc.getElementsByTagNameNS(NS_WORD, 'style')) {
+        const styleId = getWordAttr(style, 'styleId');
+        const name = getWordAttr(getWordChild(style, 'name'), 'val')?.toLowerCase() || '';
+        const outline = getWordAttr(getWordChild(getWordChild(style, 'pPr'), 'outlineLvl'), 'val');
+
+        const headingMatch = name.match(/^heading\s*(\d)$/);
+        if (name === 'title') {
+            levels.set(styleId, 1);
+        } else if (headingMatch) {
+            levels.set(styleId, Math.min(Number(headingMatch[1]), 6));
+        } else if (outline !== null && Number(outline) < 9) {
+            levels.set(styleId, Math.min(Number(outline) + 1, 6));
+        }
+    }
+    return levels;
+}
+
+/**
+ * 按文档顺序收集段落内的文本（包括超链接、域代码结果中的文本）
+ */
+function collectRunText(node) {
+    let text = '';
+    for (const child of node.children) {
+        if (child.namespaceURI !== NS_WORD) continue;
+        switch (child.localName) {
+            case 't':
+                text += child.textContent;
+                break;
+            case 'tab':
+                text += '\t';
+                break;
+            case 'br':
+            case 'cr':
+                text += '\n';
+                break;
+            case 'del':
+            case 'instrText':
+            case 'pPr':
+            case 'rPr':
+                break;
+            default:
+                text += collectRunText(child);
+        }
+    }
+    return text;
+}
+
+/**
+ * 转换单个段落
+ */
+function convertParagraph(p, headingStyles) {
+    const text = collectRunText(p).trim();
+    if (!text) return '';
+
+    const pPr = getWordChild(p, 'pPr');
+    const styleId = getWordAttr(getWordChild(pPr, 'pStyle'), 'val');
+    const outline = getWordAttr(getWordChild(pPr, 'outlineLvl'), 'val');
+
+    let level = headingStyles.get(styleId);
+    if (!level && outline !== null && Number(outline) < 9) {
+        level = Math.min(Number(outline) + 1, 6);
+    }
+    if (level) {
+        return `${'#'.repeat(level)} ${text.replace(/\s+/g, ' ')}`;
+    }
+
+    const numPr = getWordChild(pPr, 'numPr');
+    if (numPr) {
+        const depth = Number(getWordAttr(getWordChild(numPr, 'ilvl'), 'val')) || 0;
+        return `${'  '.repeat(depth)}- ${text}`;
+    }
+
+    return text;
+}
+
+/**
+ * 转换表格为 Markdown
+ */
+function convertTable(tbl, headingStyles) {
+    const rows = [];
+    for (const tr of tbl.children) {
+        if (tr.namespaceURI !== NS_WORD || tr.localName !== 'tr') continue;
+        const cells = [];
+        for (const tc of tr.children) {
+            if (tc.namespaceURI !== NS_WORD || tc.localName !== 'tc') continue;
+            cells.push(convertBlocks(tc, headingStyles).join('\n'));
+        }
+        rows.push(cells);
+    }
+    return rowsToMarkdownTable(rows);
+}
+
+/**
+ * 转换块级元素（段落、表格、内容控件）
+ */
+function convertBlocks(container, headingStyles) {
+    const blocks = [];
+    for (const child of container.children) {
+        if (child.namespaceURI !== NS_WORD) continue;
+        if (child.localName === 'p') {
+            const text = convertParagraph(child, headingStyles);
+            if (text) blocks.push(text);
+        } else if (child.localName === 'tbl') {
+            blocks.push(convertTable(child, headingStyles));
+        } else if (child.localName === 'sdt') {
+            blocks.push(...convertBlocks(getWordChild(child, 'sdtContent') || child, headingStyles));
+        }
+    }
+    return blocks;
+}
+
+/**
+ * 提取 DOCX 文本（保留标题层级、列表和表格）
+ * @param {ArrayBuffer} buffer - DOCX 文件内容
+ * @returns {Promise<string>} Markdown 文本
+ */
+async function extractDocx(buffer) {
+    const entries = readZipEntries(buffer);
+    const documentXml = await readZipText(buffer, entries, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('不是有效的 DOCX 文件（缺少 word/document.xml）');
+    }
+
+    const headingStyles = parseHeadingStyles(await readZipText(buffer, entries, 'word/styles.xml'));
+    const body = parseXml(documentXml).getElementsByTagNameNS(NS_WORD, 'body')[0];
+    if (!body) return '';
+
+    return convertBlocks(body, headingStyles).join('\n\n');
+}
+
+// ========== XLSX ==========
+
+/**
+ * 获取 SpreadsheetML 命名空间下的子孙元素
+ */
+function getSheetElements(el, localName) {
+    return Array.from(el.getElementsByTagNameNS(NS_SHEET, localName));
+}
+
+/**
+ * 列字母转索引（A → 0, AA → 26）
+ */
+function columnToIndex(letters) {
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * 解析共享字符串表
+ */
+function parseSharedStrings(xml) {
+    if (!xml) return [];
+    const doc = parseXml(xml);
+    // 富文本字符串由多个 <r><t> 组成，拼接所有 <t>（跳过注音 <rPh>）
+    return getSheetElements(doc, 'si').map(si =>
+        getSheetElements(si, 't')
+            .filter(t => t.parentElement?.localName !== 'rPh')
+            .map(t => t.textContent)
+            .join('')
+    );
+}
+
+/**
+ * 解析工作表为二维数组
+ */
+function parseSheetRows(xml, sharedStrings) {
+    const doc = parseXml(xml);
+    const rows = [];
+
+    for (const row of getSheetElements(doc, 'row')) {
+        const rowIndex = Number(row.getAttribute('r')) - 1;
+        const cells = [];
+        let nextColumn = 0;
+
+        for (const cell of getSheetElements(row, 'c')) {
+            const ref = cell.getAttribute('r');
+            const column = ref ? columnToIndex(ref.replace(/\d+$/, '')) : nextColumn;
+            nextColumn = column + 1;
+
+            const type = cell.getAttribute('t');
+            const valueEl = getSheetElements(cell, 'v')[0];
+            let value;
+            if (type === 's') {
+                value = sharedStrings[Number(valueEl?.textContent)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = getSheetElements(cell, 't').map(t => t.textContent).join('');
+            } else if (type === 'b') {
+                value = valueEl?.textContent === '1' ? 'TRUE' : 'FALSE';
+            } else {
+                value = valueEl?.textContent ?? '';
+            }
+            cells[column] = value;
+        }
+
+        rows[Number.isNaN(rowIndex) ? rows.length : rowIndex] = Array.from(cells, v => v ?? '');
+    }
+
+    // 去掉首尾空行，中间空行保留位置
+    const filled = Array.from(rows, r => r || []);
+    while (filled.length > 0 && filled[0].every(v => v === '')) filled.shift();
+    while (filled.length > 0 && filled[filled.length - 1].every(v => v === '')) filled.pop();
+    return filled;
+}
+
+/**
+ * 提取 XLSX 各工作表为 Markdown 表格
+ * @param {ArrayBuffer} buffer - XLSX 文件内容
+ * @returns {Promise<string>} Markdown 文本
+ */
+async function extractXlsx(buffer) {
+    const entries = readZipEntries(buffer);
+    const workbookXml = await readZipText(buffer, entries, 'xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('不是有效的 XLSX 文件（缺少 xl/workbook.xml）');
+    }
+
+    // 工作表关系：rId → 文件路径
+    const relTargets = new Map();
+    const relsXml = await readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels');
+    if (relsXml) {
+        for (const rel of parseXml(relsXml).getElementsByTagName('Relationship')) {
+            const target = rel.getAttribute('Target') || '';
+            relTargets.set(rel.getAttribute('Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+        }
+    }
+
+    const sharedStrings = parseSharedStrings(await readZipText(buffer, entries, 'xl/sharedStrings.xml'));
+    const sheets = getSheetElements(parseXml(workbookXml), 'sheet');
+
+    const sections = [];
+    for (let i = 0; i < sheets.length; i++) {
+        const sheet = sheets[i];
+        const name = sheet.getAttribute('name') || `Sheet${i + 1}`;
+        const relId = sheet.getAttributeNS(NS_REL, 'id') || sheet.getAttribute('r:id');
+        const path = relTargets.get(relId) || `xl/worksheets/sheet${i + 1}.xml`;
+
+        const sheetXml = await readZipText(buffer, entries, path);
+        if (!sheetXml) continue;
+
+        const rows = parseSheetRows(sheetXml, sharedStrings);
+        sections.push(`## ${name}\n\n${rowsToMarkdownTable(rows)}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+// ========== CSV / JSON / 代码 ==========
+
+/**
+ * 检测 CSV 分隔符（取首行中出现最多的候选字符）
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    let best = ',';
+    let bestCount = 0;
+    for (const candidate of [',', '\t', ';', '|']) {
+        const count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * 解析 CSV（支持引号包裹、转义引号和字段内换行）
+ * @param {string} text - CSV 文本
+ * @param {string} delimiter - 分隔符
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * 提取 CSV/TSV 为 Markdown 表格
+ */
+function extractCsv(text, delimiter = null) {
+    const content = text.replace(/^\uFEFF/, '');
+    return rowsToMarkdownTable(parseCsv(content, delimiter || detectDelimiter(content)));
+}
+
+/**
+ * 格式化 JSON（无效 JSON 保留原文并注明）
+ */
+function extractJson(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    try {
+        return '```json\n' + JSON.stringify(JSON.parse(content), null, 2) + '\n```';
+    } catch (error) {
+        return `（JSON 解析失败：${error.message}，以下为原文）\n\n\`\`\`json\n${content}\n\`\`\``;
+    }
+}
+
+/**
+ * 源代码包裹为带语言标识的代码块
+ */
+function extractCode(text, name) {
+    const language = CODE_LANGUAGES[getExtension(name)] || CODE_FILENAMES[name.toLowerCase()] || '';
+    const content = text.replace(/^\uFEFF/, '');
+    // 代码本身包含 ``` 时使用更长的围栏
+    const longestFence = Math.max(2, ...(content.match(/`{3,}/g) || []).map(f => f.length));
+    const fence = '`'.repeat(longestFence + 1);
+    return `${fence}${language}\n${content}\n${fence}`;
+}
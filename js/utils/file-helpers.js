@@ -9,6 +9,7 @@
 export const FileCategory = {
     IMAGE: 'image',
     VIDEO: 'video',
+    AUDIO: 'audio',
     PDF: 'pdf',
     TEXT: 'text',
     UNKNOWN: 'unknown'
@@ -51,13 +52,14 @@ export const SUPPORTED_TEXT_TYPES = [
 /**
  * 判断文件的 MIME 类型类别
  * @param {string} mimeType - MIME 类型
- * @returns {'image'|'video'|'pdf'|'text'|'unknown'} 文件类别
+ * @returns {'image'|'video'|'audio'|'pdf'|'text'|'unknown'} 文件类别
  */
 export function categorizeFile(mimeType) {
     if (!mimeType) return FileCategory.UNKNOWN;
 
     if (mimeType.startsWith('image/')) return FileCategory.IMAGE;
     if (mimeType.startsWith('video/')) return FileCategory.VIDEO;
+    if (mimeType.startsWith('audio/')) return FileCategory.AUDIO;
     if (mimeType === 'application/pdf') return FileCategory.PDF;
     if (mimeType === 'text/plain' ||
         mimeType === 'text/markdown' ||
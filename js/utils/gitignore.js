@@ -0,0 +1,138 @@
+/**
+ * .gitignore 规则匹配工具
+ * 支持注释、否定（!）、仅目录（结尾 /）、锚定路径、* / ? / ** 通配符和字符类
+ * 子目录中的 .gitignore 只作用于该目录内的文件
+ */
+
+/**
+ * 将单条 gitignore 模式转换为正则
+ * @param {string} pattern - 去掉 ! 和结尾 / 之后的模式
+ * @param {boolean} anchored - 是否相对于 .gitignore 所在目录锚定
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern, anchored) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+
+        if (ch === '*') {
+            if (pattern[i + 1] === '*') {
+                const atStart = i === 0 || pattern[i - 1] === '/';
+                const atEnd = i + 2 === pattern.length;
+                if (atStart && pattern[i + 2] === '/') {
+                    // **/ 匹配零个或多个目录
+                    source += '(?:.*/)?';
+                    i += 2;
+                    continue;
+                }
+                if (atStart && atEnd) {
+                    // 结尾的 /** 匹配目录内的所有内容
+                    source += '.*';
+                    i += 1;
+                    continue;
+                }
+            }
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                let body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (body.startsWith('!')) body = '^' + body.slice(1);
+                source += `[${body}]`;
+                i = end;
+            }
+        } else if (ch === '\\' && i + 1 < pattern.length) {
+            i++;
+            source += pattern[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}$`);
+}
+
+/**
+ * 解析 .gitignore 内容
+ * @param {string} content - .gitignore 文本
+ * @param {string} baseDir - .gitignore 所在目录（相对项目根目录，根目录为 ''）
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean, baseDir: string}>}
+ */
+export function parseGitignore(content, baseDir = '') {
+    const rules = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        // 去掉未转义的结尾空格
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/')) {
+            dirOnly = true;
+            line = line.replace(/\/+$/, '');
+        }
+        if (!line) continue;
+
+        // 模式中间或开头包含 / 时相对 .gitignore 所在目录锚定
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+
+        rules.push({ regex: patternToRegExp(line, anchored), negate, dirOnly, baseDir });
+    }
+
+    return rules;
+}
+
+/**
+ * 按规则判断单个路径（不考虑父目录）
+ * 后出现的规则优先，与 git 行为一致
+ */
+function matchRules(path, isDir, rules) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDir) continue;
+
+        let relative = path;
+        if (rule.baseDir) {
+            if (!path.startsWith(`${rule.baseDir}/`)) continue;
+            relative = path.slice(rule.baseDir.length + 1);
+        }
+
+        if (rule.regex.test(relative)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
+
+/**
+ * 判断路径是否被忽略
+ * 父目录被忽略时，其中的文件无法通过否定规则重新包含（与 git 一致）
+ * @param {string} path - 相对项目根目录的路径（使用 / 分隔）
+ * @param {boolean} isDir - 是否为目录
+ * @param {Array} rules - parseGitignore 返回的规则（可合并多个文件的规则）
+ * @returns {boolean}
+ */
+export function isIgnored(path, isDir, rules) {
+    if (rules.length === 0) return false;
+
+    const segments = path.split('/');
+    for (let i = 1; i < segments.length; i++) {
+        if (matchRules(segments.slice(0, i).join('/'), true, rules)) {
+            return true;
+        }
+    }
+    return matchRules(path, isDir, rules);
+}
@@ -0,0 +1,72 @@
+/**
+ * 朗读文本处理工具
+ * 将 Markdown 回复转换为适合朗读的纯文本（跳过代码块、图片、链接地址等），并按句切分
+ */
+
+// 句末标点（中英文），英文句号需后接空白以避免切开小数和版本号
+const SENTENCE_END_REGEX = /[。！？!?；;…\n]|\.(?=\s)/g;
+
+// 代码围栏行（``` 或 ~~~）
+const FENCE_LINE_REGEX = /^[ \t]*(`{3,}|~{3,})/gm;
+
+/**
+ * 将 Markdown 转换为朗读文本
+ * @param {string} markdown - Markdown 文本
+ * @returns {string} 纯文本
+ */
+export function markdownToSpeech(markdown) {
+    if (!markdown) return '';
+
+    return markdown
+        // 代码块（含未闭合的结尾代码块）
+        .replace(/^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?^[ \t]*\1[^\n]*$/gm, '\n')
+        .replace(/^[ \t]*(`{3,}|~{3,})[\s\S]*$/m, '\n')
+        // 公式块
+        .replace(/\$\$[\s\S]*?\$\$/g, ' ')
+        // 图片、链接（保留链接文字）、裸地址
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, '')
+        // 行内代码、HTML 标签
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(/<[^>\n]+>/g, '')
+        // 分隔线、表格分隔行
+        .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+        .replace(/^[ \t]*\|?[ \t:|-]+\|[ \t:|-]*$/gm, '')
+        // 标题、引用、列表标记
+        .replace(/^[ \t]*(#{1,6}|>+|[-*+]|\d+[.)])[ \t]+/gm, '')
+        // 表格竖线、强调标记
+        .replace(/\|/g, ' ')
+        .replace(/\*\*|__|~~|\*/g, '');
+}
+
+/**
+ * 将纯文本切分为句子
+ * @param {string} text - 纯文本
+ * @returns {Array<string>} 句子列表（已去掉无可读字符的片段）
+ */
+export function splitSentences(text) {
+    return text
+        .split(/(?<=[。！？!?；;…])|(?<=\.)(?=\s)|\n+/)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+/**
+ * 查找流式 Markdown 中可以安全朗读到的位置
+ * 位置落在最后一个句末标点之后；若之后仍有未闭合的代码块，则退回到代码块开始处
+ * @param {string} markdown - 当前已接收的 Markdown
+ * @returns {number} 可朗读部分的结束位置
+ */
+export function findSpeakableBoundary(markdown) {
+    let boundary = 0;
+    for (const match of markdown.matchAll(SENTENCE_END_REGEX)) {
+        boundary = match.index + 1;
+    }
+
+    const fences = [...markdown.slice(0, boundary).matchAll(FENCE_LINE_REGEX)];
+    if (fences.length % 2 === 1) {
+        boundary = fences[fences.length - 1].index;
+    }
+    return boundary;
+}
@@ -0,0 +1,179 @@
+/**
+ * ZIP 读取工具
+ * 解析 ZIP 中央目录并按需解压条目（DOCX / XLSX 等 Office 文件本质上也是 ZIP）
+ * 解压使用浏览器原生 DecompressionStream('deflate-raw')，无需额外依赖
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// End of Central Directory 最小长度 + 注释最大长度
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_SEARCH = EOCD_MIN_SIZE + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// 单个条目解压后的最大大小（防止压缩炸弹）
+const MAX_ENTRY_SIZE = 100 * 1024 * 1024; // 100 MB
+
+/**
+ * 查找 End of Central Directory 记录
+ */
+function findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - EOCD_MAX_SEARCH);
+    for (let offset = view.byteLength - EOCD_MIN_SIZE; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+            return offset;
+        }
+    }
+    throw new Error('不是有效的 ZIP 文件');
+}
+
+/**
+ * 解析 ZIP 文件的条目列表（不解压）
+ * @param {ArrayBuffer} buffer - ZIP 文件内容
+ * @returns {Array<{name: string, size: number, compressedSize: number, method: number, offset: number, isDirectory: boolean, encrypted: boolean}>}
+ */
+export function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const eocd = findEndOfCentralDirectory(view);
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error('暂不支持 ZIP64 格式');
+    }
+
+    const utf8Decoder = new TextDecoder('utf-8');
+    // 未设置 UTF-8 标志的旧压缩包多为本地编码（中文 Windows 通常是 GBK）
+    let legacyDecoder;
+    try {
+        legacyDecoder = new TextDecoder('gbk');
+    } catch {
+        legacyDecoder = utf8Decoder;
+    }
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('ZIP 中央目录已损坏');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+
+        const nameBytes = new Uint8Array(buffer, offset + 46, nameLength);
+        const decoder = (flags & 0x0800) ? utf8Decoder : legacyDecoder;
+        const name = decoder.decode(nameBytes).replace(/\\/g, '/');
+
+        entries.push({
+            name,
+            size,
+            compressedSize,
+            method,
+            offset: localOffset,
+            isDirectory: name.endsWith('/'),
+            encrypted: (flags & 0x0001) !== 0
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * 解压单个条目
+ * @param {ArrayBuffer} buffer - ZIP 文件内容
+ * @param {Object} entry - readZipEntries 返回的条目
+ * @returns {Promise<Uint8Array>} 解压后的数据
+ */
+export async function extractZipEntry(buffer, entry) {
+    if (entry.encrypted) {
+        throw new Error(`不支持加密的 ZIP 条目: ${entry.name}`);
+    }
+
+    if (entry.size > MAX_ENTRY_SIZE) {
+        throw new Error(`ZIP 条目过大: ${entry.name}`);
+    }
+
+    const view = new DataView(buffer);
+    if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) {
+        throw new Error(`ZIP 条目已损坏: ${entry.name}`);
+    }
+
+    // 本地文件头的文件名/扩展字段长度可能与中央目录不同，需要重新读取
+    const nameLength = view.getUint16(entry.offset + 26, true);
+    const extraLength = view.getUint16(entry.offset + 28, true);
+    const dataStart = entry.offset + 30 + nameLength + extraLength;
+    const compressed = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+        return compressed.slice();
+    }
+
+    if (entry.method !== METHOD_DEFLATE) {
+        throw new Error(`不支持的 ZIP 压缩方式 (${entry.method}): ${entry.name}`);
+    }
+
+    if (typeof window.DecompressionStream !== 'function') {
+        throw new Error('当前环境不支持解压 ZIP（缺少 DecompressionStream）');
+    }
+
+    const stream = new Blob([compressed]).stream().pipeThrough(new window.DecompressionStream('deflate-raw'));
+    return readLimited(stream, entry);
+}
+
+/**
+ * 读取解压流，超过中央目录记录的大小时中止（压缩炸弹会伪造该字段）
+ * @param {ReadableStream} stream - 解压流
+ * @param {Object} entry - ZIP 条目
+ * @returns {Promise<Uint8Array>}
+ */
+async function readLimited(stream, entry) {
+    const limit = Math.min(entry.size, MAX_ENTRY_SIZE);
+    const reader = stream.getReader();
+    const chunks = [];
+    let total = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.byteLength;
+        if (total > limit) {
+            await reader.cancel().catch(() => {});
+            throw new Error(`ZIP 条目解压后超出声明的大小: ${entry.name}`);
+        }
+        chunks.push(value);
+    }
+
+    const result = new Uint8Array(total);
+    let position = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, position);
+        position += chunk.byteLength;
+    }
+    return result;
+}
+
+/**
+ * 按路径读取 ZIP 中的文本文件
+ * @param {ArrayBuffer} buffer - ZIP 文件内容
+ * @param {Array} entries - readZipEntries 返回的条目
+ * @param {string} path - 条目路径
+ * @returns {Promise<string|null>} 文件文本，不存在时返回 null
+ */
+export async function readZipText(buffer, entries, path) {
+    const entry = entries.find(e => e.name === path);
+    if (!entry) return null;
+    return new TextDecoder('utf-8').decode(await extractZipEntry(buffer, entry));
+}